@@ -0,0 +1,98 @@
+const { Web3 } = require("web3");
+const { parseUsdc, encodeReference } = require("../sdk");
+
+/**
+ * Argument validation helpers
+ *
+ * Each throws a UsageError with a message naming the offending argument, so
+ * the CLI can print it next to the command usage.
+ */
+
+class UsageError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "UsageError";
+  }
+}
+
+/**
+ * @param {string[]} args - Command positionals
+ * @param {number} index - Position
+ * @param {string} name - Argument name for error messages
+ * @returns {string} Value
+ */
+function required(args, index, name) {
+  if (args[index] === undefined) {
+    throw new UsageError(`Missing <${name}>`);
+  }
+  return args[index];
+}
+
+/**
+ * @param {string} value - Address argument
+ * @param {string} [name="address"] - Argument name for error messages
+ * @returns {string} Checksummed address
+ */
+function address(value, name = "address") {
+  if (!Web3.utils.isAddress(value || "")) {
+    throw new UsageError(`Invalid ${name}: ${value}`);
+  }
+  return Web3.utils.toChecksumAddress(value);
+}
+
+/**
+ * @param {string} value - Decimal USDC amount (e.g. "1500.25")
+ * @param {string} [name="amount"] - Argument name for error messages
+ * @returns {bigint} Base units
+ */
+function usdcAmount(value, name = "amount") {
+  let units;
+  try {
+    units = parseUsdc(value);
+  } catch (error) {
+    throw new UsageError(`Invalid ${name}: ${value}`);
+  }
+  if (units <= 0n) {
+    throw new UsageError(`Invalid ${name}: ${value} (must be greater than zero)`);
+  }
+  return units;
+}
+
+/**
+ * @param {string} value - Non-negative integer argument
+ * @param {string} name - Argument name for error messages
+ * @returns {bigint} Parsed value
+ */
+function uint(value, name) {
+  if (!/^\d+$/.test(value || "")) {
+    throw new UsageError(`Invalid ${name}: ${value}`);
+  }
+  return BigInt(value);
+}
+
+/**
+ * @param {string} value - 0x-prefixed 32-byte hex
+ * @param {string} [name="batchId"] - Argument name for error messages
+ * @returns {string} Lowercase bytes32
+ */
+function bytes32(value, name = "batchId") {
+  if (!/^0x[0-9a-fA-F]{64}$/.test(value || "")) {
+    throw new UsageError(`Invalid ${name}: ${value}`);
+  }
+  return value.toLowerCase();
+}
+
+/**
+ * @param {string} value - Client reference: bytes32 hex or text of at most 32 UTF-8 bytes
+ * @param {string} [name="reference"] - Argument name for error messages
+ * @returns {string} Lowercase bytes32
+ */
+function reference(value, name = "reference") {
+  try {
+    return encodeReference(value);
+  } catch (error) {
+    throw new UsageError(`Invalid ${name}: ${value} (bytes32 or text of at most 32 bytes)`);
+  }
+}
+
+module.exports = { UsageError, required, address, usdcAmount, uint, bytes32, reference };
@@ -0,0 +1,304 @@
+const { decodeReference } = require("../../sdk");
+const { required, address, usdcAmount, uint, bytes32, reference, UsageError } = require("../args");
+const { usdc, timestamp, table, tx } = require("../output");
+const payoutFile = require("../payouts");
+
+/**
+ * Parse "<merchant>:<amount>[:<reference>]" payout arguments
+ * @param {string[]} args - Positionals
+ * @returns {{merchants: string[], amounts: bigint[], paymentReferences: Array<string|null>|undefined}}
+ *   paymentReferences is undefined when no payout has a reference
+ */
+function parsePayouts(args) {
+  if (args.length === 0) {
+    throw new UsageError("Missing <merchant>:<amount> payouts");
+  }
+
+  const merchants = [];
+  const amounts = [];
+  const paymentReferences = [];
+  for (const arg of args) {
+    // References may contain ":" themselves
+    const [merchant, amount, ...rest] = arg.split(":");
+    const paymentReference = rest.length === 0 ? null : rest.join(":");
+    if (amount === undefined || paymentReference === "") {
+      throw new UsageError(`Invalid payout "${arg}" (expected <merchant>:<amount>[:<reference>])`);
+    }
+    const checksummed = address(merchant, "merchant");
+    if (merchants.includes(checksummed)) {
+      throw new UsageError(`Duplicate merchant ${checksummed} (a merchant may appear once per batch)`);
+    }
+    merchants.push(checksummed);
+    amounts.push(usdcAmount(amount));
+    paymentReferences.push(paymentReference === null ? null : reference(paymentReference, "payment reference"));
+  }
+  return {
+    merchants,
+    amounts,
+    paymentReferences: paymentReferences.some((ref) => ref !== null) ? paymentReferences : undefined,
+  };
+}
+
+function txAction(action, description, method) {
+  return {
+    usage: `batch ${action} <batchId>`,
+    description,
+    signer: true,
+    async run({ client, args }) {
+      const batchId = bytes32(required(args, 0, "batchId"));
+      const receipt = await client.paymentSettlement[method](batchId);
+      const batch = await client.paymentSettlement.getBatch(batchId);
+      return { batchId, status: batch.status, txHash: receipt.transactionHash };
+    },
+    print(result, out) {
+      tx(out, `Batch ${result.batchId} is now ${result.status}`, result.txHash);
+    },
+  };
+}
+
+/**
+ * tatapay batch create|import|show|approve|claim|payout|cancel|timeout
+ */
+module.exports = {
+  description: "Payment batches in PaymentSettlement",
+  actions: {
+    create: {
+      usage: "batch create <merchant>:<amount>[:<paymentRef>] [...] [--reference <ref>]",
+      description: "Create a batch (locks collateral for the total amount); with --reference, rerunning returns the same batch",
+      signer: true,
+      options: {
+        reference: { type: "string" },
+      },
+      async run({ client, args, options }) {
+        const { merchants, amounts, paymentReferences } = parsePayouts(args);
+        const clientReference = options.reference === undefined ? undefined : reference(options.reference);
+        const { batchId, receipt, existing } = await client.paymentSettlement.createBatch(merchants, amounts, {
+          reference: clientReference,
+          paymentReferences,
+        });
+        // A reused reference returns the batch created earlier, which may differ from these payouts
+        const batch = existing ? await client.paymentSettlement.getBatch(batchId) : null;
+        return {
+          batchId,
+          reference: options.reference === undefined ? null : options.reference,
+          existing,
+          merchantCount: existing ? batch.merchantCount : merchants.length,
+          totalAmount: existing ? batch.totalAmount : amounts.reduce((sum, amount) => sum + amount, 0n),
+          txHash: existing ? null : receipt.transactionHash,
+        };
+      },
+      print(result, out) {
+        if (result.existing) {
+          out.write(`↩️  Reference "${result.reference}" already used by batch ${result.batchId}; nothing sent\n`);
+        } else {
+          tx(out, `Batch created: ${result.batchId}`, result.txHash);
+        }
+        out.write(`   ${result.merchantCount} payment(s), ${usdc(result.totalAmount)}\n`);
+      },
+    },
+
+    import: {
+      usage: "batch import <file.csv|file.json> [--dry-run] [--receipt <path>] [--batch-size <n>]",
+      description: "Validate a payout file, split it into batches and submit them, recording a receipt",
+      signer: true,
+      options: {
+        "dry-run": { type: "boolean" },
+        receipt: { type: "string" },
+        "batch-size": { type: "string" },
+      },
+      async run({ client, args, options, log }) {
+        const file = required(args, 0, "file");
+        const { payouts, errors } = payoutFile.validatePayouts(payoutFile.readPayoutFile(file));
+        if (errors.length > 0) {
+          throw new Error(`${file} failed validation:\n  ${errors.join("\n  ")}`);
+        }
+
+        const fintech = client.requireAccount();
+        const receiptPath = options.receipt || payoutFile.defaultReceiptPath(file);
+        const receipt = payoutFile.loadReceipt(receiptPath, { source: file, network: client.network.name, fintech });
+        const pending = payoutFile.pendingPayouts(receipt, payouts);
+        const total = pending.reduce((sum, payout) => sum + payout.amount, 0n);
+
+        const maxSize = Number(await client.paymentSettlement.maxBatchSize());
+        const size = options["batch-size"] === undefined ? maxSize : Number(uint(options["batch-size"], "--batch-size"));
+        if (size < 1 || size > maxSize) {
+          throw new UsageError(`--batch-size must be between 1 and ${maxSize}`);
+        }
+
+        // Batches created by an earlier run whose receipt was never written
+        // already hold their collateral: record them instead of resubmitting
+        const importId = payoutFile.importReference(fintech, payouts);
+        const earlier = await payoutFile.importedBatches(client.paymentSettlement, fintech, importId);
+        const recorded = new Set(receipt.batches.map((batch) => batch.batchId));
+        const chunks = [];
+        const references = [];
+        const existingBatchIds = [];
+        let remaining = pending;
+        for (const { batchId, reference } of earlier.filter((batch) => !recorded.has(batch.batchId))) {
+          const matched = payoutFile.matchBatchPayouts(batchId, await client.paymentSettlement.getPayments(batchId), remaining);
+          remaining = remaining.filter((payout) => !matched.includes(payout));
+          chunks.push(matched);
+          references.push(reference);
+          existingBatchIds.push(batchId);
+        }
+        // New batches continue the import's numbering
+        payoutFile.chunk(remaining, size).forEach((payouts, i) => {
+          chunks.push(payouts);
+          references.push(payoutFile.batchReference(importId, earlier.length + i));
+          existingBatchIds.push(null);
+        });
+        const plan = chunks.map((payouts, i) => ({
+          rows: payouts.map((payout) => payout.row),
+          totalAmount: payouts.reduce((sum, payout) => sum + payout.amount, 0n),
+          reference: references[i],
+          existingBatchId: existingBatchIds[i],
+        }));
+
+        const needed = plan.reduce((sum, batch) => (batch.existingBatchId === null ? sum + batch.totalAmount : sum), 0n);
+        const { availableBalance } = await client.collateralPool.getBalance(fintech);
+        if (needed > availableBalance) {
+          throw new Error(`Insufficient collateral: file needs ${usdc(needed)}, ${usdc(availableBalance)} available`);
+        }
+
+        const result = {
+          file,
+          receipt: receiptPath,
+          rows: payouts.length,
+          alreadySubmitted: payouts.length - pending.length,
+          totalAmount: total,
+          dryRun: Boolean(options["dry-run"]),
+          batches: plan,
+        };
+
+        if (options["dry-run"]) {
+          return result;
+        }
+
+        for (let i = 0; i < chunks.length; i++) {
+          const { batchId, receipt: txReceipt, existing } = await client.paymentSettlement.createBatch(
+            chunks[i].map((payout) => payout.merchant),
+            chunks[i].map((payout) => payout.amount),
+            { reference: plan[i].reference, paymentReferences: payoutFile.paymentReferences(chunks[i]) }
+          );
+          const txHash = existing ? null : txReceipt.transactionHash;
+          payoutFile.recordBatch(receiptPath, receipt, { batchId, txHash, payouts: chunks[i] });
+          Object.assign(plan[i], { batchId, txHash, existing });
+          log(`   Batch ${i + 1}/${chunks.length}: ${batchId} (${chunks[i].length} payments${existing ? ", created by an earlier run" : ""})`);
+        }
+        return result;
+      },
+      print(result, out) {
+        const verb = result.dryRun ? "Would create" : "Created";
+        if (result.alreadySubmitted > 0) {
+          out.write(`⏭️  ${result.alreadySubmitted} row(s) already submitted per ${result.receipt}\n`);
+        }
+        out.write(`✅ ${result.file}: ${result.rows} row(s) valid\n`);
+        out.write(`${result.dryRun ? "🧪" : "📦"} ${verb} ${result.batches.length} batch(es), ${usdc(result.totalAmount)}\n`);
+        for (const batch of result.batches) {
+          const rows = `rows ${batch.rows[0]}-${batch.rows[batch.rows.length - 1]}`;
+          const earlier = batch.existingBatchId === null ? "" : ", created by an earlier run";
+          const batchId = batch.batchId || batch.existingBatchId || "-";
+          out.write(`   ${batchId} ${rows} (${batch.rows.length} payments, ${usdc(batch.totalAmount)}${earlier})\n`);
+        }
+        if (!result.dryRun) {
+          out.write(`   Receipt: ${result.receipt}\n`);
+        }
+      },
+    },
+
+    show: {
+      usage: "batch show <batchId>",
+      description: "Show batch status and payments",
+      async run({ client, args }) {
+        const batchId = bytes32(required(args, 0, "batchId"));
+        const batch = await client.paymentSettlement.getBatch(batchId);
+        if (batch.createdAt === 0n) {
+          throw new Error(`Batch not found: ${batchId}`);
+        }
+        const payments = await client.paymentSettlement.getPayments(batchId);
+        return { ...batch, payments };
+      },
+      print(result, out) {
+        out.write(`📦 Batch ${result.batchId}\n`);
+        table(out, [
+          ["Status", result.status],
+          ["Fintech", result.fintech],
+          ["Total", usdc(result.totalAmount)],
+          ["Claimed", `${result.claimedCount}/${result.merchantCount}`],
+          ["Created", timestamp(result.createdAt)],
+        ]);
+        out.write("\n  Payments:\n");
+        for (const payment of result.payments) {
+          const ref = payment.reference === null ? "" : ` ref ${decodeReference(payment.reference)}`;
+          out.write(`  #${payment.index} ${payment.merchant} ${usdc(payment.amount)}${ref}${payment.claimed ? " (claimed)" : ""}\n`);
+        }
+      },
+    },
+
+    payout: {
+      usage: "batch payout <batchId> [--page-size <n>]",
+      description: "Push unclaimed payments to merchants in pages (active oracle, PAYOUT_ROLE or ORACLE_ROLE)",
+      signer: true,
+      options: {
+        "page-size": { type: "string" },
+      },
+      async run({ client, args, options, log }) {
+        const batchId = bytes32(required(args, 0, "batchId"));
+        const batch = await client.paymentSettlement.getBatch(batchId);
+        if (batch.createdAt === 0n) {
+          throw new Error(`Batch not found: ${batchId}`);
+        }
+        if (batch.status !== "Processing") {
+          throw new Error(`Batch ${batchId} is ${batch.status}; only Processing batches can be paid out`);
+        }
+
+        const maxPage = Number(await client.paymentSettlement.maxPayoutPage());
+        const size = options["page-size"] === undefined ? maxPage : Number(uint(options["page-size"], "--page-size"));
+        if (size < 1 || size > maxPage) {
+          throw new UsageError(`--page-size must be between 1 and ${maxPage}`);
+        }
+
+        // Without a role on PaymentSettlement, go through SettlementOracle as an active oracle
+        const account = client.requireAccount();
+        const direct =
+          (await client.paymentSettlement.hasRole("PAYOUT_ROLE", account)) ||
+          (await client.paymentSettlement.hasRole("ORACLE_ROLE", account));
+        const distributor = direct ? client.paymentSettlement : client.settlementOracle;
+
+        // Skip pages merchants already claimed in full
+        const payments = await client.paymentSettlement.getPayments(batchId);
+        const pages = [];
+        for (let fromIndex = 0; fromIndex < payments.length; fromIndex += size) {
+          const toIndex = Math.min(fromIndex + size, payments.length);
+          if (payments.slice(fromIndex, toIndex).every((payment) => payment.claimed)) {
+            continue;
+          }
+          const { paidCount, paidAmount, receipt } = await distributor.distributePayments(batchId, fromIndex, toIndex);
+          pages.push({ fromIndex, toIndex, paidCount, paidAmount, txHash: receipt.transactionHash });
+          log(`   Payments ${fromIndex}-${toIndex - 1}: ${paidCount} paid, ${usdc(paidAmount)}`);
+        }
+
+        const { status } = await client.paymentSettlement.getBatch(batchId);
+        return {
+          batchId,
+          status,
+          paidCount: pages.reduce((sum, page) => sum + page.paidCount, 0n),
+          paidAmount: pages.reduce((sum, page) => sum + page.paidAmount, 0n),
+          pages,
+        };
+      },
+      print(result, out) {
+        out.write(`✅ Paid ${result.paidCount} merchant(s) ${usdc(result.paidAmount)} in ${result.pages.length} transaction(s)\n`);
+        for (const page of result.pages) {
+          out.write(`   #${page.fromIndex}-${page.toIndex - 1}: ${page.txHash}\n`);
+        }
+        out.write(`   Batch ${result.batchId} is now ${result.status}\n`);
+      },
+    },
+
+    approve: txAction("approve", "Approve a pending batch directly (requires ORACLE_ROLE on PaymentSettlement)", "approveBatch"),
+    claim: txAction("claim", "Claim the signer's payment from a processing batch", "claimPayment"),
+    cancel: txAction("cancel", "Cancel a pending batch (fintech or admin)", "cancelBatch"),
+    timeout: txAction("timeout", "Time out a batch pending for more than 48 hours", "timeoutBatch"),
+  },
+};
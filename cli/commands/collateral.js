@@ -0,0 +1,98 @@
+const { required, address, usdcAmount, UsageError } = require("../args");
+const { usdc, timestamp, table, tx } = require("../output");
+
+/**
+ * tatapay collateral deposit|withdraw|status
+ */
+module.exports = {
+  description: "Fintech collateral in CollateralPool",
+  actions: {
+    deposit: {
+      usage: "collateral deposit <amount>",
+      description: "Deposit USDC collateral (approves USDC first if needed)",
+      signer: true,
+      async run({ client, args }) {
+        const amount = usdcAmount(required(args, 0, "amount"));
+        const receipt = await client.collateralPool.deposit(amount);
+        return { fintech: client.account, amount, txHash: receipt.transactionHash };
+      },
+      print(result, out) {
+        tx(out, `Deposited ${usdc(result.amount)}`, result.txHash);
+      },
+    },
+
+    withdraw: {
+      usage: "collateral withdraw <amount> | --execute | --cancel",
+      description: "Request a delayed withdrawal, then execute it once the delay has passed",
+      signer: true,
+      options: {
+        execute: { type: "boolean" },
+        cancel: { type: "boolean" },
+      },
+      async run({ client, args, options }) {
+        if (options.execute && options.cancel) {
+          throw new UsageError("Use either --execute or --cancel");
+        }
+
+        if (options.execute) {
+          const request = await client.collateralPool.getWithdrawalRequest(client.account);
+          const receipt = await client.collateralPool.executeWithdrawal();
+          return { action: "executed", amount: request.amount, txHash: receipt.transactionHash };
+        }
+
+        if (options.cancel) {
+          const request = await client.collateralPool.getWithdrawalRequest(client.account);
+          const receipt = await client.collateralPool.cancelWithdrawal();
+          return { action: "cancelled", amount: request.amount, txHash: receipt.transactionHash };
+        }
+
+        const amount = usdcAmount(required(args, 0, "amount"));
+        const receipt = await client.collateralPool.requestWithdrawal(amount);
+        const request = await client.collateralPool.getWithdrawalRequest(client.account);
+        return {
+          action: "requested",
+          amount,
+          unlockTime: request.unlockTime,
+          txHash: receipt.transactionHash,
+        };
+      },
+      print(result, out) {
+        if (result.action === "requested") {
+          tx(out, `Withdrawal of ${usdc(result.amount)} requested`, result.txHash);
+          out.write(`   Executable after ${timestamp(result.unlockTime)} (tatapay collateral withdraw --execute)\n`);
+        } else {
+          tx(out, `Withdrawal of ${usdc(result.amount)} ${result.action}`, result.txHash);
+        }
+      },
+    },
+
+    status: {
+      usage: "collateral status [address]",
+      description: "Show collateral balances and any pending withdrawal",
+      async run({ client, args }) {
+        const fintech = args[0] ? address(args[0], "fintech") : client.requireAccount();
+        const [balance, withdrawal, ready] = await Promise.all([
+          client.collateralPool.getBalance(fintech),
+          client.collateralPool.getWithdrawalRequest(fintech),
+          client.collateralPool.isWithdrawalReady(fintech),
+        ]);
+        return { fintech, ...balance, withdrawal: { ...withdrawal, ready } };
+      },
+      print(result, out) {
+        out.write(`💰 Collateral for ${result.fintech}\n`);
+        const rows = [
+          ["Available", usdc(result.availableBalance)],
+          ["Locked", usdc(result.lockedBalance)],
+          ["Total deposited", usdc(result.totalDeposited)],
+          ["Total withdrawn", usdc(result.totalWithdrawn)],
+          ["Total slashed", usdc(result.totalSlashed)],
+        ];
+        const { withdrawal } = result;
+        if (withdrawal.requestTime > 0n && !withdrawal.executed) {
+          rows.push(["Pending withdrawal", `${usdc(withdrawal.amount)} (unlocks ${timestamp(withdrawal.unlockTime)}${withdrawal.ready ? ", ready" : ""})`]);
+        }
+        table(out, rows);
+      },
+    },
+  },
+};
@@ -0,0 +1,111 @@
+const { required, address, usdcAmount, uint, UsageError } = require("../args");
+const { usdc, table, tx } = require("../output");
+
+const LIMIT_FLAGS = ["hourly-tx", "daily-tx", "hourly-amount", "daily-amount"];
+
+/**
+ * tatapay fraud blacklist|limits|freeze
+ */
+module.exports = {
+  description: "Blacklist, velocity limits and freezes in FraudPrevention",
+  actions: {
+    blacklist: {
+      usage: "fraud blacklist <address> --reason <text> | --remove",
+      description: "Blacklist an address, or remove it with --remove",
+      signer: true,
+      options: {
+        reason: { type: "string" },
+        remove: { type: "boolean" },
+      },
+      async run({ client, args, options }) {
+        const account = address(required(args, 0, "address"));
+        if (options.remove) {
+          const receipt = await client.fraudPrevention.removeFromBlacklist(account);
+          return { account, blacklisted: false, txHash: receipt.transactionHash };
+        }
+        if (!options.reason) {
+          throw new UsageError("Blacklisting requires --reason");
+        }
+        const receipt = await client.fraudPrevention.addToBlacklist(account, options.reason);
+        return { account, blacklisted: true, reason: options.reason, txHash: receipt.transactionHash };
+      },
+      print(result, out) {
+        tx(out, result.blacklisted ? `Blacklisted ${result.account}: ${result.reason}` : `Removed ${result.account} from blacklist`, result.txHash);
+      },
+    },
+
+    limits: {
+      usage: "fraud limits <address> [--hourly-tx <n> --daily-tx <n> --hourly-amount <usdc> --daily-amount <usdc>] [--reset]",
+      description: "Show velocity limits and usage, set custom limits, or --reset to defaults",
+      options: {
+        "hourly-tx": { type: "string" },
+        "daily-tx": { type: "string" },
+        "hourly-amount": { type: "string" },
+        "daily-amount": { type: "string" },
+        reset: { type: "boolean" },
+      },
+      async run({ client, args, options }) {
+        const account = address(required(args, 0, "address"));
+        const given = LIMIT_FLAGS.filter((flag) => options[flag] !== undefined);
+
+        let txHash;
+        if (options.reset) {
+          txHash = (await client.fraudPrevention.removeCustomLimits(account)).transactionHash;
+        } else if (given.length > 0) {
+          if (given.length !== LIMIT_FLAGS.length) {
+            throw new UsageError("Setting limits requires all of --hourly-tx, --daily-tx, --hourly-amount, --daily-amount");
+          }
+          const limits = {
+            hourlyTransactionLimit: uint(options["hourly-tx"], "--hourly-tx"),
+            dailyTransactionLimit: uint(options["daily-tx"], "--daily-tx"),
+            hourlyAmountLimit: usdcAmount(options["hourly-amount"], "--hourly-amount"),
+            dailyAmountLimit: usdcAmount(options["daily-amount"], "--daily-amount"),
+          };
+          txHash = (await client.fraudPrevention.setCustomLimits(account, limits)).transactionHash;
+        }
+
+        const [limits, window, blacklist, frozen, whitelisted] = await Promise.all([
+          client.fraudPrevention.getApplicableLimits(account),
+          client.fraudPrevention.getTransactionWindow(account),
+          client.fraudPrevention.getBlacklistInfo(account),
+          client.fraudPrevention.isFrozen(account),
+          client.fraudPrevention.isWhitelisted(account),
+        ]);
+        return { account, limits, window, blacklisted: blacklist.isBlacklisted, frozen, whitelisted, txHash };
+      },
+      print(result, out) {
+        if (result.txHash) {
+          tx(out, `Updated limits for ${result.account}`, result.txHash);
+        }
+        const { limits, window } = result;
+        out.write(`🛡️  Fraud status for ${result.account}\n`);
+        table(out, [
+          ["Frozen", result.frozen],
+          ["Blacklisted", result.blacklisted],
+          ["Whitelisted", result.whitelisted],
+          ["Hourly", `${window.hourlyCount}/${limits.hourlyTransactionLimit} tx, ${usdc(window.hourlyAmount)} / ${usdc(limits.hourlyAmountLimit)}`],
+          ["Daily", `${window.dailyCount}/${limits.dailyTransactionLimit} tx, ${usdc(window.dailyAmount)} / ${usdc(limits.dailyAmountLimit)}`],
+        ]);
+      },
+    },
+
+    freeze: {
+      usage: "fraud freeze <address> [--unfreeze]",
+      description: "Freeze an address (EMERGENCY_ROLE), or lift the freeze with --unfreeze",
+      signer: true,
+      options: {
+        unfreeze: { type: "boolean" },
+      },
+      async run({ client, args, options }) {
+        const account = address(required(args, 0, "address"));
+        const receipt = options.unfreeze
+          ? await client.fraudPrevention.unfreezeAddress(account)
+          : await client.fraudPrevention.freezeAddress(account);
+        return { account, frozen: !options.unfreeze, txHash: receipt.transactionHash };
+      },
+      print(result, out) {
+        tx(out, `${result.frozen ? "Froze" : "Unfroze"} ${result.account}`, result.txHash);
+      },
+    },
+  },
+};
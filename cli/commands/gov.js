@@ -0,0 +1,300 @@
+const { deploymentBlock } = require("../../config/deployments");
+const { required, address, uint, UsageError } = require("../args");
+const { tx, table, timestamp, duration } = require("../output");
+const proposalFile = require("../proposals");
+
+// Open proposals expiring within this window get a warning in gov show
+const EXPIRY_WARNING_SECONDS = 24n * 60n * 60n;
+
+/**
+ * tatapay gov show|propose|submit|approve|execute
+ */
+module.exports = {
+  description: "Multi-sig proposals in TataPayGovernance",
+  actions: {
+    show: {
+      usage: "gov show <proposalId> [--from-block <n>]",
+      description: "Show a proposal with decoded calldata, approvals and timelock",
+      options: {
+        "from-block": { type: "string" },
+      },
+      async run({ client, args, options }) {
+        const proposalId = uint(required(args, 0, "proposalId"), "proposalId");
+        if (proposalId >= (await client.governance.proposalCount())) {
+          throw new Error(`Proposal #${proposalId} does not exist`);
+        }
+
+        const proposal = await client.governance.getProposal(proposalId);
+        const [calls, { requiredApprovals }, delays, block] = await Promise.all([
+          client.governance.getProposalCalls(proposalId),
+          client.governance.getMetrics(),
+          client.governance.delays(),
+          client.web3.eth.getBlock("latest"),
+        ]);
+        const now = BigInt(block.timestamp);
+
+        const fromBlock = options["from-block"] === undefined
+          ? deploymentBlock(options.network, "governance", client.governance.address)
+          : uint(options["from-block"], "--from-block");
+        const governors = await client.governance.governors({ fromBlock });
+        const approvedBy = await Promise.all(governors.map((governor) => client.governance.hasApproved(proposalId, governor)));
+
+        const delay = proposal.proposalType === "Emergency" ? delays.emergencyDelay : delays.standardDelay;
+        const executableAt = proposal.state === "Approved" || proposal.state === "Failed" ? proposal.approvedAt + delay : null;
+        const open = ["Pending", "Approved", "Failed"].includes(proposal.state);
+        const failureReason = proposal.state === "Failed"
+          ? proposalFile.decodeRevert(client, calls.map((call) => call.target), await client.governance.getFailureReason(proposalId))
+          : null;
+
+        const warnings = [];
+        if (failureReason !== null && now < proposal.expiresAt) {
+          warnings.push(`Execution failed; retry with "gov execute ${proposalId}" before it expires`);
+        }
+        if (open && now >= proposal.expiresAt) {
+          warnings.push(`Expired at ${timestamp(proposal.expiresAt)}; it can no longer be executed`);
+        } else if (open && proposal.expiresAt - now <= EXPIRY_WARNING_SECONDS) {
+          warnings.push(`Expires in ${duration(proposal.expiresAt - now)} (${timestamp(proposal.expiresAt)})`);
+        }
+        if (executableAt !== null && executableAt >= proposal.expiresAt) {
+          warnings.push("Timelock ends after the proposal expires; it will never be executable");
+        }
+
+        return {
+          proposalId,
+          description: proposal.description,
+          state: proposal.state,
+          proposalType: proposal.proposalType,
+          proposer: proposal.proposer,
+          calls: calls.map((call) => ({ ...call, decoded: proposalFile.decodeCall(client, call.target, call.data) })),
+          failureReason,
+          approvals: proposal.approvals,
+          requiredApprovals,
+          governors: governors.map((governor, i) => ({ address: governor, approved: approvedBy[i] })),
+          createdAt: proposal.createdAt,
+          approvedAt: proposal.approvedAt,
+          executedAt: proposal.executedAt,
+          expiresAt: proposal.expiresAt,
+          timelock: {
+            delay,
+            executableAt,
+            remaining: executableAt !== null && executableAt > now ? executableAt - now : 0n,
+          },
+          expiresIn: proposal.expiresAt > now ? proposal.expiresAt - now : 0n,
+          warnings,
+        };
+      },
+      print(result, out) {
+        const { timelock } = result;
+        let timelockText = "-";
+        if (result.state === "Pending") {
+          timelockText = `${duration(timelock.delay)}, starts once approved`;
+        } else if (timelock.executableAt !== null) {
+          timelockText = timelock.remaining > 0n
+            ? `ends ${timestamp(timelock.executableAt)} (in ${duration(timelock.remaining)})`
+            : "ended, ready to execute";
+        }
+
+        out.write(`📋 Proposal #${result.proposalId}: ${result.description}\n`);
+        const rows = [
+          ["State", result.state],
+          ["Type", `${result.proposalType} (${duration(timelock.delay)} timelock)`],
+          ["Proposer", result.proposer],
+          ["Approvals", `${result.approvals} / ${result.requiredApprovals}`],
+          ["Created", timestamp(result.createdAt)],
+          ["Timelock", timelockText],
+          ["Expires", `${timestamp(result.expiresAt)}${result.expiresIn > 0n ? ` (in ${duration(result.expiresIn)})` : ""}`],
+        ];
+        if (result.state === "Executed") {
+          rows.push(["Executed", timestamp(result.executedAt)]);
+        }
+        if (result.failureReason !== null) {
+          rows.push(["Failure", result.failureReason]);
+        }
+        table(out, rows);
+
+        out.write(result.calls.length > 1 ? `  Calls (${result.calls.length}, executed atomically):\n` : "  Call:\n");
+        result.calls.forEach((call, i) => {
+          const { decoded } = call;
+          const heading = decoded ? `${decoded.contract}.${decoded.signature}` : `${call.data} (not a known TataPay call)`;
+          out.write(`    ${result.calls.length > 1 ? `${i + 1}. ` : ""}${heading}\n`);
+          out.write(`       Target: ${decoded ? `${call.target} (${decoded.contract})` : call.target}\n`);
+          if (call.value > 0n) {
+            out.write(`       Value:  ${call.value} wei\n`);
+          }
+          if (decoded && decoded.args.length > 0) {
+            const width = Math.max(...decoded.args.map((arg) => arg.name.length));
+            for (const arg of decoded.args) {
+              out.write(`       ${`${arg.name}:`.padEnd(width + 1)} ${arg.display}\n`);
+            }
+          }
+        });
+
+        out.write("  Governors:\n");
+        for (const governor of result.governors) {
+          out.write(`    ${governor.approved ? "✅" : "⬜"} ${governor.address}\n`);
+        }
+        for (const warning of result.warnings) {
+          out.write(`⚠️  ${warning}\n`);
+        }
+      },
+    },
+
+    propose: {
+      usage: "gov propose --target <address> --calldata <hex> --description <text> [--value <wei>] [--emergency]",
+      description: "Create a proposal (PROPOSER_ROLE)",
+      signer: true,
+      options: {
+        target: { type: "string" },
+        calldata: { type: "string" },
+        description: { type: "string" },
+        value: { type: "string" },
+        emergency: { type: "boolean" },
+      },
+      async run({ client, options }) {
+        const target = address(options.target, "--target");
+        if (!/^0x([0-9a-fA-F]{2})*$/.test(options.calldata || "")) {
+          throw new UsageError(`Invalid --calldata: ${options.calldata}`);
+        }
+        if (!options.description) {
+          throw new UsageError("Missing --description");
+        }
+        const type = options.emergency ? "Emergency" : "Standard";
+
+        const { proposalId, receipt } = await client.governance.propose({
+          target,
+          data: options.calldata,
+          description: options.description,
+          value: options.value === undefined ? 0n : uint(options.value, "--value"),
+          type,
+        });
+        return { proposalId, type, txHash: receipt.transactionHash };
+      },
+      print(result, out) {
+        tx(out, `${result.type} proposal #${result.proposalId} created`, result.txHash);
+      },
+    },
+
+    submit: {
+      usage: "gov submit <proposal.yaml|proposal.json> [--dry-run] [--skip-simulation]",
+      description: "Encode a proposal file, simulate it from governance and submit it (PROPOSER_ROLE)",
+      signer: true,
+      options: {
+        "dry-run": { type: "boolean" },
+        "skip-simulation": { type: "boolean" },
+      },
+      async run({ client, args, options }) {
+        const file = required(args, 0, "file");
+        const proposal = proposalFile.buildProposal(client, proposalFile.readProposalFile(file));
+        const { calls } = proposal;
+
+        const simulated = !options["skip-simulation"];
+        if (simulated) {
+          const simulation = await proposalFile.simulateProposal(client, proposal);
+          if (!simulation.success) {
+            const which = calls.length > 1 ? ` (call ${simulation.index + 1} of ${calls.length})` : "";
+            throw new Error(`Simulation from governance reverted${which}: ${simulation.reason}`);
+          }
+        }
+
+        const result = {
+          file,
+          type: proposal.type,
+          description: proposal.description,
+          batch: calls.length > 1,
+          calls: calls.map((call) => ({
+            action: `${call.contract}.${call.signature}`,
+            args: call.args,
+            target: call.target,
+            value: call.value,
+            calldata: call.data,
+          })),
+          simulated,
+          dryRun: Boolean(options["dry-run"]),
+        };
+        if (options["dry-run"]) {
+          return result;
+        }
+
+        const { proposalId, receipt } = calls.length > 1
+          ? await client.governance.proposeBatch(proposal)
+          : await client.governance.propose({ ...proposal, ...calls[0] });
+        return { ...result, proposalId, txHash: receipt.transactionHash };
+      },
+      print(result, out) {
+        out.write(`📝 ${result.type} ${result.batch ? `batch proposal (${result.calls.length} calls)` : "proposal"}: ${result.description}\n`);
+        result.calls.forEach((call, i) => {
+          if (result.batch) {
+            out.write(`  Call ${i + 1}:\n`);
+          }
+          table(out, [
+            ["Action", call.action],
+            ["Args", call.args.map(String).join(", ") || "-"],
+            ["Target", call.target],
+            ["Value", `${call.value} wei`],
+            ["Calldata", call.calldata],
+          ]);
+        });
+        out.write(result.simulated ? "✅ Simulation from governance succeeded\n" : "⚠️  Simulation skipped\n");
+        if (result.dryRun) {
+          out.write("🧪 Dry run: proposal not submitted\n");
+        } else {
+          tx(out, `${result.type} proposal #${result.proposalId} created`, result.txHash);
+        }
+      },
+    },
+
+    approve: {
+      usage: "gov approve <proposalId>",
+      description: "Approve a pending proposal (GOVERNOR_ROLE)",
+      signer: true,
+      async run({ client, args }) {
+        const proposalId = uint(required(args, 0, "proposalId"), "proposalId");
+        const receipt = await client.governance.approve(proposalId);
+        const proposal = await client.governance.getProposal(proposalId);
+        return { proposalId, state: proposal.state, approvals: proposal.approvals, txHash: receipt.transactionHash };
+      },
+      print(result, out) {
+        tx(out, `Approved proposal #${result.proposalId} (${result.approvals} approval(s), now ${result.state})`, result.txHash);
+      },
+    },
+
+    execute: {
+      usage: "gov execute <proposalId>",
+      description: "Execute an approved proposal after its timelock, or retry a failed one (EXECUTOR_ROLE)",
+      signer: true,
+      async run({ client, args }) {
+        const proposalId = uint(required(args, 0, "proposalId"), "proposalId");
+        const { executable, reason } = await client.governance.canExecute(proposalId);
+        if (!executable) {
+          throw new Error(`Proposal #${proposalId} cannot be executed: ${reason}`);
+        }
+        const { success, failureReason, receipt } = await client.governance.execute(proposalId);
+        if (success) {
+          return { proposalId, success, txHash: receipt.transactionHash };
+        }
+
+        const [calls, proposal] = await Promise.all([
+          client.governance.getProposalCalls(proposalId),
+          client.governance.getProposal(proposalId),
+        ]);
+        return {
+          proposalId,
+          success,
+          failureReason: proposalFile.decodeRevert(client, calls.map((call) => call.target), failureReason),
+          revertData: failureReason,
+          expiresAt: proposal.expiresAt,
+          txHash: receipt.transactionHash,
+        };
+      },
+      print(result, out) {
+        if (result.success) {
+          tx(out, `Executed proposal #${result.proposalId}`, result.txHash);
+          return;
+        }
+        out.write(`❌ Proposal #${result.proposalId} failed: ${result.failureReason}\n`);
+        out.write(`   Tx: ${result.txHash}\n`);
+        out.write(`   Still executable until ${timestamp(result.expiresAt)}; fix the cause and run "gov execute ${result.proposalId}" again\n`);
+      },
+    },
+  },
+};
@@ -0,0 +1,113 @@
+const fs = require("fs");
+const { decodeReference } = require("../../sdk");
+const { deploymentBlock } = require("../../config/deployments");
+const { IndexerStore } = require("../../scripts/indexer/store");
+const { address, bytes32, uint } = require("../args");
+const { usdc, timestamp } = require("../output");
+
+/**
+ * Block to scan PaymentScheduled events from: --from-block, else the
+ * settlement deployment block from the manifest
+ * @param {object} client - TataPayClient
+ * @param {object} options - Parsed options
+ * @returns {bigint|number} Block number
+ */
+function scanFrom(client, options) {
+  return options["from-block"] === undefined
+    ? deploymentBlock(options.network, "paymentSettlement", client.paymentSettlement.address)
+    : uint(options["from-block"], "--from-block");
+}
+
+/**
+ * Pending claims from the indexer database (--indexer-db, else the
+ * network's default), or from a PaymentScheduled scan when there is none
+ * @param {object} client - TataPayClient
+ * @param {string} merchant - Merchant address
+ * @param {object} options - Parsed options
+ * @returns {Promise<{source: string, batches: Array}>} source is "indexer" or "rpc"
+ */
+async function pendingClaims(client, merchant, options) {
+  const dbPath = options["indexer-db"] || IndexerStore.defaultPath(client.network.name);
+  if (!fs.existsSync(dbPath)) {
+    if (options["indexer-db"] !== undefined) {
+      throw new Error(`Indexer database not found: ${dbPath}`);
+    }
+    const batches = await client.paymentSettlement.pendingClaims(merchant, { fromBlock: scanFrom(client, options) });
+    return { source: "rpc", batches };
+  }
+
+  const indexerStore = new IndexerStore(dbPath, { readonly: true });
+  try {
+    return { source: "indexer", batches: await client.paymentSettlement.pendingClaims(merchant, { indexerStore }) };
+  } finally {
+    indexerStore.close();
+  }
+}
+
+/**
+ * tatapay merchant pending|claim
+ */
+module.exports = {
+  description: "Merchant payments across PaymentSettlement batches",
+  actions: {
+    pending: {
+      usage: "merchant pending [merchant] [--indexer-db <path>] [--from-block <n>]",
+      description: "List Processing batches the merchant can claim from, with amounts (indexer database, else an RPC scan)",
+      options: {
+        "indexer-db": { type: "string" },
+        "from-block": { type: "string" },
+      },
+      async run({ client, args, options }) {
+        const merchant = args[0] ? address(args[0], "merchant") : client.requireAccount();
+        const { source, batches } = await pendingClaims(client, merchant, options);
+        return { merchant, source, total: batches.reduce((sum, batch) => sum + batch.amount, 0n), batches };
+      },
+      print(result, out) {
+        out.write(`💰 Merchant ${result.merchant}: ${usdc(result.total)} claimable from ${result.batches.length} batch(es)\n`);
+        for (const batch of result.batches) {
+          out.write(`   ${batch.batchId} ${usdc(batch.amount)} from ${batch.fintech} (created ${timestamp(batch.createdAt)})\n`);
+        }
+      },
+    },
+
+    claim: {
+      usage: "merchant claim [batchId...] [--indexer-db <path>] [--from-block <n>]",
+      description: "Claim from the given batches, or every pending one, with claimMany",
+      signer: true,
+      options: {
+        "indexer-db": { type: "string" },
+        "from-block": { type: "string" },
+      },
+      async run({ client, args, options, log }) {
+        const merchant = client.requireAccount();
+        const batchIds = args.length > 0
+          ? args.map((arg) => bytes32(arg))
+          : (await pendingClaims(client, merchant, options)).batches.map((batch) => batch.batchId);
+        if (batchIds.length === 0) {
+          throw new Error(`Nothing to claim for ${merchant}`);
+        }
+
+        const size = Number(await client.paymentSettlement.maxClaimBatches());
+        const claims = [];
+        const txHashes = [];
+        for (let i = 0; i < batchIds.length; i += size) {
+          const result = await client.paymentSettlement.claimMany(batchIds.slice(i, i + size));
+          claims.push(...result.claims);
+          txHashes.push(result.receipt.transactionHash);
+          log(`   Claimed ${usdc(result.claimedAmount)} from ${result.claims.length} batch(es)`);
+        }
+
+        return { merchant, claimedAmount: claims.reduce((sum, claim) => sum + claim.amount, 0n), claims, txHashes };
+      },
+      print(result, out) {
+        out.write(`✅ Claimed ${usdc(result.claimedAmount)} from ${result.claims.length} batch(es)\n`);
+        for (const claim of result.claims) {
+          out.write(`   ${claim.batchId} ${usdc(claim.amount)}${claim.reference === null ? "" : ` ref ${decodeReference(claim.reference)}`}\n`);
+        }
+        for (const txHash of result.txHashes) {
+          out.write(`   Tx: ${txHash}\n`);
+        }
+      },
+    },
+  },
+};
@@ -0,0 +1,88 @@
+const { required, address, bytes32, usdcAmount, UsageError } = require("../args");
+const { usdc, timestamp, table, tx } = require("../output");
+
+/**
+ * tatapay oracle register|vote|status
+ */
+module.exports = {
+  description: "Oracle registration and batch voting in SettlementOracle",
+  actions: {
+    register: {
+      usage: "oracle register [--stake <amount>]",
+      description: "Register the signer as an oracle (USDC stake, defaults to the minimum; approves USDC first if needed)",
+      signer: true,
+      options: {
+        stake: { type: "string" },
+      },
+      async run({ client, options }) {
+        const stake = options.stake === undefined ? undefined : usdcAmount(options.stake, "stake");
+        const receipt = await client.settlementOracle.registerOracle(stake);
+        const info = await client.settlementOracle.getOracleInfo(client.account);
+        return { oracle: client.account, stake: info.stake, txHash: receipt.transactionHash };
+      },
+      print(result, out) {
+        tx(out, `Registered oracle ${result.oracle} with ${usdc(result.stake)} stake`, result.txHash);
+      },
+    },
+
+    vote: {
+      usage: "oracle vote <batchId> approve|reject [--reason <text>]",
+      description: "Cast this oracle's vote on a pending batch",
+      signer: true,
+      options: {
+        reason: { type: "string" },
+      },
+      async run({ client, args, options }) {
+        const batchId = bytes32(required(args, 0, "batchId"));
+        const decision = required(args, 1, "approve|reject");
+
+        let receipt;
+        if (decision === "approve") {
+          receipt = await client.settlementOracle.approveBatch(batchId);
+        } else if (decision === "reject") {
+          if (!options.reason) {
+            throw new UsageError("Rejecting a batch requires --reason");
+          }
+          receipt = await client.settlementOracle.rejectBatch(batchId, options.reason);
+        } else {
+          throw new UsageError(`Invalid vote: ${decision} (expected approve or reject)`);
+        }
+
+        const votes = await client.settlementOracle.getBatchVoteStatus(batchId);
+        return { batchId, vote: decision, ...votes, txHash: receipt.transactionHash };
+      },
+      print(result, out) {
+        tx(out, `Voted ${result.vote} on ${result.batchId}`, result.txHash);
+        out.write(`   Votes: ${result.approvals} approve / ${result.rejections} reject${result.processed ? " (threshold reached)" : ""}\n`);
+      },
+    },
+
+    status: {
+      usage: "oracle status [address]",
+      description: "Show oracle registration, stake and activity",
+      async run({ client, args }) {
+        const oracle = args[0] ? address(args[0], "oracle") : client.requireAccount();
+        const [info, count, threshold, minimumStake] = await Promise.all([
+          client.settlementOracle.getOracleInfo(oracle),
+          client.settlementOracle.getOracleCount(),
+          client.settlementOracle.approvalThreshold(),
+          client.settlementOracle.minimumStake(),
+        ]);
+        return { oracle, ...info, activeOracles: count.active, approvalThreshold: threshold, minimumStake };
+      },
+      print(result, out) {
+        out.write(`🔮 Oracle ${result.oracle}\n`);
+        table(out, [
+          ["Registered", result.isRegistered],
+          ["Active", result.isActive],
+          ["Stake", `${usdc(result.stake)} (minimum ${usdc(result.minimumStake)})`],
+          ["Approvals", result.approvals],
+          ["Rejections", result.rejections],
+          ["Slashes", result.slashes],
+          ["Last activity", timestamp(result.lastActivityAt)],
+          ["Threshold", `${result.approvalThreshold} of ${result.activeOracles} active`],
+        ]);
+      },
+    },
+  },
+};
@@ -0,0 +1,168 @@
+const crypto = require("crypto");
+const { required, address, uint, UsageError } = require("../args");
+const { timestamp, table } = require("../output");
+const { WebhookStore, DELIVERY_STATUSES } = require("../../scripts/webhooks/webhook-store");
+const { WebhookNotifier } = require("../../scripts/webhooks/notifier");
+
+const DB_OPTION = { db: { type: "string" } };
+
+/**
+ * Open the webhook database (--db, else .webhooks/<network>.sqlite), run fn and close it
+ * @param {object} options - Parsed options
+ * @param {function(WebhookStore): *} fn - Work with the store
+ * @returns {Promise<*>} fn's result
+ */
+async function withStore(options, fn) {
+  const store = new WebhookStore(options.db || WebhookStore.defaultPath(options.network));
+  try {
+    return await fn(store);
+  } finally {
+    store.close();
+  }
+}
+
+/**
+ * @param {string} value - Endpoint argument
+ * @returns {string} Normalized http(s) URL
+ */
+function endpoint(value) {
+  let url;
+  try {
+    url = new URL(value);
+  } catch (error) {
+    throw new UsageError(`Invalid url: ${value}`);
+  }
+  if (url.protocol !== "https:" && url.protocol !== "http:") {
+    throw new UsageError(`Invalid url: ${value} (expected http or https)`);
+  }
+  return url.toString();
+}
+
+// Milliseconds timestamps as seconds for the shared formatter
+const msTimestamp = (ms) => timestamp(ms === null ? 0 : Math.floor(ms / 1000));
+
+/**
+ * tatapay webhook register|unregister|list|deliveries|replay
+ *
+ * Manages the database read by scripts/webhooks/notifier.js; nothing here
+ * touches the chain.
+ */
+module.exports = {
+  description: "Settlement webhooks for fintech backends (see scripts/webhooks/notifier.js)",
+  actions: {
+    register: {
+      usage: "webhook register <fintech> <url> [--secret <secret>] [--db <file>]",
+      description: "Register or replace a fintech's endpoint (a signing secret is generated unless given)",
+      options: { ...DB_OPTION, secret: { type: "string" } },
+      async run({ args, options }) {
+        const fintech = address(required(args, 0, "fintech"), "fintech");
+        const url = endpoint(required(args, 1, "url"));
+        if (options.secret !== undefined && options.secret.length < 16) {
+          throw new UsageError("--secret must be at least 16 characters");
+        }
+        const secret = options.secret || crypto.randomBytes(32).toString("hex");
+        await withStore(options, (store) => store.subscribe({ fintech, url, secret, now: Date.now() }));
+        return { fintech, url, secret };
+      },
+      print(result, out) {
+        out.write(`✅ Webhook registered for ${result.fintech}\n`);
+        out.write(`   URL:    ${result.url}\n`);
+        out.write(`   Secret: ${result.secret}\n`);
+        out.write("   Share the secret with the fintech; it signs every request (X-TataPay-Signature)\n");
+      },
+    },
+
+    unregister: {
+      usage: "webhook unregister <fintech> [--db <file>]",
+      description: "Stop sending webhooks to a fintech",
+      options: DB_OPTION,
+      async run({ args, options }) {
+        const fintech = address(required(args, 0, "fintech"), "fintech");
+        const removed = await withStore(options, (store) => store.unsubscribe(fintech));
+        if (!removed) {
+          throw new Error(`No webhook registered for ${fintech}`);
+        }
+        return { fintech };
+      },
+      print(result, out) {
+        out.write(`✅ Webhook removed for ${result.fintech}\n`);
+      },
+    },
+
+    list: {
+      usage: "webhook list [--db <file>]",
+      description: "List registered endpoints (without secrets)",
+      options: DB_OPTION,
+      async run({ options }) {
+        const subscriptions = await withStore(options, (store) => store.subscriptions());
+        return { subscriptions: subscriptions.map(({ secret, ...subscription }) => subscription) };
+      },
+      print(result, out) {
+        out.write(`🔔 ${result.subscriptions.length} webhook(s)\n`);
+        for (const subscription of result.subscriptions) {
+          out.write(`   ${subscription.fintech} → ${subscription.url} (since ${msTimestamp(subscription.createdAt)})\n`);
+        }
+      },
+    },
+
+    deliveries: {
+      usage: "webhook deliveries [--status pending|delivered|dead|retracted] [--fintech <address>] [--limit <n>] [--db <file>]",
+      description: "Show recent deliveries; --status dead lists the dead-letter log",
+      options: { ...DB_OPTION, status: { type: "string" }, fintech: { type: "string" }, limit: { type: "string" } },
+      async run({ options }) {
+        if (options.status !== undefined && !DELIVERY_STATUSES.includes(options.status)) {
+          throw new UsageError(`--status must be one of ${DELIVERY_STATUSES.join(", ")}`);
+        }
+        const filter = {
+          status: options.status,
+          fintech: options.fintech === undefined ? undefined : address(options.fintech, "--fintech"),
+          limit: options.limit === undefined ? 50 : Number(uint(options.limit, "--limit")),
+        };
+        const deliveries = await withStore(options, (store) => store.deliveries(filter));
+        return { deliveries };
+      },
+      print(result, out) {
+        out.write(`📬 ${result.deliveries.length} deliver${result.deliveries.length === 1 ? "y" : "ies"}\n`);
+        for (const delivery of result.deliveries) {
+          out.write(`\n  #${delivery.id} ${delivery.type} → ${delivery.fintech}\n`);
+          table(out, [
+            ["Status", `${delivery.status} after ${delivery.attempts} attempt(s)`],
+            ["Batch", delivery.payload.data.batchId],
+            ["Created", msTimestamp(delivery.createdAt)],
+            [delivery.status === "pending" ? "Next attempt" : "Delivered", msTimestamp(delivery.status === "pending" ? delivery.nextAttemptAt : delivery.deliveredAt)],
+            ["Last error", delivery.lastError || "-"],
+          ]);
+        }
+      },
+    },
+
+    replay: {
+      usage: "webhook replay <deliveryId...> | --dead [--db <file>]",
+      description: "Send deliveries again now (e.g. dead letters after the endpoint is fixed)",
+      options: { ...DB_OPTION, dead: { type: "boolean" } },
+      async run({ args, options, log }) {
+        if (args.length === 0 && !options.dead) {
+          throw new UsageError("Missing <deliveryId...> (or --dead to replay every dead letter)");
+        }
+        return withStore(options, async (store) => {
+          const ids = options.dead
+            ? store.deliveries({ status: "dead", limit: -1 }).map((delivery) => delivery.id)
+            : args.map((arg) => Number(uint(arg, "deliveryId")));
+          const now = Date.now();
+          const requeued = store.requeue(ids, now);
+          const missing = ids.filter((id) => !requeued.includes(id));
+          if (missing.length > 0) {
+            throw new Error(`Unknown or retracted delivery: ${missing.map((id) => `#${id}`).join(", ")}`);
+          }
+
+          const notifier = new WebhookNotifier({ webhookStore: store, logger: { log, error: log } });
+          return { replayed: requeued.length, ...(await notifier.deliver(requeued)) };
+        });
+      },
+      print(result, out) {
+        out.write(`🔁 Replayed ${result.replayed} deliver${result.replayed === 1 ? "y" : "ies"}: `);
+        out.write(`${result.delivered.length} delivered, ${result.retrying.length} queued for retry, ${result.dead.length} dead\n`);
+      },
+    },
+  },
+};
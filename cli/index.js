@@ -0,0 +1,146 @@
+const { parseArgs } = require("util");
+const { TataPayClient } = require("../sdk");
+const { UsageError } = require("./args");
+const { toJson } = require("./output");
+
+/**
+ * tatapay command-line tool
+ *
+ * Usage: tatapay [--network <name>] [--key-env <VAR>] [--json] <group> <action> [args]
+ *
+ * The signer's private key is read from the environment variable named by
+ * --key-env (default PRIVATE_KEY, loaded from .env), so keys never appear in
+ * shell history. Read-only actions work without a key.
+ */
+
+const GROUPS = {
+  collateral: require("./commands/collateral"),
+  batch: require("./commands/batch"),
+  merchant: require("./commands/merchant"),
+  oracle: require("./commands/oracle"),
+  fraud: require("./commands/fraud"),
+  gov: require("./commands/gov"),
+  webhook: require("./commands/webhook"),
+};
+
+const GLOBAL_OPTIONS = {
+  network: { type: "string", short: "n", default: "moonbase" },
+  "key-env": { type: "string", default: "PRIVATE_KEY" },
+  json: { type: "boolean", default: false },
+  help: { type: "boolean", short: "h", default: false },
+};
+
+/**
+ * Run the CLI
+ * @param {string[]} argv - Arguments after the executable (process.argv.slice(2))
+ * @param {object} [io]
+ * @param {object} [io.env=process.env] - Environment (private keys)
+ * @param {object} [io.stdout=process.stdout] - Output stream
+ * @param {object} [io.stderr=process.stderr] - Error stream
+ * @param {object} [io.clientOptions] - Extra TataPayClient options (provider, contracts, ...)
+ * @returns {Promise<number>} Exit code
+ */
+async function run(argv, { env = process.env, stdout = process.stdout, stderr = process.stderr, clientOptions = {} } = {}) {
+  let json = argv.includes("--json");
+
+  try {
+    // First pass: find the group/action so the command's own options can be added
+    const { positionals: [groupName, actionName] } = parseArgs({
+      args: argv,
+      options: GLOBAL_OPTIONS,
+      allowPositionals: true,
+      strict: false,
+    });
+
+    const group = GROUPS[groupName];
+    const action = group && group.actions[actionName];
+    if (!action) {
+      if (groupName && !group) {
+        throw new UsageError(`Unknown command: ${groupName}`);
+      }
+      if (actionName) {
+        throw new UsageError(`Unknown command: ${groupName} ${actionName}`);
+      }
+      stdout.write(help(groupName));
+      return groupName || argv.includes("--help") || argv.includes("-h") ? 0 : 1;
+    }
+
+    const { values: options, positionals } = parseArgs({
+      args: argv,
+      options: { ...GLOBAL_OPTIONS, ...(action.options || {}) },
+      allowPositionals: true,
+    });
+    json = options.json;
+
+    if (options.help) {
+      stdout.write(help(groupName, actionName));
+      return 0;
+    }
+
+    const keyEnv = options["key-env"];
+    const privateKey = env[keyEnv];
+    if (action.signer && !privateKey && !clientOptions.from) {
+      throw new UsageError(`${groupName} ${actionName} needs a signer: set ${keyEnv} in .env or pass --key-env <VAR>`);
+    }
+
+    const client = new TataPayClient({ network: options.network, privateKey, ...clientOptions });
+    const log = (line) => stderr.write(`${line}\n`);
+    const result = await action.run({ client, args: positionals.slice(2), options, log });
+
+    if (json) {
+      stdout.write(`${toJson(result)}\n`);
+    } else {
+      action.print(result, stdout, { client });
+    }
+    return 0;
+  } catch (error) {
+    if (json) {
+      stdout.write(`${toJson({ error: error.message })}\n`);
+    } else {
+      stderr.write(`❌ Error: ${error.message}\n`);
+      if (error instanceof UsageError || error.code === "ERR_PARSE_ARGS_UNKNOWN_OPTION") {
+        stderr.write("   Run tatapay --help for usage\n");
+      }
+    }
+    return error instanceof UsageError || String(error.code || "").startsWith("ERR_PARSE_ARGS") ? 2 : 1;
+  }
+}
+
+/**
+ * Build help text for the CLI, a group, or a single action
+ * @param {string} [groupName] - Command group
+ * @param {string} [actionName] - Action within the group
+ * @returns {string} Help text
+ */
+function help(groupName, actionName) {
+  const lines = [];
+  const group = GROUPS[groupName];
+
+  if (group && group.actions[actionName]) {
+    const action = group.actions[actionName];
+    lines.push(`Usage: tatapay ${action.usage}`, "", action.description);
+  } else if (group) {
+    lines.push(`tatapay ${groupName}: ${group.description}`, "");
+    for (const action of Object.values(group.actions)) {
+      lines.push(`  tatapay ${action.usage}`, `      ${action.description}`);
+    }
+  } else {
+    lines.push("Usage: tatapay [options] <command> <action> [args]", "", "Commands:");
+    for (const [name, { description, actions }] of Object.entries(GROUPS)) {
+      lines.push(`  ${name.padEnd(11)} ${Object.keys(actions).join("|").padEnd(48)} ${description}`);
+    }
+  }
+
+  lines.push(
+    "",
+    "Options:",
+    "  -n, --network <name>  Network from config/networks.js (default: moonbase)",
+    "  --key-env <VAR>       Environment variable holding the signer key (default: PRIVATE_KEY)",
+    "  --json                Print machine-readable JSON",
+    "  -h, --help            Show help",
+    ""
+  );
+  return lines.join("\n");
+}
+
+module.exports = { run, help, GROUPS };
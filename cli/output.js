@@ -0,0 +1,81 @@
+const { formatUsdc } = require("../sdk");
+
+/**
+ * CLI output helpers
+ *
+ * Commands return plain result objects. In --json mode the result is printed
+ * as-is (bigints as decimal strings); otherwise the command's print() renders
+ * human-readable lines.
+ */
+
+/**
+ * JSON.stringify with bigint support
+ * @param {*} value - Value to serialize
+ * @returns {string} Pretty-printed JSON
+ */
+function toJson(value) {
+  return JSON.stringify(value, (key, v) => (typeof v === "bigint" ? v.toString() : v), 2);
+}
+
+/**
+ * Format base units as "1,500.25 USDC"
+ * @param {bigint|string} units - USDC base units
+ * @returns {string} Display string
+ */
+function usdc(units) {
+  const [whole, fraction] = formatUsdc(units).split(".");
+  const grouped = whole.replace(/\B(?=(\d{3})+(?!\d))/g, ",");
+  return `${grouped}${fraction ? `.${fraction}` : ""} USDC`;
+}
+
+/**
+ * Format a unix timestamp (seconds) as ISO string, or "-" for zero
+ * @param {bigint|number} seconds - Unix timestamp
+ * @returns {string} Display string
+ */
+function timestamp(seconds) {
+  return Number(seconds) > 0 ? new Date(Number(seconds) * 1000).toISOString() : "-";
+}
+
+/**
+ * Format a number of seconds as "2d 3h", "5h 12m", "4m 30s"
+ * @param {bigint|number} seconds - Duration (negative values are treated as zero)
+ * @returns {string} Two largest non-zero units
+ */
+function duration(seconds) {
+  let rest = Math.max(0, Number(seconds));
+  const parts = [];
+  for (const [unit, size] of [["d", 86400], ["h", 3600], ["m", 60], ["s", 1]]) {
+    const count = Math.floor(rest / size);
+    rest -= count * size;
+    if (count > 0 || (parts.length === 0 && unit === "s")) {
+      parts.push(`${count}${unit}`);
+    }
+  }
+  return parts.slice(0, 2).join(" ");
+}
+
+/**
+ * Render label/value rows with aligned values
+ * @param {object} out - Writable with write()
+ * @param {Array<[string, *]>} rows - Label/value pairs
+ */
+function table(out, rows) {
+  const width = Math.max(...rows.map(([label]) => label.length));
+  for (const [label, value] of rows) {
+    out.write(`  ${`${label}:`.padEnd(width + 1)} ${value}\n`);
+  }
+}
+
+/**
+ * Print a transaction confirmation
+ * @param {object} out - Writable with write()
+ * @param {string} message - What happened
+ * @param {string} txHash - Transaction hash
+ */
+function tx(out, message, txHash) {
+  out.write(`✅ ${message}\n`);
+  out.write(`   Tx: ${txHash}\n`);
+}
+
+module.exports = { toJson, usdc, timestamp, duration, table, tx };
@@ -0,0 +1,392 @@
+const fs = require("fs");
+const path = require("path");
+const { Web3 } = require("web3");
+const { parseUsdc, formatUsdc, encodeReference } = require("../sdk");
+
+/**
+ * Payout file import
+ *
+ * Reads a CSV or JSON payout file, validates it offline and splits it into
+ * createBatch-sized chunks. Submission progress is recorded in a receipt
+ * file after every batch, so an interrupted import can be re-run safely:
+ * rows already recorded in the receipt are never submitted twice.
+ *
+ * CSV: header row with `merchant` and `amount` columns and an optional
+ *      `reference` column (other columns are ignored). `row` is the
+ *      spreadsheet line number.
+ * JSON: array of { merchant, amount, reference? } objects, or
+ *      { payouts: [...] }. `row` is the 1-based array position.
+ *
+ * A reference (invoice or order number, at most 32 bytes of text or a
+ * bytes32 hash) is stored with the payment on-chain and copied to the
+ * receipt, so claims can be matched back to the file's rows.
+ *
+ * Each batch is also created under a client reference: the import's
+ * reference (a hash of the fintech and the sorted payout set, independent of
+ * file paths, row order and --batch-size) numbered 0, 1, 2, ... If a batch
+ * was created but the receipt was not written (e.g. the transaction
+ * response timed out), the re-run walks those references to find the
+ * existing batches and their payouts instead of locking collateral again.
+ * Importing the same payouts twice is therefore treated as a retry; payouts
+ * that really repeat need distinct references (e.g. invoice numbers).
+ */
+
+/**
+ * Read payout rows from a .csv or .json file
+ * @param {string} filePath - Payout file
+ * @returns {Array<{row: number, merchant: string, amount: string, reference: string}>}
+ */
+function readPayoutFile(filePath) {
+  const text = fs.readFileSync(filePath, "utf8");
+  const ext = path.extname(filePath).toLowerCase();
+
+  if (ext === ".json") {
+    return parseJson(text);
+  }
+  if (ext === ".csv") {
+    return parseCsv(text);
+  }
+  throw new Error(`Unsupported payout file type: ${ext || filePath} (use .csv or .json)`);
+}
+
+function parseJson(text) {
+  const data = JSON.parse(text);
+  const entries = Array.isArray(data) ? data : data.payouts;
+  if (!Array.isArray(entries)) {
+    throw new Error("JSON payout file must be an array or { payouts: [...] }");
+  }
+
+  return entries.map((entry, i) => ({
+    row: i + 1,
+    merchant: entry.merchant === undefined ? "" : String(entry.merchant).trim(),
+    amount: entry.amount === undefined ? "" : String(entry.amount).trim(),
+    reference: entry.reference === undefined || entry.reference === null ? "" : String(entry.reference).trim(),
+  }));
+}
+
+function parseCsv(text) {
+  const lines = splitCsv(text);
+  if (lines.length === 0) {
+    throw new Error("CSV payout file is empty");
+  }
+
+  const header = lines[0].cells.map((cell) => cell.trim().toLowerCase());
+  const merchantCol = header.indexOf("merchant");
+  const amountCol = header.indexOf("amount");
+  const referenceCol = header.indexOf("reference");
+  if (merchantCol === -1 || amountCol === -1) {
+    throw new Error("CSV header must include merchant and amount columns");
+  }
+
+  return lines
+    .slice(1)
+    .filter(({ cells }) => cells.some((cell) => cell.trim() !== ""))
+    .map(({ line, cells }) => ({
+      row: line,
+      merchant: (cells[merchantCol] || "").trim(),
+      amount: (cells[amountCol] || "").trim(),
+      reference: referenceCol === -1 ? "" : (cells[referenceCol] || "").trim(),
+    }));
+}
+
+/**
+ * Minimal RFC 4180 splitter (quoted fields, escaped quotes, CRLF)
+ * @param {string} text - CSV text
+ * @returns {Array<{line: number, cells: string[]}>}
+ */
+function splitCsv(text) {
+  const records = [];
+  let cells = [];
+  let cell = "";
+  let quoted = false;
+  let line = 1;
+  let recordLine = 1;
+
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+
+    if (quoted) {
+      if (ch === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        if (ch === "\n") line++;
+        cell += ch;
+      }
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === ",") {
+      cells.push(cell);
+      cell = "";
+    } else if (ch === "\n" || ch === "\r") {
+      if (ch === "\r" && text[i + 1] === "\n") i++;
+      cells.push(cell);
+      records.push({ line: recordLine, cells });
+      cells = [];
+      cell = "";
+      line++;
+      recordLine = line;
+    } else {
+      cell += ch;
+    }
+  }
+
+  if (cell !== "" || cells.length > 0) {
+    cells.push(cell);
+    records.push({ line: recordLine, cells });
+  }
+  return records;
+}
+
+/**
+ * Validate payout rows without touching the chain
+ *
+ * Checks: EIP-55 checksummed merchant addresses, positive amounts with at
+ * most 6 decimals, references that fit in bytes32, and no merchant listed
+ * more than once in the file.
+ *
+ * @param {Array<{row: number, merchant: string, amount: string, reference?: string}>} rows - Parsed rows
+ * @returns {{payouts: Array<{row: number, merchant: string, amount: bigint, reference: string|null}>, errors: string[]}}
+ */
+function validatePayouts(rows) {
+  const errors = [];
+  const payouts = [];
+  const seen = new Map();
+
+  if (rows.length === 0) {
+    errors.push("Payout file has no rows");
+  }
+
+  for (const { row, merchant, amount, reference = "" } of rows) {
+    let valid = true;
+
+    if (!Web3.utils.isAddress(merchant, false)) {
+      errors.push(`Row ${row}: invalid merchant address "${merchant}"`);
+      valid = false;
+    } else if (!Web3.utils.checkAddressCheckSum(merchant)) {
+      errors.push(`Row ${row}: merchant address is not checksummed (expected ${Web3.utils.toChecksumAddress(merchant)})`);
+      valid = false;
+    } else if (seen.has(merchant)) {
+      errors.push(`Row ${row}: duplicate merchant ${merchant} (also on row ${seen.get(merchant)})`);
+      valid = false;
+    } else {
+      seen.set(merchant, row);
+    }
+
+    let units;
+    try {
+      units = parseUsdc(amount);
+    } catch (error) {
+      errors.push(`Row ${row}: invalid amount "${amount}"`);
+      valid = false;
+    }
+    if (units !== undefined && units <= 0n) {
+      errors.push(`Row ${row}: amount must be greater than zero`);
+      valid = false;
+    }
+
+    if (reference !== "") {
+      try {
+        encodeReference(reference);
+      } catch (error) {
+        errors.push(`Row ${row}: invalid reference "${reference}" (at most 32 bytes; hash longer IDs)`);
+        valid = false;
+      }
+    }
+
+    if (valid) {
+      payouts.push({ row, merchant, amount: units, reference: reference === "" ? null : reference });
+    }
+  }
+
+  return { payouts, errors };
+}
+
+/**
+ * Split payouts into consecutive chunks
+ * @param {Array} payouts - Validated payouts
+ * @param {number} size - Max entries per chunk
+ * @returns {Array<Array>} Chunks
+ */
+function chunk(payouts, size) {
+  const chunks = [];
+  for (let i = 0; i < payouts.length; i += size) {
+    chunks.push(payouts.slice(i, i + size));
+  }
+  return chunks;
+}
+
+/**
+ * Payment references of a chunk, for createBatch
+ * @param {Array<{reference: string|null}>} payouts - Validated payouts
+ * @returns {Array<string|null>|undefined} undefined when no payout has a reference
+ */
+function paymentReferences(payouts) {
+  return payouts.some((payout) => payout.reference !== null) ? payouts.map((payout) => payout.reference) : undefined;
+}
+
+/**
+ * Reference of an import: the same fintech and payout set always give the
+ * same bytes32, wherever the file lives and however it is ordered or chunked
+ * @param {string} fintech - Fintech address
+ * @param {Array<{merchant: string, amount: bigint, reference: string|null}>} payouts - Every validated payout of the file
+ * @returns {string} bytes32 hex
+ */
+function importReference(fintech, payouts) {
+  const entries = payouts
+    .map((payout) => [payout.merchant.toLowerCase(), formatUsdc(payout.amount), payout.reference])
+    .sort((a, b) => (a[0] < b[0] ? -1 : a[0] > b[0] ? 1 : 0));
+  return Web3.utils.keccak256(JSON.stringify({ fintech: fintech.toLowerCase(), payouts: entries }));
+}
+
+/**
+ * Client reference of the index-th batch created for an import
+ * @param {string} importId - importReference result
+ * @param {number} index - Batch number within the import, from 0
+ * @returns {string} bytes32 hex
+ */
+function batchReference(importId, index) {
+  return Web3.utils.soliditySha3({ t: "bytes32", v: importId }, { t: "uint256", v: index });
+}
+
+/**
+ * Batches earlier runs created for an import, found by walking its batch
+ * references until one is unused
+ * @param {import("../sdk/contracts/payment-settlement").PaymentSettlement} settlement - SDK wrapper
+ * @param {string} fintech - Fintech address
+ * @param {string} importId - importReference result
+ * @returns {Promise<Array<{batchId: string, reference: string}>>} In creation order
+ */
+async function importedBatches(settlement, fintech, importId) {
+  const batches = [];
+  for (;;) {
+    const reference = batchReference(importId, batches.length);
+    const batchId = await settlement.batchIdByReference(fintech, reference);
+    if (batchId === null) {
+      return batches;
+    }
+    batches.push({ batchId, reference });
+  }
+}
+
+/**
+ * Match a batch's on-chain payments to payouts of the file (merchants are
+ * unique within a file)
+ * @param {string} batchId - Batch created by an earlier run
+ * @param {Array<{merchant: string, amount: bigint, reference: string|null}>} payments - Its payments (reference as bytes32)
+ * @param {Array} payouts - Payouts not in the receipt
+ * @returns {Array} The payouts the batch pays, in payment order
+ * @throws if a payment does not match an unrecorded payout
+ */
+function matchBatchPayouts(batchId, payments, payouts) {
+  const byMerchant = new Map(payouts.map((payout) => [payout.merchant.toLowerCase(), payout]));
+
+  return payments.map((payment) => {
+    const payout = byMerchant.get(payment.merchant.toLowerCase());
+    const reference = payout && payout.reference !== null ? encodeReference(payout.reference) : null;
+    if (!payout || payout.amount !== payment.amount || reference !== payment.reference) {
+      throw new Error(`Batch ${batchId} from an earlier run pays ${payment.merchant} an amount or reference not pending in this file`);
+    }
+    return payout;
+  });
+}
+
+/**
+ * Default receipt path next to the payout file
+ * @param {string} filePath - Payout file
+ * @returns {string} e.g. payouts.csv → payouts.receipt.json
+ */
+function defaultReceiptPath(filePath) {
+  const ext = path.extname(filePath);
+  return path.join(path.dirname(filePath), `${path.basename(filePath, ext)}.receipt.json`);
+}
+
+/**
+ * Load an existing receipt, or start a new one
+ * @param {string} receiptPath - Receipt file
+ * @param {object} meta - { source, network, fintech } for a new receipt
+ * @returns {object} Receipt
+ */
+function loadReceipt(receiptPath, meta) {
+  if (!fs.existsSync(receiptPath)) {
+    return { ...meta, createdAt: new Date().toISOString(), batches: [], rows: [] };
+  }
+
+  const receipt = JSON.parse(fs.readFileSync(receiptPath, "utf8"));
+  if (receipt.fintech && receipt.fintech.toLowerCase() !== meta.fintech.toLowerCase()) {
+    throw new Error(`Receipt ${receiptPath} belongs to fintech ${receipt.fintech}, not ${meta.fintech}`);
+  }
+  return receipt;
+}
+
+/**
+ * Match payouts against a receipt: returns the rows still to submit
+ * @param {object} receipt - Loaded receipt
+ * @param {Array<{row: number, merchant: string, amount: bigint}>} payouts - Validated payouts
+ * @returns {Array} Payouts not yet submitted
+ * @throws if a recorded row no longer matches the file
+ */
+function pendingPayouts(receipt, payouts) {
+  const submitted = new Map(receipt.rows.map((entry) => [entry.row, entry]));
+
+  return payouts.filter((payout) => {
+    const entry = submitted.get(payout.row);
+    if (!entry) {
+      return true;
+    }
+    // Receipts written before references were supported have none
+    const reference = entry.reference === undefined ? null : entry.reference;
+    if (entry.merchant !== payout.merchant || entry.amount !== formatUsdc(payout.amount) || reference !== payout.reference) {
+      throw new Error(`Row ${payout.row} changed since it was submitted in batch ${entry.batchId}`);
+    }
+    return false;
+  });
+}
+
+/**
+ * Record a submitted batch and flush the receipt (write-then-rename)
+ * @param {string} receiptPath - Receipt file
+ * @param {object} receipt - Receipt to update
+ * @param {{batchId: string, txHash: string|null, payouts: Array}} batch - Submitted batch
+ *   (txHash is null for a batch found by its client reference)
+ */
+function recordBatch(receiptPath, receipt, { batchId, txHash, payouts }) {
+  receipt.batches.push({
+    batchId,
+    txHash,
+    rows: payouts.map((payout) => payout.row),
+    totalAmount: formatUsdc(payouts.reduce((sum, payout) => sum + payout.amount, 0n)),
+  });
+  for (const payout of payouts) {
+    receipt.rows.push({
+      row: payout.row,
+      merchant: payout.merchant,
+      amount: formatUsdc(payout.amount),
+      reference: payout.reference,
+      batchId,
+      txHash,
+    });
+  }
+  receipt.updatedAt = new Date().toISOString();
+
+  const tmpPath = `${receiptPath}.tmp`;
+  fs.writeFileSync(tmpPath, JSON.stringify(receipt, null, 2));
+  fs.renameSync(tmpPath, receiptPath);
+}
+
+module.exports = {
+  readPayoutFile,
+  validatePayouts,
+  chunk,
+  paymentReferences,
+  importReference,
+  batchReference,
+  importedBatches,
+  matchBatchPayouts,
+  defaultReceiptPath,
+  loadReceipt,
+  pendingPayouts,
+  recordBatch,
+};
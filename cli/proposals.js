@@ -0,0 +1,596 @@
+const fs = require("fs");
+const path = require("path");
+const yaml = require("js-yaml");
+const { Web3 } = require("web3");
+const { parseUsdc, revertReason } = require("../sdk");
+const { loadAbi } = require("../sdk/artifacts");
+
+/**
+ * Governance proposal files
+ *
+ * Turns a human-readable proposal into the target / value / calldata that
+ * TataPayGovernance.propose expects. A proposal file is YAML or JSON:
+ *
+ *   description: Raise default velocity limits
+ *   type: Standard            # or Emergency (default Standard)
+ *   action: FraudPrevention.setDefaultLimits(10, 100, 50000 USDC, 500000 USDC)
+ *   value: 0                  # optional native value in wei
+ *
+ * Several calls that must execute together go under `actions` and become a
+ * batch proposal (TataPayGovernance.proposeBatch); entries are action
+ * strings or { action, value } objects:
+ *
+ *   actions:
+ *     - PaymentSettlement.revokeRole(ORACLE_ROLE, 0x...)
+ *     - PaymentSettlement.grantRole(ORACLE_ROLE, 0x...)
+ *     - SettlementOracle.setApprovalThreshold(2)
+ *
+ * The contract is a TataPay contract name (FraudPrevention) or manifest key
+ * (fraudPrevention) and resolves to the address in the deployment manifest.
+ * Arguments are checked against the ABI:
+ *   - integers: 1500, 1_500, 0x5dc, or "1500.5 USDC" for 6-decimal amounts
+ *   - address: 0x address, or a contract name resolved from the manifest
+ *   - bytes32: 0x hex, or a role name the target contract defines (SLASHER_ROLE)
+ *   - bool: true / false; string: "quoted" or a bare word; arrays: [a, b]
+ */
+
+// Selectors of require(..., "message") and assert/overflow reverts
+const ERROR_SELECTOR = "0x08c379a0";
+const PANIC_SELECTOR = "0x4e487b71";
+
+// Contract names accepted in actions, mapped to manifest keys
+const CONTRACT_KEYS = {
+  USDC: "usdc",
+  CollateralPool: "collateralPool",
+  PaymentSettlement: "paymentSettlement",
+  FraudPrevention: "fraudPrevention",
+  SettlementOracle: "settlementOracle",
+  TataPayGovernance: "governance",
+};
+
+const PROPOSAL_TYPES = ["Standard", "Emergency"];
+
+/**
+ * @param {string} name - Contract name (FraudPrevention) or manifest key (fraudPrevention)
+ * @returns {string|null} Manifest key
+ */
+function contractKey(name) {
+  if (CONTRACT_KEYS[name]) {
+    return CONTRACT_KEYS[name];
+  }
+  return Object.values(CONTRACT_KEYS).includes(name) ? name : null;
+}
+
+/**
+ * Read a proposal from a .yaml, .yml or .json file
+ * @param {string} filePath - Proposal file
+ * @returns {{description: string, type: string, action: string, value: bigint}}
+ */
+function readProposalFile(filePath) {
+  const text = fs.readFileSync(filePath, "utf8");
+  const ext = path.extname(filePath).toLowerCase();
+
+  let data;
+  if (ext === ".json") {
+    data = JSON.parse(text);
+  } else if (ext === ".yaml" || ext === ".yml") {
+    data = yaml.load(text);
+  } else {
+    throw new Error(`Unsupported proposal file type: ${ext || filePath} (use .yaml, .yml or .json)`);
+  }
+
+  if (!data || typeof data !== "object" || Array.isArray(data)) {
+    throw new Error(`${filePath} must contain a single proposal object`);
+  }
+  return validateProposal(data);
+}
+
+/**
+ * @param {object} data - Parsed proposal file
+ * @returns {{description: string, type: string, actions: Array<{action: string, value: bigint}>}}
+ */
+function validateProposal(data) {
+  const errors = [];
+
+  const description = typeof data.description === "string" ? data.description.trim() : "";
+  if (!description) {
+    errors.push("description is required");
+  }
+
+  const type = data.type === undefined ? "Standard" : String(data.type);
+  if (!PROPOSAL_TYPES.includes(type)) {
+    errors.push(`type must be ${PROPOSAL_TYPES.join(" or ")}, got "${type}"`);
+  }
+
+  let entries = [];
+  if (data.action !== undefined && data.actions !== undefined) {
+    errors.push("use either action or actions, not both");
+  } else if (data.actions !== undefined) {
+    if (data.value !== undefined) {
+      errors.push("value applies to a single action; give each actions entry its own value");
+    }
+    if (!Array.isArray(data.actions) || data.actions.length === 0) {
+      errors.push("actions must be a non-empty list");
+    } else {
+      entries = data.actions.map((entry, i) =>
+        typeof entry === "string" ? { label: `actions[${i}]`, action: entry } : { label: `actions[${i}]`, ...entry }
+      );
+    }
+  } else {
+    entries = [{ label: "action", action: data.action, value: data.value }];
+  }
+
+  const actions = [];
+  for (const { label, action, value } of entries) {
+    const text = typeof action === "string" ? action.trim() : "";
+    if (!text) {
+      errors.push(`${label} is required (e.g. "FraudPrevention.setDefaultLimits(10, 100, 50000, 500000)")`);
+    }
+    if (value !== undefined && !/^\d+$/.test(String(value))) {
+      errors.push(`${label} value must be a non-negative integer in wei, got "${value}"`);
+    } else {
+      actions.push({ action: text, value: value === undefined ? 0n : BigInt(value) });
+    }
+  }
+
+  if (errors.length > 0) {
+    throw new Error(`Invalid proposal:\n  ${errors.join("\n  ")}`);
+  }
+  return { description, type, actions };
+}
+
+/**
+ * Split "Contract.method(arg, ...)" into its parts
+ * @param {string} action - Human-readable call
+ * @returns {{contract: string, method: string, args: Array}} Raw argument tokens
+ */
+function parseAction(action) {
+  const match = /^\s*([A-Za-z_]\w*)\.([A-Za-z_]\w*)\s*\(([\s\S]*)\)\s*$/.exec(action);
+  if (!match) {
+    throw new Error(`Invalid action "${action}" (expected Contract.method(arg, ...))`);
+  }
+  const [, contract, method, argText] = match;
+  return { contract, method, args: parseArgs(argText, action) };
+}
+
+/**
+ * Tokenize a comma-separated argument list with quoted strings and [arrays]
+ * @param {string} text - Text between the call parentheses
+ * @param {string} action - Full action, for error messages
+ * @returns {Array} Tokens: {raw, quoted} or nested arrays
+ */
+function parseArgs(text, action) {
+  let pos = 0;
+
+  const fail = (message) => {
+    throw new Error(`Invalid action "${action}": ${message}`);
+  };
+  const skipSpace = () => {
+    while (pos < text.length && /\s/.test(text[pos])) pos++;
+  };
+
+  function parseValue() {
+    skipSpace();
+    const ch = text[pos];
+
+    if (ch === "[") {
+      pos++;
+      const items = parseList("]");
+      pos++;
+      return items;
+    }
+
+    if (ch === '"' || ch === "'") {
+      const end = text.indexOf(ch, pos + 1);
+      if (end === -1) {
+        fail("unterminated string");
+      }
+      const raw = text.slice(pos + 1, end);
+      pos = end + 1;
+      return { raw, quoted: true };
+    }
+
+    const start = pos;
+    while (pos < text.length && !/[,[\]"']/.test(text[pos])) pos++;
+    const raw = text.slice(start, pos).trim();
+    if (!raw) {
+      fail("empty argument");
+    }
+    return { raw, quoted: false };
+  }
+
+  function parseList(close) {
+    const items = [];
+    skipSpace();
+    if (text[pos] === close || (close === undefined && pos >= text.length)) {
+      return items;
+    }
+    for (;;) {
+      items.push(parseValue());
+      skipSpace();
+      if (text[pos] === ",") {
+        pos++;
+      } else if (text[pos] === close || (close === undefined && pos >= text.length)) {
+        return items;
+      } else {
+        fail(close ? `expected "," or "${close}"` : `unexpected "${text[pos]}"`);
+      }
+    }
+  }
+
+  return parseList(undefined);
+}
+
+/**
+ * Resolve, type-check and encode a proposal against the ABI and manifest
+ * @param {import("../sdk").TataPayClient} client - Client whose addresses come from the manifest
+ * @param {{description: string, type: string, actions: Array<{action: string, value: bigint}>}} proposal - Validated proposal
+ * @returns {{description: string, type: string, calls: Array<object>}} One encoded call per action (see buildCall)
+ */
+function buildProposal(client, proposal) {
+  return {
+    description: proposal.description,
+    type: proposal.type,
+    calls: proposal.actions.map(({ action, value }, i) => {
+      try {
+        return buildCall(client, action, value);
+      } catch (error) {
+        if (proposal.actions.length > 1) {
+          error.message = `actions[${i}]: ${error.message}`;
+        }
+        throw error;
+      }
+    }),
+  };
+}
+
+/**
+ * Resolve, type-check and encode one action
+ * @param {object} client - TataPayClient
+ * @param {string} action - "Contract.method(arg, ...)"
+ * @param {bigint} value - Native value in wei
+ * @returns {{key: string, contract: string, signature: string, args: Array, target: string, value: bigint, data: string}}
+ */
+function buildCall(client, action, value) {
+  const { contract, method, args } = parseAction(action);
+
+  const key = contractKey(contract);
+  if (!key) {
+    throw new Error(`Unknown contract ${contract} (expected one of ${Object.keys(CONTRACT_KEYS).join(", ")})`);
+  }
+  const target = client.addresses[key];
+  if (!target) {
+    throw new Error(`No ${key} address in the ${client.network.name} deployment manifest`);
+  }
+
+  const candidates = loadAbi(key).filter((item) => item.type === "function" && item.name === method);
+  if (candidates.length === 0) {
+    throw new Error(`${contract} has no function ${method}`);
+  }
+  const abiItem = candidates.find((item) => item.inputs.length === args.length);
+  if (!abiItem) {
+    const arities = candidates.map((item) => item.inputs.length).join(" or ");
+    throw new Error(`${contract}.${method} takes ${arities} argument(s), got ${args.length}`);
+  }
+  if (abiItem.stateMutability === "view" || abiItem.stateMutability === "pure") {
+    throw new Error(`${contract}.${method} is read-only and cannot be proposed`);
+  }
+  if (value > 0n && abiItem.stateMutability !== "payable") {
+    throw new Error(`${contract}.${method} is not payable but value is ${value}`);
+  }
+
+  const signature = `${method}(${abiItem.inputs.map((input) => input.type).join(",")})`;
+  const values = abiItem.inputs.map((input, i) =>
+    coerce(client, key, input.type, args[i], `${contract}.${method} argument ${i + 1} (${input.name || input.type})`)
+  );
+
+  return {
+    key,
+    contract,
+    signature,
+    args: values,
+    target,
+    value,
+    data: client.web3.eth.abi.encodeFunctionCall(abiItem, values),
+  };
+}
+
+/**
+ * Convert one argument token to the value web3 encodes for an ABI type
+ * @param {object} client - TataPayClient (for contract addresses)
+ * @param {string} key - Manifest key of the target contract (for role names)
+ * @param {string} type - ABI type (uint256, address, bytes32[], ...)
+ * @param {object|Array} token - Parsed token
+ * @param {string} label - Argument label for error messages
+ * @returns {*} Encodable value
+ */
+function coerce(client, key, type, token, label) {
+  const invalid = (expected) => new Error(`${label}: expected ${expected}, got ${display(token)}`);
+
+  const array = /^(.*)\[(\d*)\]$/.exec(type);
+  if (array) {
+    const [, inner, length] = array;
+    if (!Array.isArray(token)) {
+      throw invalid(`an array [${inner}, ...]`);
+    }
+    if (length && token.length !== Number(length)) {
+      throw invalid(`${length} element(s)`);
+    }
+    return token.map((item, i) => coerce(client, key, inner, item, `${label}[${i}]`));
+  }
+  if (Array.isArray(token)) {
+    throw invalid(type);
+  }
+
+  const { raw, quoted } = token;
+  const integer = /^(u?)int(\d*)$/.exec(type);
+
+  if (integer) {
+    const bits = BigInt(integer[2] || 256);
+    let value;
+    const usdc = /^(-?[\d.]+)\s*USDC$/i.exec(raw);
+    if (quoted) {
+      throw invalid(`an integer for ${type}`);
+    } else if (usdc) {
+      try {
+        value = parseUsdc(usdc[1]);
+      } catch (error) {
+        throw invalid("a USDC amount with at most 6 decimals");
+      }
+    } else if (/^-?\d+(_\d+)*$/.test(raw) || /^0x[0-9a-fA-F]+$/.test(raw)) {
+      value = BigInt(raw.replace(/_/g, ""));
+    } else {
+      throw invalid(`an integer for ${type}`);
+    }
+
+    const [min, max] = integer[1] === "u"
+      ? [0n, 2n ** bits - 1n]
+      : [-(2n ** (bits - 1n)), 2n ** (bits - 1n) - 1n];
+    if (value < min || value > max) {
+      throw invalid(`a value in ${type} range`);
+    }
+    return value;
+  }
+
+  if (type === "address") {
+    if (Web3.utils.isAddress(raw)) {
+      return Web3.utils.toChecksumAddress(raw);
+    }
+    const addressKey = contractKey(raw);
+    if (addressKey && client.addresses[addressKey]) {
+      return client.addresses[addressKey];
+    }
+    throw invalid("an address or TataPay contract name");
+  }
+
+  if (type === "bool") {
+    if (raw === "true" || raw === "false") {
+      return raw === "true";
+    }
+    throw invalid("true or false");
+  }
+
+  if (type === "string") {
+    return raw;
+  }
+
+  const bytes = /^bytes(\d*)$/.exec(type);
+  if (bytes) {
+    if (type === "bytes32" && !quoted && /^[A-Z0-9_]+_ROLE$/.test(raw)) {
+      const roles = contractRoles(key);
+      if (!roles.includes(raw)) {
+        throw invalid(roles.length > 0
+          ? `a role ${contractName(key)} defines (${roles.join(", ")})`
+          : `0x hex (${contractName(key)} defines no roles)`);
+      }
+      return roleId(raw);
+    }
+    const size = bytes[1] ? Number(bytes[1]) : null;
+    if (!/^0x([0-9a-fA-F]{2})*$/.test(raw) || (size !== null && raw.length !== 2 + size * 2)) {
+      throw invalid(size ? `${size} bytes of 0x hex` : "0x hex");
+    }
+    return raw.toLowerCase();
+  }
+
+  throw new Error(`${label}: ${type} arguments are not supported in proposal files`);
+}
+
+function display(token) {
+  if (Array.isArray(token)) {
+    return `[${token.map(display).join(", ")}]`;
+  }
+  return token.quoted ? `"${token.raw}"` : token.raw;
+}
+
+/**
+ * Simulate the proposal's calls with eth_call from the governance contract,
+ * the account that will make them on execution
+ *
+ * Each call runs against current state, so a call that depends on an
+ * earlier call in the same batch can fail here yet succeed on execution.
+ * State can also change before the timelock ends: a passing simulation
+ * means the calls would succeed now, not that they will at execution.
+ *
+ * @param {import("../sdk").TataPayClient} client - Client
+ * @param {{calls: Array<{key: string, target: string, value: bigint, data: string}>}} proposal - Built proposal
+ * @returns {Promise<{success: boolean, index?: number, reason?: string}>} index of the first failing call
+ */
+async function simulateProposal(client, { calls }) {
+  for (let index = 0; index < calls.length; index++) {
+    const { key, target, value, data } = calls[index];
+    try {
+      await client.web3.eth.call({ from: client.governance.address, to: target, value, data });
+    } catch (error) {
+      return { success: false, index, reason: customError(client.web3, loadAbi(key), error) || revertReason(error) };
+    }
+  }
+  return { success: true };
+}
+
+/**
+ * Decode a custom error (e.g. AccessControlUnauthorizedAccount) from revert data
+ * @param {Web3} web3 - Web3 instance (ABI coder)
+ * @param {object[]} abi - ABI of the called contract
+ * @param {Error} error - Error thrown by eth_call
+ * @returns {string|null} "Name(arg, ...)" or null if the data matches no error in the ABI
+ */
+function customError(web3, abi, error) {
+  let data;
+  for (let current = error; current && !data; current = current.cause || current.innerError) {
+    if (typeof current.data === "string" && current.data.length >= 10) {
+      data = current.data;
+    }
+  }
+  return data ? decodeError(web3, abi, data) : null;
+}
+
+/**
+ * Decode the revert data of a failed proposal execution
+ * @param {import("../sdk").TataPayClient} client - Client (contract addresses)
+ * @param {string[]} targets - Targets of the proposal's calls; their ABIs are tried for custom errors
+ * @param {string|null} data - Revert data (see governance.getFailureReason)
+ * @returns {string} Require message, "Panic(0x..)", "Name(arg, ...)" or the raw data
+ */
+function decodeRevert(client, targets, data) {
+  if (!data || data === "0x") {
+    return "reverted without a reason";
+  }
+
+  const { abi } = client.web3.eth;
+  const selector = data.slice(0, 10);
+  if (selector === ERROR_SELECTOR) {
+    return abi.decodeParameter("string", `0x${data.slice(10)}`);
+  }
+  if (selector === PANIC_SELECTOR) {
+    return `Panic(0x${BigInt(abi.decodeParameter("uint256", `0x${data.slice(10)}`)).toString(16)})`;
+  }
+
+  for (const key of new Set(targets.map((target) => contractAt(client, target)).filter(Boolean))) {
+    const decoded = decodeError(client.web3, loadAbi(key), data);
+    if (decoded) {
+      return decoded;
+    }
+  }
+  return data;
+}
+
+// "Name(arg, ...)" for revert data matching a custom error in abi, else null
+function decodeError(web3, abi, data) {
+  const item = abi.find((entry) => entry.type === "error" && selectorOf(web3, entry) === data.slice(0, 10));
+  if (!item) {
+    return null;
+  }
+  const decoded = web3.eth.abi.decodeParameters(item.inputs, `0x${data.slice(10)}`);
+  return `${item.name}(${item.inputs.map((input, i) => String(decoded[i])).join(", ")})`;
+}
+
+/**
+ * Decode proposal calldata against the ABI of the TataPay contract at target
+ * @param {import("../sdk").TataPayClient} client - Client (contract addresses)
+ * @param {string} target - Proposal target
+ * @param {string} data - Proposal calldata
+ * @returns {{contract: string, signature: string, args: Array<{name: string, type: string, value: *, display: string}>}|null}
+ *   null when the target is not a TataPay contract or the selector is not in its ABI
+ */
+function decodeCall(client, target, data) {
+  const key = contractAt(client, target);
+  if (!key || !data || data.length < 10) {
+    return null;
+  }
+
+  const item = loadAbi(key).find((entry) => entry.type === "function" && selectorOf(client.web3, entry) === data.slice(0, 10));
+  if (!item) {
+    return null;
+  }
+
+  const decoded = client.web3.eth.abi.decodeParameters(item.inputs, `0x${data.slice(10)}`);
+  return {
+    contract: contractName(key),
+    signature: `${item.name}(${item.inputs.map((input) => input.type).join(",")})`,
+    args: item.inputs.map((input, i) => ({
+      name: input.name,
+      type: input.type,
+      value: decoded[i],
+      display: describe(client, input.type, decoded[i]),
+    })),
+  };
+}
+
+/**
+ * Render a decoded argument, naming TataPay contracts and role hashes
+ * @param {object} client - TataPayClient
+ * @param {string} type - ABI type
+ * @param {*} value - Decoded value
+ * @returns {string} Display string
+ */
+function describe(client, type, value) {
+  if (Array.isArray(value)) {
+    return `[${value.map((item) => describe(client, type.replace(/\[\d*\]$/, ""), item)).join(", ")}]`;
+  }
+  if (type === "address") {
+    const key = contractAt(client, value);
+    return key ? `${value} (${contractName(key)})` : value;
+  }
+  if (type === "bytes32") {
+    const role = roleNames()[value.toLowerCase()];
+    return role ? `${role} (${value})` : value;
+  }
+  return String(value);
+}
+
+/**
+ * @param {object} client - TataPayClient
+ * @param {string} address - Any address
+ * @returns {string|undefined} Manifest key of the TataPay contract at address
+ */
+function contractAt(client, address) {
+  return Object.values(CONTRACT_KEYS).find((key) => (client.addresses[key] || "").toLowerCase() === address.toLowerCase());
+}
+
+/**
+ * @param {string} key - Manifest key
+ * @returns {string} Contract name (e.g. FraudPrevention)
+ */
+function contractName(key) {
+  return Object.keys(CONTRACT_KEYS).find((name) => CONTRACT_KEYS[name] === key);
+}
+
+let knownRoles;
+
+// Names of the *_ROLE getters in one contract's ABI
+function contractRoles(key) {
+  return loadAbi(key)
+    .filter((item) => item.type === "function" && /^[A-Z0-9_]+_ROLE$/.test(item.name) && item.inputs.length === 0)
+    .map((item) => item.name);
+}
+
+function roleId(name) {
+  return name === "DEFAULT_ADMIN_ROLE" ? `0x${"00".repeat(32)}` : Web3.utils.keccak256(name);
+}
+
+// bytes32 role id → name for every *_ROLE constant in the TataPay ABIs
+function roleNames() {
+  if (!knownRoles) {
+    knownRoles = {};
+    for (const key of Object.values(CONTRACT_KEYS)) {
+      for (const name of contractRoles(key)) {
+        knownRoles[roleId(name)] = name;
+      }
+    }
+  }
+  return knownRoles;
+}
+
+function selectorOf(web3, item) {
+  return web3.eth.abi.encodeFunctionSignature(`${item.name}(${item.inputs.map((input) => input.type).join(",")})`);
+}
+
+module.exports = {
+  CONTRACT_KEYS,
+  readProposalFile,
+  parseAction,
+  buildProposal,
+  simulateProposal,
+  decodeCall,
+  decodeRevert,
+};
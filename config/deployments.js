@@ -0,0 +1,192 @@
+const fs = require("fs");
+const path = require("path");
+const { Web3 } = require("web3");
+
+/**
+ * Deployment manifests
+ *
+ * Each network has a deployments/<network>.json manifest written by the
+ * deploy scripts. It is the single source of contract addresses for
+ * config/networks.js, the SDK/CLI and the utility scripts.
+ *
+ * Contracts are keyed like network.contracts (usdc, collateralPool, ...):
+ *
+ *   {
+ *     "network": "moonbase",
+ *     "chainId": 1287,
+ *     "updatedAt": "...",
+ *     "contracts": {
+ *       "collateralPool": {
+ *         "contract": "CollateralPool",
+ *         "address": "0x...",
+ *         "txHash": "0x...",
+ *         "blockNumber": 123,
+ *         "constructorArgs": ["0x...", "0x...", "0x..."],
+ *         "bytecodeHash": "0x...",
+ *         "deployedAt": "..."
+ *       }
+ *     }
+ *   }
+ */
+
+const DEPLOYMENTS_DIR = path.join(__dirname, "../deployments");
+
+/**
+ * @param {string} networkName - Network key from config/networks.js
+ * @param {string} [dir] - Manifest directory (defaults to deployments/)
+ * @returns {string} Absolute manifest path
+ */
+function manifestPath(networkName, dir = DEPLOYMENTS_DIR) {
+  return path.join(dir, `${networkName}.json`);
+}
+
+/**
+ * Load a network's manifest
+ * @param {string} networkName - Network key
+ * @param {string} [dir] - Manifest directory
+ * @returns {object|null} Manifest, or null if the network has not been deployed
+ */
+function loadManifest(networkName, dir) {
+  const file = manifestPath(networkName, dir);
+  if (!fs.existsSync(file)) {
+    return null;
+  }
+  return JSON.parse(fs.readFileSync(file, "utf8"));
+}
+
+/**
+ * Load a network's manifest, failing if it does not exist
+ * @param {string} networkName - Network key
+ * @param {string} [dir] - Manifest directory
+ * @returns {object} Manifest
+ */
+function requireManifest(networkName, dir) {
+  const manifest = loadManifest(networkName, dir);
+  if (!manifest) {
+    throw new Error(
+      `No deployment manifest for ${networkName} (${path.relative(process.cwd(), manifestPath(networkName, dir))}). ` +
+        "Run scripts/deploy/deploy-all.js first"
+    );
+  }
+  return manifest;
+}
+
+/**
+ * @param {string} networkName - Network key
+ * @param {number|bigint|string} chainId - Chain ID
+ * @returns {object} Empty manifest
+ */
+function createManifest(networkName, chainId) {
+  return { network: networkName, chainId: Number(chainId), updatedAt: null, contracts: {} };
+}
+
+/**
+ * Record a deployed contract in a manifest (in memory)
+ * @param {object} manifest - Manifest to update
+ * @param {string} key - Contract key (e.g. "paymentSettlement")
+ * @param {object} deployment
+ * @param {string} deployment.contract - Artifact name
+ * @param {string} deployment.address - Deployed address
+ * @param {string} deployment.txHash - Deployment transaction hash
+ * @param {number|bigint} deployment.blockNumber - Block the deployment was mined in
+ * @param {Array} [deployment.constructorArgs] - Constructor arguments
+ * @param {string} deployment.bytecode - Artifact creation bytecode (hashed, not stored)
+ * @returns {object} Recorded entry
+ */
+function recordContract(manifest, key, { contract, address, txHash, blockNumber, constructorArgs = [], bytecode }) {
+  const entry = {
+    contract,
+    address: Web3.utils.toChecksumAddress(address),
+    txHash,
+    blockNumber: Number(blockNumber),
+    constructorArgs: constructorArgs.map(serializeArg),
+    bytecodeHash: Web3.utils.keccak256(bytecode),
+    deployedAt: new Date().toISOString(),
+  };
+  manifest.contracts[key] = entry;
+  return entry;
+}
+
+function serializeArg(arg) {
+  if (Array.isArray(arg)) {
+    return arg.map(serializeArg);
+  }
+  return typeof arg === "bigint" || typeof arg === "number" ? arg.toString() : arg;
+}
+
+/**
+ * Write a manifest to disk (write-then-rename)
+ * @param {object} manifest - Manifest to save
+ * @param {string} [dir] - Manifest directory
+ * @returns {string} Manifest path
+ */
+function saveManifest(manifest, dir = DEPLOYMENTS_DIR) {
+  manifest.updatedAt = new Date().toISOString();
+
+  fs.mkdirSync(dir, { recursive: true });
+  const file = manifestPath(manifest.network, dir);
+  const tmpFile = `${file}.tmp`;
+  fs.writeFileSync(tmpFile, `${JSON.stringify(manifest, null, 2)}\n`);
+  fs.renameSync(tmpFile, file);
+  return file;
+}
+
+/**
+ * Record one deployment and flush the manifest (creating it if needed)
+ * @param {string} networkName - Network key
+ * @param {number|bigint|string} chainId - Chain ID
+ * @param {string} key - Contract key
+ * @param {object} deployment - See recordContract
+ * @returns {object} Recorded entry
+ */
+function recordDeployment(networkName, chainId, key, deployment) {
+  const manifest = loadManifest(networkName) || createManifest(networkName, chainId);
+  const entry = recordContract(manifest, key, deployment);
+  saveManifest(manifest);
+  return entry;
+}
+
+/**
+ * Contract addresses from a network's manifest
+ * @param {string} networkName - Network key
+ * @param {string} [dir] - Manifest directory
+ * @returns {object} Addresses keyed like network.contracts (empty if not deployed)
+ */
+function contractAddresses(networkName, dir) {
+  const manifest = loadManifest(networkName, dir);
+  const addresses = {};
+  for (const [key, entry] of Object.entries((manifest && manifest.contracts) || {})) {
+    addresses[key] = entry.address;
+  }
+  return addresses;
+}
+
+/**
+ * Block a contract was deployed in, so event scans need not start at genesis
+ * @param {string} networkName - Network key
+ * @param {string} key - Contract key
+ * @param {string} address - Address in use (the manifest may describe another deployment)
+ * @param {string} [dir] - Manifest directory
+ * @returns {number} Block number, or 0 if the manifest has no matching entry
+ */
+function deploymentBlock(networkName, key, address, dir) {
+  const manifest = loadManifest(networkName, dir);
+  const entry = manifest && manifest.contracts[key];
+  if (!entry || !entry.blockNumber || entry.address.toLowerCase() !== address.toLowerCase()) {
+    return 0;
+  }
+  return entry.blockNumber;
+}
+
+module.exports = {
+  DEPLOYMENTS_DIR,
+  manifestPath,
+  loadManifest,
+  requireManifest,
+  createManifest,
+  recordContract,
+  saveManifest,
+  recordDeployment,
+  contractAddresses,
+  deploymentBlock,
+};
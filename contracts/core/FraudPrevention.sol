@@ -25,6 +25,8 @@ contract FraudPrevention is AccessControl, Pausable, ReentrancyGuard {
     // ============ Roles ============
 
     bytes32 public constant FRAUD_MANAGER_ROLE = keccak256("FRAUD_MANAGER_ROLE");
+    // Records transactions through validateTransaction (PaymentSettlement); cannot change lists or limits
+    bytes32 public constant VALIDATOR_ROLE = keccak256("VALIDATOR_ROLE");
     bytes32 public constant EMERGENCY_ROLE = keccak256("EMERGENCY_ROLE");
 
     // ============ Structs ============
@@ -182,11 +184,13 @@ contract FraudPrevention is AccessControl, Pausable, ReentrancyGuard {
      * @param account Address to validate
      * @param amount Transaction amount
      * @return valid True if transaction passes all checks
+     * @dev Records the transaction against velocity limits, so only validators
+     *      (PaymentSettlement) may call it
      */
     function validateTransaction(
         address account,
         uint256 amount
-    ) external nonReentrant whenNotPaused returns (bool valid) {
+    ) external onlyRole(VALIDATOR_ROLE) nonReentrant whenNotPaused returns (bool valid) {
         require(account != address(0), "FraudPrevention: Invalid account");
 
         totalTransactionsValidated++;
@@ -13,6 +13,10 @@ interface ICollateralPool {
     function transferFromLocked(address fintech, address recipient, uint256 amount, bytes32 settlementId) external;
 }
 
+interface IFraudPrevention {
+    function validateTransaction(address account, uint256 amount) external returns (bool);
+}
+
 /**
  * @title PaymentSettlement
  * @notice Manages batch settlement of payments from fintechs to merchants
@@ -21,13 +25,16 @@ interface ICollateralPool {
  * Features:
  * - Batch creation with automatic collateral locking
  * - State machine: Pending → Processing → Completed/Failed
- * - Pull payment pattern for merchant claims
- * - Maximum 100 merchants per batch
+ * - Pull payment pattern for merchant claims, one batch or many at a time
+ * - Optional paged push payouts by an oracle or payout keeper
+ * - Maximum 100 merchants per batch, each at most once
+ * - Constant-time merchant lookup for claims
  * - Duplicate batch ID prevention
  * - Batch cancellation with collateral unlock
  * - Settlement metrics tracking
  * - Timeout mechanism for failed settlements
  * - Integration with CollateralPool for collateral management
+ * - Optional FraudPrevention checks on the fintech and every merchant
  *
  * Storage Layout (PVM-compatible):
  * - Uses explicit types for all state variables
@@ -47,6 +54,9 @@ contract PaymentSettlement is AccessControl, ReentrancyGuard, Pausable {
     /// @notice Role for fraud prevention to cancel settlements
     bytes32 public constant FRAUD_ROLE = keccak256("FRAUD_ROLE");
 
+    /// @notice Role for keepers pushing payments to merchants
+    bytes32 public constant PAYOUT_ROLE = keccak256("PAYOUT_ROLE");
+
     // =============================================================
     //                         CONSTANTS
     // =============================================================
@@ -57,6 +67,12 @@ contract PaymentSettlement is AccessControl, ReentrancyGuard, Pausable {
     /// @notice Settlement timeout (48 hours)
     uint256 public constant SETTLEMENT_TIMEOUT = 48 hours;
 
+    /// @notice Maximum payments pushed in one distributePayments call
+    uint256 public constant MAX_PAYOUT_PAGE = 50;
+
+    /// @notice Maximum batches in one claimMany call
+    uint256 public constant MAX_CLAIM_BATCHES = 50;
+
     // =============================================================
     //                           ENUMS
     // =============================================================
@@ -91,6 +107,7 @@ contract PaymentSettlement is AccessControl, ReentrancyGuard, Pausable {
         address merchant;
         uint256 amount;
         bool claimed;
+        bytes32 paymentReference;
     }
 
     /**
@@ -129,12 +146,21 @@ contract PaymentSettlement is AccessControl, ReentrancyGuard, Pausable {
     /// @notice CollateralPool interface
     ICollateralPool public immutable collateralPool;
 
+    /// @notice FraudPrevention interface (zero address disables fraud checks)
+    IFraudPrevention public fraudPrevention;
+
     /// @notice Mapping from batch ID to batch
     mapping(bytes32 => Batch) public batches;
 
+    /// @notice Payment index + 1 per batch and merchant (0 = not in batch)
+    mapping(bytes32 => mapping(address => uint256)) private _paymentSlots;
+
     /// @notice Fintech nonces for batch ID generation
     mapping(address => uint256) public fintechNonces;
 
+    /// @notice Batch ID per fintech and client reference (see createBatchWithReference)
+    mapping(address => mapping(bytes32 => bytes32)) public batchIdByReference;
+
     /// @notice Total batches created
     uint256 public totalBatches;
 
@@ -155,6 +181,7 @@ contract PaymentSettlement is AccessControl, ReentrancyGuard, Pausable {
      * @notice Emitted when a batch is created
      * @param batchId Unique batch identifier
      * @param fintech Fintech address
+     * @param clientReference Client reference (zero if none)
      * @param merchantCount Number of merchants
      * @param totalAmount Total USDC amount
      * @param timestamp Creation timestamp
@@ -162,11 +189,31 @@ contract PaymentSettlement is AccessControl, ReentrancyGuard, Pausable {
     event BatchCreated(
         bytes32 indexed batchId,
         address indexed fintech,
+        bytes32 indexed clientReference,
         uint256 merchantCount,
         uint256 totalAmount,
         uint256 timestamp
     );
 
+    /**
+     * @notice Emitted for every payment when a batch is created
+     * @param batchId Batch identifier
+     * @param merchant Merchant address
+     * @param paymentReference Fintech's payment reference, e.g. a hashed invoice ID (zero if none)
+     * @param index Payment index in the batch
+     * @param amount USDC amount (6 decimals)
+     * @param timestamp Creation timestamp
+     * @dev Lets merchants find the batches that pay them by filtering on merchant
+     */
+    event PaymentScheduled(
+        bytes32 indexed batchId,
+        address indexed merchant,
+        bytes32 indexed paymentReference,
+        uint256 index,
+        uint256 amount,
+        uint256 timestamp
+    );
+
     /**
      * @notice Emitted when batch moves to Processing
      * @param batchId Batch identifier
@@ -183,16 +230,36 @@ contract PaymentSettlement is AccessControl, ReentrancyGuard, Pausable {
      * @notice Emitted when a merchant claims payment
      * @param batchId Batch identifier
      * @param merchant Merchant address
+     * @param paymentReference Fintech's payment reference (zero if none)
      * @param amount USDC amount claimed
      * @param timestamp Claim timestamp
      */
     event PaymentClaimed(
         bytes32 indexed batchId,
         address indexed merchant,
+        bytes32 indexed paymentReference,
         uint256 amount,
         uint256 timestamp
     );
 
+    /**
+     * @notice Emitted after a page of payments is pushed to merchants
+     * @param batchId Batch identifier
+     * @param distributor Oracle or keeper that pushed the page
+     * @param fromIndex First payment index of the page
+     * @param toIndex Payment index after the last one of the page
+     * @param paidCount Payments transferred (already claimed ones are skipped)
+     * @param paidAmount USDC transferred
+     */
+    event PayoutDistributed(
+        bytes32 indexed batchId,
+        address indexed distributor,
+        uint256 fromIndex,
+        uint256 toIndex,
+        uint256 paidCount,
+        uint256 paidAmount
+    );
+
     /**
      * @notice Emitted when batch is completed
      * @param batchId Batch identifier
@@ -235,6 +302,13 @@ contract PaymentSettlement is AccessControl, ReentrancyGuard, Pausable {
         uint256 timestamp
     );
 
+    /**
+     * @notice Emitted when the FraudPrevention contract is updated
+     * @param oldFraudPrevention Previous FraudPrevention address
+     * @param newFraudPrevention New FraudPrevention address (zero disables checks)
+     */
+    event FraudPreventionUpdated(address indexed oldFraudPrevention, address indexed newFraudPrevention);
+
     // =============================================================
     //                        CONSTRUCTOR
     // =============================================================
@@ -269,63 +343,59 @@ contract PaymentSettlement is AccessControl, ReentrancyGuard, Pausable {
      * @param merchants Array of merchant addresses
      * @param amounts Array of USDC amounts (6 decimals)
      * @return batchId Generated batch identifier
-     * @dev Automatically locks collateral in CollateralPool
+     * @dev Automatically locks collateral in CollateralPool. When a FraudPrevention
+     *      contract is set, the fintech is validated for the batch total and each
+     *      merchant for its own amount; any failure reverts the whole batch.
+     *      A merchant may appear only once per batch (combine amounts off-chain).
      */
     function createBatch(
         address[] calldata merchants,
         uint256[] calldata amounts
     ) external nonReentrant whenNotPaused returns (bytes32 batchId) {
-        // Validate inputs
-        require(merchants.length > 0, "PaymentSettlement: Empty batch");
-        require(merchants.length <= MAX_BATCH_SIZE, "PaymentSettlement: Batch too large");
-        require(merchants.length == amounts.length, "PaymentSettlement: Length mismatch");
-
-        // Calculate total amount
-        uint256 totalAmount = 0;
-        for (uint256 i = 0; i < amounts.length; i++) {
-            require(merchants[i] != address(0), "PaymentSettlement: Invalid merchant");
-            require(amounts[i] > 0, "PaymentSettlement: Zero amount");
-            totalAmount += amounts[i]; // Safe from overflow in Solidity 0.8+
-        }
-
-        // Generate unique batch ID
-        batchId = _generateBatchId(msg.sender);
-        require(batches[batchId].createdAt == 0, "PaymentSettlement: Duplicate batch");
-
-        // Lock collateral
-        collateralPool.lockCollateral(msg.sender, totalAmount, batchId);
-
-        // Create batch
-        Batch storage batch = batches[batchId];
-        batch.batchId = batchId;
-        batch.fintech = msg.sender;
-        batch.totalAmount = totalAmount;
-        batch.claimedTotal = 0;
-        batch.status = BatchStatus.Pending;
-        batch.createdAt = block.timestamp;
-        batch.claimedCount = 0;
-
-        // Add payments
-        for (uint256 i = 0; i < merchants.length; i++) {
-            batch.payments.push(Payment({
-                merchant: merchants[i],
-                amount: amounts[i],
-                claimed: false
-            }));
-        }
-
-        // Update metrics
-        totalBatches++;
+        return _createBatch(merchants, amounts, new bytes32[](0), bytes32(0));
+    }
 
-        emit BatchCreated(
-            batchId,
-            msg.sender,
-            merchants.length,
-            totalAmount,
-            block.timestamp
-        );
+    /**
+     * @notice Create a new settlement batch under a client reference
+     * @param merchants Array of merchant addresses
+     * @param amounts Array of USDC amounts (6 decimals)
+     * @param clientReference Fintech-chosen idempotency key, unique per fintech
+     * @return batchId Generated batch identifier
+     * @dev Same as createBatch, but reverts if the fintech already used the
+     *      reference, even for a batch that later failed. A client that lost
+     *      the transaction response looks the batch up with batchIdByReference
+     *      before retrying, so a retry never locks collateral twice.
+     */
+    function createBatchWithReference(
+        address[] calldata merchants,
+        uint256[] calldata amounts,
+        bytes32 clientReference
+    ) external nonReentrant whenNotPaused returns (bytes32 batchId) {
+        require(clientReference != bytes32(0), "PaymentSettlement: Empty reference");
+        require(batchIdByReference[msg.sender][clientReference] == bytes32(0), "PaymentSettlement: Duplicate reference");
+        return _createBatch(merchants, amounts, new bytes32[](0), clientReference);
+    }
 
-        return batchId;
+    /**
+     * @notice Create a new settlement batch with a reference per payment
+     * @param merchants Array of merchant addresses
+     * @param amounts Array of USDC amounts (6 decimals)
+     * @param paymentReferences Reference per payment, e.g. a hashed invoice ID (zero for none)
+     * @param clientReference Idempotency key as in createBatchWithReference, or zero for none
+     * @return batchId Generated batch identifier
+     * @dev Payment references are stored with the payment, returned by getPayment
+     *      and emitted in PaymentScheduled and PaymentClaimed, so claims can be
+     *      reconciled with invoices from chain data alone. They need not be unique.
+     */
+    function createBatchWithPaymentReferences(
+        address[] calldata merchants,
+        uint256[] calldata amounts,
+        bytes32[] calldata paymentReferences,
+        bytes32 clientReference
+    ) external nonReentrant whenNotPaused returns (bytes32 batchId) {
+        require(paymentReferences.length == merchants.length, "PaymentSettlement: Length mismatch");
+        require(batchIdByReference[msg.sender][clientReference] == bytes32(0), "PaymentSettlement: Duplicate reference");
+        return _createBatch(merchants, amounts, paymentReferences, clientReference);
     }
 
     // =============================================================
@@ -361,7 +431,8 @@ contract PaymentSettlement is AccessControl, ReentrancyGuard, Pausable {
     /**
      * @notice Claim payment from a batch (pull pattern)
      * @param batchId Batch identifier
-     * @dev Merchant can only claim once per batch
+     * @dev Merchant can only claim once per batch. The payment is looked up by
+     *      merchant, so gas does not grow with batch size
      */
     function claimPayment(bytes32 batchId) external nonReentrant whenNotPaused {
         Batch storage batch = batches[batchId];
@@ -370,38 +441,119 @@ contract PaymentSettlement is AccessControl, ReentrancyGuard, Pausable {
         require(batch.status == BatchStatus.Processing, "PaymentSettlement: Not processing");
 
         // Find merchant's payment
-        bool found = false;
-        uint256 paymentIndex;
-        uint256 claimAmount;
-
-        for (uint256 i = 0; i < batch.payments.length; i++) {
-            if (batch.payments[i].merchant == msg.sender) {
-                require(!batch.payments[i].claimed, "PaymentSettlement: Already claimed");
-                found = true;
-                paymentIndex = i;
-                claimAmount = batch.payments[i].amount;
-                break;
+        uint256 slot = _paymentSlots[batchId][msg.sender];
+        require(slot > 0, "PaymentSettlement: Not in batch");
+        require(!batch.payments[slot - 1].claimed, "PaymentSettlement: Already claimed");
+
+        _payOut(batchId, slot - 1);
+
+        // Check if batch is complete
+        if (batch.claimedCount == batch.payments.length) {
+            _completeBatch(batchId);
+        }
+    }
+
+    /**
+     * @notice Claim the caller's payments from several batches (pull pattern)
+     * @param batchIds Batch identifiers
+     * @return claimedCount Payments claimed
+     * @return claimedAmount USDC claimed
+     * @dev Batches that are not Processing, do not pay the caller or were already
+     *      claimed are skipped, so a stale list does not block the other claims.
+     *      Reverts if nothing was claimed
+     */
+    function claimMany(bytes32[] calldata batchIds)
+        external
+        nonReentrant
+        whenNotPaused
+        returns (uint256 claimedCount, uint256 claimedAmount)
+    {
+        require(batchIds.length <= MAX_CLAIM_BATCHES, "PaymentSettlement: Too many batches");
+
+        for (uint256 i = 0; i < batchIds.length; i++) {
+            Batch storage batch = batches[batchIds[i]];
+            uint256 slot = _paymentSlots[batchIds[i]][msg.sender];
+            if (batch.status != BatchStatus.Processing || slot == 0 || batch.payments[slot - 1].claimed) {
+                continue;
+            }
+
+            claimedAmount += _payOut(batchIds[i], slot - 1);
+            claimedCount++;
+
+            if (batch.claimedCount == batch.payments.length) {
+                _completeBatch(batchIds[i]);
             }
         }
 
-        require(found, "PaymentSettlement: Not in batch");
+        require(claimedCount > 0, "PaymentSettlement: Nothing to claim");
+    }
 
-        // Mark as claimed
-        batch.payments[paymentIndex].claimed = true;
-        batch.claimedCount++;
-        batch.claimedTotal += claimAmount;
+    /**
+     * @notice Push payments at indices [fromIndex, toIndex) to their merchants (push pattern)
+     * @param batchId Batch identifier
+     * @param fromIndex First payment index
+     * @param toIndex Payment index after the last one to pay
+     * @return paidCount Payments transferred by this call
+     * @return paidAmount USDC transferred by this call
+     * @dev For merchants who never claim. Already claimed payments are skipped and
+     *      pushed ones are marked claimed with the same PaymentClaimed event, so
+     *      pull and push can be mixed. Pages hold at most MAX_PAYOUT_PAGE payments
+     *      to stay under the block gas limit. Completes the batch after the last payment.
+     */
+    function distributePayments(
+        bytes32 batchId,
+        uint256 fromIndex,
+        uint256 toIndex
+    ) external nonReentrant whenNotPaused returns (uint256 paidCount, uint256 paidAmount) {
+        require(
+            hasRole(PAYOUT_ROLE, msg.sender) || hasRole(ORACLE_ROLE, msg.sender),
+            "PaymentSettlement: Unauthorized"
+        );
 
-        // Transfer USDC from locked collateral to merchant
-        collateralPool.transferFromLocked(batch.fintech, msg.sender, claimAmount, batchId);
+        Batch storage batch = batches[batchId];
 
-        emit PaymentClaimed(batchId, msg.sender, claimAmount, block.timestamp);
+        require(batch.createdAt > 0, "PaymentSettlement: Batch not found");
+        require(batch.status == BatchStatus.Processing, "PaymentSettlement: Not processing");
+        require(fromIndex < toIndex && toIndex <= batch.payments.length, "PaymentSettlement: Invalid range");
+        require(toIndex - fromIndex <= MAX_PAYOUT_PAGE, "PaymentSettlement: Page too large");
+
+        for (uint256 i = fromIndex; i < toIndex; i++) {
+            if (!batch.payments[i].claimed) {
+                paidAmount += _payOut(batchId, i);
+                paidCount++;
+            }
+        }
+
+        emit PayoutDistributed(batchId, msg.sender, fromIndex, toIndex, paidCount, paidAmount);
 
-        // Check if batch is complete
         if (batch.claimedCount == batch.payments.length) {
             _completeBatch(batchId);
         }
     }
 
+    /**
+     * @notice Mark a payment claimed and transfer it from locked collateral
+     * @param batchId Batch identifier
+     * @param index Unclaimed payment index
+     * @return amount USDC transferred
+     * @dev Shared by claimPayment and distributePayments so both keep the same bookkeeping
+     */
+    function _payOut(bytes32 batchId, uint256 index) internal returns (uint256 amount) {
+        Batch storage batch = batches[batchId];
+        Payment storage payment = batch.payments[index];
+        amount = payment.amount;
+
+        // Mark as claimed
+        payment.claimed = true;
+        batch.claimedCount++;
+        batch.claimedTotal += amount;
+
+        // Transfer USDC from locked collateral to merchant
+        collateralPool.transferFromLocked(batch.fintech, payment.merchant, amount, batchId);
+
+        emit PaymentClaimed(batchId, payment.merchant, payment.paymentReference, amount, block.timestamp);
+    }
+
     // =============================================================
     //                    BATCH COMPLETION
     // =============================================================
@@ -562,6 +714,22 @@ contract PaymentSettlement is AccessControl, ReentrancyGuard, Pausable {
         _unpause();
     }
 
+    // =============================================================
+    //                     ADMIN FUNCTIONS
+    // =============================================================
+
+    /**
+     * @notice Set the FraudPrevention contract consulted at batch creation
+     * @param newFraudPrevention FraudPrevention address (zero address disables checks)
+     * @dev Only callable by admin. FraudPrevention must grant this contract VALIDATOR_ROLE
+     */
+    function setFraudPrevention(address newFraudPrevention) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        address oldFraudPrevention = address(fraudPrevention);
+        fraudPrevention = IFraudPrevention(newFraudPrevention);
+
+        emit FraudPreventionUpdated(oldFraudPrevention, newFraudPrevention);
+    }
+
     // =============================================================
     //                      VIEW FUNCTIONS
     // =============================================================
@@ -606,6 +774,7 @@ contract PaymentSettlement is AccessControl, ReentrancyGuard, Pausable {
      * @return merchant Merchant address
      * @return amount USDC amount
      * @return claimed Whether payment was claimed
+     * @return paymentReference Fintech's payment reference (zero if none)
      */
     function getPayment(bytes32 batchId, uint256 merchantIndex)
         external
@@ -613,12 +782,13 @@ contract PaymentSettlement is AccessControl, ReentrancyGuard, Pausable {
         returns (
             address merchant,
             uint256 amount,
-            bool claimed
+            bool claimed,
+            bytes32 paymentReference
         )
     {
         require(merchantIndex < batches[batchId].payments.length, "PaymentSettlement: Invalid index");
         Payment storage payment = batches[batchId].payments[merchantIndex];
-        return (payment.merchant, payment.amount, payment.claimed);
+        return (payment.merchant, payment.amount, payment.claimed, payment.paymentReference);
     }
 
     /**
@@ -639,13 +809,12 @@ contract PaymentSettlement is AccessControl, ReentrancyGuard, Pausable {
             return (false, 0);
         }
 
-        for (uint256 i = 0; i < batch.payments.length; i++) {
-            if (batch.payments[i].merchant == merchant && !batch.payments[i].claimed) {
-                return (true, batch.payments[i].amount);
-            }
+        uint256 slot = _paymentSlots[batchId][merchant];
+        if (slot == 0 || batch.payments[slot - 1].claimed) {
+            return (false, 0);
         }
 
-        return (false, 0);
+        return (true, batch.payments[slot - 1].amount);
     }
 
     /**
@@ -672,6 +841,97 @@ contract PaymentSettlement is AccessControl, ReentrancyGuard, Pausable {
     //                    INTERNAL FUNCTIONS
     // =============================================================
 
+    /**
+     * @notice Validate, lock collateral for and store a new batch
+     * @param merchants Array of merchant addresses
+     * @param amounts Array of USDC amounts (6 decimals)
+     * @param paymentReferences Reference per payment, or empty for none
+     * @param clientReference Client reference, recorded when non-zero
+     * @return batchId Generated batch identifier
+     */
+    function _createBatch(
+        address[] calldata merchants,
+        uint256[] calldata amounts,
+        bytes32[] memory paymentReferences,
+        bytes32 clientReference
+    ) internal returns (bytes32 batchId) {
+        // Validate inputs
+        require(merchants.length > 0, "PaymentSettlement: Empty batch");
+        require(merchants.length <= MAX_BATCH_SIZE, "PaymentSettlement: Batch too large");
+        require(merchants.length == amounts.length, "PaymentSettlement: Length mismatch");
+
+        // Calculate total amount
+        uint256 totalAmount = 0;
+        for (uint256 i = 0; i < amounts.length; i++) {
+            require(merchants[i] != address(0), "PaymentSettlement: Invalid merchant");
+            require(amounts[i] > 0, "PaymentSettlement: Zero amount");
+            totalAmount += amounts[i]; // Safe from overflow in Solidity 0.8+
+        }
+
+        // Fraud checks (frozen, blacklisted, velocity limits)
+        if (address(fraudPrevention) != address(0)) {
+            require(
+                fraudPrevention.validateTransaction(msg.sender, totalAmount),
+                "PaymentSettlement: Fintech failed fraud check"
+            );
+            for (uint256 i = 0; i < merchants.length; i++) {
+                require(
+                    fraudPrevention.validateTransaction(merchants[i], amounts[i]),
+                    "PaymentSettlement: Merchant failed fraud check"
+                );
+            }
+        }
+
+        // Generate unique batch ID
+        batchId = _generateBatchId(msg.sender);
+        require(batches[batchId].createdAt == 0, "PaymentSettlement: Duplicate batch");
+
+        // Lock collateral
+        collateralPool.lockCollateral(msg.sender, totalAmount, batchId);
+
+        // Create batch
+        Batch storage batch = batches[batchId];
+        batch.batchId = batchId;
+        batch.fintech = msg.sender;
+        batch.totalAmount = totalAmount;
+        batch.claimedTotal = 0;
+        batch.status = BatchStatus.Pending;
+        batch.createdAt = block.timestamp;
+        batch.claimedCount = 0;
+
+        // Add payments
+        for (uint256 i = 0; i < merchants.length; i++) {
+            require(_paymentSlots[batchId][merchants[i]] == 0, "PaymentSettlement: Duplicate merchant");
+            _paymentSlots[batchId][merchants[i]] = i + 1;
+            bytes32 paymentReference = paymentReferences.length == 0 ? bytes32(0) : paymentReferences[i];
+            batch.payments.push(Payment({
+                merchant: merchants[i],
+                amount: amounts[i],
+                claimed: false,
+                paymentReference: paymentReference
+            }));
+            emit PaymentScheduled(batchId, merchants[i], paymentReference, i, amounts[i], block.timestamp);
+        }
+
+        // Update metrics
+        totalBatches++;
+
+        if (clientReference != bytes32(0)) {
+            batchIdByReference[msg.sender][clientReference] = batchId;
+        }
+
+        emit BatchCreated(
+            batchId,
+            msg.sender,
+            clientReference,
+            merchants.length,
+            totalAmount,
+            block.timestamp
+        );
+
+        return batchId;
+    }
+
     /**
      * @notice Generate unique batch ID
      * @param fintech Fintech address
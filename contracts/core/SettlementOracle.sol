@@ -1,6 +1,8 @@
 // SPDX-License-Identifier: MIT
 pragma solidity ^0.8.28;
 
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
 import "@openzeppelin/contracts/access/AccessControl.sol";
 import "@openzeppelin/contracts/utils/Pausable.sol";
 import "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
@@ -13,8 +15,9 @@ import "./PaymentSettlement.sol";
  * Features:
  * - Oracle registration and management
  * - Batch approval/rejection via registered oracle accounts
- * - Oracle staking and slashing
+ * - Oracle staking (USDC) and slashing to treasury
  * - Multi-oracle support with threshold consensus
+ * - Push payouts forwarded to PaymentSettlement for active oracles
  *
  * Security:
  * - Role-based access control
@@ -24,6 +27,8 @@ import "./PaymentSettlement.sol";
  * - Reentrancy protection
  */
 contract SettlementOracle is AccessControl, Pausable, ReentrancyGuard {
+    using SafeERC20 for IERC20;
+
     // ============ Roles ============
 
     bytes32 public constant ORACLE_MANAGER_ROLE = keccak256("ORACLE_MANAGER_ROLE");
@@ -54,6 +59,12 @@ contract SettlementOracle is AccessControl, Pausable, ReentrancyGuard {
 
     PaymentSettlement public immutable paymentSettlement;
 
+    // Staking token (same USDC as collateral and payouts)
+    IERC20 public immutable USDC;
+
+    // Receives slashed stake
+    address public treasury;
+
     // Oracle management
     mapping(address => OracleInfo) public oracles;
     address[] public oracleList;
@@ -121,6 +132,14 @@ contract SettlementOracle is AccessControl, Pausable, ReentrancyGuard {
         uint256 timestamp
     );
 
+    event PayoutForwarded(
+        bytes32 indexed batchId,
+        address indexed oracle,
+        uint256 paidCount,
+        uint256 paidAmount,
+        uint256 timestamp
+    );
+
     event ApprovalThresholdUpdated(
         uint256 oldThreshold,
         uint256 newThreshold,
@@ -133,23 +152,36 @@ contract SettlementOracle is AccessControl, Pausable, ReentrancyGuard {
         uint256 timestamp
     );
 
+    event TreasuryUpdated(
+        address indexed oldTreasury,
+        address indexed newTreasury
+    );
+
     // ============ Constructor ============
 
     /**
      * @notice Initialize SettlementOracle
      * @param _paymentSettlement PaymentSettlement contract address
+     * @param _usdc USDC token used for oracle stakes
      * @param _admin Admin address
-     * @param _minimumStake Minimum stake required for oracles
+     * @param _treasury Address to receive slashed stake
+     * @param _minimumStake Minimum stake required for oracles (USDC base units)
      */
     constructor(
         address _paymentSettlement,
+        address _usdc,
         address _admin,
+        address _treasury,
         uint256 _minimumStake
     ) {
         require(_paymentSettlement != address(0), "SettlementOracle: Invalid settlement address");
+        require(_usdc != address(0), "SettlementOracle: Invalid USDC address");
         require(_admin != address(0), "SettlementOracle: Invalid admin");
+        require(_treasury != address(0), "SettlementOracle: Invalid treasury address");
 
         paymentSettlement = PaymentSettlement(_paymentSettlement);
+        USDC = IERC20(_usdc);
+        treasury = _treasury;
 
         _grantRole(DEFAULT_ADMIN_ROLE, _admin);
         _grantRole(ORACLE_MANAGER_ROLE, _admin);
@@ -158,21 +190,26 @@ contract SettlementOracle is AccessControl, Pausable, ReentrancyGuard {
         minimumStake = _minimumStake;
         slashAmount = _minimumStake / 10; // 10% slash by default
         approvalThreshold = 1; // Single oracle by default
+
+        emit TreasuryUpdated(address(0), _treasury);
     }
 
     // ============ External Functions ============
 
     /**
-     * @notice Register as oracle with stake
+     * @notice Register as oracle with USDC stake
+     * @param stake Amount of USDC to stake (requires prior approval)
      */
-    function registerOracle() external payable nonReentrant whenNotPaused {
+    function registerOracle(uint256 stake) external nonReentrant whenNotPaused {
         require(!oracles[msg.sender].isRegistered, "SettlementOracle: Already registered");
-        require(msg.value >= minimumStake, "SettlementOracle: Insufficient stake");
+        require(stake >= minimumStake, "SettlementOracle: Insufficient stake");
+
+        USDC.safeTransferFrom(msg.sender, address(this), stake);
 
         oracles[msg.sender] = OracleInfo({
             isRegistered: true,
             isActive: true,
-            stake: msg.value,
+            stake: stake,
             approvals: 0,
             rejections: 0,
             slashes: 0,
@@ -183,7 +220,7 @@ contract SettlementOracle is AccessControl, Pausable, ReentrancyGuard {
         oracleList.push(msg.sender);
         activeOracleCount++;
 
-        emit OracleRegistered(msg.sender, msg.value, block.timestamp);
+        emit OracleRegistered(msg.sender, stake, block.timestamp);
     }
 
     /**
@@ -206,8 +243,7 @@ contract SettlementOracle is AccessControl, Pausable, ReentrancyGuard {
         info.stake = 0;
 
         // Return stake
-        (bool success, ) = msg.sender.call{value: stakeToReturn}("");
-        require(success, "SettlementOracle: Stake transfer failed");
+        USDC.safeTransfer(msg.sender, stakeToReturn);
 
         emit OracleDeregistered(msg.sender, block.timestamp);
     }
@@ -288,15 +324,42 @@ contract SettlementOracle is AccessControl, Pausable, ReentrancyGuard {
         }
     }
 
+    /**
+     * @notice Push payments of a Processing batch to merchants who never claim
+     * @param batchId Batch ID
+     * @param fromIndex First payment index
+     * @param toIndex Payment index after the last one to pay
+     * @return paidCount Payments transferred by this call
+     * @return paidAmount USDC transferred by this call
+     * @dev This contract holds ORACLE_ROLE on PaymentSettlement, so active oracles
+     *      can push payouts without a separate PAYOUT_ROLE holder. Paging and
+     *      claimed-payment skipping are PaymentSettlement.distributePayments's.
+     */
+    function distributePayments(
+        bytes32 batchId,
+        uint256 fromIndex,
+        uint256 toIndex
+    ) external nonReentrant whenNotPaused returns (uint256 paidCount, uint256 paidAmount) {
+        OracleInfo storage info = oracles[msg.sender];
+        require(info.isRegistered && info.isActive, "SettlementOracle: Not active oracle");
+
+        info.lastActivityAt = block.timestamp;
+
+        (paidCount, paidAmount) = paymentSettlement.distributePayments(batchId, fromIndex, toIndex);
+
+        emit PayoutForwarded(batchId, msg.sender, paidCount, paidAmount, block.timestamp);
+    }
+
     /**
      * @notice Slash oracle for malicious behavior
+     * @dev Transfers the slashed stake to treasury
      * @param oracle Oracle address to slash
      * @param reason Reason for slashing
      */
     function slashOracle(
         address oracle,
         string calldata reason
-    ) external onlyRole(ORACLE_MANAGER_ROLE) {
+    ) external nonReentrant onlyRole(ORACLE_MANAGER_ROLE) {
         OracleInfo storage info = oracles[oracle];
         require(info.isRegistered, "SettlementOracle: Not registered");
         require(info.stake >= slashAmount, "SettlementOracle: Insufficient stake");
@@ -314,6 +377,9 @@ contract SettlementOracle is AccessControl, Pausable, ReentrancyGuard {
 
         totalOraclesSlashed++;
 
+        // Transfer slashed stake to treasury
+        USDC.safeTransfer(treasury, slashAmount);
+
         emit OracleSlashed(oracle, slashAmount, reason, block.timestamp);
     }
 
@@ -384,6 +450,21 @@ contract SettlementOracle is AccessControl, Pausable, ReentrancyGuard {
         emit MinimumStakeUpdated(oldStake, newStake, block.timestamp);
     }
 
+    /**
+     * @notice Update treasury address
+     * @param newTreasury New treasury address
+     */
+    function setTreasury(
+        address newTreasury
+    ) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        require(newTreasury != address(0), "SettlementOracle: Invalid treasury address");
+
+        address oldTreasury = treasury;
+        treasury = newTreasury;
+
+        emit TreasuryUpdated(oldTreasury, newTreasury);
+    }
+
     /**
      * @notice Pause contract (emergency)
      */
@@ -2,6 +2,7 @@
 pragma solidity ^0.8.28;
 
 import "@openzeppelin/contracts/access/AccessControl.sol";
+import "@openzeppelin/contracts/utils/Address.sol";
 import "@openzeppelin/contracts/utils/Pausable.sol";
 import "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
 
@@ -13,6 +14,9 @@ import "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
  * - Multi-signature approval for critical operations
  * - Timelock delay for security
  * - Proposal creation and execution
+ * - Batch proposals executing several calls atomically
+ * - Failed executions keep their revert data and can be retried until expiry
+ * - Permissionless sweeping of expired proposals into the Expired state
  * - Role management across system contracts
  * - Emergency actions with reduced delay
  *
@@ -36,7 +40,8 @@ contract TataPayGovernance is AccessControl, Pausable, ReentrancyGuard {
         Approved,   // Enough approvals, waiting for timelock
         Executed,   // Successfully executed
         Cancelled,  // Cancelled before execution
-        Expired     // Passed expiration time
+        Expired,    // Passed expiration time
+        Failed      // Execution reverted; can be retried until expiry
     }
 
     enum ProposalType {
@@ -49,9 +54,9 @@ contract TataPayGovernance is AccessControl, Pausable, ReentrancyGuard {
     struct Proposal {
         uint256 id;
         address proposer;
-        address target;           // Contract to call
-        uint256 value;            // ETH value to send
-        bytes data;               // Function call data
+        address target;           // Contract to call (zero for batch proposals)
+        uint256 value;            // ETH value to send (total for batch proposals)
+        bytes data;               // Function call data (empty for batch proposals)
         string description;
         ProposalType proposalType;
         ProposalState state;
@@ -62,6 +67,12 @@ contract TataPayGovernance is AccessControl, Pausable, ReentrancyGuard {
         uint256 expiresAt;
     }
 
+    struct Call {
+        address target;
+        uint256 value;
+        bytes data;
+    }
+
     // ============ State Variables ============
 
     // Governance parameters
@@ -71,15 +82,28 @@ contract TataPayGovernance is AccessControl, Pausable, ReentrancyGuard {
     uint256 public emergencyDelay;          // 6 hours
     uint256 public proposalLifetime;        // 7 days
 
+    // Max calls in one batch proposal (bounds execution gas)
+    uint256 public constant MAX_BATCH_CALLS = 20;
+
+    // Max proposals marked expired in one expireProposals call
+    uint256 public constant MAX_EXPIRE_BATCH = 100;
+
     // Proposal tracking
     mapping(uint256 => Proposal) public proposals;
     mapping(uint256 => mapping(address => bool)) public hasApproved;
+    mapping(uint256 => Call[]) private _batchCalls;
+    mapping(uint256 => bytes) private _failureReasons;
     uint256 public proposalCount;
 
+    // Batch proposal execute is running, as proposalId + 1 (0 when none);
+    // executeBatchCalls only runs that one
+    uint256 private _executingBatch;
+
     // Metrics
     uint256 public totalProposalsCreated;
     uint256 public totalProposalsExecuted;
     uint256 public totalProposalsCancelled;
+    uint256 public totalProposalsExpired;
 
     // ============ Events ============
 
@@ -92,6 +116,13 @@ contract TataPayGovernance is AccessControl, Pausable, ReentrancyGuard {
         uint256 timestamp
     );
 
+    event BatchProposalCreated(
+        uint256 indexed proposalId,
+        address[] targets,
+        uint256[] values,
+        bytes[] calldatas
+    );
+
     event ProposalApproved(
         uint256 indexed proposalId,
         address indexed approver,
@@ -106,12 +137,25 @@ contract TataPayGovernance is AccessControl, Pausable, ReentrancyGuard {
         uint256 timestamp
     );
 
+    event ProposalExecutionFailed(
+        uint256 indexed proposalId,
+        address indexed executor,
+        bytes reason,
+        uint256 timestamp
+    );
+
     event ProposalCancelled(
         uint256 indexed proposalId,
         address indexed canceller,
         uint256 timestamp
     );
 
+    event ProposalExpired(
+        uint256 indexed proposalId,
+        ProposalState previousState,
+        uint256 timestamp
+    );
+
     event GovernanceParametersUpdated(
         uint256 requiredApprovals,
         uint256 standardDelay,
@@ -182,36 +226,43 @@ contract TataPayGovernance is AccessControl, Pausable, ReentrancyGuard {
         ProposalType proposalType
     ) external onlyRole(PROPOSER_ROLE) whenNotPaused returns (uint256 proposalId) {
         require(target != address(0), "TataPayGovernance: Invalid target");
-        require(bytes(description).length > 0, "TataPayGovernance: Empty description");
 
-        proposalId = proposalCount++;
+        return _createProposal(target, value, data, description, proposalType);
+    }
 
-        proposals[proposalId] = Proposal({
-            id: proposalId,
-            proposer: msg.sender,
-            target: target,
-            value: value,
-            data: data,
-            description: description,
-            proposalType: proposalType,
-            state: ProposalState.Pending,
-            approvals: 0,
-            createdAt: block.timestamp,
-            approvedAt: 0,
-            executedAt: 0,
-            expiresAt: block.timestamp + proposalLifetime
-        });
+    /**
+     * @notice Create proposal executing several calls atomically
+     * @dev Calls run in order on execute; if any call reverts, every call
+     *      is undone and the proposal moves to Failed
+     * @param targets Target contract per call
+     * @param values ETH value per call
+     * @param calldatas Call data per call
+     * @param description Proposal description
+     * @param proposalType Standard or Emergency
+     * @return proposalId New proposal ID
+     */
+    function proposeBatch(
+        address[] calldata targets,
+        uint256[] calldata values,
+        bytes[] calldata calldatas,
+        string calldata description,
+        ProposalType proposalType
+    ) external onlyRole(PROPOSER_ROLE) whenNotPaused returns (uint256 proposalId) {
+        require(targets.length > 0, "TataPayGovernance: Empty batch");
+        require(targets.length <= MAX_BATCH_CALLS, "TataPayGovernance: Batch too large");
+        require(
+            targets.length == values.length && targets.length == calldatas.length,
+            "TataPayGovernance: Length mismatch"
+        );
 
-        totalProposalsCreated++;
+        uint256 totalValue = 0;
+        for (uint256 i = 0; i < targets.length; i++) {
+            require(targets[i] != address(0), "TataPayGovernance: Invalid target");
+            totalValue += values[i];
+        }
 
-        emit ProposalCreated(
-            proposalId,
-            msg.sender,
-            target,
-            description,
-            proposalType,
-            block.timestamp
-        );
+        proposalId = _createProposal(address(0), totalValue, "", description, proposalType);
+        _storeBatch(proposalId, targets, values, calldatas);
 
         return proposalId;
     }
@@ -248,6 +299,9 @@ contract TataPayGovernance is AccessControl, Pausable, ReentrancyGuard {
 
     /**
      * @notice Execute approved proposal after timelock
+     * @dev A reverting call moves the proposal to Failed with the revert data
+     *      (see getFailureReason); Failed proposals can be executed again
+     *      until they expire
      * @param proposalId Proposal ID to execute
      */
     function execute(
@@ -255,7 +309,11 @@ contract TataPayGovernance is AccessControl, Pausable, ReentrancyGuard {
     ) external nonReentrant onlyRole(EXECUTOR_ROLE) returns (bool success) {
         Proposal storage proposal = proposals[proposalId];
 
-        require(proposal.state == ProposalState.Approved, "TataPayGovernance: Not approved");
+        require(
+            proposal.state == ProposalState.Approved ||
+            proposal.state == ProposalState.Failed,
+            "TataPayGovernance: Not approved"
+        );
         require(block.timestamp < proposal.expiresAt, "TataPayGovernance: Expired");
 
         // Check timelock
@@ -268,21 +326,66 @@ contract TataPayGovernance is AccessControl, Pausable, ReentrancyGuard {
             "TataPayGovernance: Timelock not passed"
         );
 
-        // Execute proposal
+        // Execute proposal (state set first so the calls cannot re-enter it)
         proposal.state = ProposalState.Executed;
         proposal.executedAt = block.timestamp;
 
-        (success, ) = proposal.target.call{value: proposal.value}(proposal.data);
+        uint256 gasBefore = gasleft();
+        bytes memory returndata;
+        if (_batchCalls[proposalId].length == 0) {
+            (success, returndata) = proposal.target.call{value: proposal.value}(proposal.data);
+        } else {
+            // Self-call so a failing batch call undoes the earlier ones
+            _executingBatch = proposalId + 1;
+            (success, returndata) = address(this).call(abi.encodeCall(this.executeBatchCalls, (proposalId)));
+            _executingBatch = 0;
+        }
+
+        if (!success) {
+            // A call starved by a low gas limit is the executor's fault, not
+            // the proposal's: revert so gas estimation and retries see it
+            require(gasleft() > gasBefore / 63, "TataPayGovernance: Insufficient gas");
 
+            proposal.state = ProposalState.Failed;
+            proposal.executedAt = 0;
+            _failureReasons[proposalId] = returndata;
+
+            emit ProposalExecutionFailed(proposalId, msg.sender, returndata, block.timestamp);
+            return false;
+        }
+
+        delete _failureReasons[proposalId];
         totalProposalsExecuted++;
 
-        emit ProposalExecuted(proposalId, msg.sender, success, block.timestamp);
+        emit ProposalExecuted(proposalId, msg.sender, true, block.timestamp);
+
+        return true;
+    }
+
+    /**
+     * @notice Run every call of a batch proposal, reverting on the first failure
+     * @dev Only callable by this contract from execute, for the proposal
+     *      being executed and only once, so a proposal's calls cannot replay
+     *      another proposal's batch
+     * @param proposalId Batch proposal ID
+     */
+    function executeBatchCalls(uint256 proposalId) external {
+        require(msg.sender == address(this), "TataPayGovernance: Only self");
+        require(
+            _executingBatch != 0 && proposalId == _executingBatch - 1,
+            "TataPayGovernance: Not executing"
+        );
+        _executingBatch = 0;
 
-        return success;
+        Call[] storage calls = _batchCalls[proposalId];
+        for (uint256 i = 0; i < calls.length; i++) {
+            (bool ok, bytes memory returndata) = calls[i].target.call{value: calls[i].value}(calls[i].data);
+            Address.verifyCallResult(ok, returndata);
+        }
     }
 
     /**
-     * @notice Cancel pending or approved proposal
+     * @notice Cancel pending, approved or failed proposal
      * @param proposalId Proposal ID to cancel
      */
     function cancel(
@@ -292,7 +395,8 @@ contract TataPayGovernance is AccessControl, Pausable, ReentrancyGuard {
 
         require(
             proposal.state == ProposalState.Pending ||
-            proposal.state == ProposalState.Approved,
+            proposal.state == ProposalState.Approved ||
+            proposal.state == ProposalState.Failed,
             "TataPayGovernance: Cannot cancel"
         );
 
@@ -302,6 +406,42 @@ contract TataPayGovernance is AccessControl, Pausable, ReentrancyGuard {
         emit ProposalCancelled(proposalId, msg.sender, block.timestamp);
     }
 
+    /**
+     * @notice Mark a proposal past its expiry as Expired
+     * @dev Anyone can call this: it only records what execute already
+     *      enforces, so stale proposals stop showing as open
+     * @param proposalId Proposal ID to expire
+     */
+    function expire(uint256 proposalId) external {
+        require(proposalId < proposalCount, "TataPayGovernance: Unknown proposal");
+        require(_isExpirable(proposals[proposalId]), "TataPayGovernance: Not expirable");
+
+        _expire(proposalId);
+    }
+
+    /**
+     * @notice Mark every listed proposal that is past its expiry as Expired
+     * @dev Skips proposals that are unknown, already final or not yet
+     *      expired, so concurrent keepers do not revert each other
+     * @param proposalIds Proposal IDs to check
+     * @return expired Number of proposals moved to Expired
+     */
+    function expireProposals(
+        uint256[] calldata proposalIds
+    ) external returns (uint256 expired) {
+        require(proposalIds.length <= MAX_EXPIRE_BATCH, "TataPayGovernance: Batch too large");
+
+        for (uint256 i = 0; i < proposalIds.length; i++) {
+            uint256 proposalId = proposalIds[i];
+            if (proposalId < proposalCount && _isExpirable(proposals[proposalId])) {
+                _expire(proposalId);
+                expired++;
+            }
+        }
+
+        return expired;
+    }
+
     /**
      * @notice Add new governor
      * @param governor New governor address
@@ -394,6 +534,45 @@ contract TataPayGovernance is AccessControl, Pausable, ReentrancyGuard {
         return proposals[proposalId];
     }
 
+    /**
+     * @notice Get the calls a proposal executes
+     * @dev Single-call proposals return one call built from the proposal
+     * @param proposalId Proposal ID
+     * @return calls Calls in execution order
+     */
+    function getProposalCalls(
+        uint256 proposalId
+    ) external view returns (Call[] memory calls) {
+        if (_batchCalls[proposalId].length > 0) {
+            return _batchCalls[proposalId];
+        }
+
+        Proposal storage proposal = proposals[proposalId];
+        calls = new Call[](1);
+        calls[0] = Call({target: proposal.target, value: proposal.value, data: proposal.data});
+        return calls;
+    }
+
+    /**
+     * @notice Get the revert data of a proposal's last failed execution
+     * @param proposalId Proposal ID
+     * @return reason Revert data (empty unless the proposal failed and was not executed since)
+     */
+    function getFailureReason(
+        uint256 proposalId
+    ) external view returns (bytes memory reason) {
+        return _failureReasons[proposalId];
+    }
+
+    /**
+     * @notice Check if a proposal is open but past its expiry
+     * @param proposalId Proposal ID
+     * @return expirable True if expire(proposalId) would succeed
+     */
+    function isExpirable(uint256 proposalId) external view returns (bool expirable) {
+        return proposalId < proposalCount && _isExpirable(proposals[proposalId]);
+    }
+
     /**
      * @notice Check if proposal can be executed
      * @param proposalId Proposal ID
@@ -405,7 +584,7 @@ contract TataPayGovernance is AccessControl, Pausable, ReentrancyGuard {
     ) external view returns (bool executable, string memory reason) {
         Proposal storage proposal = proposals[proposalId];
 
-        if (proposal.state != ProposalState.Approved) {
+        if (proposal.state != ProposalState.Approved && proposal.state != ProposalState.Failed) {
             return (false, "Not approved");
         }
 
@@ -431,21 +610,123 @@ contract TataPayGovernance is AccessControl, Pausable, ReentrancyGuard {
      * @return _totalCancelled Total proposals cancelled
      * @return _totalGovernors Total governors
      * @return _requiredApprovals Required approvals
+     * @return _totalExpired Total proposals marked Expired
      */
     function getMetrics() external view returns (
         uint256 _totalCreated,
         uint256 _totalExecuted,
         uint256 _totalCancelled,
         uint256 _totalGovernors,
-        uint256 _requiredApprovals
+        uint256 _requiredApprovals,
+        uint256 _totalExpired
     ) {
         return (
             totalProposalsCreated,
             totalProposalsExecuted,
             totalProposalsCancelled,
             totalGovernors,
-            requiredApprovals
+            requiredApprovals,
+            totalProposalsExpired
+        );
+    }
+
+    // ============ Internal Functions ============
+
+    /**
+     * @notice Store a new proposal and emit ProposalCreated
+     * @param target Target contract address (zero for batch proposals)
+     * @param value ETH value to send
+     * @param data Call data
+     * @param description Proposal description
+     * @param proposalType Standard or Emergency
+     * @return proposalId New proposal ID
+     */
+    function _createProposal(
+        address target,
+        uint256 value,
+        bytes memory data,
+        string calldata description,
+        ProposalType proposalType
+    ) internal returns (uint256 proposalId) {
+        require(bytes(description).length > 0, "TataPayGovernance: Empty description");
+
+        proposalId = proposalCount++;
+
+        proposals[proposalId] = Proposal({
+            id: proposalId,
+            proposer: msg.sender,
+            target: target,
+            value: value,
+            data: data,
+            description: description,
+            proposalType: proposalType,
+            state: ProposalState.Pending,
+            approvals: 0,
+            createdAt: block.timestamp,
+            approvedAt: 0,
+            executedAt: 0,
+            expiresAt: block.timestamp + proposalLifetime
+        });
+
+        totalProposalsCreated++;
+
+        emit ProposalCreated(
+            proposalId,
+            msg.sender,
+            target,
+            description,
+            proposalType,
+            block.timestamp
         );
+
+        return proposalId;
+    }
+
+    /**
+     * @notice Whether a proposal is open (Pending, Approved or Failed) and past expiresAt
+     * @param proposal Proposal to check
+     */
+    function _isExpirable(Proposal storage proposal) internal view returns (bool) {
+        return (
+            proposal.state == ProposalState.Pending ||
+            proposal.state == ProposalState.Approved ||
+            proposal.state == ProposalState.Failed
+        ) && block.timestamp >= proposal.expiresAt;
+    }
+
+    /**
+     * @notice Move a proposal to Expired and emit ProposalExpired
+     * @param proposalId Proposal ID (must be expirable)
+     */
+    function _expire(uint256 proposalId) internal {
+        Proposal storage proposal = proposals[proposalId];
+        ProposalState previousState = proposal.state;
+
+        proposal.state = ProposalState.Expired;
+        totalProposalsExpired++;
+
+        emit ProposalExpired(proposalId, previousState, block.timestamp);
+    }
+
+    /**
+     * @notice Store the calls of a batch proposal
+     * @param proposalId Proposal ID
+     * @param targets Target contract per call
+     * @param values ETH value per call
+     * @param calldatas Call data per call
+     */
+    function _storeBatch(
+        uint256 proposalId,
+        address[] calldata targets,
+        uint256[] calldata values,
+        bytes[] calldata calldatas
+    ) internal {
+        Call[] storage calls = _batchCalls[proposalId];
+        for (uint256 i = 0; i < targets.length; i++) {
+            calls.push(Call({target: targets[i], value: values[i], data: calldatas[i]}));
+        }
+
+        emit BatchProposalCreated(proposalId, targets, values, calldatas);
     }
 
     // ============ Receive Function ============
@@ -21,8 +21,10 @@ module.exports = {
 
   networks: {
     // Default hardhat network for unit tests
+    // (HARDHAT_FORK_URL forks a live network, used by deploy-all.js --dry-run)
     hardhat: {
       chainId: 31337,
+      ...(process.env.HARDHAT_FORK_URL ? { forking: { url: process.env.HARDHAT_FORK_URL } } : {}),
     },
 
     // Moonbase Alpha (Moonbeam Testnet) - Full EVM compatibility
@@ -1,4 +1,5 @@
 const { ethers } = require("hardhat");
+const { recordDeployment } = require("../../config/deployments");
 
 /**
  * Deploy CollateralPool contract to Asset Hub
@@ -60,6 +61,17 @@ async function main() {
 
     const poolAddress = await pool.getAddress();
 
+    // Record in deployments/<network>.json
+    const deployReceipt = await pool.deploymentTransaction().wait();
+    recordDeployment(network.name, (await ethers.provider.getNetwork()).chainId, "collateralPool", {
+      contract: "CollateralPool",
+      address: poolAddress,
+      txHash: deployReceipt.hash,
+      blockNumber: deployReceipt.blockNumber,
+      constructorArgs: [USDC_PRECOMPILE, deployer.address, treasuryAddress],
+      bytecode: CollateralPool.bytecode,
+    });
+
     console.log("\n✅ Deployment Successful!");
     console.log("─────────────────────────────────────");
     console.log(`CollateralPool: ${poolAddress}`);
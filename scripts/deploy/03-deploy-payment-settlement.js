@@ -1,4 +1,5 @@
 const { ethers } = require("hardhat");
+const { requireManifest, recordDeployment } = require("../../config/deployments");
 
 /**
  * Deploy PaymentSettlement contract to Asset Hub
@@ -49,16 +50,16 @@ async function main() {
   console.log("If not deployed, run: npm run deploy:collateral-pool");
   console.log("");
 
-  // Prompt for CollateralPool address
-  const collateralPoolAddress = process.env.COLLATERAL_POOL_ADDRESS;
+  // CollateralPool address from deployments/<network>.json
+  const { collateralPool } = requireManifest(network.name).contracts;
 
-  if (!collateralPoolAddress) {
-    console.log("❌ CollateralPool address not provided");
-    console.log("   Set COLLATERAL_POOL_ADDRESS environment variable");
-    console.log("   Example: export COLLATERAL_POOL_ADDRESS=0x...");
+  if (!collateralPool) {
+    console.log("❌ CollateralPool not found in the deployment manifest");
+    console.log("   Run: npm run deploy:collateral");
     console.log("");
     process.exit(1);
   }
+  const collateralPoolAddress = collateralPool.address;
 
   console.log(`CollateralPool: ${collateralPoolAddress}`);
   console.log("");
@@ -79,6 +80,17 @@ async function main() {
 
     const settlementAddress = await settlement.getAddress();
 
+    // Record in deployments/<network>.json
+    const deployReceipt = await settlement.deploymentTransaction().wait();
+    recordDeployment(network.name, (await ethers.provider.getNetwork()).chainId, "paymentSettlement", {
+      contract: "PaymentSettlement",
+      address: settlementAddress,
+      txHash: deployReceipt.hash,
+      blockNumber: deployReceipt.blockNumber,
+      constructorArgs: [USDC_PRECOMPILE, collateralPoolAddress, deployer.address],
+      bytecode: PaymentSettlement.bytecode,
+    });
+
     console.log("\n✅ Deployment Successful!");
     console.log("─────────────────────────────────────");
     console.log(`PaymentSettlement: ${settlementAddress}`);
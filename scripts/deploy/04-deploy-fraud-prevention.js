@@ -1,4 +1,5 @@
 const { ethers } = require("hardhat");
+const { recordDeployment } = require("../../config/deployments");
 
 /**
  * Deploy FraudPrevention contract to Asset Hub
@@ -49,6 +50,17 @@ async function main() {
 
     const fraudAddress = await fraud.getAddress();
 
+    // Record in deployments/<network>.json
+    const deployReceipt = await fraud.deploymentTransaction().wait();
+    recordDeployment(network.name, (await ethers.provider.getNetwork()).chainId, "fraudPrevention", {
+      contract: "FraudPrevention",
+      address: fraudAddress,
+      txHash: deployReceipt.hash,
+      blockNumber: deployReceipt.blockNumber,
+      constructorArgs: [deployer.address],
+      bytecode: FraudPrevention.bytecode,
+    });
+
     console.log("\n✅ Deployment Successful!");
     console.log("─────────────────────────────────────");
     console.log(`FraudPrevention: ${fraudAddress}`);
@@ -70,6 +82,7 @@ async function main() {
     console.log("─────────────────────────────────────");
     const DEFAULT_ADMIN_ROLE = await fraud.DEFAULT_ADMIN_ROLE();
     const FRAUD_MANAGER_ROLE = await fraud.FRAUD_MANAGER_ROLE();
+    const VALIDATOR_ROLE = await fraud.VALIDATOR_ROLE();
     const EMERGENCY_ROLE = await fraud.EMERGENCY_ROLE();
 
     const isAdmin = await fraud.hasRole(DEFAULT_ADMIN_ROLE, deployer.address);
@@ -81,6 +94,7 @@ async function main() {
     console.log(`Emergency Role: ${hasEmergency ? "✓" : "✗"}`);
     console.log("");
     console.log(`FRAUD_MANAGER_ROLE: ${ethers.hexlify(FRAUD_MANAGER_ROLE)}`);
+    console.log(`VALIDATOR_ROLE: ${ethers.hexlify(VALIDATOR_ROLE)}`);
     console.log(`EMERGENCY_ROLE: ${ethers.hexlify(EMERGENCY_ROLE)}`);
     console.log("");
 
@@ -112,6 +126,7 @@ async function main() {
       roles: {
         admin: deployer.address,
         fraudManagerRole: ethers.hexlify(FRAUD_MANAGER_ROLE),
+        validatorRole: ethers.hexlify(VALIDATOR_ROLE),
         emergencyRole: ethers.hexlify(EMERGENCY_ROLE),
       },
     };
@@ -132,12 +147,14 @@ async function main() {
     console.log("─────────────────────────────────────");
     console.log("1. Grant FRAUD_ROLE on PaymentSettlement to FraudPrevention:");
     console.log(`   paymentSettlement.grantRole(FRAUD_ROLE, ${fraudAddress})`);
-    console.log("2. Grant FRAUD_MANAGER_ROLE to operational wallet:");
+    console.log("2. Grant VALIDATOR_ROLE to PaymentSettlement (validateTransaction only):");
+    console.log(`   fraudPrevention.grantRole(VALIDATOR_ROLE, paymentSettlementAddress)`);
+    console.log("3. Grant FRAUD_MANAGER_ROLE to operational wallet:");
     console.log(`   fraudPrevention.grantRole(FRAUD_MANAGER_ROLE, operatorAddress)`);
-    console.log("3. Configure custom velocity limits for high-value fintechs");
-    console.log("4. Set up initial whitelist for trusted addresses");
-    console.log("5. Integrate with off-chain fraud detection system");
-    console.log("6. Transfer admin role to multi-sig");
+    console.log("4. Configure custom velocity limits for high-value fintechs");
+    console.log("5. Set up initial whitelist for trusted addresses");
+    console.log("6. Integrate with off-chain fraud detection system");
+    console.log("7. Transfer admin role to multi-sig");
     console.log("");
 
     console.log("✅ FraudPrevention deployment complete!");
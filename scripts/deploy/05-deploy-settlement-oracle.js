@@ -1,4 +1,5 @@
 const { ethers } = require("hardhat");
+const { requireManifest, recordDeployment } = require("../../config/deployments");
 
 /**
  * Deploy SettlementOracle contract to Asset Hub
@@ -8,10 +9,10 @@ const { ethers } = require("hardhat");
  *
  * Features:
  * - ECDSA signature verification for webhooks
- * - Oracle registration with staking
+ * - Oracle registration with USDC staking
  * - Batch approval/rejection via verified webhooks
  * - Multi-oracle consensus with threshold voting
- * - Oracle slashing for malicious behavior
+ * - Oracle slashing for malicious behavior (slashed USDC goes to treasury)
  */
 
 async function main() {
@@ -44,25 +45,31 @@ async function main() {
   console.log("If not deployed, run: npm run deploy:payment-settlement");
   console.log("");
 
-  const paymentSettlementAddress = process.env.PAYMENT_SETTLEMENT_ADDRESS;
+  // PaymentSettlement address from deployments/<network>.json
+  const { paymentSettlement } = requireManifest(network.name).contracts;
 
-  if (!paymentSettlementAddress) {
-    console.log("❌ PaymentSettlement address not provided");
-    console.log("   Set PAYMENT_SETTLEMENT_ADDRESS environment variable");
-    console.log("   Example: export PAYMENT_SETTLEMENT_ADDRESS=0x...");
+  if (!paymentSettlement) {
+    console.log("❌ PaymentSettlement not found in the deployment manifest");
+    console.log("   Run: npm run deploy:settlement");
     console.log("");
     process.exit(1);
   }
+  const paymentSettlementAddress = paymentSettlement.address;
+
+  // Oracles stake the same USDC that PaymentSettlement pays out
+  const settlementContract = await ethers.getContractAt("PaymentSettlement", paymentSettlementAddress);
+  const usdcAddress = await settlementContract.USDC();
+  const treasuryAddress = deployer.address;
 
   console.log(`PaymentSettlement: ${paymentSettlementAddress}`);
+  console.log(`USDC: ${usdcAddress}`);
+  console.log(`Treasury: ${treasuryAddress}`);
   console.log("");
 
-  // Configure minimum stake (default: 1 PAS)
-  const minimumStake = process.env.ORACLE_MINIMUM_STAKE
-    ? ethers.parseEther(process.env.ORACLE_MINIMUM_STAKE)
-    : ethers.parseEther("1");
+  // Configure minimum stake (default: 100 USDC)
+  const minimumStake = ethers.parseUnits(process.env.ORACLE_MINIMUM_STAKE || "100", 6);
 
-  console.log(`Minimum Oracle Stake: ${ethers.formatEther(minimumStake)} PAS`);
+  console.log(`Minimum Oracle Stake: ${ethers.formatUnits(minimumStake, 6)} USDC`);
   console.log("");
 
   console.log("📦 Deploying SettlementOracle...");
@@ -72,7 +79,9 @@ async function main() {
     const SettlementOracle = await ethers.getContractFactory("SettlementOracle");
     const oracle = await SettlementOracle.deploy(
       paymentSettlementAddress, // PaymentSettlement address
+      usdcAddress,               // USDC (staking token)
       deployer.address,          // Admin address
+      treasuryAddress,           // Treasury for slashed stake
       minimumStake               // Minimum stake
     );
 
@@ -81,11 +90,23 @@ async function main() {
 
     const oracleAddress = await oracle.getAddress();
 
+    // Record in deployments/<network>.json
+    const deployReceipt = await oracle.deploymentTransaction().wait();
+    recordDeployment(network.name, (await ethers.provider.getNetwork()).chainId, "settlementOracle", {
+      contract: "SettlementOracle",
+      address: oracleAddress,
+      txHash: deployReceipt.hash,
+      blockNumber: deployReceipt.blockNumber,
+      constructorArgs: [paymentSettlementAddress, usdcAddress, deployer.address, treasuryAddress, minimumStake],
+      bytecode: SettlementOracle.bytecode,
+    });
+
     console.log("\n✅ Deployment Successful!");
     console.log("─────────────────────────────────────");
     console.log(`SettlementOracle: ${oracleAddress}`);
     console.log(`PaymentSettlement: ${paymentSettlementAddress}`);
     console.log(`Admin: ${deployer.address}`);
+    console.log(`Treasury: ${treasuryAddress}`);
     console.log("");
 
     // Verify configuration
@@ -96,8 +117,8 @@ async function main() {
     const threshold = await oracle.approvalThreshold();
     const activeCount = await oracle.activeOracleCount();
 
-    console.log(`Minimum Stake: ${ethers.formatEther(minStake)} PAS`);
-    console.log(`Slash Amount: ${ethers.formatEther(slashAmount)} PAS (10%)`);
+    console.log(`Minimum Stake: ${ethers.formatUnits(minStake, 6)} USDC`);
+    console.log(`Slash Amount: ${ethers.formatUnits(slashAmount, 6)} USDC (10%)`);
     console.log(`Approval Threshold: ${threshold} oracle(s)`);
     console.log(`Active Oracles: ${activeCount}`);
     console.log("");
@@ -160,6 +181,8 @@ async function main() {
       address: oracleAddress,
       deployer: deployer.address,
       paymentSettlement: paymentSettlementAddress,
+      usdc: usdcAddress,
+      treasury: treasuryAddress,
       timestamp: new Date().toISOString(),
       configuration: {
         minimumStake: minimumStake.toString(),
@@ -188,8 +211,8 @@ async function main() {
     console.log("⚠️  Next Steps:");
     console.log("─────────────────────────────────────");
     console.log("1. Deploy off-chain oracle service with signing key");
-    console.log("2. Register oracle(s) by calling registerOracle() with stake:");
-    console.log(`   oracleContract.registerOracle({ value: "${ethers.formatEther(minimumStake)}" })`);
+    console.log("2. Register oracle(s) with a USDC stake:");
+    console.log(`   node scripts/oracle/register-oracle.js ${network.name}  (stakes ${ethers.formatUnits(minimumStake, 6)} USDC)`);
     console.log("3. Configure approval threshold if using multiple oracles:");
     console.log(`   oracle.setApprovalThreshold(N)`);
     console.log("4. Set up webhook endpoints for batch approval/rejection");
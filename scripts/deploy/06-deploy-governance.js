@@ -1,4 +1,5 @@
 const { ethers } = require("hardhat");
+const { recordDeployment } = require("../../config/deployments");
 
 /**
  * Deploy TataPayGovernance contract to Asset Hub
@@ -89,6 +90,17 @@ async function main() {
 
     const governanceAddress = await governance.getAddress();
 
+    // Record in deployments/<network>.json
+    const deployReceipt = await governance.deploymentTransaction().wait();
+    recordDeployment(network.name, (await ethers.provider.getNetwork()).chainId, "governance", {
+      contract: "TataPayGovernance",
+      address: governanceAddress,
+      txHash: deployReceipt.hash,
+      blockNumber: deployReceipt.blockNumber,
+      constructorArgs: [governorAddresses, requiredApprovals],
+      bytecode: TataPayGovernance.bytecode,
+    });
+
     console.log("\n✅ Deployment Successful!");
     console.log("─────────────────────────────────────");
     console.log(`TataPayGovernance: ${governanceAddress}`);
@@ -191,6 +203,7 @@ async function main() {
     console.log("─────────────────────────────────────");
     console.log("1. Grant system roles to governance contract:");
     console.log("   - CollateralPool.DEFAULT_ADMIN_ROLE");
+    console.log("   - CollateralPool.SLASHER_ROLE (granted by deploy-all.js)");
     console.log("   - PaymentSettlement.DEFAULT_ADMIN_ROLE");
     console.log("   - FraudPrevention.DEFAULT_ADMIN_ROLE");
     console.log("   - SettlementOracle.DEFAULT_ADMIN_ROLE");
@@ -213,6 +226,7 @@ async function main() {
     console.log("   - ProposalCreated events");
     console.log("   - ProposalApproved events");
     console.log("   - ProposalExecuted events");
+    console.log("   - ProposalExecutionFailed events (retry or cancel before expiry)");
     console.log("   - ProposalCancelled events");
     console.log("");
     console.log("5. Document governance procedures for team");
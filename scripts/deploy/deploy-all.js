@@ -1,125 +1,208 @@
+const path = require("path");
 const { Web3 } = require("web3");
 require("dotenv").config();
 const networks = require("../../config/networks");
+const { manifestPath } = require("../../config/deployments");
+const { DeploymentRunner } = require("./deployment-runner");
+const { ROLE_GRANTS, grantStep, verifyRoleGraph } = require("./role-graph");
+
+/**
+ * Deploy the full TataPay stack and wire its roles
+ *
+ * Every completed deployment and configuration step is recorded in
+ * deployments/<network>.json (address, tx hash, block, constructor args and
+ * bytecode hash per contract). Re-running skips contracts that are already
+ * deployed with matching bytecode and role wiring that is already in place,
+ * so a failed run can simply be restarted.
+ *
+ * PaymentSettlement is deployed before SettlementOracle, whose settlement
+ * address is immutable. After wiring, the role graph (scripts/deploy/
+ * role-graph.js) is verified on-chain and the run fails if any edge is
+ * missing.
+ *
+ * --dry-run forks the network on an in-process Hardhat node, impersonates
+ * the deployer and prints the transactions a real run would send. The
+ * manifest is not modified.
+ *
+ * Usage:
+ *   node scripts/deploy/deploy-all.js [network] [--dry-run]
+ */
+
+const ARTIFACTS = {
+  SimpleUSDC: "../../artifacts/contracts/mocks/SimpleUSDC.sol/SimpleUSDC.json",
+  CollateralPool: "../../artifacts/contracts/core/CollateralPool.sol/CollateralPool.json",
+  SettlementOracle: "../../artifacts/contracts/core/SettlementOracle.sol/SettlementOracle.json",
+  FraudPrevention: "../../artifacts/contracts/core/FraudPrevention.sol/FraudPrevention.json",
+  PaymentSettlement: "../../artifacts/contracts/core/PaymentSettlement.sol/PaymentSettlement.json",
+  TataPayGovernance: "../../artifacts/contracts/core/TataPayGovernance.sol/TataPayGovernance.json",
+};
+
+/**
+ * Build the deployment plan
+ * @param {object} options
+ * @param {string} options.deployer - Deployer address (admin, treasury and initial governor)
+ * @param {object} [options.externalContracts] - Addresses used instead of deploying (e.g. { usdc })
+ * @param {object} [options.artifacts] - Artifacts keyed by contract name (defaults to compiled artifacts)
+ * @returns {{contracts: Array, steps: Array}} Plan for DeploymentRunner
+ */
+function buildPlan({ deployer, externalContracts = {}, artifacts = loadArtifacts() }) {
+  const MIN_STAKE = Web3.utils.toWei("100", "mwei"); // 100 USDC (6 decimals)
+
+  return {
+    contracts: [
+      externalContracts.usdc
+        ? { key: "usdc", name: "USDC", artifact: artifacts.SimpleUSDC, address: () => externalContracts.usdc }
+        : { key: "usdc", name: "SimpleUSDC", artifact: artifacts.SimpleUSDC },
+      {
+        key: "collateralPool",
+        name: "CollateralPool",
+        artifact: artifacts.CollateralPool,
+        args: (ctx) => [ctx.address("usdc"), deployer, deployer],
+      },
+      {
+        key: "fraudPrevention",
+        name: "FraudPrevention",
+        artifact: artifacts.FraudPrevention,
+        args: () => [deployer],
+      },
+      {
+        key: "paymentSettlement",
+        name: "PaymentSettlement",
+        artifact: artifacts.PaymentSettlement,
+        args: (ctx) => [ctx.address("usdc"), ctx.address("collateralPool"), deployer],
+      },
+      {
+        key: "settlementOracle",
+        name: "SettlementOracle",
+        artifact: artifacts.SettlementOracle,
+        // Stakes in USDC, slashed stake to treasury = deployer
+        args: (ctx) => [ctx.address("paymentSettlement"), ctx.address("usdc"), deployer, deployer, MIN_STAKE],
+      },
+      {
+        key: "governance",
+        name: "TataPayGovernance",
+        artifact: artifacts.TataPayGovernance,
+        // governors array, required approvals
+        args: () => [[deployer], 1],
+      },
+    ],
+
+    steps: [
+      ...ROLE_GRANTS.map(grantStep),
+      {
+        id: "paymentSettlement.setFraudPrevention",
+        contract: "paymentSettlement",
+        method: "setFraudPrevention",
+        args: async (ctx) => [ctx.address("fraudPrevention")],
+        done: async (ctx) => {
+          const current = await ctx.contracts.paymentSettlement.methods.fraudPrevention().call();
+          return current.toLowerCase() === ctx.address("fraudPrevention").toLowerCase();
+        },
+      },
+    ],
+  };
+}
 
-async function main() {
-  const network = networks.getNetwork("moonbase");
-  const web3 = new Web3(network.rpcUrl);
-  const deployer = web3.eth.accounts.privateKeyToAccount(process.env.PRIVATE_KEY);
-  const oracle1 = web3.eth.accounts.privateKeyToAccount(process.env.ORACLE1_PRIVATE_KEY);
-  const oracle2 = web3.eth.accounts.privateKeyToAccount(process.env.ORACLE2_PRIVATE_KEY);
+function loadArtifacts() {
+  const artifacts = {};
+  for (const [name, file] of Object.entries(ARTIFACTS)) {
+    artifacts[name] = require(file);
+  }
+  return artifacts;
+}
 
-  web3.eth.accounts.wallet.add(deployer);
-  web3.eth.accounts.wallet.add(oracle1);
-  web3.eth.accounts.wallet.add(oracle2);
+/**
+ * Connect web3 for a dry run: fork the network on the in-process Hardhat
+ * node and impersonate the deployer
+ * @param {object} network - Network config
+ * @param {string} deployer - Deployer address
+ * @returns {Promise<Web3>} web3 on the fork
+ */
+async function connectDryRun(network, deployer) {
+  // Read by hardhat.config.js when the in-process network is created
+  process.env.HARDHAT_FORK_URL = network.rpcUrl;
+  const { network: hardhatNetwork } = require("hardhat");
+  const provider = hardhatNetwork.provider;
+
+  // Calls against the fork block itself need its hardfork history; mine a local block instead
+  await provider.request({ method: "evm_mine", params: [] });
+  await provider.request({ method: "hardhat_impersonateAccount", params: [deployer] });
+
+  const web3 = new Web3(provider);
+  if (BigInt(await web3.eth.getBalance(deployer)) === 0n) {
+    console.log("⚠️  Deployer has no balance on the network; funding it on the fork");
+    await provider.request({ method: "hardhat_setBalance", params: [deployer, Web3.utils.toHex(Web3.utils.toWei("1000", "ether"))] });
+  }
+  return web3;
+}
 
-  console.log("\n🚀 Deploying TataPay to Moonbase Alpha");
+async function main() {
+  const argv = process.argv.slice(2);
+  const dryRun = argv.includes("--dry-run");
+  const networkName = argv.find((arg) => !arg.startsWith("--")) || "moonbase";
+  const network = networks.getNetwork(networkName);
+
+  if (!process.env.PRIVATE_KEY) {
+    console.error("❌ Error: PRIVATE_KEY not found in .env");
+    process.exit(1);
+  }
+
+  let web3;
+  let deployer;
+  if (dryRun) {
+    deployer = new Web3().eth.accounts.privateKeyToAccount(process.env.PRIVATE_KEY);
+    web3 = await connectDryRun(network, deployer.address);
+  } else {
+    web3 = new Web3(network.rpcUrl);
+    deployer = web3.eth.accounts.privateKeyToAccount(process.env.PRIVATE_KEY);
+    web3.eth.accounts.wallet.add(deployer);
+  }
+
+  console.log(`\n🚀 Deploying TataPay to ${network.name}${dryRun ? " (dry run on a local fork)" : ""}`);
   console.log("📍 Deployer:", deployer.address);
-  console.log("💰 Balance:", web3.utils.fromWei(await web3.eth.getBalance(deployer.address), "ether"), "DEV\n");
-
-  // Load artifacts
-  const SimpleUSDC = require("../../artifacts/contracts/mocks/SimpleUSDC.sol/SimpleUSDC.json");
-  const CollateralPool = require("../../artifacts/contracts/core/CollateralPool.sol/CollateralPool.json");
-  const SettlementOracle = require("../../artifacts/contracts/core/SettlementOracle.sol/SettlementOracle.json");
-  const FraudPrevention = require("../../artifacts/contracts/core/FraudPrevention.sol/FraudPrevention.json");
-  const PaymentSettlement = require("../../artifacts/contracts/core/PaymentSettlement.sol/PaymentSettlement.json");
-  const TataPayGovernance = require("../../artifacts/contracts/core/TataPayGovernance.sol/TataPayGovernance.json");
-
-  const delay = () => new Promise(r => setTimeout(r, 3000));
-
-  // 1. Deploy SimpleUSDC
-  console.log("1️⃣  Deploying SimpleUSDC...");
-  const usdcContract = new web3.eth.Contract(SimpleUSDC.abi);
-  const usdc = await usdcContract.deploy({ data: SimpleUSDC.bytecode }).send({ from: deployer.address, gas: 2000000 });
-  const usdcAddress = usdc.options.address;
-  console.log("✅ SimpleUSDC:", usdcAddress);
-  await delay();
-
-  // 2. Deploy CollateralPool
-  console.log("\n2️⃣  Deploying CollateralPool...");
-  const poolContract = new web3.eth.Contract(CollateralPool.abi);
-  const pool = await poolContract.deploy({
-    data: CollateralPool.bytecode,
-    arguments: [usdcAddress, deployer.address, deployer.address]
-  }).send({ from: deployer.address, gas: 3000000 });
-  const poolAddress = pool.options.address;
-  console.log("✅ CollateralPool:", poolAddress);
-  await delay();
-
-  // 3. Deploy SettlementOracle (with temporary payment settlement address)
-  console.log("\n3️⃣  Deploying SettlementOracle...");
-  const oracleContract = new web3.eth.Contract(SettlementOracle.abi);
-  const MIN_STAKE = web3.utils.toWei("100", "ether"); // 100 USDC (6 decimals, but using ether for simplicity)
-  const oracle = await oracleContract.deploy({
-    data: SettlementOracle.bytecode,
-    arguments: [deployer.address, deployer.address, MIN_STAKE] // Temporary payment settlement = deployer
-  }).send({ from: deployer.address, gas: 6000000 }); // Increased gas
-  const oracleAddress = oracle.options.address;
-  console.log("✅ SettlementOracle:", oracleAddress);
-  await delay();
-
-  // 4. Deploy FraudPrevention
-  console.log("\n4️⃣  Deploying FraudPrevention...");
-  const fraudContract = new web3.eth.Contract(FraudPrevention.abi);
-  const fraud = await fraudContract.deploy({
-    data: FraudPrevention.bytecode,
-    arguments: [deployer.address]
-  }).send({ from: deployer.address, gas: 6000000 }); // Increased gas
-  const fraudAddress = fraud.options.address;
-  console.log("✅ FraudPrevention:", fraudAddress);
-  await delay();
-
-  // 5. Deploy PaymentSettlement
-  console.log("\n5️⃣  Deploying PaymentSettlement...");
-  const settlementContract = new web3.eth.Contract(PaymentSettlement.abi);
-  const settlement = await settlementContract.deploy({
-    data: PaymentSettlement.bytecode,
-    arguments: [usdcAddress, poolAddress, deployer.address]
-  }).send({ from: deployer.address, gas: 5000000 });
-  const settlementAddress = settlement.options.address;
-  console.log("✅ PaymentSettlement:", settlementAddress);
-  await delay();
-
-  // 6. Deploy TataPayGovernance
-  console.log("\n6️⃣  Deploying TataPayGovernance...");
-  const govContract = new web3.eth.Contract(TataPayGovernance.abi);
-  const governance = await govContract.deploy({
-    data: TataPayGovernance.bytecode,
-    arguments: [[deployer.address], 1] // governors array, required approvals
-  }).send({ from: deployer.address, gas: 6000000 }); // Increased gas
-  const govAddress = governance.options.address;
-  console.log("✅ TataPayGovernance:", govAddress);
-  await delay();
-
-  // 7. Setup roles
-  console.log("\n7️⃣  Setting up roles...");
-
-  // Grant SETTLEMENT_ROLE on CollateralPool
-  const SETTLEMENT_ROLE = await pool.methods.SETTLEMENT_ROLE().call();
-  await pool.methods.grantRole(SETTLEMENT_ROLE, settlementAddress).send({ from: deployer.address, gas: 200000 });
-  console.log("✅ CollateralPool: SETTLEMENT_ROLE → PaymentSettlement");
-
-  // Grant FRAUD_MANAGER_ROLE on FraudPrevention
-  const FRAUD_MANAGER_ROLE = await fraud.methods.FRAUD_MANAGER_ROLE().call();
-  await fraud.methods.grantRole(FRAUD_MANAGER_ROLE, settlementAddress).send({ from: deployer.address, gas: 200000 });
-  console.log("✅ FraudPrevention: FRAUD_MANAGER_ROLE → PaymentSettlement");
-
-  console.log("\n⚠️  Note: Oracles must register themselves via registerOracle() with stake");
+  console.log("💰 Balance:", web3.utils.fromWei(await web3.eth.getBalance(deployer.address), "ether"), network.nativeCurrency.symbol, "\n");
+
+  const runner = new DeploymentRunner({ web3, networkName, from: deployer.address, dryRun });
+  const plan = buildPlan({ deployer: deployer.address, externalContracts: network.externalContracts });
+  const { manifest, summary } = await runner.run(plan);
+
+  console.log("\n🔍 Verifying role graph...");
+  const checks = await verifyRoleGraph(runner.contracts);
+  for (const { check, ok, actual } of checks) {
+    console.log(`${ok ? "✅" : "❌"} ${check}${ok || !actual ? "" : ` (is ${actual})`}`);
+  }
+  const failed = checks.filter((result) => !result.ok);
+  if (failed.length > 0) {
+    throw new Error(`Role graph verification failed: ${failed.map((result) => result.check).join(", ")}`);
+  }
+
+  console.log("\n⚠️  Note: Oracles must stake USDC to register (scripts/oracle/register-oracle.js)");
 
   console.log("\n📋 Deployment Summary");
   console.log("━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━");
-  console.log(`MOCK_USDC_ADDRESS=${usdcAddress}`);
-  console.log(`COLLATERAL_POOL_ADDRESS=${poolAddress}`);
-  console.log(`PAYMENT_SETTLEMENT_ADDRESS=${settlementAddress}`);
-  console.log(`FRAUD_PREVENTION_ADDRESS=${fraudAddress}`);
-  console.log(`SETTLEMENT_ORACLE_ADDRESS=${oracleAddress}`);
-  console.log(`TATAPAY_GOVERNANCE_ADDRESS=${govAddress}`);
-  console.log("━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━\n");
+  for (const [key, contract] of Object.entries(runner.contracts)) {
+    const entry = manifest.contracts[key];
+    const block = entry ? `  (block ${entry.blockNumber})` : "";
+    console.log(`${key.padEnd(18)} ${contract.options.address}${block}`);
+  }
+  console.log("━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━");
+  console.log(`Deployed: ${summary.deployed.length}, up to date: ${summary.skipped.length}`);
+  console.log(`Configured: ${summary.sent.length}, already configured: ${summary.satisfied.length}`);
+  if (dryRun) {
+    console.log("🧪 Dry run: no transactions were sent and the manifest was not modified\n");
+  } else {
+    console.log(`📄 Manifest: ${path.relative(process.cwd(), manifestPath(networkName))}\n`);
+  }
 
   process.exit(0);
 }
 
-main().catch((error) => {
-  console.error(error);
-  process.exit(1);
-});
+if (require.main === module) {
+  main().catch((error) => {
+    console.error("❌ Deployment failed:", error.message);
+    console.error("   Completed steps are saved in the manifest; re-run to resume");
+    process.exit(1);
+  });
+}
+
+module.exports = { buildPlan, loadArtifacts, connectDryRun };
@@ -0,0 +1,197 @@
+const { Web3 } = require("web3");
+const { loadManifest, createManifest, recordContract, saveManifest } = require("../../config/deployments");
+
+/**
+ * Idempotent deployment runner
+ *
+ * Executes a plan of contract deployments followed by configuration
+ * transactions (role grants, setters) and records every completed step in
+ * deployments/<network>.json as it goes, so a run that fails midway can be
+ * resumed:
+ *
+ * - A contract is skipped when the manifest has it with the same artifact
+ *   bytecode hash and constructor arguments, and code exists at its address.
+ * - A configuration step is skipped when its on-chain `done` check passes.
+ *
+ * In dry-run mode the manifest is never written; every planned transaction
+ * is still executed (normally against an in-process Hardhat fork) so later
+ * steps see the addresses of earlier ones.
+ *
+ * Plan format:
+ *   contracts: [{ key, name, artifact, args: (ctx) => [...], address?: (ctx) => string }]
+ *     (address: use an existing contract instead of deploying, e.g. real USDC)
+ *   steps: [{ id, contract, method, args: async (ctx) => [...], done: async (ctx) => bool }]
+ */
+
+const GAS_MARGIN_PERCENT = 20n;
+
+class DeploymentRunner {
+  /**
+   * @param {object} options
+   * @param {Web3} options.web3 - Connected web3 instance (deployer in its wallet, or unlocked)
+   * @param {string} options.networkName - Manifest name (deployments/<networkName>.json)
+   * @param {string} options.from - Deployer address
+   * @param {boolean} [options.dryRun=false] - Print and execute, but never write the manifest
+   * @param {string} [options.manifestDir] - Manifest directory (defaults to deployments/)
+   * @param {Function} [options.log=console.log] - Line logger
+   */
+  constructor({ web3, networkName, from, dryRun = false, manifestDir, log = console.log }) {
+    this.web3 = web3;
+    this.networkName = networkName;
+    this.from = from;
+    this.dryRun = dryRun;
+    this.manifestDir = manifestDir;
+    this.log = log;
+
+    this.manifest = null;
+    this.contracts = {};
+    this.summary = { deployed: [], skipped: [], sent: [], satisfied: [] };
+  }
+
+  /**
+   * Run a deployment plan
+   * @param {{contracts: Array, steps: Array}} plan - Deployment plan
+   * @returns {Promise<{manifest: object, contracts: object, summary: object}>}
+   */
+  async run(plan) {
+    const chainId = await this.web3.eth.getChainId();
+    this.manifest = loadManifest(this.networkName, this.manifestDir) || createManifest(this.networkName, chainId);
+    this.manifest.steps = this.manifest.steps || {};
+
+    if (!this.dryRun && BigInt(this.manifest.chainId) !== BigInt(chainId)) {
+      throw new Error(
+        `Manifest ${this.networkName}.json is for chain ${this.manifest.chainId}, but the RPC is on chain ${chainId}`
+      );
+    }
+
+    for (const spec of plan.contracts) {
+      await this._deployContract(spec);
+    }
+    for (const step of plan.steps) {
+      await this._runStep(step);
+    }
+
+    return { manifest: this.manifest, contracts: this.contracts, summary: this.summary };
+  }
+
+  /**
+   * @param {string} key - Contract key
+   * @returns {string} Address of a deployed (or external) contract
+   */
+  address(key) {
+    const contract = this.contracts[key];
+    if (!contract) {
+      throw new Error(`DeploymentRunner: ${key} has not been deployed yet`);
+    }
+    return contract.options.address;
+  }
+
+  async _deployContract(spec) {
+    const { key, name, artifact } = spec;
+    const bytecodeHash = Web3.utils.keccak256(artifact.bytecode);
+
+    if (spec.address) {
+      const address = spec.address(this);
+      this.contracts[key] = new this.web3.eth.Contract(artifact.abi, address);
+      this.log(`⏭️  ${name}: using existing ${address}`);
+      this.summary.skipped.push(key);
+      return;
+    }
+
+    const args = spec.args ? spec.args(this) : [];
+    const existing = this.manifest.contracts[key];
+    if (existing && (await this._isCurrent(existing, bytecodeHash, args))) {
+      this.contracts[key] = new this.web3.eth.Contract(artifact.abi, existing.address);
+      this.log(`⏭️  ${name}: up to date at ${existing.address}`);
+      this.summary.skipped.push(key);
+      return;
+    }
+
+    const reason = existing ? "changed, redeploying" : "deploying";
+    const deployment = new this.web3.eth.Contract(artifact.abi).deploy({ data: artifact.bytecode, arguments: args });
+    const gas = await this._gas(deployment);
+    this.log(`🚀 ${name}: ${reason} (${formatArgs(args)}) gas ${gas}`);
+
+    let txHash;
+    const instance = await deployment
+      .send({ from: this.from, gas })
+      .on("transactionHash", (hash) => {
+        txHash = hash;
+      });
+    const receipt = await this.web3.eth.getTransactionReceipt(txHash);
+
+    this.contracts[key] = instance;
+    recordContract(this.manifest, key, {
+      contract: name,
+      address: instance.options.address,
+      txHash,
+      blockNumber: receipt.blockNumber,
+      constructorArgs: args,
+      bytecode: artifact.bytecode,
+    });
+    this._save();
+
+    this.log(`✅ ${name}: ${instance.options.address}`);
+    this.summary.deployed.push(key);
+  }
+
+  async _isCurrent(entry, bytecodeHash, args) {
+    if (entry.bytecodeHash !== bytecodeHash) {
+      return false;
+    }
+    if (JSON.stringify(entry.constructorArgs) !== JSON.stringify(normalizeArgs(args))) {
+      return false;
+    }
+    const code = await this.web3.eth.getCode(entry.address);
+    return code !== "0x" && code !== "0x0";
+  }
+
+  async _runStep(step) {
+    if (await step.done(this)) {
+      this.log(`⏭️  ${step.id}: already done`);
+      this.summary.satisfied.push(step.id);
+      return;
+    }
+
+    const contract = this.contracts[step.contract];
+    const args = await step.args(this);
+    const tx = contract.methods[step.method](...args);
+    const gas = await this._gas(tx);
+    this.log(`🔧 ${step.id}: ${step.contract}.${step.method}(${formatArgs(args)}) gas ${gas}`);
+
+    const receipt = await tx.send({ from: this.from, gas });
+    this.manifest.steps[step.id] = {
+      txHash: receipt.transactionHash,
+      blockNumber: Number(receipt.blockNumber),
+      completedAt: new Date().toISOString(),
+    };
+    this._save();
+
+    this.log(`✅ ${step.id}`);
+    this.summary.sent.push(step.id);
+  }
+
+  async _gas(tx) {
+    const estimate = BigInt(await tx.estimateGas({ from: this.from }));
+    return (estimate * (100n + GAS_MARGIN_PERCENT)) / 100n;
+  }
+
+  _save() {
+    if (!this.dryRun) {
+      saveManifest(this.manifest, this.manifestDir);
+    }
+  }
+}
+
+// Constructor args as stored in the manifest (bigints/numbers → strings)
+function normalizeArgs(args) {
+  return JSON.parse(JSON.stringify(args, (_, value) => (typeof value === "bigint" || typeof value === "number" ? value.toString() : value)));
+}
+
+function formatArgs(args) {
+  return normalizeArgs(args)
+    .map((arg) => (Array.isArray(arg) ? `[${arg.join(", ")}]` : arg))
+    .join(", ");
+}
+
+module.exports = { DeploymentRunner };
@@ -0,0 +1,292 @@
+const path = require("path");
+const { Web3 } = require("web3");
+require("dotenv").config();
+const networks = require("../../config/networks");
+const { requireManifest, manifestPath } = require("../../config/deployments");
+const { DeploymentRunner } = require("./deployment-runner");
+const { loadArtifacts, connectDryRun } = require("./deploy-all");
+const { grantStep } = require("./role-graph");
+const { RoleAuditor, loadPolicy } = require("../utils/role-auditor");
+
+/**
+ * Hand admin control of every TataPay contract to TataPayGovernance
+ *
+ * Grants TataPayGovernance every role the role policy
+ * (config/role-policy.json) assigns to "governance", and the operator every
+ * role assigned to "operator", then has the deployer renounce all roles the
+ * policy does not give it, DEFAULT_ADMIN_ROLE last. Steps are recorded in
+ * deployments/<network>.json like deploy-all.js, so an interrupted handover
+ * can be re-run; nothing is renounced until every grant has landed.
+ *
+ * The operator (an incident-response multisig, OPERATOR_ADDRESS or
+ * --operator, defaulting to the deployer) keeps the emergency and fraud
+ * roles so pause, freeze and blacklist don't wait for a timelock.
+ *
+ * Afterwards the script audits role membership against the policy and
+ * simulates one parameter setter per contract from the governance address
+ * (must succeed) and from the deployer (must revert, unless the deployer is
+ * the operator and the setter is behind an operator role).
+ *
+ * Usage:
+ *   node scripts/deploy/handover-to-governance.js [network] [--operator <address>] [--dry-run]
+ */
+
+const CONTRACTS = {
+  collateralPool: "CollateralPool",
+  paymentSettlement: "PaymentSettlement",
+  fraudPrevention: "FraudPrevention",
+  settlementOracle: "SettlementOracle",
+  governance: "TataPayGovernance",
+};
+
+const DEFAULT_POLICY = path.join(__dirname, "../../config/role-policy.json");
+
+// Policy member holding the operational roles
+const OPERATOR = "operator";
+
+// Setter per contract, called with its current value so the simulation is a no-op
+const PARAMETER_CALLS = [
+  {
+    contract: "collateralPool",
+    method: "setWithdrawalDelay",
+    args: async (contracts) => [await contracts.collateralPool.methods.withdrawalDelay().call()],
+  },
+  {
+    contract: "paymentSettlement",
+    method: "setFraudPrevention",
+    args: async (contracts) => [await contracts.paymentSettlement.methods.fraudPrevention().call()],
+  },
+  {
+    contract: "fraudPrevention",
+    method: "setDefaultLimits",
+    // FRAUD_MANAGER_ROLE, which the operator keeps for blacklisting
+    operatorRole: true,
+    args: async (contracts) => {
+      const limits = await contracts.fraudPrevention.methods.defaultLimits().call();
+      return [limits.hourlyTransactionLimit, limits.dailyTransactionLimit, limits.hourlyAmountLimit, limits.dailyAmountLimit];
+    },
+  },
+  {
+    contract: "settlementOracle",
+    method: "setMinimumStake",
+    args: async (contracts) => [await contracts.settlementOracle.methods.minimumStake().call()],
+  },
+];
+
+/**
+ * Build the handover plan
+ * @param {object} options
+ * @param {string} options.deployer - Current admin that renounces its roles
+ * @param {object} options.addresses - Deployed addresses keyed like network.contracts
+ * @param {string} [options.operator=deployer] - Account given the policy's "operator" roles
+ * @param {object} [options.policy] - Role policy (defaults to config/role-policy.json)
+ * @param {object} [options.artifacts] - Artifacts keyed by contract name (defaults to compiled artifacts)
+ * @returns {{contracts: Array, steps: Array}} Plan for DeploymentRunner
+ */
+function buildHandoverPlan({ deployer, addresses, operator = deployer, policy = loadPolicy(DEFAULT_POLICY), artifacts = loadArtifacts() }) {
+  const contracts = Object.entries(CONTRACTS).map(([key, name]) => {
+    if (!addresses[key]) {
+      throw new Error(`${key} address is required for the handover`);
+    }
+    return { key, name, artifact: artifacts[name], address: () => addresses[key] };
+  });
+
+  const isDeployer = (account) => Boolean(account) && account.toLowerCase() === deployer.toLowerCase();
+  const resolve = (member) => (member === OPERATOR ? operator : member);
+
+  const grants = [];
+  const renounces = [];
+  for (const key of Object.keys(CONTRACTS)) {
+    if (key === "governance") {
+      continue;
+    }
+    const roles = Object.entries(policy[key] || {});
+    for (const [role, members] of roles) {
+      if (!Array.isArray(members)) {
+        continue;
+      }
+      if (members.includes("governance")) {
+        grants.push(grantStep({ contract: key, role, account: "governance" }));
+      }
+      if (members.includes(OPERATOR)) {
+        grants.push(accountGrantStep(key, role, OPERATOR, operator));
+      }
+    }
+    // DEFAULT_ADMIN_ROLE last, so a partial run never strands the other roles;
+    // roles the policy gives the deployer (as the operator) are kept
+    const order = roles
+      .filter(([, members]) => !(Array.isArray(members) && members.some((member) => isDeployer(resolve(member)))))
+      .map(([role]) => role)
+      .sort((a, b) => (a === "DEFAULT_ADMIN_ROLE") - (b === "DEFAULT_ADMIN_ROLE"));
+    for (const role of order) {
+      renounces.push(renounceStep(key, role, deployer));
+    }
+  }
+
+  return { contracts, steps: [...grants, ...renounces] };
+}
+
+function accountGrantStep(contract, role, label, account) {
+  const roleOf = (ctx) => ctx.contracts[contract].methods[role]().call();
+  return {
+    id: `${contract}.${role}→${label}`,
+    contract,
+    method: "grantRole",
+    args: async (ctx) => [await roleOf(ctx), account],
+    done: async (ctx) => ctx.contracts[contract].methods.hasRole(await roleOf(ctx), account).call(),
+  };
+}
+
+function renounceStep(contract, role, account) {
+  const roleOf = (ctx) => ctx.contracts[contract].methods[role]().call();
+  return {
+    id: `${contract}.${role}✕deployer`,
+    contract,
+    method: "renounceRole",
+    args: async (ctx) => [await roleOf(ctx), account],
+    done: async (ctx) => !(await ctx.contracts[contract].methods.hasRole(await roleOf(ctx), account).call()),
+  };
+}
+
+/**
+ * Simulate each parameter setter from governance and from the deployer
+ * @param {object} contracts - web3 contract instances keyed like network.contracts
+ * @param {string} deployer - Former admin
+ * @param {object} [options]
+ * @param {string} [options.operator=deployer] - Operator kept on the operational roles
+ * @returns {Promise<Array<{check: string, ok: boolean, error?: string}>>} Two results per setter
+ */
+async function verifyParameterControl(contracts, deployer, { operator = deployer } = {}) {
+  const governance = contracts.governance.options.address;
+  const deployerIsOperator = operator.toLowerCase() === deployer.toLowerCase();
+  const results = [];
+
+  for (const call of PARAMETER_CALLS) {
+    const method = contracts[call.contract].methods[call.method](...(await call.args(contracts)));
+    const label = `${call.contract}.${call.method}`;
+
+    try {
+      await method.call({ from: governance });
+      results.push({ check: `${label} callable by governance`, ok: true });
+    } catch (error) {
+      results.push({ check: `${label} callable by governance`, ok: false, error: error.message });
+    }
+
+    if (call.operatorRole && deployerIsOperator) {
+      try {
+        await method.call({ from: deployer });
+        results.push({ check: `${label} callable by operator`, ok: true });
+      } catch (error) {
+        results.push({ check: `${label} callable by operator`, ok: false, error: error.message });
+      }
+      continue;
+    }
+
+    try {
+      await method.call({ from: deployer });
+      results.push({ check: `${label} refused for deployer`, ok: false, error: "call succeeded" });
+    } catch (error) {
+      results.push({ check: `${label} refused for deployer`, ok: true });
+    }
+  }
+
+  return results;
+}
+
+async function main() {
+  const argv = process.argv.slice(2);
+  const dryRun = argv.includes("--dry-run");
+  const operatorIndex = argv.indexOf("--operator");
+  const operatorArg = operatorIndex === -1 ? process.env.OPERATOR_ADDRESS : argv[operatorIndex + 1];
+  const networkName = argv.find((arg, i) => !arg.startsWith("--") && i !== operatorIndex + 1) || "moonbase";
+  const network = networks.getNetwork(networkName);
+
+  if (!process.env.PRIVATE_KEY) {
+    console.error("❌ Error: PRIVATE_KEY not found in .env");
+    process.exit(1);
+  }
+
+  let web3;
+  let deployer;
+  if (dryRun) {
+    deployer = new Web3().eth.accounts.privateKeyToAccount(process.env.PRIVATE_KEY);
+    web3 = await connectDryRun(network, deployer.address);
+  } else {
+    web3 = new Web3(network.rpcUrl);
+    deployer = web3.eth.accounts.privateKeyToAccount(process.env.PRIVATE_KEY);
+    web3.eth.accounts.wallet.add(deployer);
+  }
+
+  if (operatorArg && !Web3.utils.isAddress(operatorArg)) {
+    throw new Error(`Invalid operator address: ${operatorArg}`);
+  }
+  const operator = operatorArg ? Web3.utils.toChecksumAddress(operatorArg) : deployer.address;
+
+  const manifest = requireManifest(networkName);
+  const addresses = {};
+  for (const [key, entry] of Object.entries(manifest.contracts)) {
+    addresses[key] = entry.address;
+  }
+
+  console.log(`\n🏛️  Handing TataPay admin to governance on ${network.name}${dryRun ? " (dry run on a local fork)" : ""}`);
+  console.log("📍 Deployer:  ", deployer.address);
+  console.log("⚖️  Governance:", addresses.governance);
+  console.log("🚨 Operator:  ", operator, operator === deployer.address ? "(deployer)\n" : "\n");
+
+  const policy = loadPolicy(DEFAULT_POLICY);
+  const runner = new DeploymentRunner({ web3, networkName, from: deployer.address, dryRun });
+  const { summary } = await runner.run(buildHandoverPlan({ deployer: deployer.address, addresses, operator, policy }));
+  console.log(`\nSent: ${summary.sent.length}, already done: ${summary.satisfied.length}`);
+
+  console.log("\n🔍 Auditing roles against policy...");
+  const auditor = new RoleAuditor({
+    web3,
+    accounts: { [OPERATOR]: operator },
+    contracts: Object.fromEntries(
+      Object.keys(CONTRACTS).map((key) => [key, {
+        address: addresses[key],
+        abi: runner.contracts[key].options.jsonInterface,
+        fromBlock: manifest.contracts[key].blockNumber,
+      }])
+    ),
+  });
+  const findings = await auditor.audit(await auditor.membership(), policy);
+  for (const finding of findings) {
+    console.log(`❌ ${finding.contract}.${finding.role}: ${auditor.label(finding.account)} ${finding.issue}`);
+  }
+  if (findings.length === 0) {
+    console.log("✅ Role membership matches policy");
+  }
+
+  console.log("\n🔍 Simulating parameter changes...");
+  const checks = await verifyParameterControl(runner.contracts, deployer.address, { operator });
+  for (const { check, ok, error } of checks) {
+    console.log(`${ok ? "✅" : "❌"} ${check}${ok ? "" : ` (${error})`}`);
+  }
+
+  const failed = findings.length + checks.filter((result) => !result.ok).length;
+  if (failed > 0) {
+    throw new Error(`Handover verification failed with ${failed} problem(s)`);
+  }
+
+  console.log("\n✅ Governance now controls all TataPay contracts");
+  console.log("   Parameter changes go through propose → approve → timelock → execute");
+  console.log("   The operator keeps pause, freeze and blacklist for incident response");
+  if (dryRun) {
+    console.log("🧪 Dry run: no transactions were sent and the manifest was not modified\n");
+  } else {
+    console.log(`📄 Manifest: ${path.relative(process.cwd(), manifestPath(networkName))}\n`);
+  }
+
+  process.exit(0);
+}
+
+if (require.main === module) {
+  main().catch((error) => {
+    console.error("❌ Handover failed:", error.message);
+    console.error("   Completed steps are saved in the manifest; re-run to resume");
+    process.exit(1);
+  });
+}
+
+module.exports = { buildHandoverPlan, verifyParameterControl };
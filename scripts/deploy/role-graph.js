@@ -0,0 +1,83 @@
+/**
+ * Role graph of a TataPay deployment
+ *
+ * ROLE_GRANTS lists every role one TataPay contract must hold on another;
+ * deploy-all.js grants them and verifyRoleGraph asserts them together with
+ * the address links set at construction or through setters. Contracts are
+ * keyed like network.contracts (usdc, collateralPool, ...).
+ */
+
+const ROLE_GRANTS = [
+  // PaymentSettlement locks, releases and transfers collateral
+  { contract: "collateralPool", role: "SETTLEMENT_ROLE", account: "paymentSettlement" },
+  // Governance slashes fintech collateral through executed proposals
+  { contract: "collateralPool", role: "SLASHER_ROLE", account: "governance" },
+  // PaymentSettlement runs fraud checks (they record velocity) at batch creation
+  { contract: "fraudPrevention", role: "VALIDATOR_ROLE", account: "paymentSettlement" },
+  // SettlementOracle forwards oracle consensus to approveBatch / failBatch and
+  // active oracles' push payouts to distributePayments
+  { contract: "paymentSettlement", role: "ORACLE_ROLE", account: "settlementOracle" },
+];
+
+const LINKS = [
+  { contract: "collateralPool", getter: "USDC", target: "usdc" },
+  { contract: "paymentSettlement", getter: "USDC", target: "usdc" },
+  { contract: "paymentSettlement", getter: "collateralPool", target: "collateralPool" },
+  { contract: "paymentSettlement", getter: "fraudPrevention", target: "fraudPrevention" },
+  { contract: "settlementOracle", getter: "paymentSettlement", target: "paymentSettlement" },
+  { contract: "settlementOracle", getter: "USDC", target: "usdc" },
+];
+
+/**
+ * @param {{contract: string, role: string, account: string}} grant
+ * @returns {string} Label, also used as the deploy-all step id
+ */
+function grantLabel({ contract, role, account }) {
+  return `${contract}.${role}→${account}`;
+}
+
+/**
+ * DeploymentRunner step granting a role, skipped once the account holds it
+ * @param {{contract: string, role: string, account: string}} grant
+ * @returns {object} Plan step
+ */
+function grantStep(grant) {
+  const roleOf = (ctx) => ctx.contracts[grant.contract].methods[grant.role]().call();
+  return {
+    id: grantLabel(grant),
+    contract: grant.contract,
+    method: "grantRole",
+    args: async (ctx) => [await roleOf(ctx), ctx.address(grant.account)],
+    done: async (ctx) => ctx.contracts[grant.contract].methods.hasRole(await roleOf(ctx), ctx.address(grant.account)).call(),
+  };
+}
+
+/**
+ * Check every role grant and address link on-chain
+ * @param {object} contracts - web3 contract instances keyed like network.contracts
+ * @returns {Promise<Array<{check: string, ok: boolean, actual?: string}>>} One result per edge
+ */
+async function verifyRoleGraph(contracts) {
+  const results = [];
+
+  for (const grant of ROLE_GRANTS) {
+    const contract = contracts[grant.contract];
+    const role = await contract.methods[grant.role]().call();
+    const ok = await contract.methods.hasRole(role, contracts[grant.account].options.address).call();
+    results.push({ check: grantLabel(grant), ok });
+  }
+
+  for (const link of LINKS) {
+    const actual = await contracts[link.contract].methods[link.getter]().call();
+    const expected = contracts[link.target].options.address;
+    results.push({
+      check: `${link.contract}.${link.getter}() = ${link.target}`,
+      ok: actual.toLowerCase() === expected.toLowerCase(),
+      actual,
+    });
+  }
+
+  return results;
+}
+
+module.exports = { ROLE_GRANTS, LINKS, grantLabel, grantStep, verifyRoleGraph };
@@ -1,9 +1,11 @@
 const { Web3 } = require("web3");
 require("dotenv").config();
 const networks = require("../../config/networks");
+const { requireManifest } = require("../../config/deployments");
 
 async function main() {
   const network = networks.getNetwork("moonbase");
+  requireManifest("moonbase");
   const web3 = new Web3(network.rpcUrl);
 
   // Load accounts
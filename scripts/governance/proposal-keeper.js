@@ -0,0 +1,162 @@
+require("dotenv").config();
+const { TataPayClient } = require("../../sdk");
+
+/**
+ * Proposal Keeper
+ *
+ * Sweeps TataPayGovernance for proposals that are still Pending, Approved
+ * or Failed but past their expiry, and marks them Expired with
+ * expireProposals. execute already refuses expired proposals; sweeping
+ * makes getProposal and getMetrics reflect that instead of showing them as
+ * open forever.
+ *
+ * Executed, Cancelled and Expired proposals never change again, so the
+ * keeper remembers the lowest ID that may still be open and starts each
+ * sweep there.
+ *
+ * expire / expireProposals are permissionless; the keeper account only
+ * needs gas.
+ *
+ * Environment:
+ * - PRIVATE_KEY            Keeper account key (required unless --dry-run)
+ *
+ * Usage:
+ *   node scripts/governance/proposal-keeper.js [network] [--dry-run] [--interval <seconds>]
+ *
+ * Without --interval the keeper sweeps once and exits (for cron).
+ */
+
+const FINAL_STATES = ["Executed", "Cancelled", "Expired"];
+const DEFAULT_BATCH_SIZE = 50;
+
+class ProposalKeeper {
+  /**
+   * @param {object} options
+   * @param {import("../../sdk").TataPayClient} options.client - Client (with a signer unless dryRun)
+   * @param {number} [options.batchSize=50] - Proposal IDs per expireProposals call (contract max: 100)
+   * @param {boolean} [options.dryRun=false] - Report expirable proposals without sending transactions
+   * @param {object} [options.logger=console] - Logger with log/error
+   */
+  constructor({ client, batchSize = DEFAULT_BATCH_SIZE, dryRun = false, logger = console }) {
+    this.client = client;
+    this.batchSize = batchSize;
+    this.dryRun = dryRun;
+    this.logger = logger;
+    this.cursor = 0n;
+  }
+
+  /**
+   * Mark every open proposal past its expiry as Expired
+   * @returns {Promise<{scanned: number, open: number, expirable: bigint[], expired: bigint[], txHashes: string[]}>}
+   *   expirable: found past expiry; expired: actually moved to Expired (empty on dry runs)
+   */
+  async sweep() {
+    const { governance } = this.client;
+    const [count, block] = await Promise.all([governance.proposalCount(), this.client.web3.eth.getBlock("latest")]);
+    const now = BigInt(block.timestamp);
+
+    const expirable = [];
+    let open = 0;
+    let scanned = 0;
+    let contiguousFinal = true;
+    for (let id = this.cursor; id < count; id++) {
+      const proposal = await governance.getProposal(id);
+      scanned++;
+      if (FINAL_STATES.includes(proposal.state)) {
+        if (contiguousFinal) {
+          this.cursor = id + 1n;
+        }
+        continue;
+      }
+      contiguousFinal = false;
+      if (now >= proposal.expiresAt) {
+        expirable.push(id);
+      } else {
+        open++;
+      }
+    }
+
+    const expired = [];
+    const txHashes = [];
+    if (!this.dryRun) {
+      for (let i = 0; i < expirable.length; i += this.batchSize) {
+        const ids = expirable.slice(i, i + this.batchSize);
+        const result = await governance.expireProposals(ids);
+        expired.push(...result.expired);
+        txHashes.push(result.receipt.transactionHash);
+        this.logger.log(`⌛ Expired ${result.expired.length} proposal(s): #${result.expired.join(", #")} (tx ${result.receipt.transactionHash})`);
+      }
+    }
+
+    return { scanned, open, expirable, expired, txHashes };
+  }
+}
+
+async function main() {
+  const argv = process.argv.slice(2);
+  const dryRun = argv.includes("--dry-run");
+  const intervalIndex = argv.indexOf("--interval");
+  const interval = intervalIndex === -1 ? null : Number(argv[intervalIndex + 1]);
+  const networkName = argv.find((arg, i) => !arg.startsWith("--") && i !== intervalIndex + 1) || "moonbase";
+
+  if (interval !== null && !(interval > 0)) {
+    console.error("❌ Error: --interval must be a positive number of seconds");
+    process.exit(1);
+  }
+  if (!dryRun && !process.env.PRIVATE_KEY) {
+    console.error("❌ Error: PRIVATE_KEY not found in .env");
+    process.exit(1);
+  }
+
+  const client = new TataPayClient({ network: networkName, privateKey: dryRun ? undefined : process.env.PRIVATE_KEY });
+  const keeper = new ProposalKeeper({ client, dryRun });
+
+  console.log(`\n⌛ TataPay proposal keeper on ${client.network.name}${dryRun ? " (dry run)" : ""}`);
+  console.log("⚖️  Governance:", client.governance.address, "\n");
+
+  const runSweep = async () => {
+    const { scanned, open, expirable, expired } = await keeper.sweep();
+    const ids = expirable.length > 0 ? ` (#${expirable.join(", #")})` : "";
+    console.log(`Scanned ${scanned} proposal(s): ${open} open, ${expirable.length} past expiry${ids}, ${expired.length} marked Expired`);
+
+    const metrics = await client.governance.getMetrics();
+    console.log(
+      `Metrics: ${metrics.totalCreated} created, ${metrics.totalExecuted} executed, ` +
+      `${metrics.totalCancelled} cancelled, ${metrics.totalExpired} expired`
+    );
+  };
+
+  await runSweep();
+  if (interval === null) {
+    process.exit(0);
+  }
+
+  console.log(`\nSweeping every ${interval}s. Press Ctrl+C to stop.\n`);
+  let running = false;
+  const timer = setInterval(() => {
+    if (running) {
+      return;
+    }
+    running = true;
+    runSweep()
+      .catch((error) => console.error("❌ Sweep failed:", error.message))
+      .finally(() => {
+        running = false;
+      });
+  }, interval * 1000);
+  const shutdown = () => {
+    clearInterval(timer);
+    process.exit(0);
+  };
+  process.on("SIGINT", shutdown);
+  process.on("SIGTERM", shutdown);
+}
+
+if (require.main === module) {
+  main().catch((error) => {
+    console.error("❌ Keeper failed:", error.message);
+    process.exit(1);
+  });
+}
+
+module.exports = { ProposalKeeper };
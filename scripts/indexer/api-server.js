@@ -0,0 +1,376 @@
+const http = require("http");
+const { Web3 } = require("web3");
+const { BatchStatus, formatUsdc, encodeReference } = require("../../sdk");
+const { IndexerStore, camelCase } = require("./store");
+
+/**
+ * Indexer REST API
+ *
+ * Read-only HTTP service over the event indexer database, for fintech
+ * dashboards that should not need web3. Run the indexer alongside it to keep
+ * the data current.
+ *
+ * Endpoints:
+ *   GET /status                          Last indexed block
+ *   GET /fintechs/:address/batches       Batches of a fintech (?status=<BatchStatus>, ?reference=<ref>)
+ *   GET /fintechs/:address/payments      Payments of a fintech for reconciliation (?reference=<ref>, ?claimed=true|false)
+ *   GET /batches/:batchId                Batch with payments and oracle votes
+ *   GET /merchants/:address/claims       Payments to a merchant (?claimed=true|false)
+ *   GET /collateral/:address             Collateral balance and movements of a fintech
+ *   GET /oracles                         Registered oracles (?active=true|false)
+ *
+ * Lists are newest first and paginated with ?limit= (default 50, max 200)
+ * and ?offset=, returning {data, pagination: {total, limit, offset, nextOffset}}.
+ * Amounts are {units, usdc}: base units as a string and the decimal USDC
+ * amount. Timestamps are unix seconds.
+ *
+ * Usage:
+ *   node scripts/indexer/api-server.js [network] [--db <file>] [--port <n>] [--host <host>]
+ */
+
+const DEFAULT_PORT = 4020;
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 200;
+
+// Columns holding USDC base units
+const AMOUNT_COLUMNS = ["totalAmount", "claimedAmount", "amount", "stake", "slashedAmount"];
+
+class HttpError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.name = "HttpError";
+    this.status = status;
+  }
+}
+
+/**
+ * @param {bigint|number|string} units - USDC base units
+ * @returns {{units: string, usdc: string}} Raw and decimal amount
+ */
+function amount(units) {
+  return { units: BigInt(units).toString(), usdc: formatUsdc(units) };
+}
+
+/**
+ * Database row as a JSON response object: camelCase keys, amounts as
+ * {units, usdc} and the other integers (timestamps, counts, block numbers)
+ * as numbers
+ * @param {object} row - Database row
+ * @returns {object} Response object
+ */
+function toJson(row) {
+  const out = camelCase(row);
+  for (const [key, value] of Object.entries(out)) {
+    if (AMOUNT_COLUMNS.includes(key)) {
+      out[key] = amount(value);
+    } else if (typeof value === "bigint") {
+      out[key] = Number(value);
+    }
+  }
+  return out;
+}
+
+// ============ Query parameters ============
+
+function addressParam(value) {
+  if (!Web3.utils.isAddress(value)) {
+    throw new HttpError(400, `Invalid address: ${value}`);
+  }
+  return Web3.utils.toChecksumAddress(value);
+}
+
+function booleanParam(query, name) {
+  const value = query.get(name);
+  if (value === null) {
+    return null;
+  }
+  if (value !== "true" && value !== "false") {
+    throw new HttpError(400, `Invalid ${name}: ${value} (expected true or false)`);
+  }
+  return value === "true" ? 1 : 0;
+}
+
+function referenceParam(query) {
+  const value = query.get("reference");
+  if (value === null) {
+    return null;
+  }
+  try {
+    return encodeReference(value);
+  } catch (error) {
+    throw new HttpError(400, `Invalid reference: ${value}`);
+  }
+}
+
+function pageParams(query) {
+  const parse = (name, fallback, max) => {
+    const value = query.get(name);
+    if (value === null) {
+      return fallback;
+    }
+    if (!/^\d+$/.test(value) || Number(value) > max) {
+      throw new HttpError(400, `Invalid ${name}: ${value}`);
+    }
+    return Number(value);
+  };
+  const limit = parse("limit", DEFAULT_LIMIT, MAX_LIMIT);
+  if (limit === 0) {
+    throw new HttpError(400, "Invalid limit: 0");
+  }
+  return { limit, offset: parse("offset", 0, Number.MAX_SAFE_INTEGER) };
+}
+
+/**
+ * Run a list query with LIMIT/OFFSET and count the full result
+ * @param {object} db - better-sqlite3 database
+ * @param {string} sql - SELECT with ORDER BY and named parameters
+ * @param {object} params - Named parameters
+ * @param {{limit: number, offset: number}} page - Page
+ * @returns {{data: object[], pagination: object}}
+ */
+function paginate(db, sql, params, { limit, offset }) {
+  const total = Number(db.prepare(`SELECT COUNT(*) AS total FROM (${sql})`).get(params).total);
+  const rows = db.prepare(`${sql} LIMIT @limit OFFSET @offset`).all({ ...params, limit, offset });
+  return {
+    data: rows.map(toJson),
+    pagination: { total, limit, offset, nextOffset: offset + limit < total ? offset + limit : null },
+  };
+}
+
+// ============ Routes ============
+
+const ROUTES = [
+  {
+    path: /^\/status$/,
+    handler: (store) => {
+      const lastBlock = store.getLastBlock();
+      return { lastBlock: lastBlock === null ? null : Number(lastBlock) };
+    },
+  },
+
+  {
+    path: /^\/fintechs\/([^/]+)\/batches$/,
+    handler: (store, [fintech], query) => {
+      const status = query.get("status");
+      if (status !== null && !BatchStatus.includes(status)) {
+        throw new HttpError(400, `Invalid status: ${status} (expected one of ${BatchStatus.join(", ")})`);
+      }
+      return paginate(
+        store.db,
+        `SELECT * FROM batches
+         WHERE fintech = @fintech AND (@status IS NULL OR status = @status)
+           AND (@reference IS NULL OR reference = @reference)
+         ORDER BY block_number DESC, batch_id`,
+        { fintech: addressParam(fintech), status, reference: referenceParam(query) },
+        pageParams(query)
+      );
+    },
+  },
+
+  {
+    path: /^\/fintechs\/([^/]+)\/payments$/,
+    handler: (store, [fintech], query) =>
+      paginate(
+        store.db,
+        `SELECT p.batch_id, p.payment_index, p.merchant, p.amount, p.reference, p.claimed, p.claimed_at, p.claim_tx_hash,
+                b.status AS batch_status, b.created_at AS batch_created_at
+         FROM payments p JOIN batches b ON b.batch_id = p.batch_id
+         WHERE b.fintech = @fintech AND (@claimed IS NULL OR p.claimed = @claimed)
+           AND (@reference IS NULL OR p.reference = @reference)
+         ORDER BY b.block_number DESC, p.batch_id, p.payment_index`,
+        { fintech: addressParam(fintech), claimed: booleanParam(query, "claimed"), reference: referenceParam(query) },
+        pageParams(query)
+      ),
+  },
+
+  {
+    path: /^\/batches\/([^/]+)$/,
+    handler: (store, [batchId]) => {
+      if (!/^0x[0-9a-fA-F]{64}$/.test(batchId)) {
+        throw new HttpError(400, `Invalid batchId: ${batchId}`);
+      }
+      const id = batchId.toLowerCase();
+      const batch = store.db.prepare("SELECT * FROM batches WHERE batch_id = ?").get(id);
+      if (!batch) {
+        throw new HttpError(404, `Batch not found: ${batchId}`);
+      }
+      const payments = store.db.prepare("SELECT * FROM payments WHERE batch_id = ? ORDER BY payment_index").all(id);
+      const votes = store.db.prepare("SELECT * FROM oracle_votes WHERE batch_id = ? ORDER BY block_number").all(id);
+      return {
+        ...toJson(batch),
+        payments: payments.map(({ batch_id: _, ...payment }) => toJson(payment)),
+        oracleVotes: votes.map(({ batch_id: _, ...vote }) => toJson(vote)),
+      };
+    },
+  },
+
+  {
+    path: /^\/merchants\/([^/]+)\/claims$/,
+    handler: (store, [merchant], query) =>
+      paginate(
+        store.db,
+        `SELECT p.batch_id, p.payment_index, p.amount, p.reference, p.claimed, p.claimed_at, p.claim_tx_hash,
+                b.fintech, b.status AS batch_status, b.created_at AS batch_created_at
+         FROM payments p JOIN batches b ON b.batch_id = p.batch_id
+         WHERE p.merchant = @merchant AND (@claimed IS NULL OR p.claimed = @claimed)
+         ORDER BY b.block_number DESC, p.batch_id, p.payment_index`,
+        { merchant: addressParam(merchant), claimed: booleanParam(query, "claimed") },
+        pageParams(query)
+      ),
+  },
+
+  {
+    path: /^\/collateral\/([^/]+)$/,
+    handler: (store, [address], query) => {
+      const fintech = addressParam(address);
+      const totals = {};
+      for (const row of store.db
+        .prepare("SELECT kind, SUM(amount) AS total FROM collateral_movements WHERE fintech = ? GROUP BY kind")
+        .all(fintech)) {
+        totals[row.kind] = row.total;
+      }
+      const total = (kind) => totals[kind] || 0n;
+
+      // Mirrors CollateralPool's bookkeeping; emergency withdrawals also emit
+      // Withdrawn, so they are already in the withdrawal total
+      const balance = {
+        totalDeposited: amount(total("deposit")),
+        available: amount(total("deposit") - total("withdrawal") - total("lock") + total("unlock")),
+        locked: amount(total("lock") - total("unlock") - total("transfer") - total("slash")),
+        totalWithdrawn: amount(total("withdrawal")),
+        totalTransferred: amount(total("transfer")),
+        totalSlashed: amount(total("slash")),
+      };
+      const movements = paginate(
+        store.db,
+        `SELECT block_number, log_index, tx_hash, kind, amount, settlement_id, counterparty, note, timestamp
+         FROM collateral_movements WHERE fintech = @fintech
+         ORDER BY block_number DESC, log_index DESC`,
+        { fintech },
+        pageParams(query)
+      );
+      return { fintech, balance, ...movements };
+    },
+  },
+
+  {
+    path: /^\/oracles$/,
+    handler: (store, params, query) =>
+      paginate(
+        store.db,
+        `SELECT * FROM oracles
+         WHERE (@active IS NULL OR active = @active)
+         ORDER BY registered_at DESC, oracle`,
+        { active: booleanParam(query, "active") },
+        pageParams(query)
+      ),
+  },
+];
+
+function decodePathParam(value) {
+  try {
+    return decodeURIComponent(value);
+  } catch (error) {
+    // Malformed escapes such as %E0 are the client's fault, not a server error
+    throw new HttpError(400, `Invalid path segment: ${value}`);
+  }
+}
+
+function send(res, status, body) {
+  res.writeHead(status, { "Content-Type": "application/json", "Access-Control-Allow-Origin": "*" });
+  res.end(JSON.stringify(body));
+}
+
+/**
+ * Create the API server (not yet listening)
+ * @param {object} options
+ * @param {import("./store").IndexerStore} options.store - Indexer database
+ * @param {object} [options.logger=console] - Logger with error
+ * @returns {http.Server}
+ */
+function createApiServer({ store, logger = console }) {
+  return http.createServer((req, res) => {
+    const url = new URL(req.url, "http://localhost");
+
+    if (req.method !== "GET") {
+      res.setHeader("Allow", "GET");
+      return send(res, 405, { error: "Method not allowed" });
+    }
+
+    for (const route of ROUTES) {
+      const match = url.pathname.match(route.path);
+      if (!match) {
+        continue;
+      }
+      try {
+        const params = match.slice(1).map(decodePathParam);
+        return send(res, 200, route.handler(store, params, url.searchParams));
+      } catch (error) {
+        if (error instanceof HttpError) {
+          return send(res, error.status, { error: error.message });
+        }
+        logger.error(`❌ ${req.method} ${url.pathname} failed:`, error.message);
+        return send(res, 500, { error: "Internal error" });
+      }
+    }
+
+    send(res, 404, { error: "Not found" });
+  });
+}
+
+/**
+ * Start the API server
+ * @param {object} options
+ * @param {import("./store").IndexerStore} options.store - Indexer database
+ * @param {number} [options.port=0] - Port (0 = random free port)
+ * @param {string} [options.host="127.0.0.1"] - Interface to bind
+ * @param {object} [options.logger=console] - Logger with error
+ * @returns {Promise<{url: string, close: function}>}
+ */
+function startApiServer({ store, port = 0, host = "127.0.0.1", logger = console }) {
+  const server = createApiServer({ store, logger });
+  return new Promise((resolve) => {
+    server.listen(port, host, () => {
+      const { port: boundPort } = server.address();
+      resolve({
+        url: `http://${host}:${boundPort}`,
+        close: () => new Promise((done) => server.close(done)),
+      });
+    });
+  });
+}
+
+module.exports = { createApiServer, startApiServer };
+
+if (require.main === module) {
+  const argv = process.argv.slice(2);
+  const option = (name) => {
+    const index = argv.indexOf(name);
+    return index === -1 ? undefined : argv[index + 1];
+  };
+  const valueIndexes = ["--db", "--port", "--host"].map((name) => argv.indexOf(name) + 1).filter((index) => index > 0);
+  const networkName = argv.find((arg, i) => !arg.startsWith("--") && !valueIndexes.includes(i)) || "moonbase";
+  const dbPath = option("--db") || IndexerStore.defaultPath(networkName);
+
+  let store;
+  try {
+    store = new IndexerStore(dbPath, { readonly: true });
+  } catch (error) {
+    console.error(`❌ Cannot open ${dbPath}: ${error.message}`);
+    console.error("   Run scripts/indexer/event-indexer.js first");
+    process.exit(1);
+  }
+
+  const port = option("--port") === undefined ? DEFAULT_PORT : parseInt(option("--port"));
+  startApiServer({ store, port, host: option("--host") || "127.0.0.1" }).then(({ url }) => {
+    console.log(`\n🌐 TataPay indexer API listening on ${url}`);
+    console.log("🗄️  Database:", dbPath, "\n");
+  });
+
+  const shutdown = () => {
+    store.close();
+    process.exit(0);
+  };
+  process.on("SIGINT", shutdown);
+  process.on("SIGTERM", shutdown);
+}
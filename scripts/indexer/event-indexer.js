@@ -0,0 +1,278 @@
+require("dotenv").config();
+const { TataPayClient } = require("../../sdk");
+const { DEFAULT_MAX_BLOCK_RANGE } = require("../../sdk/events");
+const { deploymentBlock } = require("../../config/deployments");
+const { IndexerStore } = require("./store");
+
+/**
+ * Event Indexer
+ *
+ * Copies every event of CollateralPool, PaymentSettlement, FraudPrevention,
+ * SettlementOracle and TataPayGovernance into a local SQLite database (see
+ * store.js for the tables), giving a full settlement history that RPC
+ * log queries cannot.
+ *
+ * Each sync:
+ * 1. Checks the hash of the last indexed block against the chain. On a
+ *    mismatch it walks back through the recorded block hashes to the fork
+ *    point and rolls the database back to it.
+ * 2. Indexes from the cursor up to head - confirmations in ranges of at most
+ *    maxBlockRange blocks. Each range is written in one transaction with the
+ *    new cursor, so an interrupted run resumes after the last full range.
+ *
+ * Environment: none (read-only; no key needed)
+ *
+ * Usage:
+ *   node scripts/indexer/event-indexer.js [network] [--db <file>] [--from-block <n>]
+ *     [--confirmations <n>] [--interval <seconds>]
+ *
+ * Without --interval the indexer syncs once and exits (for cron).
+ */
+
+const INDEXED_CONTRACTS = ["collateralPool", "paymentSettlement", "fraudPrevention", "settlementOracle", "governance"];
+const DEFAULT_CONFIRMATIONS = 2;
+
+// Block hashes older than this many blocks are pruned; deeper reorgs need a rebuild
+const REORG_WINDOW = 1000n;
+
+class EventIndexer {
+  /**
+   * @param {object} options
+   * @param {import("../../sdk").TataPayClient} options.client - Client (read-only is enough)
+   * @param {import("./store").IndexerStore} options.store - Database
+   * @param {bigint|number} [options.startBlock=0] - First block on an empty database (the earliest deployment block)
+   * @param {number} [options.confirmations=2] - Blocks behind head to stay (reorg safety)
+   * @param {bigint|number} [options.maxBlockRange=2000] - Max blocks per log query
+   * @param {object} [options.logger=console] - Logger with log/error
+   */
+  constructor({
+    client,
+    store,
+    startBlock = 0,
+    confirmations = DEFAULT_CONFIRMATIONS,
+    maxBlockRange = DEFAULT_MAX_BLOCK_RANGE,
+    logger = console,
+  }) {
+    this.client = client;
+    this.store = store;
+    this.startBlock = BigInt(startBlock);
+    this.confirmations = BigInt(confirmations);
+    this.maxBlockRange = BigInt(maxBlockRange);
+    this.logger = logger;
+  }
+
+  /**
+   * Roll back any reorged blocks, then index up to the confirmed head
+   * @returns {Promise<{fromBlock: bigint, toBlock: bigint, events: number, reorg: {forkBlock: bigint|null, removed: number}|null}>}
+   *   fromBlock > toBlock when there was nothing new to index
+   */
+  async sync() {
+    const { web3 } = this.client;
+    const reorg = await this._rollbackReorg();
+
+    const last = this.store.getLastBlock();
+    if (last === null) {
+      await this._initGovernance();
+    }
+
+    const fromBlock = last === null ? this.startBlock : last + 1n;
+    const toBlock = BigInt(await web3.eth.getBlockNumber()) - this.confirmations;
+    let events = 0;
+
+    for (let start = fromBlock; start <= toBlock; start += this.maxBlockRange) {
+      const end = start + this.maxBlockRange - 1n < toBlock ? start + this.maxBlockRange - 1n : toBlock;
+      events += await this._indexRange(start, end);
+    }
+
+    if (toBlock >= fromBlock) {
+      this.store.pruneBlocks(toBlock - REORG_WINDOW);
+    }
+    return { fromBlock, toBlock, events, reorg };
+  }
+
+  // ============ Internal ============
+
+  async _indexRange(fromBlock, toBlock) {
+    const logs = [];
+    for (const key of INDEXED_CONTRACTS) {
+      const { contract } = this.client[key];
+      const found = await contract.getPastEvents("allEvents", { fromBlock, toBlock });
+      logs.push(...found.filter((log) => log.event).map((log) => ({ key, log })));
+    }
+    logs.sort((a, b) =>
+      a.log.blockNumber === b.log.blockNumber
+        ? Number(BigInt(a.log.logIndex) - BigInt(b.log.logIndex))
+        : Number(BigInt(a.log.blockNumber) - BigInt(b.log.blockNumber))
+    );
+
+    // One header per block: timestamp for the rows, hash for reorg checks
+    const headers = new Map();
+    for (const number of new Set([...logs.map(({ log }) => BigInt(log.blockNumber)), toBlock])) {
+      const block = await this.client.web3.eth.getBlock(number);
+      headers.set(number, { number, hash: block.hash, timestamp: BigInt(block.timestamp) });
+    }
+
+    const events = logs.map(({ key, log }) => ({
+      blockNumber: BigInt(log.blockNumber),
+      logIndex: BigInt(log.logIndex),
+      txHash: log.transactionHash,
+      contract: key,
+      event: log.event,
+      args: normalizeArgs(log.returnValues),
+      timestamp: headers.get(BigInt(log.blockNumber)).timestamp,
+    }));
+
+    this.store.ingest({ events, blocks: [...headers.values()], toBlock });
+    if (events.length > 0) {
+      this.logger.log(`📥 Blocks ${fromBlock}-${toBlock}: ${events.length} event(s)`);
+    }
+    return events.length;
+  }
+
+  // Compare the cursor block with the chain; on a mismatch, find the newest
+  // recorded block still on the chain and roll back to it
+  async _rollbackReorg() {
+    const last = this.store.getLastBlock();
+    if (last === null || (await this._onChain(last, this.store.getBlockHash(last)))) {
+      return null;
+    }
+
+    let forkBlock = null;
+    for (const block of this.store.blocksAtOrBelow(last - 1n)) {
+      if (await this._onChain(block.number, block.hash)) {
+        forkBlock = block.number;
+        break;
+      }
+    }
+    // With no recorded block left on the chain, start over unless hashes were pruned
+    if (forkBlock === null && this.store.getMeta("prunedBelow") !== null) {
+      throw new Error(`EventIndexer: reorg deeper than the recorded blocks (last indexed ${last}); rebuild the database`);
+    }
+
+    const removed = this.store.rollback(forkBlock);
+    this.logger.log(`⚠️  Reorg below block ${last}: rolled back to ${forkBlock === null ? "the start block" : forkBlock} (${removed} event(s) removed)`);
+    return { forkBlock, removed };
+  }
+
+  async _onChain(number, hash) {
+    if (hash === null) {
+      return false;
+    }
+    const block = await this.client.web3.eth.getBlock(number).catch(() => null);
+    return Boolean(block) && block.hash === hash;
+  }
+
+  // ProposalApproved only carries the approval count; remember the threshold
+  // in force at the start block so the projection can tell when it was reached
+  async _initGovernance() {
+    const { contract } = this.client.governance;
+    let required;
+    try {
+      required = await contract.methods.requiredApprovals().call({}, this.startBlock);
+    } catch (error) {
+      required = await contract.methods.requiredApprovals().call();
+    }
+    this.store.setMeta("governance.initialRequiredApprovals", required);
+    this.store.setMeta("governance.requiredApprovals", required);
+  }
+}
+
+/**
+ * Named event arguments as JSON-safe values (bigint → decimal string)
+ * @param {object} returnValues - web3 decoded event values
+ * @returns {object} Arguments by name
+ */
+function normalizeArgs(returnValues) {
+  const normalize = (value) => {
+    if (typeof value === "bigint") {
+      return value.toString();
+    }
+    return Array.isArray(value) ? value.map(normalize) : value;
+  };
+
+  const args = {};
+  for (const [name, value] of Object.entries(returnValues)) {
+    if (!/^\d+$/.test(name) && name !== "__length__") {
+      args[name] = normalize(value);
+    }
+  }
+  return args;
+}
+
+async function main() {
+  const argv = process.argv.slice(2);
+  const option = (name) => {
+    const index = argv.indexOf(name);
+    return index === -1 ? undefined : argv[index + 1];
+  };
+  const valueIndexes = ["--db", "--from-block", "--confirmations", "--interval"]
+    .map((name) => argv.indexOf(name) + 1)
+    .filter((index) => index > 0);
+  const networkName = argv.find((arg, i) => !arg.startsWith("--") && !valueIndexes.includes(i)) || "moonbase";
+  const interval = option("--interval") === undefined ? null : Number(option("--interval"));
+
+  if (interval !== null && !(interval > 0)) {
+    console.error("❌ Error: --interval must be a positive number of seconds");
+    process.exit(1);
+  }
+
+  const client = new TataPayClient({ network: networkName });
+  const store = new IndexerStore(option("--db") || IndexerStore.defaultPath(networkName));
+  const startBlock = option("--from-block") !== undefined
+    ? BigInt(option("--from-block"))
+    : Math.min(...INDEXED_CONTRACTS.map((key) => deploymentBlock(networkName, key, client[key].address)));
+  const indexer = new EventIndexer({
+    client,
+    store,
+    startBlock,
+    confirmations: option("--confirmations") === undefined ? DEFAULT_CONFIRMATIONS : Number(option("--confirmations")),
+  });
+
+  console.log(`\n📚 TataPay event indexer on ${client.network.name}`);
+  console.log("🗄️  Database:", store.filePath, "\n");
+
+  const runSync = async () => {
+    const { fromBlock, toBlock, events } = await indexer.sync();
+    if (toBlock >= fromBlock) {
+      console.log(`Indexed blocks ${fromBlock}-${toBlock}: ${events} event(s)`);
+    } else {
+      console.log(`Up to date at block ${store.getLastBlock()}`);
+    }
+  };
+
+  await runSync();
+  if (interval === null) {
+    store.close();
+    process.exit(0);
+  }
+
+  console.log(`\nSyncing every ${interval}s. Press Ctrl+C to stop.\n`);
+  let running = false;
+  const timer = setInterval(() => {
+    if (running) {
+      return;
+    }
+    running = true;
+    runSync()
+      .catch((error) => console.error("❌ Sync failed:", error.message))
+      .finally(() => {
+        running = false;
+      });
+  }, interval * 1000);
+  const shutdown = () => {
+    clearInterval(timer);
+    store.close();
+    process.exit(0);
+  };
+  process.on("SIGINT", shutdown);
+  process.on("SIGTERM", shutdown);
+}
+
+if (require.main === module) {
+  main().catch((error) => {
+    console.error("❌ Indexer failed:", error.message);
+    process.exit(1);
+  });
+}
+
+module.exports = { EventIndexer, INDEXED_CONTRACTS, REORG_WINDOW, normalizeArgs };
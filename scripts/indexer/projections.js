@@ -0,0 +1,284 @@
+const { ProposalType, decodeEnum } = require("../../sdk/enums");
+const { ZERO_REFERENCE } = require("../../sdk/references");
+
+/**
+ * Indexer projections
+ *
+ * One handler per contract event, keyed "<contract key>.<event name>",
+ * updating the derived tables from a stored event. Handlers only read the
+ * event and the tables they maintain, so replaying the events table from
+ * scratch rebuilds the same state (see IndexerStore.rollback).
+ *
+ * Events without a handler (role changes, pauses, parameter updates) stay
+ * in the events table only.
+ */
+
+const PROJECTED_TABLES = [
+  "batches",
+  "payments",
+  "collateral_movements",
+  "oracle_votes",
+  "oracles",
+  "fraud_events",
+  "proposals",
+];
+
+// FraudPrevention events with an acting address, by argument name
+const FRAUD_ACTORS = ["blockedBy", "unblockedBy", "frozenBy", "unfrozenBy", "addedBy", "removedBy"];
+
+// References are stored as bytes32, NULL when unset (zero, or an event from before references)
+function nonZeroReference(value) {
+  return value && value !== ZERO_REFERENCE ? value : null;
+}
+
+/**
+ * Record a CollateralPool balance movement
+ * @param {string} kind - Movement kind
+ * @param {function(object): object} [extra] - Extra columns from the event args
+ * @returns {function} Handler
+ */
+function movement(kind, extra = () => ({})) {
+  return (db, event) => {
+    const { args } = event;
+    const { counterparty = null, settlementId = null, note = null } = extra(args);
+    db.prepare(
+      `INSERT INTO collateral_movements
+       (block_number, log_index, tx_hash, fintech, kind, amount, settlement_id, counterparty, note, timestamp)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`
+    ).run(event.blockNumber, event.logIndex, event.txHash, args.fintech, kind, BigInt(args.amount), settlementId, counterparty, note, event.timestamp);
+  };
+}
+
+/**
+ * Record a FraudPrevention event
+ * @param {object} db - better-sqlite3 database
+ * @param {object} event - Stored event
+ */
+function fraudEvent(db, event) {
+  const { account = null, timestamp, ...rest } = event.args;
+  const actorKey = FRAUD_ACTORS.find((key) => key in rest);
+  let actor = null;
+  if (actorKey) {
+    actor = rest[actorKey];
+    delete rest[actorKey];
+  }
+  db.prepare(
+    `INSERT INTO fraud_events (block_number, log_index, tx_hash, event, account, actor, details, timestamp)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?)`
+  ).run(event.blockNumber, event.logIndex, event.txHash, event.event, account, actor, JSON.stringify(rest), event.timestamp);
+}
+
+/**
+ * Set a proposal's state (and optional columns)
+ * @param {string} state - New state
+ * @param {function(object): object} [columns] - Extra column values from the event
+ * @returns {function} Handler
+ */
+function proposalState(state, columns = () => ({})) {
+  return (db, event) => {
+    const values = { state, ...columns(event) };
+    const assignments = Object.keys(values).map((column) => `${column} = @${column}`).join(", ");
+    db.prepare(`UPDATE proposals SET ${assignments} WHERE proposal_id = @proposalId`)
+      .run({ ...values, proposalId: BigInt(event.args.proposalId) });
+  };
+}
+
+const HANDLERS = {
+  // ============ PaymentSettlement ============
+
+  "paymentSettlement.BatchCreated": (db, { args, blockNumber, txHash, timestamp }) => {
+    db.prepare(
+      `INSERT INTO batches (batch_id, fintech, reference, merchant_count, total_amount, status, created_at, block_number, tx_hash)
+       VALUES (?, ?, ?, ?, ?, 'Pending', ?, ?, ?)`
+    ).run(
+      args.batchId,
+      args.fintech,
+      nonZeroReference(args.clientReference),
+      BigInt(args.merchantCount),
+      BigInt(args.totalAmount),
+      timestamp,
+      blockNumber,
+      txHash
+    );
+  },
+
+  "paymentSettlement.PaymentScheduled": (db, { args }) => {
+    db.prepare("INSERT INTO payments (batch_id, payment_index, merchant, amount, reference) VALUES (?, ?, ?, ?, ?)")
+      .run(args.batchId, BigInt(args.index), args.merchant, BigInt(args.amount), nonZeroReference(args.paymentReference));
+  },
+
+  "paymentSettlement.BatchApproved": (db, { args, timestamp }) => {
+    db.prepare("UPDATE batches SET status = 'Processing', approved_at = ? WHERE batch_id = ?").run(timestamp, args.batchId);
+  },
+
+  "paymentSettlement.PaymentClaimed": (db, { args, txHash, timestamp }) => {
+    db.prepare(
+      `UPDATE payments SET claimed = 1, claimed_at = ?, claim_tx_hash = ?
+       WHERE rowid = (SELECT rowid FROM payments WHERE batch_id = ? AND merchant = ? AND claimed = 0 ORDER BY payment_index LIMIT 1)`
+    ).run(timestamp, txHash, args.batchId, args.merchant);
+    db.prepare("UPDATE batches SET claimed_count = claimed_count + 1, claimed_amount = claimed_amount + ? WHERE batch_id = ?")
+      .run(BigInt(args.amount), args.batchId);
+  },
+
+  "paymentSettlement.BatchCompleted": (db, { args, timestamp }) => {
+    db.prepare("UPDATE batches SET status = 'Completed', completed_at = ? WHERE batch_id = ?").run(timestamp, args.batchId);
+  },
+
+  // timeoutBatch reports itself as BatchFailed with reason "Timeout"
+  "paymentSettlement.BatchFailed": (db, { args, timestamp }) => {
+    const status = args.reason === "Timeout" ? "Timeout" : "Failed";
+    db.prepare("UPDATE batches SET status = ?, failure_reason = ?, completed_at = ? WHERE batch_id = ?")
+      .run(status, args.reason, timestamp, args.batchId);
+  },
+
+  "paymentSettlement.BatchCancelled": (db, { args, timestamp }) => {
+    db.prepare("UPDATE batches SET status = 'Failed', failure_reason = 'Cancelled', completed_at = ? WHERE batch_id = ?")
+      .run(timestamp, args.batchId);
+  },
+
+  // ============ CollateralPool ============
+
+  "collateralPool.Deposited": movement("deposit"),
+  "collateralPool.WithdrawalRequested": movement("withdrawal_requested"),
+  "collateralPool.WithdrawalCancelled": movement("withdrawal_cancelled"),
+  "collateralPool.Withdrawn": movement("withdrawal"),
+  "collateralPool.CollateralLocked": movement("lock", ({ settlementId }) => ({ settlementId })),
+  "collateralPool.CollateralUnlocked": movement("unlock", ({ settlementId }) => ({ settlementId })),
+  "collateralPool.CollateralTransferred": movement("transfer", ({ recipient, settlementId }) => ({ counterparty: recipient, settlementId })),
+  "collateralPool.CollateralSlashed": movement("slash", ({ reason }) => ({ note: reason })),
+  "collateralPool.EmergencyWithdrawal": movement("emergency_withdrawal", ({ admin }) => ({ counterparty: admin })),
+
+  // ============ SettlementOracle ============
+
+  "settlementOracle.BatchApproved": (db, { args, blockNumber, txHash, timestamp }) => {
+    db.prepare(
+      `INSERT OR REPLACE INTO oracle_votes (batch_id, oracle, vote, reason, block_number, tx_hash, timestamp)
+       VALUES (?, ?, 'approve', NULL, ?, ?, ?)`
+    ).run(args.batchId, args.oracle, blockNumber, txHash, timestamp);
+    db.prepare("UPDATE oracles SET approvals = approvals + 1, last_activity_at = ? WHERE oracle = ?").run(timestamp, args.oracle);
+  },
+
+  "settlementOracle.BatchRejected": (db, { args, blockNumber, txHash, timestamp }) => {
+    db.prepare(
+      `INSERT OR REPLACE INTO oracle_votes (batch_id, oracle, vote, reason, block_number, tx_hash, timestamp)
+       VALUES (?, ?, 'reject', ?, ?, ?, ?)`
+    ).run(args.batchId, args.oracle, args.reason, blockNumber, txHash, timestamp);
+    db.prepare("UPDATE oracles SET rejections = rejections + 1, last_activity_at = ? WHERE oracle = ?").run(timestamp, args.oracle);
+  },
+
+  // Registering again after deregistration starts from fresh counters, as on-chain
+  "settlementOracle.OracleRegistered": (db, { args, timestamp }) => {
+    db.prepare(
+      `INSERT OR REPLACE INTO oracles (oracle, stake, registered, active, registered_at, last_activity_at)
+       VALUES (?, ?, 1, 1, ?, ?)`
+    ).run(args.oracle, BigInt(args.stake), timestamp, timestamp);
+  },
+
+  "settlementOracle.OracleDeregistered": (db, { args }) => {
+    db.prepare("UPDATE oracles SET registered = 0, active = 0, stake = 0 WHERE oracle = ?").run(args.oracle);
+  },
+
+  "settlementOracle.OracleActivated": (db, { args }) => {
+    db.prepare("UPDATE oracles SET active = 1 WHERE oracle = ?").run(args.oracle);
+  },
+
+  "settlementOracle.OracleDeactivated": (db, { args }) => {
+    db.prepare("UPDATE oracles SET active = 0 WHERE oracle = ?").run(args.oracle);
+  },
+
+  "settlementOracle.OracleSlashed": (db, { args }) => {
+    db.prepare(
+      "UPDATE oracles SET stake = stake - ?, slashes = slashes + 1, slashed_amount = slashed_amount + ? WHERE oracle = ?"
+    ).run(BigInt(args.amount), BigInt(args.amount), args.oracle);
+  },
+
+  // ============ FraudPrevention ============
+
+  "fraudPrevention.AddressBlacklisted": fraudEvent,
+  "fraudPrevention.AddressUnblacklisted": fraudEvent,
+  "fraudPrevention.AddressFrozen": fraudEvent,
+  "fraudPrevention.AddressUnfrozen": fraudEvent,
+  "fraudPrevention.AddressWhitelisted": fraudEvent,
+  "fraudPrevention.AddressRemovedFromWhitelist": fraudEvent,
+  "fraudPrevention.CustomLimitsSet": fraudEvent,
+  "fraudPrevention.DefaultLimitsUpdated": fraudEvent,
+  "fraudPrevention.VelocityLimitExceeded": fraudEvent,
+  // Passing validations happen on every batch; only failures are fraud events
+  "fraudPrevention.TransactionValidated": (db, event) => {
+    if (!event.args.passed) {
+      fraudEvent(db, event);
+    }
+  },
+
+  // ============ TataPayGovernance ============
+
+  "governance.ProposalCreated": (db, { args, blockNumber, txHash, timestamp }) => {
+    db.prepare(
+      `INSERT INTO proposals (proposal_id, proposer, proposal_type, description, target, state, created_at, block_number, tx_hash)
+       VALUES (?, ?, ?, ?, ?, 'Pending', ?, ?, ?)`
+    ).run(
+      BigInt(args.proposalId),
+      args.proposer,
+      decodeEnum(ProposalType, args.proposalType),
+      args.description,
+      args.target,
+      timestamp,
+      blockNumber,
+      txHash
+    );
+  },
+
+  "governance.BatchProposalCreated": (db, { args }) => {
+    db.prepare("UPDATE proposals SET call_count = ? WHERE proposal_id = ?").run(BigInt(args.targets.length), BigInt(args.proposalId));
+  },
+
+  // approve() moves the proposal to Approved once approvals reach requiredApprovals,
+  // which the indexer tracks in meta (see EventIndexer)
+  "governance.ProposalApproved": (db, { args, timestamp }, store) => {
+    const required = BigInt(store.getMeta("governance.requiredApprovals") || "1");
+    const approvals = BigInt(args.approvals);
+    db.prepare(
+      `UPDATE proposals SET approvals = ?,
+         state = CASE WHEN ? >= ? THEN 'Approved' ELSE state END,
+         approved_at = CASE WHEN ? >= ? THEN ? ELSE approved_at END
+       WHERE proposal_id = ?`
+    ).run(approvals, approvals, required, approvals, required, timestamp, BigInt(args.proposalId));
+  },
+
+  "governance.GovernanceParametersUpdated": (db, { args }, store) => {
+    store.setMeta("governance.requiredApprovals", args.requiredApprovals);
+  },
+
+  "governance.ProposalExecuted": proposalState("Executed", ({ timestamp }) => ({ executed_at: timestamp, failure_reason: null })),
+  "governance.ProposalExecutionFailed": proposalState("Failed", ({ args }) => ({ failure_reason: args.reason })),
+  "governance.ProposalCancelled": proposalState("Cancelled"),
+  "governance.ProposalExpired": proposalState("Expired"),
+};
+
+/**
+ * Apply one stored event to the derived tables
+ * @param {import("./store").IndexerStore} store - Indexer store
+ * @param {object} event - Normalized event ({contract, event, args, blockNumber, logIndex, txHash, timestamp})
+ */
+function project(store, event) {
+  const handler = HANDLERS[`${event.contract}.${event.event}`];
+  if (handler) {
+    handler(store.db, event, store);
+  }
+}
+
+/**
+ * Empty the derived tables before a replay
+ * @param {import("./store").IndexerStore} store - Indexer store
+ */
+function resetProjections(store) {
+  for (const table of PROJECTED_TABLES) {
+    store.db.prepare(`DELETE FROM ${table}`).run();
+  }
+  const initial = store.getMeta("governance.initialRequiredApprovals");
+  if (initial !== null) {
+    store.setMeta("governance.requiredApprovals", initial);
+  }
+}
+
+module.exports = { project, resetProjections, PROJECTED_TABLES };
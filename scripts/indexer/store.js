@@ -0,0 +1,408 @@
+const fs = require("fs");
+const path = require("path");
+const Database = require("better-sqlite3");
+const { project, resetProjections, PROJECTED_TABLES } = require("./projections");
+
+/**
+ * Indexer store
+ *
+ * SQLite database holding every indexed contract event plus tables derived
+ * from them (batches, payments, collateral movements, oracle votes, oracles,
+ * fraud events, proposals).
+ *
+ * The events table is the source of truth: derived tables are only ever
+ * written by replaying events through projections.js. Rolling back a reorg
+ * deletes the orphaned events and rebuilds the derived tables from the rest,
+ * so no projection needs its own undo logic.
+ *
+ * Amounts and block numbers are SQLite integers and come back as bigint.
+ */
+
+const DEFAULT_DB_DIR = path.join(__dirname, "../../.indexer");
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS meta (
+    key TEXT PRIMARY KEY,
+    value TEXT NOT NULL
+  );
+
+  -- Hashes of indexed blocks that had events, and of each sync's last block
+  CREATE TABLE IF NOT EXISTS blocks (
+    number INTEGER PRIMARY KEY,
+    hash TEXT NOT NULL
+  );
+
+  CREATE TABLE IF NOT EXISTS events (
+    block_number INTEGER NOT NULL,
+    log_index INTEGER NOT NULL,
+    tx_hash TEXT NOT NULL,
+    contract TEXT NOT NULL,
+    event TEXT NOT NULL,
+    args TEXT NOT NULL,
+    timestamp INTEGER NOT NULL,
+    PRIMARY KEY (block_number, log_index)
+  );
+  CREATE INDEX IF NOT EXISTS events_name ON events (contract, event);
+`;
+
+// Derived tables (PROJECTED_TABLES), dropped and rebuilt when PROJECTION_VERSION changes
+const PROJECTION_SCHEMA = `
+  CREATE TABLE IF NOT EXISTS batches (
+    batch_id TEXT PRIMARY KEY,
+    fintech TEXT NOT NULL,
+    reference TEXT,
+    merchant_count INTEGER NOT NULL,
+    total_amount INTEGER NOT NULL,
+    status TEXT NOT NULL,
+    claimed_count INTEGER NOT NULL DEFAULT 0,
+    claimed_amount INTEGER NOT NULL DEFAULT 0,
+    created_at INTEGER NOT NULL,
+    approved_at INTEGER,
+    completed_at INTEGER,
+    failure_reason TEXT,
+    block_number INTEGER NOT NULL,
+    tx_hash TEXT NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS batches_fintech ON batches (fintech);
+  CREATE INDEX IF NOT EXISTS batches_status ON batches (status);
+  CREATE INDEX IF NOT EXISTS batches_reference ON batches (fintech, reference);
+
+  CREATE TABLE IF NOT EXISTS payments (
+    batch_id TEXT NOT NULL,
+    payment_index INTEGER NOT NULL,
+    merchant TEXT NOT NULL,
+    amount INTEGER NOT NULL,
+    reference TEXT,
+    claimed INTEGER NOT NULL DEFAULT 0,
+    claimed_at INTEGER,
+    claim_tx_hash TEXT,
+    PRIMARY KEY (batch_id, payment_index)
+  );
+  CREATE INDEX IF NOT EXISTS payments_merchant ON payments (merchant);
+  CREATE INDEX IF NOT EXISTS payments_reference ON payments (reference);
+
+  CREATE TABLE IF NOT EXISTS collateral_movements (
+    block_number INTEGER NOT NULL,
+    log_index INTEGER NOT NULL,
+    tx_hash TEXT NOT NULL,
+    fintech TEXT NOT NULL,
+    kind TEXT NOT NULL,
+    amount INTEGER NOT NULL,
+    settlement_id TEXT,
+    counterparty TEXT,
+    note TEXT,
+    timestamp INTEGER NOT NULL,
+    PRIMARY KEY (block_number, log_index)
+  );
+  CREATE INDEX IF NOT EXISTS collateral_movements_fintech ON collateral_movements (fintech);
+
+  CREATE TABLE IF NOT EXISTS oracle_votes (
+    batch_id TEXT NOT NULL,
+    oracle TEXT NOT NULL,
+    vote TEXT NOT NULL,
+    reason TEXT,
+    block_number INTEGER NOT NULL,
+    tx_hash TEXT NOT NULL,
+    timestamp INTEGER NOT NULL,
+    PRIMARY KEY (batch_id, oracle)
+  );
+
+  CREATE TABLE IF NOT EXISTS fraud_events (
+    block_number INTEGER NOT NULL,
+    log_index INTEGER NOT NULL,
+    tx_hash TEXT NOT NULL,
+    event TEXT NOT NULL,
+    account TEXT,
+    actor TEXT,
+    details TEXT NOT NULL,
+    timestamp INTEGER NOT NULL,
+    PRIMARY KEY (block_number, log_index)
+  );
+  CREATE INDEX IF NOT EXISTS fraud_events_account ON fraud_events (account);
+
+  CREATE TABLE IF NOT EXISTS oracles (
+    oracle TEXT PRIMARY KEY,
+    stake INTEGER NOT NULL,
+    registered INTEGER NOT NULL,
+    active INTEGER NOT NULL,
+    approvals INTEGER NOT NULL DEFAULT 0,
+    rejections INTEGER NOT NULL DEFAULT 0,
+    slashes INTEGER NOT NULL DEFAULT 0,
+    slashed_amount INTEGER NOT NULL DEFAULT 0,
+    registered_at INTEGER NOT NULL,
+    last_activity_at INTEGER NOT NULL
+  );
+
+  CREATE TABLE IF NOT EXISTS proposals (
+    proposal_id INTEGER PRIMARY KEY,
+    proposer TEXT NOT NULL,
+    proposal_type TEXT NOT NULL,
+    description TEXT NOT NULL,
+    target TEXT NOT NULL,
+    call_count INTEGER NOT NULL DEFAULT 1,
+    state TEXT NOT NULL,
+    approvals INTEGER NOT NULL DEFAULT 0,
+    created_at INTEGER NOT NULL,
+    approved_at INTEGER,
+    executed_at INTEGER,
+    failure_reason TEXT,
+    block_number INTEGER NOT NULL,
+    tx_hash TEXT NOT NULL
+  );
+`;
+
+// Bump when a projection or derived table changes so existing databases
+// recreate their derived tables and replay them
+const PROJECTION_VERSION = "4";
+
+class IndexerStore {
+  /**
+   * @param {string} filePath - SQLite file (":memory:" for tests)
+   * @param {object} [options]
+   * @param {boolean} [options.readonly=false] - Open an existing database for reads only (API server)
+   */
+  constructor(filePath, { readonly = false } = {}) {
+    this.filePath = filePath;
+    if (readonly) {
+      this.db = new Database(filePath, { readonly: true, fileMustExist: true });
+      this.db.defaultSafeIntegers(true);
+      return;
+    }
+
+    if (filePath !== ":memory:") {
+      fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    }
+    this.db = new Database(filePath);
+    this.db.defaultSafeIntegers(true);
+    if (filePath !== ":memory:") {
+      this.db.pragma("journal_mode = WAL");
+    }
+    this.db.exec(SCHEMA);
+    if (this.getMeta("projectionVersion") === PROJECTION_VERSION) {
+      this.db.exec(PROJECTION_SCHEMA);
+    } else {
+      this.db.transaction(() => {
+        for (const table of PROJECTED_TABLES) {
+          this.db.exec(`DROP TABLE IF EXISTS ${table}`);
+        }
+        this.db.exec(PROJECTION_SCHEMA);
+        this._replay();
+      })();
+      this.setMeta("projectionVersion", PROJECTION_VERSION);
+    }
+  }
+
+  /**
+   * Default database file for a network
+   * @param {string} networkName - Network key from config/networks.js
+   * @returns {string} Absolute file path
+   */
+  static defaultPath(networkName) {
+    return path.join(DEFAULT_DB_DIR, `${networkName}.sqlite`);
+  }
+
+  close() {
+    this.db.close();
+  }
+
+  // ============ Cursor and meta ============
+
+  /**
+   * @returns {bigint|null} Last fully indexed block, or null before the first sync
+   */
+  getLastBlock() {
+    const value = this.getMeta("lastBlock");
+    return value === null ? null : BigInt(value);
+  }
+
+  /**
+   * @param {string} key - Meta key
+   * @returns {string|null} Stored value
+   */
+  getMeta(key) {
+    const row = this.db.prepare("SELECT value FROM meta WHERE key = ?").get(key);
+    return row ? row.value : null;
+  }
+
+  /**
+   * @param {string} key - Meta key
+   * @param {string|bigint|number} value - Value (stored as text)
+   */
+  setMeta(key, value) {
+    this.db.prepare("INSERT INTO meta (key, value) VALUES (?, ?) ON CONFLICT (key) DO UPDATE SET value = excluded.value")
+      .run(key, String(value));
+  }
+
+  /**
+   * @param {bigint|number} number - Block number
+   * @returns {string|null} Hash recorded when the block was indexed
+   */
+  getBlockHash(number) {
+    const row = this.db.prepare("SELECT hash FROM blocks WHERE number = ?").get(BigInt(number));
+    return row ? row.hash : null;
+  }
+
+  /**
+   * Recorded blocks at or below a height, newest first (fork point search)
+   * @param {bigint|number} number - Highest block
+   * @returns {Array<{number: bigint, hash: string}>}
+   */
+  blocksAtOrBelow(number) {
+    return this.db.prepare("SELECT number, hash FROM blocks WHERE number <= ? ORDER BY number DESC").all(BigInt(number));
+  }
+
+  // ============ Writes ============
+
+  /**
+   * Store a block range atomically: its events, their projections, the
+   * block hashes and the new cursor
+   * @param {object} range
+   * @param {object[]} range.events - Normalized events ({blockNumber, logIndex, txHash, contract, event, args, timestamp}), oldest first
+   * @param {Array<{number: bigint, hash: string}>} range.blocks - Hashes to remember for reorg checks
+   * @param {bigint} range.toBlock - Last block of the range (new cursor)
+   */
+  ingest({ events, blocks, toBlock }) {
+    const insertEvent = this.db.prepare(
+      "INSERT INTO events (block_number, log_index, tx_hash, contract, event, args, timestamp) VALUES (?, ?, ?, ?, ?, ?, ?)"
+    );
+    const insertBlock = this.db.prepare("INSERT OR REPLACE INTO blocks (number, hash) VALUES (?, ?)");
+
+    this.db.transaction(() => {
+      for (const event of events) {
+        insertEvent.run(
+          event.blockNumber,
+          event.logIndex,
+          event.txHash,
+          event.contract,
+          event.event,
+          JSON.stringify(event.args),
+          event.timestamp
+        );
+        project(this, event);
+      }
+      for (const block of blocks) {
+        insertBlock.run(block.number, block.hash);
+      }
+      this.setMeta("lastBlock", toBlock);
+    })();
+  }
+
+  /**
+   * Drop everything indexed after a block and rebuild the derived tables
+   * @param {bigint|null} blockNumber - Last block to keep (null drops everything)
+   * @returns {number} Events removed
+   */
+  rollback(blockNumber) {
+    const after = blockNumber === null ? -1n : blockNumber;
+    let removed = 0;
+    this.db.transaction(() => {
+      removed = Number(this.db.prepare("DELETE FROM events WHERE block_number > ?").run(after).changes);
+      this.db.prepare("DELETE FROM blocks WHERE number > ?").run(after);
+      this._replay();
+      if (blockNumber === null) {
+        this.db.prepare("DELETE FROM meta WHERE key = 'lastBlock'").run();
+      } else {
+        this.setMeta("lastBlock", blockNumber);
+      }
+    })();
+    return removed;
+  }
+
+  /**
+   * Forget block hashes below a height (reorgs never reach that deep)
+   * @param {bigint} blockNumber - Oldest block to keep
+   */
+  pruneBlocks(blockNumber) {
+    if (this.db.prepare("DELETE FROM blocks WHERE number < ?").run(blockNumber).changes > 0) {
+      this.setMeta("prunedBelow", blockNumber);
+    }
+  }
+
+  // Rebuild the derived tables from the events table
+  _replay() {
+    resetProjections(this);
+    for (const event of this.events()) {
+      project(this, event);
+    }
+  }
+
+  // ============ Reads ============
+
+  /**
+   * Stored events, oldest first
+   * @param {object} [filter]
+   * @param {string} [filter.contract] - Contract key
+   * @param {string} [filter.event] - Event name
+   * @returns {object[]} Normalized events
+   */
+  events({ contract, event } = {}) {
+    const rows = this.db.prepare(
+      `SELECT * FROM events
+       WHERE (@contract IS NULL OR contract = @contract) AND (@event IS NULL OR event = @event)
+       ORDER BY block_number, log_index`
+    ).all({ contract: contract || null, event: event || null });
+    return rows.map((row) => ({
+      blockNumber: row.block_number,
+      logIndex: row.log_index,
+      txHash: row.tx_hash,
+      contract: row.contract,
+      event: row.event,
+      args: JSON.parse(row.args),
+      timestamp: row.timestamp,
+    }));
+  }
+
+  /**
+   * @param {string} batchId - Batch identifier
+   * @returns {object|null} Batch row (camelCase)
+   */
+  getBatch(batchId) {
+    return camelCase(this.db.prepare("SELECT * FROM batches WHERE batch_id = ?").get(batchId.toLowerCase()));
+  }
+
+  /**
+   * @param {string} batchId - Batch identifier
+   * @returns {object[]} Payment rows in index order
+   */
+  getPayments(batchId) {
+    return this.db.prepare("SELECT * FROM payments WHERE batch_id = ? ORDER BY payment_index")
+      .all(batchId.toLowerCase())
+      .map(camelCase);
+  }
+
+  /**
+   * Unclaimed payments to a merchant in Processing batches (one per batch)
+   * @param {string} merchant - Checksummed merchant address
+   * @returns {Array<{batchId: string, fintech: string, amount: bigint, createdAt: bigint}>} Oldest batch first
+   */
+  pendingClaims(merchant) {
+    return this.db.prepare(
+      `SELECT p.batch_id, b.fintech, p.amount, b.created_at
+       FROM payments p JOIN batches b ON b.batch_id = p.batch_id
+       WHERE p.merchant = ? AND p.claimed = 0 AND b.status = 'Processing'
+       ORDER BY b.block_number, p.batch_id`
+    ).all(merchant).map(camelCase);
+  }
+}
+
+// 0/1 integer columns returned as booleans
+const BOOLEAN_COLUMNS = ["claimed", "registered", "active"];
+
+/**
+ * Convert a snake_case row to a camelCase object (SQLite 0/1 flags → boolean)
+ * @param {object|undefined} row - Database row
+ * @returns {object|null} Converted row
+ */
+function camelCase(row) {
+  if (!row) {
+    return null;
+  }
+  const out = {};
+  for (const [key, value] of Object.entries(row)) {
+    const name = key.replace(/_([a-z])/g, (_, letter) => letter.toUpperCase());
+    out[name] = BOOLEAN_COLUMNS.includes(name) ? value === 1n : value;
+  }
+  return out;
+}
+
+module.exports = { IndexerStore, camelCase };
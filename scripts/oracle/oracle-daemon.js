@@ -0,0 +1,348 @@
+/**
+ * Oracle Daemon
+ *
+ * Long-running process that watches PaymentSettlement for BatchCreated
+ * events, runs each new batch through a pluggable verifier and votes on it
+ * via SettlementOracle.approveBatch / rejectBatch.
+ *
+ * Lifecycle:
+ * 1. Catch up with getPastEvents from the last persisted block
+ * 2. Follow new events: every pollInterval, and on WebSocket providers also
+ *    whenever the BatchCreated subscription fires. Either way events are
+ *    read with getPastEvents up to head - confirmations, so a subscription
+ *    event waits until its block is confirmed.
+ * 3. Persist the last fully processed block after each range
+ *
+ * Restart safety: before voting, the daemon checks SettlementOracle.batchVotes
+ * and processedBatches, so re-scanning a block range never double-votes.
+ *
+ * Verifier interface:
+ *   verifier.verify(batch) → boolean | { approved: boolean, reason?: string, retry?: boolean }
+ *   where batch = { batchId, fintech, totalAmount, merchantCount, createdAt, payments[] }
+ *
+ * A verdict with retry=true (or a verifier error) defers the batch instead of
+ * rejecting it; deferred batches are retried every pollInterval, in both
+ * modes, until they get a vote or leave the Pending state.
+ */
+
+const BATCH_STATUS_PENDING = 0n;
+const GAS_MARGIN_PERCENT = 20n;
+
+class OracleDaemon {
+  /**
+   * @param {object} options
+   * @param {import("web3").Web3} options.web3 - Connected Web3 instance
+   * @param {object} options.settlement - PaymentSettlement web3 contract
+   * @param {object} options.oracle - SettlementOracle web3 contract
+   * @param {string} options.account - Oracle account address (in web3 wallet or unlocked)
+   * @param {object} options.verifier - Object exposing verify(batch)
+   * @param {import("./state-store").StateStore} options.stateStore - Block cursor persistence
+   * @param {bigint|number} [options.startBlock] - First block to scan when no state exists
+   * @param {number} [options.pollInterval=15000] - Interval in ms between catch-ups and deferred retries
+   * @param {number} [options.confirmations=2] - Blocks to wait before processing
+   * @param {number} [options.maxBlockRange=2000] - Max blocks per getPastEvents call
+   * @param {object} [options.logger=console] - Logger with log/error
+   */
+  constructor({
+    web3,
+    settlement,
+    oracle,
+    account,
+    verifier,
+    stateStore,
+    startBlock,
+    pollInterval = 15000,
+    confirmations = 2,
+    maxBlockRange = 2000,
+    logger = console,
+  }) {
+    if (!verifier || typeof verifier.verify !== "function") {
+      throw new Error("OracleDaemon: verifier must implement verify(batch)");
+    }
+
+    this.web3 = web3;
+    this.settlement = settlement;
+    this.oracle = oracle;
+    this.account = account;
+    this.verifier = verifier;
+    this.stateStore = stateStore;
+    this.startBlock = startBlock === undefined ? null : BigInt(startBlock);
+    this.pollInterval = pollInterval;
+    this.confirmations = BigInt(confirmations);
+    this.maxBlockRange = BigInt(maxBlockRange);
+    this.logger = logger;
+
+    this.running = false;
+    this.timer = null;
+    this.subscription = null;
+    this.queue = Promise.resolve();
+  }
+
+  /**
+   * Catch up on missed events, then follow new ones
+   */
+  async start() {
+    this.stateStore.load();
+    this.running = true;
+
+    await this.catchUp();
+
+    if (this._supportsSubscriptions()) {
+      await this._subscribe();
+    }
+    this._schedulePoll();
+  }
+
+  /**
+   * Stop following events; waits for the in-flight batch to finish
+   */
+  async stop() {
+    this.running = false;
+
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+
+    if (this.subscription) {
+      await this.subscription.unsubscribe();
+      this.subscription = null;
+    }
+
+    await this.queue;
+  }
+
+  /**
+   * Scan BatchCreated events from the persisted cursor up to the confirmed head
+   * @param {object} [options]
+   * @param {boolean} [options.retryDeferred=true] - Also retry deferred batches
+   */
+  async catchUp({ retryDeferred = true } = {}) {
+    return this._enqueue(async () => {
+      const deferred = this.stateStore.getDeferredBatches();
+      const head = await this.web3.eth.getBlockNumber();
+      const toBlock = head - this.confirmations;
+      let fromBlock = this._nextBlock(head);
+
+      // Pin the cursor on first run so later polls continue from here
+      if (this.stateStore.getLastProcessedBlock() === null) {
+        this.stateStore.setLastProcessedBlock(fromBlock - 1n);
+      }
+
+      while (fromBlock <= toBlock) {
+        const rangeEnd = fromBlock + this.maxBlockRange - 1n < toBlock
+          ? fromBlock + this.maxBlockRange - 1n
+          : toBlock;
+
+        const events = await this.settlement.getPastEvents("BatchCreated", {
+          fromBlock,
+          toBlock: rangeEnd,
+        });
+
+        for (const event of events) {
+          await this._handleEvent(event);
+        }
+
+        this.stateStore.setLastProcessedBlock(rangeEnd);
+        fromBlock = rangeEnd + 1n;
+      }
+
+      if (retryDeferred) {
+        await this._retryDeferred(deferred);
+      }
+    });
+  }
+
+  /**
+   * Verify a single batch and cast this oracle's vote
+   * @param {string} batchId - Batch identifier
+   * @returns {Promise<string>} Outcome: "approved", "rejected", "deferred" or "skipped"
+   */
+  async processBatch(batchId) {
+    const alreadyVoted = await this.oracle.methods.batchVotes(batchId, this.account).call();
+    if (alreadyVoted) {
+      this.logger.log(`  ⏭️  ${batchId}: already voted`);
+      return "skipped";
+    }
+
+    const processed = await this.oracle.methods.processedBatches(batchId).call();
+    if (processed) {
+      this.logger.log(`  ⏭️  ${batchId}: already processed by oracle consensus`);
+      return "skipped";
+    }
+
+    const batch = await this._loadBatch(batchId);
+    if (BigInt(batch.status) !== BATCH_STATUS_PENDING) {
+      this.logger.log(`  ⏭️  ${batchId}: no longer pending (status ${batch.status})`);
+      return "skipped";
+    }
+
+    const { approved, reason, retry } = normalizeVerdict(await this.verifier.verify(batch));
+
+    if (retry) {
+      this.logger.log(`  ⏳ ${batchId}: deferred (${reason})`);
+      return "deferred";
+    }
+
+    if (approved) {
+      const tx = await this._send(this.oracle.methods.approveBatch(batchId));
+      this.logger.log(`  ✅ Approved ${batchId}`);
+      this.logger.log(`     Tx: ${tx.transactionHash}`);
+      return "approved";
+    }
+
+    const tx = await this._send(this.oracle.methods.rejectBatch(batchId, reason));
+    this.logger.log(`  ❌ Rejected ${batchId}: ${reason}`);
+    this.logger.log(`     Tx: ${tx.transactionHash}`);
+    return "rejected";
+  }
+
+  // ============ Internal ============
+
+  async _handleEvent(event) {
+    const { batchId, fintech, merchantCount } = event.returnValues;
+    this.logger.log(`[${new Date().toISOString()}] BatchCreated ${batchId} (block ${event.blockNumber})`);
+    this.logger.log(`  Fintech: ${fintech}, merchants: ${merchantCount}`);
+
+    await this._attempt(batchId);
+  }
+
+  async _attempt(batchId) {
+    let outcome;
+    try {
+      outcome = await this.processBatch(batchId);
+    } catch (error) {
+      // Provider outages and vote races land here; the retry re-checks
+      // batchVotes and batch status, so deferring is always safe.
+      this.logger.error(`  ⚠️  Failed to process ${batchId}: ${error.message}`);
+      outcome = "deferred";
+    }
+
+    if (outcome === "deferred") {
+      this.stateStore.deferBatch(batchId);
+    } else {
+      this.stateStore.clearDeferredBatch(batchId);
+    }
+    return outcome;
+  }
+
+  async _retryDeferred(batchIds) {
+    for (const batchId of batchIds) {
+      this.logger.log(`[${new Date().toISOString()}] Retrying deferred batch ${batchId}`);
+      await this._attempt(batchId);
+    }
+  }
+
+  async _loadBatch(batchId) {
+    const batch = await this.settlement.methods.getBatch(batchId).call();
+    const payments = [];
+
+    for (let i = 0n; i < BigInt(batch.merchantCount); i++) {
+      const payment = await this.settlement.methods.getPayment(batchId, i).call();
+      payments.push({
+        index: Number(i),
+        merchant: payment.merchant,
+        amount: BigInt(payment.amount),
+        claimed: payment.claimed,
+      });
+    }
+
+    return {
+      batchId,
+      fintech: batch.fintech,
+      totalAmount: BigInt(batch.totalAmount),
+      status: batch.status,
+      merchantCount: Number(batch.merchantCount),
+      createdAt: Number(batch.createdAt),
+      payments,
+    };
+  }
+
+  async _send(method) {
+    const estimated = await method.estimateGas({ from: this.account });
+    const gas = BigInt(estimated) + (BigInt(estimated) * GAS_MARGIN_PERCENT) / 100n;
+    return method.send({ from: this.account, gas: gas.toString() });
+  }
+
+  _nextBlock(head) {
+    const last = this.stateStore.getLastProcessedBlock();
+    if (last !== null) {
+      return last + 1n;
+    }
+    if (this.startBlock !== null) {
+      return this.startBlock;
+    }
+    return head;
+  }
+
+  _supportsSubscriptions() {
+    const provider = this.web3.currentProvider;
+    return Boolean(
+      provider &&
+      typeof provider.supportsSubscriptions === "function" &&
+      provider.supportsSubscriptions()
+    );
+  }
+
+  async _subscribe() {
+    const fromBlock = this.stateStore.getLastProcessedBlock() + 1n;
+    this.subscription = this.settlement.events.BatchCreated({ fromBlock });
+
+    // The event only wakes the daemon: catchUp reads it back once its block
+    // is confirmed, here or on a later tick, and moves the cursor
+    this.subscription.on("data", () => {
+      if (!this.running) {
+        return;
+      }
+      this.catchUp({ retryDeferred: false }).catch((error) => this.logger.error("❌ Error:", error.message));
+    });
+
+    this.subscription.on("error", (error) => {
+      this.logger.error("❌ Subscription error:", error.message);
+    });
+
+    this.logger.log("📡 Subscribed to BatchCreated events");
+  }
+
+  _schedulePoll() {
+    if (!this.running) {
+      return;
+    }
+
+    this.timer = setTimeout(async () => {
+      try {
+        await this.catchUp();
+      } catch (error) {
+        this.logger.error("❌ Error:", error.message);
+      }
+      this._schedulePoll();
+    }, this.pollInterval);
+  }
+
+  _enqueue(task) {
+    // Serialize all work so votes are sent one at a time (single nonce stream)
+    const run = this.queue.then(task);
+    this.queue = run.catch(() => {});
+    return run;
+  }
+}
+
+/**
+ * Normalize a verifier result into { approved, reason, retry }
+ * @param {boolean|object} verdict - Verifier return value
+ * @returns {{approved: boolean, reason: string, retry: boolean}}
+ */
+function normalizeVerdict(verdict) {
+  if (typeof verdict === "boolean") {
+    return { approved: verdict, reason: verdict ? "" : "Verification failed", retry: false };
+  }
+
+  const approved = Boolean(verdict && verdict.approved);
+  return {
+    approved,
+    reason: (verdict && verdict.reason) || (approved ? "" : "Verification failed"),
+    retry: Boolean(verdict && verdict.retry),
+  };
+}
+
+module.exports = { OracleDaemon, normalizeVerdict };
@@ -1,17 +1,34 @@
 const { Web3 } = require("web3");
 require("dotenv").config();
 const networks = require("../../config/networks");
+const { requireManifest } = require("../../config/deployments");
+const { OracleDaemon } = require("./oracle-daemon");
+const { StateStore } = require("./state-store");
+const { createVerifier, verifierNames } = require("./verifiers");
 
 /**
- * Oracle Automation Script
+ * Oracle Automation Daemon
  *
- * Monitors PaymentSettlement for pending batches and approves them.
- * Run this script continuously or via cron for automated oracle operations.
+ * Watches PaymentSettlement for BatchCreated events, verifies each batch
+ * and votes on it through SettlementOracle.approveBatch / rejectBatch.
+ * Progress is persisted so the daemon resumes where it stopped; batches
+ * already voted on (SettlementOracle.batchVotes) are skipped.
  *
  * Prerequisites:
- * - Oracle account must have ORACLE_ROLE on PaymentSettlement
+ * - Oracle account must be registered and active on SettlementOracle
+ * - SettlementOracle contract must hold ORACLE_ROLE on PaymentSettlement
  * - Oracle account must have sufficient DEV tokens for gas
  *
+ * Environment:
+ * - ORACLE1_PRIVATE_KEY   Oracle account key (required)
+ * - ORACLE_VERIFIER       Payment provider: "paystack" or "flutterwave" (required)
+ * - PAYSTACK_SECRET_KEY / FLUTTERWAVE_SECRET_KEY  Provider credentials
+ * - PAYSTACK_BASE_URL / FLUTTERWAVE_BASE_URL      Optional API override (e.g. stub server)
+ * - ORACLE_STATE_FILE     State file path (default: .oracle-state/<network>-<oracle>.json)
+ * - ORACLE_START_BLOCK    First block to scan on a fresh state (default: current block)
+ * - ORACLE_POLL_INTERVAL  Catch-up and deferred-retry interval in ms (default: 15000)
+ * - ORACLE_CONFIRMATIONS  Blocks to wait before processing (default: 2)
+ *
  * Usage:
  *   node scripts/oracle/process-pending-batches.js [network]
  *
@@ -22,6 +39,7 @@ const networks = require("../../config/networks");
 async function main() {
   const networkName = process.argv[2] || "moonbase";
   const network = networks.getNetwork(networkName);
+  requireManifest(networkName);
   const web3 = new Web3(network.rpcUrl);
 
   // Load oracle account (you can use ORACLE1_PRIVATE_KEY or a dedicated oracle key)
@@ -30,95 +48,85 @@ async function main() {
     process.exit(1);
   }
 
-  const oracle = web3.eth.accounts.privateKeyToAccount(process.env.ORACLE1_PRIVATE_KEY);
-  web3.eth.accounts.wallet.add(oracle);
+  if (!verifierNames.includes(process.env.ORACLE_VERIFIER)) {
+    console.error(`❌ Error: ORACLE_VERIFIER must be one of: ${verifierNames.join(", ")}`);
+    process.exit(1);
+  }
+
+  const verifier = createVerifier(process.env.ORACLE_VERIFIER);
 
-  console.log("\n🔮 TataPay Oracle Automation");
+  const oracleAccount = web3.eth.accounts.privateKeyToAccount(process.env.ORACLE1_PRIVATE_KEY);
+  web3.eth.accounts.wallet.add(oracleAccount);
+
+  console.log("\n🔮 TataPay Oracle Daemon");
   console.log("Network:", network.name);
-  console.log("Oracle:", oracle.address);
+  console.log("Oracle:", oracleAccount.address);
   console.log("PaymentSettlement:", network.contracts.paymentSettlement);
+  console.log("SettlementOracle:", network.contracts.settlementOracle);
+  console.log("Verifier:", process.env.ORACLE_VERIFIER);
   console.log();
 
-  // Load contract
+  // Load contracts
   const PaymentSettlement = require("../../artifacts/contracts/core/PaymentSettlement.sol/PaymentSettlement.json");
+  const SettlementOracle = require("../../artifacts/contracts/core/SettlementOracle.sol/SettlementOracle.json");
   const settlement = new web3.eth.Contract(PaymentSettlement.abi, network.contracts.paymentSettlement);
+  const oracle = new web3.eth.Contract(SettlementOracle.abi, network.contracts.settlementOracle);
 
-  // Verify oracle has ORACLE_ROLE
-  const ORACLE_ROLE = await settlement.methods.ORACLE_ROLE().call();
-  const hasRole = await settlement.methods.hasRole(ORACLE_ROLE, oracle.address).call();
-
-  if (!hasRole) {
-    console.error("❌ Error: Oracle does not have ORACLE_ROLE");
-    console.error("   Run: node scripts/utils/grant-oracle-role.js");
+  // Verify oracle is registered and active
+  const info = await oracle.methods.getOracleInfo(oracleAccount.address).call();
+  if (!info.isRegistered || !info.isActive) {
+    console.error("❌ Error: Oracle is not registered and active on SettlementOracle");
+    console.error("   Run: node scripts/oracle/register-oracle.js");
     process.exit(1);
   }
 
-  console.log("✅ Oracle role verified");
-  console.log("\n📡 Listening for pending batches...\n");
-
-  // In production, you would:
-  // 1. Listen to BatchCreated events via web3 event subscription
-  // 2. Validate batch via external API (Paystack/Flutterwave)
-  // 3. Approve or reject batch based on validation
-
-  // For this demo, we'll check for pending batches manually
-  // Note: A production system would use event listeners and webhooks
-
-  const interval = 30000; // Check every 30 seconds
-  let lastCheck = Date.now();
-
-  setInterval(async () => {
-    try {
-      const now = Date.now();
-      console.log(`[${new Date(now).toISOString()}] Checking for pending batches...`);
-
-      // In a production system, you would:
-      // - Listen to BatchCreated events
-      // - Query your backend API for payment verification
-      // - Call approveBatch() or rejectBatch() based on verification
-
-      // For now, log status
-      const balance = await web3.eth.getBalance(oracle.address);
-      console.log(`  Oracle balance: ${web3.utils.fromWei(balance, "ether")} ${network.nativeCurrency.symbol}`);
-
-      // Example: Process a specific batch (in production, get from events)
-      // const batchId = "0x...";
-      // const batch = await settlement.methods.getBatch(batchId).call();
-      //
-      // if (batch.status === "0") { // Pending
-      //   console.log(`  Found pending batch: ${batchId}`);
-      //
-      //   // Verify batch via external API
-      //   const isValid = await verifyBatchWithPaymentProvider(batch);
-      //
-      //   if (isValid) {
-      //     const tx = await settlement.methods.approveBatch(batchId).send({
-      //       from: oracle.address,
-      //       gas: 500000
-      //     });
-      //     console.log(`  ✅ Approved batch: ${batchId}`);
-      //     console.log(`  Tx: ${tx.transactionHash}`);
-      //   } else {
-      //     console.log(`  ❌ Batch verification failed: ${batchId}`);
-      //   }
-      // }
-
-      lastCheck = now;
-    } catch (error) {
-      console.error("❌ Error:", error.message);
-    }
-  }, interval);
-
-  console.log(`Monitoring every ${interval / 1000}s. Press Ctrl+C to stop.\n`);
-}
+  // Verify SettlementOracle can forward decisions to PaymentSettlement
+  const target = await oracle.methods.paymentSettlement().call();
+  if (target.toLowerCase() !== network.contracts.paymentSettlement.toLowerCase()) {
+    console.error(`❌ Error: SettlementOracle forwards to ${target}, not PaymentSettlement`);
+    console.error(`   Redeploy: node scripts/deploy/deploy-all.js ${networkName}`);
+    process.exit(1);
+  }
+  const ORACLE_ROLE = await settlement.methods.ORACLE_ROLE().call();
+  const linked = await settlement.methods.hasRole(ORACLE_ROLE, network.contracts.settlementOracle).call();
+  if (!linked) {
+    console.error("❌ Error: SettlementOracle does not have ORACLE_ROLE on PaymentSettlement");
+    console.error(`   Run: node scripts/deploy/deploy-all.js ${networkName}`);
+    process.exit(1);
+  }
 
-// Example payment provider verification (implement based on your provider)
-async function verifyBatchWithPaymentProvider(batch) {
-  // TODO: Implement actual verification logic
-  // - Call Paystack/Flutterwave API
-  // - Verify payment status
-  // - Return true if valid, false otherwise
-  return true;
+  console.log("✅ Oracle registration and role wiring verified");
+
+  const stateStore = new StateStore(
+    process.env.ORACLE_STATE_FILE || StateStore.defaultPath(networkName, oracleAccount.address)
+  );
+
+  const daemon = new OracleDaemon({
+    web3,
+    settlement,
+    oracle,
+    account: oracleAccount.address,
+    verifier,
+    stateStore,
+    startBlock: process.env.ORACLE_START_BLOCK,
+    pollInterval: parseInt(process.env.ORACLE_POLL_INTERVAL || "15000"),
+    confirmations: parseInt(process.env.ORACLE_CONFIRMATIONS || "2"),
+  });
+
+  const shutdown = async () => {
+    console.log("\n🛑 Stopping oracle daemon...");
+    await daemon.stop();
+    process.exit(0);
+  };
+  process.on("SIGINT", shutdown);
+  process.on("SIGTERM", shutdown);
+
+  console.log(`State file: ${stateStore.filePath}`);
+  console.log("\n📡 Catching up on BatchCreated events...\n");
+
+  await daemon.start();
+
+  console.log(`\nFollowing new batches (last processed block: ${stateStore.getLastProcessedBlock()}). Press Ctrl+C to stop.\n`);
 }
 
 main().catch((error) => {
@@ -1,24 +1,27 @@
 const { Web3 } = require("web3");
 require("dotenv").config();
 const networks = require("../../config/networks");
+const { requireManifest } = require("../../config/deployments");
 
 /**
  * Oracle Registration Script
  *
  * Registers an oracle with the SettlementOracle contract.
- * Requires staking USDC as collateral (minimum stake defined in contract).
+ * Stakes the contract's minimum stake in USDC (the token returned by
+ * SettlementOracle.USDC()), approving it first if the allowance is short.
+ * Slashed stake is sent to the SettlementOracle treasury.
  *
  * Usage:
  *   node scripts/oracle/register-oracle.js [network]
  *
  * Prerequisites:
  * - Oracle account must have sufficient USDC for staking
- * - USDC must be approved for SettlementOracle contract
  */
 
 async function main() {
   const networkName = process.argv[2] || "moonbase";
   const network = networks.getNetwork(networkName);
+  requireManifest(networkName);
   const web3 = new Web3(network.rpcUrl);
 
   // Load oracle account
@@ -41,41 +44,45 @@ async function main() {
   const SimpleUSDC = require("../../artifacts/contracts/mocks/SimpleUSDC.sol/SimpleUSDC.json");
 
   const settlementOracle = new web3.eth.Contract(SettlementOracle.abi, network.contracts.settlementOracle);
-  const usdc = new web3.eth.Contract(SimpleUSDC.abi, network.contracts.usdc);
+  const usdc = new web3.eth.Contract(SimpleUSDC.abi, await settlementOracle.methods.USDC().call());
 
   // Get minimum stake requirement
-  const minStake = await settlementOracle.methods.minimumStake().call();
+  const minStake = BigInt(await settlementOracle.methods.minimumStake().call());
   console.log(`Minimum stake required: ${Number(minStake) / 1e6} USDC`);
 
   // Check oracle balance
-  const balance = await usdc.methods.balanceOf(oracle.address).call();
+  const balance = BigInt(await usdc.methods.balanceOf(oracle.address).call());
   console.log(`Oracle USDC balance: ${Number(balance) / 1e6} USDC`);
 
-  if (Number(balance) < Number(minStake)) {
+  // Check if already registered
+  const existing = await settlementOracle.methods.getOracleInfo(oracle.address).call();
+  if (existing.isRegistered) {
+    console.log("\n✅ Oracle already registered!");
+    console.log(`   Stake: ${Number(existing.stake) / 1e6} USDC`);
+    console.log(`   Active: ${existing.isActive}`);
+    process.exit(0);
+  }
+
+  if (balance < minStake) {
     console.error("\n❌ Error: Insufficient USDC balance for registration");
     console.error(`   Required: ${Number(minStake) / 1e6} USDC`);
     console.error(`   Available: ${Number(balance) / 1e6} USDC`);
     process.exit(1);
   }
 
-  // Check if already registered
-  const isRegistered = await settlementOracle.methods.isOracleRegistered(oracle.address).call();
-  if (isRegistered) {
-    console.log("\n✅ Oracle already registered!");
-    const oracleInfo = await settlementOracle.methods.oracles(oracle.address).call();
-    console.log(`   Stake: ${Number(oracleInfo.stake) / 1e6} USDC`);
-    console.log(`   Active: ${oracleInfo.isActive}`);
-    process.exit(0);
-  }
-
-  // Approve USDC
+  // Approve USDC stake
   console.log("\n1️⃣  Approving USDC...");
-  const approveTx = await usdc.methods.approve(network.contracts.settlementOracle, minStake).send({
-    from: oracle.address,
-    gas: 100000
-  });
-  console.log("   ✅ USDC approved");
-  console.log("   Tx:", approveTx.transactionHash);
+  const allowance = BigInt(await usdc.methods.allowance(oracle.address, network.contracts.settlementOracle).call());
+  if (allowance >= minStake) {
+    console.log("   ✅ USDC already approved");
+  } else {
+    const approveTx = await usdc.methods.approve(network.contracts.settlementOracle, minStake).send({
+      from: oracle.address,
+      gas: 100000
+    });
+    console.log("   ✅ USDC approved");
+    console.log("   Tx:", approveTx.transactionHash);
+  }
 
   // Register oracle
   console.log("\n2️⃣  Registering oracle...");
@@ -89,11 +96,11 @@ async function main() {
     console.log("   Tx:", registerTx.transactionHash);
 
     // Verify registration
-    const oracleInfo = await settlementOracle.methods.oracles(oracle.address).call();
+    const oracleInfo = await settlementOracle.methods.getOracleInfo(oracle.address).call();
     console.log("\n3️⃣  Verification:");
     console.log(`   Stake: ${Number(oracleInfo.stake) / 1e6} USDC`);
     console.log(`   Active: ${oracleInfo.isActive}`);
-    console.log(`   Is Registered: ${await settlementOracle.methods.isOracleRegistered(oracle.address).call()}`);
+    console.log(`   Is Registered: ${oracleInfo.isRegistered}`);
 
   } catch (error) {
     console.error("\n❌ Registration failed:", error.message);
@@ -0,0 +1,107 @@
+const fs = require("fs");
+const path = require("path");
+
+/**
+ * Oracle daemon state store
+ *
+ * Persists the last fully processed block to a small JSON file so the
+ * daemon can resume its BatchCreated catch-up after a restart.
+ *
+ * It also keeps the batches whose verification was deferred (transfers
+ * still pending, provider unreachable) so they are retried after a restart.
+ *
+ * Votes themselves are never cached here: SettlementOracle.batchVotes is
+ * the source of truth for whether this oracle already voted on a batch.
+ */
+
+const DEFAULT_STATE_DIR = path.join(__dirname, "../../.oracle-state");
+
+class StateStore {
+  /**
+   * @param {string} filePath - JSON file to read/write
+   */
+  constructor(filePath) {
+    this.filePath = filePath;
+    this.state = { lastProcessedBlock: null, deferredBatches: [] };
+  }
+
+  /**
+   * Default state file for a network/oracle pair
+   * @param {string} networkName - Network key from config/networks.js
+   * @param {string} oracleAddress - Oracle account address
+   * @returns {string} Absolute file path
+   */
+  static defaultPath(networkName, oracleAddress) {
+    return path.join(DEFAULT_STATE_DIR, `${networkName}-${oracleAddress.toLowerCase()}.json`);
+  }
+
+  /**
+   * Load state from disk (missing file = fresh state)
+   * @returns {object} Loaded state
+   */
+  load() {
+    if (fs.existsSync(this.filePath)) {
+      this.state = { ...this.state, ...JSON.parse(fs.readFileSync(this.filePath, "utf8")) };
+    }
+    return this.state;
+  }
+
+  /**
+   * @returns {bigint|null} Last processed block, or null on first run
+   */
+  getLastProcessedBlock() {
+    const block = this.state.lastProcessedBlock;
+    return block === null || block === undefined ? null : BigInt(block);
+  }
+
+  /**
+   * Record a fully processed block and flush to disk
+   * @param {bigint|number} blockNumber - Block number
+   */
+  setLastProcessedBlock(blockNumber) {
+    this.state.lastProcessedBlock = blockNumber.toString();
+    this.state.updatedAt = new Date().toISOString();
+    this._flush();
+  }
+
+  /**
+   * @returns {string[]} Batch IDs awaiting another verification attempt
+   */
+  getDeferredBatches() {
+    return [...this.state.deferredBatches];
+  }
+
+  /**
+   * Mark a batch for retry on the next cycle
+   * @param {string} batchId - Batch identifier
+   */
+  deferBatch(batchId) {
+    if (!this.state.deferredBatches.includes(batchId)) {
+      this.state.deferredBatches.push(batchId);
+      this._flush();
+    }
+  }
+
+  /**
+   * Remove a batch from the retry list
+   * @param {string} batchId - Batch identifier
+   */
+  clearDeferredBatch(batchId) {
+    const remaining = this.state.deferredBatches.filter((id) => id !== batchId);
+    if (remaining.length !== this.state.deferredBatches.length) {
+      this.state.deferredBatches = remaining;
+      this._flush();
+    }
+  }
+
+  _flush() {
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+
+    // Write-then-rename so a crash never leaves a truncated state file
+    const tmpPath = `${this.filePath}.tmp`;
+    fs.writeFileSync(tmpPath, JSON.stringify(this.state, null, 2));
+    fs.renameSync(tmpPath, this.filePath);
+  }
+}
+
+module.exports = { StateStore };
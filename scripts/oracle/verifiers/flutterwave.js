@@ -0,0 +1,88 @@
+const { getJson } = require("./http");
+
+/**
+ * Flutterwave transfer-status adapter
+ *
+ * Looks up transfers with GET /v3/transfers?reference=:reference.
+ * Flutterwave amounts are decimal major units (e.g. 1500.5), converted here
+ * to minor units so the verifier can compare exact integers.
+ */
+
+const DEFAULT_BASE_URL = "https://api.flutterwave.com";
+
+const STATUS_MAP = {
+  SUCCESSFUL: "success",
+  NEW: "pending",
+  PENDING: "pending",
+  FAILED: "failed",
+};
+
+/**
+ * Convert a decimal major-unit amount to integer minor units
+ * @param {number|string} amount - Major units
+ * @param {number} decimals - Minor-unit decimals
+ * @returns {bigint} Minor units
+ */
+function majorToMinor(amount, decimals) {
+  const [whole, fraction = ""] = String(amount).split(".");
+  if (fraction.length > decimals) {
+    throw new Error(`Flutterwave amount ${amount} has more than ${decimals} decimals`);
+  }
+  return BigInt(whole + fraction.padEnd(decimals, "0"));
+}
+
+class FlutterwaveAdapter {
+  /**
+   * @param {object} options
+   * @param {string} options.secretKey - Flutterwave secret key
+   * @param {string} [options.baseUrl] - API base URL (override for the stub server)
+   * @param {number} [options.timeout] - Request timeout in ms
+   */
+  constructor({ secretKey, baseUrl = DEFAULT_BASE_URL, timeout }) {
+    if (!secretKey) {
+      throw new Error("FlutterwaveAdapter: secretKey is required");
+    }
+
+    this.name = "flutterwave";
+    this.currencyDecimals = 2;
+    this.secretKey = secretKey;
+    this.baseUrl = baseUrl.replace(/\/$/, "");
+    this.timeout = timeout;
+  }
+
+  /**
+   * @param {string} reference - Transfer reference
+   * @returns {Promise<object|null>} Normalized transfer, or null if unknown
+   * @throws {Error} On provider errors and unrecognised transfer statuses (caller should retry)
+   */
+  async fetchTransfer(reference) {
+    const { status, body } = await getJson(
+      `${this.baseUrl}/v3/transfers?reference=${encodeURIComponent(reference)}`,
+      { secretKey: this.secretKey, timeout: this.timeout }
+    );
+
+    if (status === 404 || !body || body.status !== "success" || !Array.isArray(body.data)) {
+      return null;
+    }
+
+    const data = body.data.find((transfer) => transfer.reference === reference);
+    if (!data) {
+      return null;
+    }
+
+    const transferStatus = STATUS_MAP[data.status];
+    if (!transferStatus) {
+      throw new Error(`Unknown Flutterwave transfer status "${data.status}" for ${reference}`);
+    }
+
+    return {
+      reference: data.reference,
+      status: transferStatus,
+      amount: majorToMinor(data.amount, this.currencyDecimals),
+      currency: data.currency,
+      metadata: data.meta || {},
+    };
+  }
+}
+
+module.exports = { FlutterwaveAdapter, majorToMinor };
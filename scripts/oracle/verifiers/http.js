@@ -0,0 +1,34 @@
+/**
+ * Minimal JSON-over-HTTP helper shared by provider adapters
+ */
+
+const DEFAULT_TIMEOUT_MS = 10000;
+
+/**
+ * GET a JSON resource with bearer authentication
+ * @param {string} url - Absolute URL
+ * @param {object} options
+ * @param {string} options.secretKey - Provider secret key (Bearer token)
+ * @param {number} [options.timeout] - Request timeout in ms
+ * @returns {Promise<{status: number, body: object|null}>} HTTP status (2xx or 404) and parsed body
+ * @throws {Error} On network errors, timeouts and any other status (caller should retry):
+ *   401/403 mean a bad or rotated key and 429 throttling, never an unknown transfer
+ */
+async function getJson(url, { secretKey, timeout = DEFAULT_TIMEOUT_MS }) {
+  const response = await fetch(url, {
+    headers: {
+      Authorization: `Bearer ${secretKey}`,
+      Accept: "application/json",
+    },
+    signal: AbortSignal.timeout(timeout),
+  });
+
+  if (response.status !== 404 && (response.status < 200 || response.status >= 300)) {
+    throw new Error(`Provider error ${response.status} for ${url}`);
+  }
+
+  const text = await response.text();
+  return { status: response.status, body: text ? JSON.parse(text) : null };
+}
+
+module.exports = { getJson, DEFAULT_TIMEOUT_MS };
@@ -0,0 +1,57 @@
+const { ProviderVerifier, defaultReference } = require("./provider-verifier");
+const { PaystackAdapter } = require("./paystack");
+const { FlutterwaveAdapter } = require("./flutterwave");
+
+/**
+ * Oracle verifier registry
+ *
+ * Builds the verifier used by the oracle daemon from environment settings:
+ *   ORACLE_VERIFIER          "paystack" | "flutterwave"
+ *   PAYSTACK_SECRET_KEY      Paystack secret key
+ *   PAYSTACK_BASE_URL        Optional API base URL (e.g. local stub server)
+ *   FLUTTERWAVE_SECRET_KEY   Flutterwave secret key
+ *   FLUTTERWAVE_BASE_URL     Optional API base URL (e.g. local stub server)
+ *   ORACLE_VERIFIER_CURRENCY Optional transfer currency code (default "USD")
+ *   ORACLE_VERIFIER_FX_RATE  Currency units per 1 USDC; required unless USD
+ *   ORACLE_VERIFIER_FX_TOLERANCE_BPS Optional allowed FX deviation (default 0)
+ */
+
+const ADAPTERS = {
+  paystack: (env) => new PaystackAdapter({
+    secretKey: env.PAYSTACK_SECRET_KEY,
+    baseUrl: env.PAYSTACK_BASE_URL || undefined,
+  }),
+  flutterwave: (env) => new FlutterwaveAdapter({
+    secretKey: env.FLUTTERWAVE_SECRET_KEY,
+    baseUrl: env.FLUTTERWAVE_BASE_URL || undefined,
+  }),
+};
+
+/**
+ * Create a verifier by provider name
+ * @param {string} name - Provider name ("paystack" or "flutterwave")
+ * @param {object} [env=process.env] - Environment to read settings from
+ * @returns {ProviderVerifier} Verifier exposing verify(batch)
+ */
+function createVerifier(name, env = process.env) {
+  const factory = ADAPTERS[name];
+  if (!factory) {
+    throw new Error(`Unknown verifier: ${name}. Use ${Object.keys(ADAPTERS).join(" or ")}`);
+  }
+
+  return new ProviderVerifier({
+    adapter: factory(env),
+    currency: env.ORACLE_VERIFIER_CURRENCY || undefined,
+    fxRate: env.ORACLE_VERIFIER_FX_RATE || undefined,
+    fxToleranceBps: env.ORACLE_VERIFIER_FX_TOLERANCE_BPS ? Number(env.ORACLE_VERIFIER_FX_TOLERANCE_BPS) : undefined,
+  });
+}
+
+module.exports = {
+  createVerifier,
+  ProviderVerifier,
+  PaystackAdapter,
+  FlutterwaveAdapter,
+  defaultReference,
+  verifierNames: Object.keys(ADAPTERS),
+};
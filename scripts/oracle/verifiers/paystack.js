@@ -0,0 +1,76 @@
+const { getJson } = require("./http");
+
+/**
+ * Paystack transfer-status adapter
+ *
+ * Looks up transfers with GET /transfer/verify/:reference.
+ * Paystack amounts are in the currency's subunit (kobo for NGN, cents for USD).
+ */
+
+const DEFAULT_BASE_URL = "https://api.paystack.co";
+
+const STATUS_MAP = {
+  success: "success",
+  pending: "pending",
+  otp: "pending",
+  received: "pending",
+  queued: "pending",
+  processing: "pending",
+  failed: "failed",
+  reversed: "reversed",
+  abandoned: "failed",
+  blocked: "failed",
+  rejected: "failed",
+};
+
+class PaystackAdapter {
+  /**
+   * @param {object} options
+   * @param {string} options.secretKey - Paystack secret key
+   * @param {string} [options.baseUrl] - API base URL (override for the stub server)
+   * @param {number} [options.timeout] - Request timeout in ms
+   */
+  constructor({ secretKey, baseUrl = DEFAULT_BASE_URL, timeout }) {
+    if (!secretKey) {
+      throw new Error("PaystackAdapter: secretKey is required");
+    }
+
+    this.name = "paystack";
+    this.currencyDecimals = 2;
+    this.secretKey = secretKey;
+    this.baseUrl = baseUrl.replace(/\/$/, "");
+    this.timeout = timeout;
+  }
+
+  /**
+   * @param {string} reference - Transfer reference
+   * @returns {Promise<object|null>} Normalized transfer, or null if unknown
+   * @throws {Error} On provider errors and unrecognised transfer statuses (caller should retry)
+   */
+  async fetchTransfer(reference) {
+    const { status, body } = await getJson(
+      `${this.baseUrl}/transfer/verify/${encodeURIComponent(reference)}`,
+      { secretKey: this.secretKey, timeout: this.timeout }
+    );
+
+    if (status === 404 || !body || !body.status || !body.data) {
+      return null;
+    }
+
+    const data = body.data;
+    const transferStatus = STATUS_MAP[data.status];
+    if (!transferStatus) {
+      throw new Error(`Unknown Paystack transfer status "${data.status}" for ${reference}`);
+    }
+
+    return {
+      reference: data.reference,
+      status: transferStatus,
+      amount: BigInt(data.amount),
+      currency: data.currency,
+      metadata: data.metadata || {},
+    };
+  }
+}
+
+module.exports = { PaystackAdapter };
@@ -0,0 +1,176 @@
+/**
+ * Payment Provider Verifier
+ *
+ * Checks every payment in a batch against the fintech's off-chain transfer
+ * records before the oracle votes. Each payment (merchant + amount from
+ * PaymentSettlement.getPayment) is mapped to a provider reference, the
+ * transfer is looked up through an adapter, and the batch is approved only
+ * if every transfer succeeded for the expected amount.
+ *
+ * USDC is compared 1:1 with USD transfers. Transfers in another currency
+ * (e.g. NGN) are only accepted with an FX rate for that currency: the
+ * expected amount is USDC × fxRate, matched within fxToleranceBps.
+ *
+ * Adapter interface:
+ *   adapter.name                        Provider name used in reasons/logs
+ *   adapter.currencyDecimals            Minor-unit decimals of provider amounts
+ *   adapter.fetchTransfer(reference) →  { reference, status, amount, currency, metadata } | null
+ *     status: "success" | "pending" | "failed"
+ *     amount: bigint in provider minor units
+ *
+ * Verdicts:
+ *   { approved: true }                  All transfers confirmed
+ *   { approved: false, reason }         Reason string is passed to rejectBatch
+ *   { approved: false, retry: true }    Transfers still pending, vote later
+ */
+
+/** On-chain USDC amounts use 6 decimals */
+const USDC_DECIMALS = 6;
+
+/**
+ * Default provider reference for a payment
+ * Fintechs tag their provider transfers with this reference when paying out.
+ * @param {string} batchId - Batch identifier (0x-prefixed bytes32)
+ * @param {number} index - Payment index in the batch
+ * @returns {string} Provider reference
+ */
+function defaultReference(batchId, index) {
+  return `tatapay-${batchId.toLowerCase()}-${index}`;
+}
+
+/**
+ * Parse a positive decimal FX rate
+ * @param {string|number} value - Provider currency units per 1 USDC (e.g. "1550.25")
+ * @returns {{units: bigint, scale: bigint}} rate = units / 10^scale
+ */
+function parseRate(value) {
+  const text = String(value).trim();
+  if (!/^\d+(\.\d+)?$/.test(text)) {
+    throw new Error(`ProviderVerifier: invalid fxRate "${value}"`);
+  }
+  const [whole, fraction = ""] = text.split(".");
+  const units = BigInt(whole + fraction);
+  if (units === 0n) {
+    throw new Error("ProviderVerifier: fxRate must be greater than zero");
+  }
+  return { units, scale: BigInt(fraction.length) };
+}
+
+/**
+ * Convert a USDC amount (6 decimals) to provider minor units
+ * @param {bigint} amount - USDC amount
+ * @param {number} currencyDecimals - Provider minor-unit decimals
+ * @returns {bigint|null} Minor units, or null if not representable exactly
+ */
+function toMinorUnits(amount, currencyDecimals) {
+  if (currencyDecimals >= USDC_DECIMALS) {
+    return amount * 10n ** BigInt(currencyDecimals - USDC_DECIMALS);
+  }
+
+  const divisor = 10n ** BigInt(USDC_DECIMALS - currencyDecimals);
+  return amount % divisor === 0n ? amount / divisor : null;
+}
+
+class ProviderVerifier {
+  /**
+   * @param {object} options
+   * @param {object} options.adapter - Provider adapter (see interface above)
+   * @param {function} [options.reference=defaultReference] - (batchId, index, payment) → reference
+   * @param {string} [options.currency="USD"] - Expected transfer currency code
+   * @param {string|number} [options.fxRate] - Currency units per 1 USDC; required unless currency is USD
+   * @param {number} [options.fxToleranceBps=0] - Allowed deviation from USDC × fxRate, in basis points
+   */
+  constructor({ adapter, reference = defaultReference, currency = "USD", fxRate, fxToleranceBps = 0 }) {
+    if (!adapter || typeof adapter.fetchTransfer !== "function") {
+      throw new Error("ProviderVerifier: adapter must implement fetchTransfer(reference)");
+    }
+    if (fxRate === undefined && currency !== "USD") {
+      throw new Error(`ProviderVerifier: an fxRate is required to compare USDC with ${currency} transfers`);
+    }
+    if (!Number.isInteger(fxToleranceBps) || fxToleranceBps < 0 || fxToleranceBps > 10000) {
+      throw new Error(`ProviderVerifier: fxToleranceBps must be an integer from 0 to 10000, got ${fxToleranceBps}`);
+    }
+
+    this.adapter = adapter;
+    this.reference = reference;
+    this.currency = currency;
+    this.fxRate = fxRate === undefined ? null : parseRate(fxRate);
+    this.fxToleranceBps = BigInt(fxToleranceBps);
+  }
+
+  /**
+   * Verify a batch loaded by the oracle daemon
+   * @param {object} batch - { batchId, payments: [{ index, merchant, amount }] }
+   * @returns {Promise<{approved: boolean, reason?: string, retry?: boolean}>}
+   */
+  async verify(batch) {
+    let pending = 0;
+
+    for (const payment of batch.payments) {
+      const reference = this.reference(batch.batchId, payment.index, payment);
+      const transfer = await this.adapter.fetchTransfer(reference);
+      const label = `payment #${payment.index} (${payment.merchant})`;
+
+      if (!transfer) {
+        return this._reject(`${label}: no ${this.adapter.name} transfer for ${reference}`);
+      }
+
+      if (transfer.status === "pending") {
+        pending++;
+        continue;
+      }
+
+      if (transfer.status !== "success") {
+        return this._reject(`${label}: ${this.adapter.name} transfer ${transfer.status}`);
+      }
+
+      if (transfer.currency !== this.currency) {
+        return this._reject(`${label}: currency ${transfer.currency}, expected ${this.currency}`);
+      }
+
+      if (!this._amountMatches(BigInt(payment.amount), BigInt(transfer.amount))) {
+        return this._reject(`${label}: amount mismatch (${transfer.amount} vs ${this._expectedLabel(BigInt(payment.amount))})`);
+      }
+
+      const merchant = transfer.metadata && transfer.metadata.merchant;
+      if (merchant && merchant.toLowerCase() !== payment.merchant.toLowerCase()) {
+        return this._reject(`${label}: transfer recipient is ${merchant}`);
+      }
+    }
+
+    if (pending > 0) {
+      return { approved: false, retry: true, reason: `${pending} transfer(s) pending` };
+    }
+
+    return { approved: true };
+  }
+
+  // Exact decimal shift without an FX rate; else |actual - USDC × rate| within the tolerance
+  _amountMatches(amount, actual) {
+    if (this.fxRate === null) {
+      const expected = toMinorUnits(amount, this.adapter.currencyDecimals);
+      return expected !== null && actual === expected;
+    }
+
+    // expected = numerator / denominator provider minor units
+    const numerator = amount * this.fxRate.units * 10n ** BigInt(this.adapter.currencyDecimals);
+    const denominator = 10n ** (BigInt(USDC_DECIMALS) + this.fxRate.scale);
+    const diff = actual * denominator - numerator;
+    return (diff < 0n ? -diff : diff) * 10000n <= numerator * this.fxToleranceBps;
+  }
+
+  _expectedLabel(amount) {
+    if (this.fxRate === null) {
+      return toMinorUnits(amount, this.adapter.currencyDecimals);
+    }
+    const denominator = 10n ** (BigInt(USDC_DECIMALS) + this.fxRate.scale);
+    const expected = (amount * this.fxRate.units * 10n ** BigInt(this.adapter.currencyDecimals)) / denominator;
+    return `~${expected} ±${this.fxToleranceBps}bps`;
+  }
+
+  _reject(reason) {
+    return { approved: false, reason };
+  }
+}
+
+module.exports = { ProviderVerifier, defaultReference, toMinorUnits, USDC_DECIMALS };
@@ -0,0 +1,132 @@
+const http = require("http");
+const fs = require("fs");
+
+/**
+ * Local Payment Provider Stub Server
+ *
+ * Serves Paystack- and Flutterwave-style transfer-status endpoints from an
+ * in-memory transfer table, so the oracle verifiers can be exercised in
+ * tests and local runs without provider credentials.
+ *
+ * Endpoints:
+ *   GET /transfer/verify/:reference       Paystack style
+ *   GET /v3/transfers?reference=:ref      Flutterwave style
+ *
+ * Transfer records:
+ *   { reference, status: "success"|"pending"|"failed", amount, currency, merchant }
+ *   amount is in minor units (e.g. cents); any other status is passed through
+ *   as the provider's raw status
+ *
+ * Usage:
+ *   node scripts/oracle/verifiers/stub-server.js [fixtures.json] [port]
+ *
+ * Then point the daemon at it:
+ *   PAYSTACK_BASE_URL=http://127.0.0.1:4010 PAYSTACK_SECRET_KEY=test ...
+ */
+
+const PAYSTACK_STATUS = { success: "success", pending: "pending", failed: "failed" };
+const FLUTTERWAVE_STATUS = { success: "SUCCESSFUL", pending: "PENDING", failed: "FAILED" };
+
+function paystackBody(transfer) {
+  return {
+    status: true,
+    message: "Transfer retrieved",
+    data: {
+      reference: transfer.reference,
+      status: PAYSTACK_STATUS[transfer.status] || transfer.status,
+      amount: Number(transfer.amount),
+      currency: transfer.currency,
+      metadata: transfer.merchant ? { merchant: transfer.merchant } : {},
+    },
+  };
+}
+
+function flutterwaveBody(transfer) {
+  const amount = Number(transfer.amount) / 100;
+  return {
+    status: "success",
+    message: "Transfers fetched",
+    data: [{
+      reference: transfer.reference,
+      status: FLUTTERWAVE_STATUS[transfer.status] || transfer.status,
+      amount,
+      currency: transfer.currency,
+      meta: transfer.merchant ? { merchant: transfer.merchant } : {},
+    }],
+  };
+}
+
+function send(res, status, body) {
+  res.writeHead(status, { "Content-Type": "application/json" });
+  res.end(JSON.stringify(body));
+}
+
+/**
+ * Start the stub server
+ * @param {object} [options]
+ * @param {number} [options.port=0] - Port (0 = random free port)
+ * @param {object[]} [options.transfers=[]] - Initial transfer records
+ * @returns {Promise<{url: string, setTransfer: function, setError: function, requests: object[], close: function}>}
+ */
+function startStubServer({ port = 0, transfers = [] } = {}) {
+  const table = new Map(transfers.map((transfer) => [transfer.reference, transfer]));
+  const requests = [];
+  // Status every request fails with (e.g. 401, 429), or null to serve transfers
+  let errorStatus = null;
+
+  const server = http.createServer((req, res) => {
+    const url = new URL(req.url, "http://localhost");
+    requests.push({ method: req.method, path: url.pathname, query: url.search });
+
+    if (!/^Bearer .+/.test(req.headers.authorization || "")) {
+      return send(res, 401, { status: false, message: "Invalid key" });
+    }
+
+    if (errorStatus) {
+      return send(res, errorStatus, { status: false, message: `Stub error ${errorStatus}` });
+    }
+
+    const paystackMatch = url.pathname.match(/^\/transfer\/verify\/(.+)$/);
+    if (req.method === "GET" && paystackMatch) {
+      const transfer = table.get(decodeURIComponent(paystackMatch[1]));
+      return transfer
+        ? send(res, 200, paystackBody(transfer))
+        : send(res, 404, { status: false, message: "Transfer not found" });
+    }
+
+    if (req.method === "GET" && url.pathname === "/v3/transfers") {
+      const transfer = table.get(url.searchParams.get("reference"));
+      return transfer
+        ? send(res, 200, flutterwaveBody(transfer))
+        : send(res, 200, { status: "success", message: "Transfers fetched", data: [] });
+    }
+
+    send(res, 404, { status: false, message: "Not found" });
+  });
+
+  return new Promise((resolve) => {
+    server.listen(port, "127.0.0.1", () => {
+      const { port: boundPort } = server.address();
+      resolve({
+        url: `http://127.0.0.1:${boundPort}`,
+        requests,
+        setTransfer: (transfer) => table.set(transfer.reference, transfer),
+        setError: (status) => { errorStatus = status; },
+        close: () => new Promise((done) => server.close(done)),
+      });
+    });
+  });
+}
+
+module.exports = { startStubServer };
+
+if (require.main === module) {
+  const fixturesPath = process.argv[2];
+  const port = parseInt(process.argv[3] || "4010");
+  const transfers = fixturesPath ? JSON.parse(fs.readFileSync(fixturesPath, "utf8")) : [];
+
+  startStubServer({ port, transfers }).then(({ url }) => {
+    console.log(`\n🧪 Payment provider stub listening on ${url}`);
+    console.log(`   Loaded ${transfers.length} transfer(s)\n`);
+  });
+}
@@ -0,0 +1,103 @@
+const path = require("path");
+const { Web3 } = require("web3");
+require("dotenv").config();
+const networks = require("../../config/networks");
+const { requireManifest } = require("../../config/deployments");
+const { loadAbi } = require("../../sdk/artifacts");
+const { RoleAuditor, loadPolicy } = require("./role-auditor");
+
+/**
+ * Role Audit Script
+ *
+ * Replays RoleGranted / RoleRevoked events from the five TataPay contracts
+ * to rebuild who holds every role, prints the membership and diffs it
+ * against the expected policy. Exits with status 1 if anything drifted.
+ *
+ * Usage:
+ *   node scripts/utils/audit-roles.js [network] [--policy <file>] [--operator <address>] [--json]
+ *
+ * The default policy (config/role-policy.json) describes the system after
+ * admin handover to TataPayGovernance. Its "operator" member is the
+ * incident-response account from --operator or OPERATOR_ADDRESS.
+ */
+
+const AUDITED_CONTRACTS = ["collateralPool", "paymentSettlement", "fraudPrevention", "settlementOracle", "governance"];
+const DEFAULT_POLICY = path.join(__dirname, "../../config/role-policy.json");
+
+function parseArgs(argv) {
+  const options = { networkName: "moonbase", policy: DEFAULT_POLICY, operator: process.env.OPERATOR_ADDRESS, json: false };
+  const positional = [];
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === "--json") {
+      options.json = true;
+    } else if (argv[i] === "--policy") {
+      options.policy = path.resolve(argv[++i]);
+    } else if (argv[i] === "--operator") {
+      options.operator = argv[++i];
+    } else {
+      positional.push(argv[i]);
+    }
+  }
+  if (positional[0]) {
+    options.networkName = positional[0];
+  }
+  return options;
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+  const network = networks.getNetwork(options.networkName);
+  const web3 = new Web3(network.rpcUrl);
+
+  const manifest = requireManifest(options.networkName);
+  const contracts = {};
+  for (const key of AUDITED_CONTRACTS) {
+    const entry = manifest.contracts[key];
+    if (!entry) {
+      throw new Error(`${key} is missing from the ${options.networkName} manifest`);
+    }
+    contracts[key] = { address: entry.address, abi: loadAbi(key), fromBlock: entry.blockNumber };
+  }
+
+  const policy = loadPolicy(options.policy);
+  const auditor = new RoleAuditor({ web3, contracts, accounts: options.operator ? { operator: options.operator } : {} });
+  const membership = await auditor.membership();
+  const findings = await auditor.audit(membership, policy);
+
+  if (options.json) {
+    console.log(JSON.stringify({ network: options.networkName, membership, findings }, null, 2));
+    process.exit(findings.length > 0 ? 1 : 0);
+  }
+
+  console.log(`\n🔐 Role Audit: ${network.name}`);
+  console.log(`Policy: ${path.relative(process.cwd(), options.policy)}\n`);
+
+  for (const [key, roles] of Object.entries(membership)) {
+    console.log(`📦 ${key} (${contracts[key].address})`);
+    for (const [role, holders] of Object.entries(roles)) {
+      const labels = holders.map((account) => auditor.label(account));
+      console.log(`   ${role.padEnd(20)} ${labels.length > 0 ? labels.join(", ") : "—"}`);
+    }
+    console.log();
+  }
+
+  console.log("━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━");
+  if (findings.length === 0) {
+    console.log("✅ Role membership matches policy");
+  } else {
+    console.log(`❌ ${findings.length} finding(s):`);
+    for (const finding of findings) {
+      const who = finding.label === finding.account ? `${finding.account} (${finding.kind})` : finding.label;
+      const verb = finding.issue === "unexpected" ? "holds" : "is missing";
+      console.log(`   ${finding.contract}.${finding.role}: ${who} ${verb} the role`);
+    }
+  }
+  console.log("━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━\n");
+
+  process.exit(findings.length > 0 ? 1 : 0);
+}
+
+main().catch((error) => {
+  console.error("❌ Role audit failed:", error.message);
+  process.exit(1);
+});
@@ -1,15 +1,15 @@
-const { ethers } = require("hardhat");
+const { ethers, network } = require("hardhat");
+const { requireManifest } = require("../../config/deployments");
 
 async function main() {
-  console.log("🔍 Checking all deployed contracts...\n");
+  console.log(`🔍 Checking all deployed contracts on ${network.name}...\n`);
 
-  const contracts = [
-    { name: "CollateralPool (Proxy)", address: "0xB4dAbce9bd76355B80D7FcB86C084d710838c8d9", factory: "CollateralPoolUpgradeable" },
-    { name: "FraudPrevention", address: "0xC377f75e93cbE9872fAc18B34Dd9310f65B0492f", factory: "FraudPrevention" },
-    { name: "PaymentSettlement", address: "0x414F5e5747a1b3f67cC27E3b5e9432beaeBE4174", factory: "PaymentSettlement" },
-    { name: "SettlementOracle", address: "0xe3c5Cf8E75af9B4790D764D1a34303b6720575Fb", factory: "SettlementOracle" },
-    { name: "TataPayGovernance", address: "0xEbCd6af8835513B78AF0567f0Ae61d4766ea3260", factory: "TataPayGovernance" },
-  ];
+  const manifest = requireManifest(network.name);
+  const contracts = Object.values(manifest.contracts).map((entry) => ({
+    name: entry.contract,
+    address: entry.address,
+    factory: entry.contract,
+  }));
 
   for (const contract of contracts) {
     console.log(`\n📦 ${contract.name}`);
@@ -26,9 +26,15 @@ async function main() {
       if (contract.factory === "CollateralPoolUpgradeable") {
         const version = await instance.version();
         console.log(`   ✅ version(): ${version}`);
+      } else if (contract.factory === "CollateralPool") {
+        const delay = await instance.withdrawalDelay();
+        console.log(`   ✅ withdrawalDelay(): ${delay / 3600n}h`);
+      } else if (contract.factory === "SimpleUSDC") {
+        const symbol = await instance.symbol();
+        console.log(`   ✅ symbol(): ${symbol}`);
       } else if (contract.factory === "FraudPrevention") {
-        const hourly = await instance.DEFAULT_HOURLY_TX_LIMIT();
-        console.log(`   ✅ DEFAULT_HOURLY_TX_LIMIT(): ${hourly}`);
+        const limits = await instance.defaultLimits();
+        console.log(`   ✅ defaultLimits().hourlyTransactionLimit: ${limits.hourlyTransactionLimit}`);
       } else if (contract.factory === "PaymentSettlement") {
         const maxBatch = await instance.MAX_BATCH_SIZE();
         console.log(`   ✅ MAX_BATCH_SIZE(): ${maxBatch}`);
@@ -37,7 +43,7 @@ async function main() {
         console.log(`   ✅ paymentSettlement(): ${settlement}`);
       } else if (contract.factory === "TataPayGovernance") {
         const delay = await instance.standardDelay();
-        console.log(`   ✅ standardDelay(): ${delay / 3600}h`);
+        console.log(`   ✅ standardDelay(): ${delay / 3600n}h`);
       }
     } catch (e) {
       console.log(`   ❌ Contract call failed: ${e.message}`);
@@ -1,9 +1,11 @@
-const { ethers } = require("hardhat");
+const { ethers, network } = require("hardhat");
+const { requireManifest } = require("../../config/deployments");
 
 async function main() {
-  console.log("🔍 Checking SettlementOracle deployment...\n");
+  console.log(`🔍 Checking SettlementOracle deployment on ${network.name}...\n`);
 
-  const oracleAddress = "0xEB7278C528817fB51c1837Cb0666c02922d542F1";
+  const oracleAddress = requireManifest(network.name).contracts.settlementOracle.address;
+  console.log("SettlementOracle:", oracleAddress);
 
   // Check if contract exists
   const code = await ethers.provider.getCode(oracleAddress);
@@ -25,7 +27,7 @@ async function main() {
 
   try {
     const minStake = await oracle.minimumStake();
-    console.log("✅ minimumStake():", ethers.formatEther(minStake), "PAS");
+    console.log("✅ minimumStake():", ethers.formatUnits(minStake, 6), "USDC");
   } catch (e) {
     console.log("❌ minimumStake() failed:", e.message);
   }
@@ -0,0 +1,72 @@
+const { ethers, network } = require("hardhat");
+
+/**
+ * Claim Gas Report
+ *
+ * Deploys the settlement contracts on the in-process Hardhat network and
+ * measures claimPayment gas for the last merchant in batches of 1, 10, 50
+ * and 100 payments. Claims look the merchant up in a per-batch index, so
+ * the cost should not grow with batch size. Per-method averages across the
+ * whole test suite come from the gas reporter (npm run test:gas).
+ *
+ * Usage:
+ *   npx hardhat run scripts/utils/claim-gas.js
+ */
+
+const BATCH_SIZES = [1, 10, 50, 100];
+const AMOUNT = ethers.parseUnits("1000", 6);
+
+async function deploy() {
+  const [admin, fintech, oracle, merchant] = await ethers.getSigners();
+
+  const MockUSDC = await ethers.getContractFactory("contracts/mocks/MockUSDC.sol:MockUSDC");
+  const usdc = await MockUSDC.deploy("USD Coin", "USDC", 6);
+  const CollateralPool = await ethers.getContractFactory("CollateralPool");
+  const pool = await CollateralPool.deploy(usdc.target, admin.address, admin.address);
+  const PaymentSettlement = await ethers.getContractFactory("PaymentSettlement");
+  const settlement = await PaymentSettlement.deploy(usdc.target, pool.target, admin.address);
+
+  await pool.grantRole(await pool.SETTLEMENT_ROLE(), settlement.target);
+  await settlement.grantRole(await settlement.ORACLE_ROLE(), oracle.address);
+  const total = AMOUNT * BigInt(BATCH_SIZES.reduce((sum, size) => sum + size, 0));
+  await usdc.mint(fintech.address, total);
+  await usdc.connect(fintech).approve(pool.target, total);
+  await pool.connect(fintech).deposit(total);
+
+  return { settlement, fintech, oracle, merchant };
+}
+
+// Gas used by the last merchant's claim in a batch of `size` payments
+async function claimGas({ settlement, fintech, oracle, merchant }, size) {
+  const merchants = Array.from({ length: size - 1 }, () => ethers.Wallet.createRandom().address);
+  merchants.push(merchant.address);
+  const receipt = await (await settlement.connect(fintech).createBatch(merchants, merchants.map(() => AMOUNT))).wait();
+  const batchId = receipt.logs.find((log) => log.fragment && log.fragment.name === "BatchCreated").args[0];
+  await settlement.connect(oracle).approveBatch(batchId);
+
+  // Pay another merchant first so the measured claim does not complete the batch
+  if (size > 1) {
+    await settlement.connect(oracle).distributePayments(batchId, 0, 1);
+  }
+  return (await (await settlement.connect(merchant).claimPayment(batchId)).wait()).gasUsed;
+}
+
+async function main() {
+  if (network.name !== "hardhat") {
+    throw new Error(`Run on the hardhat network (not ${network.name}); the report deploys its own contracts`);
+  }
+
+  const contracts = await deploy();
+  console.log("⛽ claimPayment gas (last merchant in batch)\n");
+  for (const size of BATCH_SIZES) {
+    const gas = await claimGas(contracts, size);
+    console.log(`   ${String(size).padStart(3)} payments: ${gas.toLocaleString("en-US")}`);
+  }
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error(error);
+    process.exit(1);
+  });
@@ -1,9 +1,13 @@
+const fs = require("fs");
 const { Web3 } = require("web3");
 require("dotenv").config();
 const networks = require("../../config/networks");
+const { requireManifest } = require("../../config/deployments");
+const { IndexerStore } = require("../indexer/store");
 
 async function debug() {
   const network = networks.getNetwork("moonbase");
+  requireManifest("moonbase");
   const web3 = new Web3(network.rpcUrl);
   const deployer = web3.eth.accounts.privateKeyToAccount(process.env.PRIVATE_KEY);
   const oracle1 = web3.eth.accounts.privateKeyToAccount(process.env.ORACLE1_PRIVATE_KEY);
@@ -14,25 +18,42 @@ async function debug() {
   const PaymentSettlement = require("../../artifacts/contracts/core/PaymentSettlement.sol/PaymentSettlement.json");
   const settlement = new web3.eth.Contract(PaymentSettlement.abi, network.contracts.paymentSettlement);
 
-  // Get latest batch by querying recent BatchCreated events
+  // Get latest batch from the event indexer database if there is one,
+  // otherwise by querying recent BatchCreated events
   console.log("\n🔍 Fetching recent batches...\n");
 
-  const currentBlock = await web3.eth.getBlockNumber();
-  const events = await settlement.getPastEvents('BatchCreated', {
-    fromBlock: currentBlock - 100n,
-    toBlock: 'latest'
-  });
+  let latest = null;
+  const dbPath = IndexerStore.defaultPath("moonbase");
+  if (fs.existsSync(dbPath)) {
+    const store = new IndexerStore(dbPath);
+    const row = store.db.prepare("SELECT batch_id, block_number FROM batches ORDER BY block_number DESC LIMIT 1").get();
+    store.close();
+    if (row) {
+      latest = { batchId: row.batch_id, blockNumber: row.block_number };
+      console.log("(from indexer database", dbPath + ")");
+    }
+  }
+
+  if (!latest) {
+    const currentBlock = await web3.eth.getBlockNumber();
+    const events = await settlement.getPastEvents('BatchCreated', {
+      fromBlock: currentBlock - 100n,
+      toBlock: 'latest'
+    });
+
+    if (events.length === 0) {
+      console.log("No batches found in last 100 blocks (run scripts/indexer/event-indexer.js for full history)");
+      process.exit(1);
+    }
 
-  if (events.length === 0) {
-    console.log("No batches found in last 100 blocks");
-    process.exit(1);
+    const latestEvent = events[events.length - 1];
+    latest = { batchId: latestEvent.returnValues.batchId, blockNumber: latestEvent.blockNumber };
   }
 
-  const latestEvent = events[events.length - 1];
-  const batchId = latestEvent.returnValues.batchId;
+  const { batchId } = latest;
 
   console.log("Latest Batch ID:", batchId);
-  console.log("Block:", latestEvent.blockNumber);
+  console.log("Block:", latest.blockNumber);
 
   // Query batch details
   const batch = await settlement.methods.getBatch(batchId).call();
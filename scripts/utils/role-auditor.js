@@ -0,0 +1,211 @@
+const fs = require("fs");
+const { Web3 } = require("web3");
+const { pastEvents } = require("../../sdk/events");
+
+/**
+ * Role Auditor
+ *
+ * Rebuilds current AccessControl membership for every TataPay contract by
+ * replaying RoleGranted / RoleRevoked events from each contract's
+ * deployment block, then diffs it against an expected policy.
+ *
+ * Policy format (config/role-policy.json), contracts keyed like
+ * network.contracts:
+ *
+ *   {
+ *     "collateralPool": {
+ *       "DEFAULT_ADMIN_ROLE": ["governance"],
+ *       "SETTLEMENT_ROLE": ["paymentSettlement"]
+ *     },
+ *     "governance": { "GOVERNOR_ROLE": "*" }
+ *   }
+ *
+ * Members are contract keys, named accounts (e.g. "operator", the incident
+ * response multisig) or addresses; "*" accepts any holder. Roles a contract
+ * defines but the policy omits must have no holders.
+ *
+ * Findings:
+ *   unexpected - account holds a role the policy does not give it
+ *   missing    - policy member does not hold the role
+ */
+
+const ANY_HOLDER = "*";
+
+class RoleAuditor {
+  /**
+   * @param {object} options
+   * @param {Web3} options.web3 - Connected web3 instance
+   * @param {object} options.contracts - { key: { address, abi, fromBlock? } } for each audited contract
+   * @param {object} [options.accounts={}] - Named policy members, e.g. { operator: address }
+   * @param {number} [options.maxBlockRange=2000] - Max blocks per getPastEvents call
+   */
+  constructor({ web3, contracts, accounts = {}, maxBlockRange = 2000 }) {
+    this.web3 = web3;
+    this.maxBlockRange = BigInt(maxBlockRange);
+    this.contracts = {};
+    this.accounts = {};
+    this.labels = {};
+
+    for (const [name, address] of Object.entries(accounts)) {
+      this.accounts[name] = Web3.utils.toChecksumAddress(address);
+      this.labels[address.toLowerCase()] = name;
+    }
+
+    for (const [key, { address, abi, fromBlock }] of Object.entries(contracts)) {
+      this.contracts[key] = {
+        instance: new web3.eth.Contract(abi, address),
+        fromBlock: BigInt(fromBlock || 0),
+      };
+      this.labels[address.toLowerCase()] = key;
+    }
+  }
+
+  /**
+   * Replay role events into current membership
+   * @param {bigint|number} [toBlock] - Last block to replay (defaults to latest)
+   * @returns {Promise<object>} { contractKey: { ROLE_NAME: [address, ...] } }
+   */
+  async membership(toBlock) {
+    const head = toBlock === undefined ? await this.web3.eth.getBlockNumber() : BigInt(toBlock);
+    const result = {};
+
+    for (const [key, { instance, fromBlock }] of Object.entries(this.contracts)) {
+      const names = await this._roleNames(instance);
+      const holders = {};
+      for (const name of Object.values(names)) {
+        holders[name] = new Set();
+      }
+
+      const events = await this._roleEvents(instance, fromBlock, head);
+      for (const event of events) {
+        const { role, account } = event.returnValues;
+        const name = names[role] || role;
+        holders[name] = holders[name] || new Set();
+        const checksummed = Web3.utils.toChecksumAddress(account);
+        if (event.event === "RoleGranted") {
+          holders[name].add(checksummed);
+        } else {
+          holders[name].delete(checksummed);
+        }
+      }
+
+      result[key] = {};
+      for (const [name, accounts] of Object.entries(holders)) {
+        result[key][name] = [...accounts];
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * Diff membership against a policy
+   * @param {object} membership - Result of membership()
+   * @param {object} policy - Expected membership (see module docs)
+   * @returns {Promise<Array<{contract: string, role: string, account: string, label: string, kind: string, issue: string}>>} Findings, empty when compliant
+   */
+  async audit(membership, policy) {
+    const findings = [];
+
+    for (const [key, roles] of Object.entries(membership)) {
+      const expectedRoles = policy[key] || {};
+      const roleNames = new Set([...Object.keys(roles), ...Object.keys(expectedRoles)]);
+
+      for (const role of roleNames) {
+        const holders = roles[role] || [];
+        const expected = expectedRoles[role] === undefined ? [] : expectedRoles[role];
+        if (expected === ANY_HOLDER) {
+          continue;
+        }
+
+        const allowed = expected.map((member) => this.resolve(member).toLowerCase());
+        for (const account of holders) {
+          if (!allowed.includes(account.toLowerCase())) {
+            findings.push(await this._finding(key, role, account, "unexpected"));
+          }
+        }
+
+        const held = holders.map((account) => account.toLowerCase());
+        for (const member of expected) {
+          const account = this.resolve(member);
+          if (!held.includes(account.toLowerCase())) {
+            findings.push(await this._finding(key, role, account, "missing"));
+          }
+        }
+      }
+    }
+
+    return findings;
+  }
+
+  /**
+   * @param {string} member - Contract key, named account or address
+   * @returns {string} Checksummed address
+   */
+  resolve(member) {
+    const contract = this.contracts[member];
+    if (contract) {
+      return Web3.utils.toChecksumAddress(contract.instance.options.address);
+    }
+    if (this.accounts[member]) {
+      return this.accounts[member];
+    }
+    if (!Web3.utils.isAddress(member)) {
+      throw new Error(`RoleAuditor: Unknown policy member ${member} (expected a contract key, named account or address)`);
+    }
+    return Web3.utils.toChecksumAddress(member);
+  }
+
+  /**
+   * @param {string} account - Address
+   * @returns {string} Contract key or account name when known, otherwise the address
+   */
+  label(account) {
+    return this.labels[account.toLowerCase()] || account;
+  }
+
+  async _finding(contract, role, account, issue) {
+    const code = await this.web3.eth.getCode(account);
+    const kind = code === "0x" || code === "0x0" ? "EOA" : "contract";
+    return { contract, role, account, label: this.label(account), kind, issue };
+  }
+
+  // Role hash → name for every *_ROLE constant in the ABI
+  async _roleNames(instance) {
+    const names = {};
+    const getters = instance.options.jsonInterface.filter(
+      (item) => item.type === "function" && item.name.endsWith("_ROLE") && item.inputs.length === 0
+    );
+    for (const { name } of getters) {
+      names[await instance.methods[name]().call()] = name;
+    }
+    return names;
+  }
+
+  async _roleEvents(instance, fromBlock, toBlock) {
+    return pastEvents(this.web3, instance, ["RoleGranted", "RoleRevoked"], {
+      fromBlock,
+      toBlock,
+      maxBlockRange: this.maxBlockRange,
+    });
+  }
+}
+
+/**
+ * Load and validate a policy file
+ * @param {string} file - JSON policy path
+ * @returns {object} Policy
+ */
+function loadPolicy(file) {
+  const policy = JSON.parse(fs.readFileSync(file, "utf8"));
+  for (const [key, roles] of Object.entries(policy)) {
+    for (const [role, members] of Object.entries(roles)) {
+      if (members !== ANY_HOLDER && !Array.isArray(members)) {
+        throw new Error(`RoleAuditor: ${key}.${role} must be an array of members or "${ANY_HOLDER}"`);
+      }
+    }
+  }
+  return policy;
+}
+
+module.exports = { RoleAuditor, loadPolicy, ANY_HOLDER };
@@ -1,26 +1,29 @@
-const { ethers } = require("hardhat");
+const { ethers, network } = require("hardhat");
+const { Web3 } = require("web3");
+const { requireManifest } = require("../../config/deployments");
+const { loadAbi } = require("../../sdk/artifacts");
+const { verifyRoleGraph } = require("../deploy/role-graph");
 
 async function main() {
-  console.log("\n🔍 Verifying Paseo Asset Hub Deployment\n");
+  console.log(`\n🔍 Verifying ${network.name} Deployment\n`);
   console.log("━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━\n");
 
+  const { contracts } = requireManifest(network.name);
   const addresses = {
-    CollateralPool: "0xB4dAbce9bd76355B80D7FcB86C084d710838c8d9",
-    FraudPrevention: "0xC377f75e93cbE9872fAc18B34Dd9310f65B0492f",
-    PaymentSettlement: "0x414F5e5747a1b3f67cC27E3b5e9432beaeBE4174",
-    SettlementOracle: "0xEB7278C528817fB51c1837Cb0666c02922d542F1",
-    TataPayGovernance: "0xEbCd6af8835513B78AF0567f0Ae61d4766ea3260",
+    CollateralPool: contracts.collateralPool.address,
+    FraudPrevention: contracts.fraudPrevention.address,
+    PaymentSettlement: contracts.paymentSettlement.address,
+    SettlementOracle: contracts.settlementOracle.address,
+    TataPayGovernance: contracts.governance.address,
   };
 
   let allPassed = true;
 
-  // Check CollateralPool (Proxy)
-  console.log("📦 1. CollateralPool (UUPS Proxy)");
+  // Check CollateralPool
+  console.log(`📦 1. ${contracts.collateralPool.contract}`);
   console.log(`   Address: ${addresses.CollateralPool}`);
   try {
-    const CollateralPool = await ethers.getContractFactory(
-      "contracts/core/CollateralPoolUpgradeable.sol:CollateralPoolUpgradeable"
-    );
+    const CollateralPool = await ethers.getContractFactory(contracts.collateralPool.contract);
     const pool = CollateralPool.attach(addresses.CollateralPool);
 
     const code = await ethers.provider.getCode(addresses.CollateralPool);
@@ -28,11 +31,12 @@ async function main() {
 
     const treasury = await pool.treasury();
     const withdrawalDelay = await pool.withdrawalDelay();
-    const version = await pool.version();
 
     console.log(`   ✅ Treasury: ${treasury}`);
     console.log(`   ✅ Withdrawal Delay: ${withdrawalDelay} seconds`);
-    console.log(`   ✅ Version: ${version}`);
+    if (contracts.collateralPool.contract === "CollateralPoolUpgradeable") {
+      console.log(`   ✅ Version: ${await pool.version()}`);
+    }
   } catch (e) {
     console.log(`   ❌ Failed: ${e.message}`);
     allPassed = false;
@@ -95,11 +99,20 @@ async function main() {
     console.log(`   Code size: ${(code.length - 2) / 2} bytes`);
 
     const paymentSettlement = await oracle.paymentSettlement();
+    const stakingToken = await oracle.USDC();
+    const treasury = await oracle.treasury();
     const minStake = await oracle.minimumStake();
     const threshold = await oracle.approvalThreshold();
 
     console.log(`   ✅ PaymentSettlement: ${paymentSettlement}`);
-    console.log(`   ✅ Minimum Stake: ${ethers.formatEther(minStake)} PAS`);
+    if (contracts.usdc && stakingToken !== contracts.usdc.address) {
+      console.log(`   ❌ Staking token ${stakingToken} is not the deployed USDC ${contracts.usdc.address}`);
+      allPassed = false;
+    } else {
+      console.log(`   ✅ Staking Token (USDC): ${stakingToken}`);
+    }
+    console.log(`   ✅ Treasury: ${treasury}`);
+    console.log(`   ✅ Minimum Stake: ${ethers.formatUnits(minStake, 6)} USDC`);
     console.log(`   ✅ Approval Threshold: ${threshold}`);
   } catch (e) {
     console.log(`   ❌ Failed: ${e.message}`);
@@ -130,6 +143,25 @@ async function main() {
   }
   console.log();
 
+  // Check role graph
+  console.log("🔗 6. Role Graph");
+  try {
+    const web3 = new Web3(network.provider);
+    const instances = {};
+    for (const [key, entry] of Object.entries(contracts)) {
+      instances[key] = new web3.eth.Contract(loadAbi(key), entry.address);
+    }
+
+    for (const { check, ok, actual } of await verifyRoleGraph(instances)) {
+      console.log(`   ${ok ? "✅" : "❌"} ${check}${ok || !actual ? "" : ` (is ${actual})`}`);
+      allPassed = allPassed && ok;
+    }
+  } catch (e) {
+    console.log(`   ❌ Failed: ${e.message}`);
+    allPassed = false;
+  }
+  console.log();
+
   // Summary
   console.log("━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━");
   if (allPassed) {
@@ -0,0 +1,451 @@
+require("dotenv").config();
+const crypto = require("crypto");
+const { formatUsdc, ZERO_REFERENCE } = require("../../sdk");
+const { IndexerStore } = require("../indexer/store");
+const { REORG_WINDOW } = require("../indexer/event-indexer");
+const { WebhookStore } = require("./webhook-store");
+
+/**
+ * Webhook Notifier
+ *
+ * POSTs settlement lifecycle events to the endpoint each fintech registered
+ * (tatapay webhook register), so fintech backends no longer poll getBatch.
+ *
+ * Events come from the event indexer database, so they are already past the
+ * indexer's confirmations; run scripts/indexer/event-indexer.js alongside.
+ * Each cycle:
+ * 1. Queues a delivery for every new BatchApproved, PaymentClaimed,
+ *    BatchCompleted, BatchFailed and BatchCancelled event of a subscribed
+ *    fintech. Fintechs without a subscription are skipped.
+ *    If the indexer rolled back the last event queued (a reorg), deliveries
+ *    of events it no longer has are retracted: pending ones are dropped and
+ *    delivered ones are followed by an event.reverted notice. The cursor
+ *    moves back to the last surviving event, so replacement events get queued.
+ * 2. POSTs the due deliveries. Anything but a 2xx answer is retried with
+ *    exponential backoff; after maxAttempts the delivery is dead-lettered
+ *    (tatapay webhook deliveries --status dead, tatapay webhook replay).
+ *
+ * Requests carry:
+ *   X-TataPay-Event: <type>
+ *   X-TataPay-Delivery: <delivery id>
+ *   X-TataPay-Signature: t=<unix seconds>,v1=<hex HMAC-SHA256 of "<t>.<body>" with the secret>
+ * Receivers check the signature with verifySignature() or its equivalent.
+ *
+ * Environment: none (no key needed)
+ *
+ * Usage:
+ *   node scripts/webhooks/notifier.js [network] [--db <file>] [--indexer-db <file>]
+ *     [--interval <seconds>] [--backfill]
+ *
+ * On the first run only events indexed from then on are sent, unless
+ * --backfill is given. Without --interval the notifier runs once and exits.
+ */
+
+// PaymentSettlement event → payload type
+const EVENT_TYPES = {
+  BatchApproved: "batch.approved",
+  PaymentClaimed: "payment.claimed",
+  BatchCompleted: "batch.completed",
+  BatchFailed: "batch.failed",
+  BatchCancelled: "batch.cancelled",
+};
+
+// Notice sent for a delivered event that a reorg removed
+const REVERTED_TYPE = "event.reverted";
+
+const DEFAULT_MAX_ATTEMPTS = 8;
+const DEFAULT_BACKOFF_MS = 30 * 1000;
+const MAX_BACKOFF_MS = 6 * 60 * 60 * 1000;
+const DEFAULT_TIMEOUT_MS = 10000;
+const SIGNATURE_TOLERANCE_SECONDS = 5 * 60;
+
+/**
+ * @param {string} secret - Subscription secret
+ * @param {number} timestamp - Unix seconds
+ * @param {string} body - Raw request body
+ * @returns {string} X-TataPay-Signature header value
+ */
+function signPayload(secret, timestamp, body) {
+  const digest = crypto.createHmac("sha256", secret).update(`${timestamp}.${body}`).digest("hex");
+  return `t=${timestamp},v1=${digest}`;
+}
+
+/**
+ * Check a webhook signature (for receivers)
+ * @param {string} secret - Subscription secret
+ * @param {string} header - X-TataPay-Signature header value
+ * @param {string} body - Raw request body
+ * @param {object} [options]
+ * @param {number} [options.tolerance=300] - Max age in seconds (replay protection)
+ * @param {number} [options.now] - Current unix seconds
+ * @returns {boolean} Whether the body was signed with the secret within the tolerance
+ */
+function verifySignature(secret, header, body, { tolerance = SIGNATURE_TOLERANCE_SECONDS, now = Math.floor(Date.now() / 1000) } = {}) {
+  const parts = Object.fromEntries(String(header || "").split(",").map((part) => part.split("=")));
+  const timestamp = Number(parts.t);
+  if (!Number.isInteger(timestamp) || !parts.v1 || Math.abs(now - timestamp) > tolerance) {
+    return false;
+  }
+  const expected = Buffer.from(signPayload(secret, timestamp, body).split("v1=")[1], "hex");
+  const actual = Buffer.from(parts.v1, "hex");
+  return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+}
+
+class WebhookNotifier {
+  /**
+   * @param {object} options
+   * @param {import("./webhook-store").WebhookStore} options.webhookStore - Subscriptions and delivery queue
+   * @param {import("../indexer/store").IndexerStore} [options.indexerStore] - Event source (not needed to only deliver)
+   * @param {boolean} [options.backfill=false] - On the first run, queue events already in the indexer
+   * @param {number} [options.maxAttempts=8] - Attempts before dead-lettering
+   * @param {number} [options.backoff=30000] - First retry delay in ms, doubled per attempt (max 6 hours)
+   * @param {number} [options.timeout=10000] - Request timeout in ms
+   * @param {function(): number} [options.now=Date.now] - Clock (unix ms)
+   * @param {object} [options.logger=console] - Logger with log/error
+   */
+  constructor({
+    webhookStore,
+    indexerStore = null,
+    backfill = false,
+    maxAttempts = DEFAULT_MAX_ATTEMPTS,
+    backoff = DEFAULT_BACKOFF_MS,
+    timeout = DEFAULT_TIMEOUT_MS,
+    now = Date.now,
+    logger = console,
+  }) {
+    this.webhookStore = webhookStore;
+    this.indexerStore = indexerStore;
+    this.backfill = backfill;
+    this.maxAttempts = maxAttempts;
+    this.backoff = backoff;
+    this.timeout = timeout;
+    this.now = now;
+    this.logger = logger;
+  }
+
+  /**
+   * Queue new events, then send the due deliveries
+   * @returns {Promise<{queued: number, delivered: number[], retrying: number[], dead: number[]}>}
+   */
+  async run() {
+    const queued = this.enqueue();
+    return { queued, ...(await this.deliver()) };
+  }
+
+  /**
+   * Queue deliveries for indexer events after the cursor
+   * @returns {number} Deliveries queued (reverted notices included)
+   */
+  enqueue() {
+    const { webhookStore } = this;
+    const db = this.indexerStore.db;
+    let cursor = webhookStore.getCursor();
+    if (cursor === null && !this.backfill) {
+      const latest = db.prepare("SELECT * FROM events ORDER BY block_number DESC, log_index DESC LIMIT 1").get();
+      webhookStore.setCursor(latest ? cursorOf(latest) : { blockNumber: -1, logIndex: -1 });
+      return 0;
+    }
+    cursor = cursor || { blockNumber: -1, logIndex: -1 };
+    const { cursor: resumed, queued: notices } = this._reconcile(cursor);
+    cursor = resumed;
+
+    const names = Object.keys(EVENT_TYPES);
+    const events = db.prepare(
+      `SELECT * FROM events
+       WHERE contract = 'paymentSettlement' AND event IN (${names.map(() => "?").join(", ")})
+         AND (block_number, log_index) > (?, ?)
+       ORDER BY block_number, log_index`
+    ).all(...names, cursor.blockNumber, cursor.logIndex);
+    if (events.length === 0) {
+      return notices;
+    }
+
+    const batchOf = db.prepare("SELECT fintech, reference FROM batches WHERE batch_id = ?");
+    const now = this.now();
+    let queued = notices;
+    webhookStore.db.transaction(() => {
+      for (const row of events) {
+        const args = JSON.parse(row.args);
+        const batch = batchOf.get(args.batchId) || {};
+        const fintech = args.fintech || batch.fintech;
+        if (fintech && webhookStore.getSubscription(fintech)) {
+          const payload = buildPayload(row, args, fintech, batch.reference || null);
+          if (webhookStore.enqueue({ eventId: payload.id, type: payload.type, fintech, payload, now })) {
+            queued++;
+          }
+        }
+      }
+      webhookStore.setCursor(cursorOf(events[events.length - 1]));
+    })();
+    return queued;
+  }
+
+  /**
+   * Undo what an indexer rollback removed: if the cursor's event is gone,
+   * retract the deliveries of events no longer indexed and move the cursor
+   * back to the last surviving one. Rollbacks stay within REORG_WINDOW blocks
+   * of the indexer's head, so older deliveries are not checked.
+   * @param {{blockNumber: number, logIndex: number, txHash?: string}} cursor - Stored cursor
+   * @returns {{cursor: object, queued: number}} Cursor to resume from and reverted notices queued
+   */
+  _reconcile(cursor) {
+    const { webhookStore } = this;
+    const db = this.indexerStore.db;
+    // logIndex -1 marks the start of a block rather than an event
+    if (cursor.logIndex < 0) {
+      return { cursor, queued: 0 };
+    }
+    const indexed = db.prepare("SELECT tx_hash FROM events WHERE block_number = ? AND log_index = ?");
+    const atCursor = indexed.get(cursor.blockNumber, cursor.logIndex);
+    if (atCursor && (!cursor.txHash || atCursor.tx_hash === cursor.txHash)) {
+      return { cursor, queued: 0 };
+    }
+
+    const floor = cursor.blockNumber - Number(REORG_WINDOW);
+    let resumed = { blockNumber: floor, logIndex: -1 };
+    const removed = [];
+    for (const delivery of webhookStore.deliveriesSince(floor)) {
+      if (delivery.type === REVERTED_TYPE) {
+        continue;
+      }
+      const { blockNumber, txHash } = delivery.payload.data;
+      const logIndex = Number(delivery.eventId.slice(delivery.eventId.lastIndexOf("-") + 1));
+      const row = indexed.get(blockNumber, logIndex);
+      if (!row || row.tx_hash !== txHash) {
+        removed.push(delivery);
+      } else if (blockNumber > resumed.blockNumber || (blockNumber === resumed.blockNumber && logIndex > resumed.logIndex)) {
+        resumed = { blockNumber, logIndex, txHash };
+      }
+    }
+
+    const now = this.now();
+    let queued = 0;
+    webhookStore.db.transaction(() => {
+      for (const delivery of removed) {
+        webhookStore.retract(delivery.id);
+        if (delivery.status === "delivered") {
+          const payload = buildRevertedPayload(delivery);
+          if (webhookStore.enqueue({ eventId: payload.id, type: payload.type, fintech: delivery.fintech, payload, now })) {
+            queued++;
+          }
+        }
+      }
+      webhookStore.setCursor(resumed);
+    })();
+    this.logger.log(
+      `↩️  Indexer rolled back block ${cursor.blockNumber}: retracted ${removed.length} delivery(ies), ` +
+      `resuming from block ${Math.max(resumed.blockNumber, 0)}`
+    );
+    return { cursor: resumed, queued };
+  }
+
+  /**
+   * POST due deliveries (all of ids, if given, regardless of schedule)
+   * @param {number[]} [ids] - Specific pending deliveries (replay)
+   * @returns {Promise<{delivered: number[], retrying: number[], dead: number[]}>} Delivery ids by outcome
+   */
+  async deliver(ids) {
+    const due = ids
+      ? ids.map((id) => this.webhookStore.getDelivery(id)).filter((delivery) => delivery && delivery.status === "pending")
+      : this.webhookStore.dueDeliveries(this.now());
+    const result = { delivered: [], retrying: [], dead: [] };
+
+    for (const delivery of due) {
+      const error = await this._post(delivery);
+      if (error === null) {
+        this.webhookStore.markDelivered(delivery.id, this.now());
+        result.delivered.push(delivery.id);
+        continue;
+      }
+
+      const attempts = delivery.attempts + 1;
+      const nextAttemptAt = attempts >= this.maxAttempts
+        ? null
+        : this.now() + Math.min(this.backoff * 2 ** (attempts - 1), MAX_BACKOFF_MS);
+      this.webhookStore.markFailed(delivery.id, { error, nextAttemptAt });
+      if (nextAttemptAt === null) {
+        result.dead.push(delivery.id);
+        this.logger.error(`☠️  Delivery #${delivery.id} (${delivery.type} to ${delivery.fintech}) dead after ${attempts} attempt(s): ${error}`);
+      } else {
+        result.retrying.push(delivery.id);
+        this.logger.error(`⚠️  Delivery #${delivery.id} failed (attempt ${attempts}/${this.maxAttempts}): ${error}`);
+      }
+    }
+
+    if (result.delivered.length > 0) {
+      this.logger.log(`📨 Delivered ${result.delivered.length} webhook(s)`);
+    }
+    return result;
+  }
+
+  // Send one delivery; returns null on success or the error description
+  async _post(delivery) {
+    const subscription = this.webhookStore.getSubscription(delivery.fintech);
+    if (!subscription) {
+      return "No webhook registered";
+    }
+
+    const body = JSON.stringify(delivery.payload);
+    try {
+      const response = await fetch(subscription.url, {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          "User-Agent": "TataPay-Webhooks/1.0",
+          "X-TataPay-Event": delivery.type,
+          "X-TataPay-Delivery": String(delivery.id),
+          "X-TataPay-Signature": signPayload(subscription.secret, Math.floor(this.now() / 1000), body),
+        },
+        body,
+        signal: AbortSignal.timeout(this.timeout),
+      });
+      await response.text();
+      return response.ok ? null : `HTTP ${response.status}`;
+    } catch (error) {
+      return error.cause ? `${error.message}: ${error.cause.message}` : error.message;
+    }
+  }
+}
+
+/**
+ * @param {object} row - Indexer events row
+ * @returns {{blockNumber: number, logIndex: number, txHash: string}} Cursor at the event
+ */
+function cursorOf(row) {
+  return { blockNumber: Number(row.block_number), logIndex: Number(row.log_index), txHash: row.tx_hash };
+}
+
+/**
+ * Webhook body for a stored PaymentSettlement event
+ * @param {object} row - Indexer events row
+ * @param {object} args - Parsed event arguments
+ * @param {string} fintech - Batch owner
+ * @param {string|null} reference - Client reference the batch was created with
+ * @returns {{id: string, type: string, data: object}}
+ */
+function buildPayload(row, args, fintech, reference) {
+  const data = {
+    batchId: args.batchId,
+    fintech,
+    reference,
+    blockNumber: Number(row.block_number),
+    txHash: row.tx_hash,
+    timestamp: Number(row.timestamp),
+  };
+
+  switch (row.event) {
+    case "BatchApproved":
+      Object.assign(data, { status: "Processing", oracle: args.oracle });
+      break;
+    case "PaymentClaimed":
+      Object.assign(data, {
+        merchant: args.merchant,
+        paymentReference: args.paymentReference && args.paymentReference !== ZERO_REFERENCE ? args.paymentReference : null,
+        amount: { units: args.amount, usdc: formatUsdc(args.amount) },
+      });
+      break;
+    case "BatchCompleted":
+      Object.assign(data, { status: "Completed", totalAmount: { units: args.totalAmount, usdc: formatUsdc(args.totalAmount) } });
+      break;
+    case "BatchFailed":
+      // timeoutBatch reports itself as BatchFailed with reason "Timeout"
+      Object.assign(data, { status: args.reason === "Timeout" ? "Timeout" : "Failed", reason: args.reason });
+      break;
+    case "BatchCancelled":
+      Object.assign(data, { status: "Failed", canceller: args.canceller });
+      break;
+  }
+
+  return { id: `${row.tx_hash}-${row.log_index}`, type: EVENT_TYPES[row.event], data };
+}
+
+/**
+ * Webhook body telling the fintech a delivered event was removed by a reorg
+ * @param {object} delivery - Retracted delivery
+ * @returns {{id: string, type: string, data: object}}
+ */
+function buildRevertedPayload(delivery) {
+  const { batchId, fintech, reference, blockNumber, txHash } = delivery.payload.data;
+  return {
+    id: `${delivery.eventId}:reverted`,
+    type: REVERTED_TYPE,
+    data: { eventId: delivery.eventId, eventType: delivery.type, batchId, fintech, reference, blockNumber, txHash },
+  };
+}
+
+async function main() {
+  const argv = process.argv.slice(2);
+  const option = (name) => {
+    const index = argv.indexOf(name);
+    return index === -1 ? undefined : argv[index + 1];
+  };
+  const valueIndexes = ["--db", "--indexer-db", "--interval"].map((name) => argv.indexOf(name) + 1).filter((index) => index > 0);
+  const networkName = argv.find((arg, i) => !arg.startsWith("--") && !valueIndexes.includes(i)) || "moonbase";
+  const interval = option("--interval") === undefined ? null : Number(option("--interval"));
+
+  if (interval !== null && !(interval > 0)) {
+    console.error("❌ Error: --interval must be a positive number of seconds");
+    process.exit(1);
+  }
+
+  const indexerPath = option("--indexer-db") || IndexerStore.defaultPath(networkName);
+  let indexerStore;
+  try {
+    indexerStore = new IndexerStore(indexerPath, { readonly: true });
+  } catch (error) {
+    console.error(`❌ Cannot open ${indexerPath}: ${error.message}`);
+    console.error("   Run scripts/indexer/event-indexer.js first");
+    process.exit(1);
+  }
+  const webhookStore = new WebhookStore(option("--db") || WebhookStore.defaultPath(networkName));
+  const notifier = new WebhookNotifier({ webhookStore, indexerStore, backfill: argv.includes("--backfill") });
+
+  console.log(`\n🔔 TataPay webhook notifier on ${networkName}`);
+  console.log("🗄️  Indexer database:", indexerPath);
+  console.log("🗄️  Webhook database:", webhookStore.filePath, "\n");
+
+  const cycle = async () => {
+    const { queued, delivered, retrying, dead } = await notifier.run();
+    if (queued + delivered.length + retrying.length + dead.length > 0) {
+      console.log(`Queued ${queued}, delivered ${delivered.length}, retrying ${retrying.length}, dead ${dead.length}`);
+    }
+  };
+
+  await cycle();
+  if (interval === null) {
+    webhookStore.close();
+    indexerStore.close();
+    process.exit(0);
+  }
+
+  console.log(`Running every ${interval}s. Press Ctrl+C to stop.\n`);
+  let running = false;
+  const timer = setInterval(() => {
+    if (running) {
+      return;
+    }
+    running = true;
+    cycle()
+      .catch((error) => console.error("❌ Cycle failed:", error.message))
+      .finally(() => {
+        running = false;
+      });
+  }, interval * 1000);
+  const shutdown = () => {
+    clearInterval(timer);
+    webhookStore.close();
+    indexerStore.close();
+    process.exit(0);
+  };
+  process.on("SIGINT", shutdown);
+  process.on("SIGTERM", shutdown);
+}
+
+if (require.main === module) {
+  main().catch((error) => {
+    console.error("❌ Notifier failed:", error.message);
+    process.exit(1);
+  });
+}
+
+module.exports = { WebhookNotifier, EVENT_TYPES, REVERTED_TYPE, signPayload, verifySignature };
@@ -0,0 +1,269 @@
+const fs = require("fs");
+const path = require("path");
+const Database = require("better-sqlite3");
+
+/**
+ * Webhook store
+ *
+ * SQLite database of fintech webhook subscriptions and the delivery queue.
+ * Every notification is a row in deliveries: pending until its endpoint
+ * answers 2xx (delivered) or it runs out of attempts (dead). Dead rows are
+ * the dead-letter log and can be queued again with requeue(). Rows whose
+ * event an indexer reorg removed are retracted and never sent again, unless
+ * the event is indexed once more.
+ *
+ * The notifier's position in the indexer's events table is kept in meta, in
+ * the same transaction as the deliveries it queued.
+ */
+
+const DEFAULT_DB_DIR = path.join(__dirname, "../../.webhooks");
+
+const DELIVERY_STATUSES = ["pending", "delivered", "dead", "retracted"];
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS meta (
+    key TEXT PRIMARY KEY,
+    value TEXT NOT NULL
+  );
+
+  CREATE TABLE IF NOT EXISTS subscriptions (
+    fintech TEXT PRIMARY KEY,
+    url TEXT NOT NULL,
+    secret TEXT NOT NULL,
+    created_at INTEGER NOT NULL
+  );
+
+  CREATE TABLE IF NOT EXISTS deliveries (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    event_id TEXT NOT NULL,
+    type TEXT NOT NULL,
+    fintech TEXT NOT NULL,
+    payload TEXT NOT NULL,
+    status TEXT NOT NULL DEFAULT 'pending',
+    attempts INTEGER NOT NULL DEFAULT 0,
+    next_attempt_at INTEGER NOT NULL,
+    last_error TEXT,
+    created_at INTEGER NOT NULL,
+    delivered_at INTEGER,
+    UNIQUE (event_id, fintech)
+  );
+  CREATE INDEX IF NOT EXISTS deliveries_due ON deliveries (status, next_attempt_at);
+`;
+
+class WebhookStore {
+  /**
+   * @param {string} filePath - SQLite file (":memory:" for tests)
+   */
+  constructor(filePath) {
+    if (filePath !== ":memory:") {
+      fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    }
+    this.filePath = filePath;
+    this.db = new Database(filePath);
+    if (filePath !== ":memory:") {
+      this.db.pragma("journal_mode = WAL");
+    }
+    this.db.exec(SCHEMA);
+  }
+
+  /**
+   * Default database file for a network
+   * @param {string} networkName - Network key from config/networks.js
+   * @returns {string} Absolute file path
+   */
+  static defaultPath(networkName) {
+    return path.join(DEFAULT_DB_DIR, `${networkName}.sqlite`);
+  }
+
+  close() {
+    this.db.close();
+  }
+
+  // ============ Cursor ============
+
+  /**
+   * @returns {{blockNumber: number, logIndex: number, txHash?: string}|null} Last indexer event queued, or null on first run
+   */
+  getCursor() {
+    const row = this.db.prepare("SELECT value FROM meta WHERE key = 'cursor'").get();
+    return row ? JSON.parse(row.value) : null;
+  }
+
+  /**
+   * @param {{blockNumber: number, logIndex: number, txHash?: string}} cursor - Last indexer event queued
+   */
+  setCursor(cursor) {
+    this.db.prepare("INSERT INTO meta (key, value) VALUES ('cursor', ?) ON CONFLICT (key) DO UPDATE SET value = excluded.value")
+      .run(JSON.stringify(cursor));
+  }
+
+  // ============ Subscriptions ============
+
+  /**
+   * Register or replace a fintech's endpoint
+   * @param {object} subscription
+   * @param {string} subscription.fintech - Checksummed fintech address
+   * @param {string} subscription.url - HTTPS endpoint receiving POSTs
+   * @param {string} subscription.secret - HMAC signing secret
+   * @param {number} subscription.now - Unix ms
+   */
+  subscribe({ fintech, url, secret, now }) {
+    this.db.prepare(
+      `INSERT INTO subscriptions (fintech, url, secret, created_at) VALUES (?, ?, ?, ?)
+       ON CONFLICT (fintech) DO UPDATE SET url = excluded.url, secret = excluded.secret`
+    ).run(fintech, url, secret, now);
+  }
+
+  /**
+   * @param {string} fintech - Checksummed fintech address
+   * @returns {boolean} Whether a subscription was removed
+   */
+  unsubscribe(fintech) {
+    return this.db.prepare("DELETE FROM subscriptions WHERE fintech = ?").run(fintech).changes > 0;
+  }
+
+  /**
+   * @param {string} fintech - Checksummed fintech address
+   * @returns {{fintech: string, url: string, secret: string, createdAt: number}|null}
+   */
+  getSubscription(fintech) {
+    return camelCase(this.db.prepare("SELECT * FROM subscriptions WHERE fintech = ?").get(fintech));
+  }
+
+  /**
+   * @returns {object[]} All subscriptions (secrets included)
+   */
+  subscriptions() {
+    return this.db.prepare("SELECT * FROM subscriptions ORDER BY created_at").all().map(camelCase);
+  }
+
+  // ============ Deliveries ============
+
+  /**
+   * Queue a notification (ignored if this event was already queued for the fintech, unless retracted)
+   * @param {object} delivery
+   * @param {string} delivery.eventId - Event identifier (txHash-logIndex)
+   * @param {string} delivery.type - Payload type (e.g. "batch.approved")
+   * @param {string} delivery.fintech - Recipient fintech
+   * @param {object} delivery.payload - JSON body
+   * @param {number} delivery.now - Unix ms
+   * @returns {boolean} Whether a row was added
+   */
+  enqueue({ eventId, type, fintech, payload, now }) {
+    return this.db.prepare(
+      `INSERT INTO deliveries (event_id, type, fintech, payload, next_attempt_at, created_at)
+       VALUES (?, ?, ?, ?, ?, ?)
+       ON CONFLICT (event_id, fintech) DO UPDATE SET
+         payload = excluded.payload, status = 'pending', attempts = 0, last_error = NULL,
+         next_attempt_at = excluded.next_attempt_at, delivered_at = NULL
+       WHERE deliveries.status = 'retracted'`
+    ).run(eventId, type, fintech, JSON.stringify(payload), now, now).changes > 0;
+  }
+
+  /**
+   * Deliveries of events at or after a block, retracted ones excluded (reorg reconciliation)
+   * @param {number} blockNumber - First block (payload data.blockNumber)
+   * @returns {object[]} Deliveries, oldest first
+   */
+  deliveriesSince(blockNumber) {
+    return this.db.prepare(
+      `SELECT * FROM deliveries
+       WHERE status != 'retracted' AND json_extract(payload, '$.data.blockNumber') >= ?
+       ORDER BY id`
+    ).all(blockNumber).map(camelCase);
+  }
+
+  /**
+   * Stop a delivery whose event was rolled back
+   * @param {number} id - Delivery id
+   */
+  retract(id) {
+    this.db.prepare("UPDATE deliveries SET status = 'retracted', last_error = NULL WHERE id = ?").run(id);
+  }
+
+  /**
+   * @param {number} now - Unix ms
+   * @param {number} [limit=100] - Max rows
+   * @returns {object[]} Pending deliveries due for an attempt, oldest first
+   */
+  dueDeliveries(now, limit = 100) {
+    return this.db.prepare(
+      "SELECT * FROM deliveries WHERE status = 'pending' AND next_attempt_at <= ? ORDER BY next_attempt_at, id LIMIT ?"
+    ).all(now, limit).map(camelCase);
+  }
+
+  /**
+   * @param {number} id - Delivery id
+   * @param {number} now - Unix ms
+   */
+  markDelivered(id, now) {
+    this.db.prepare(
+      "UPDATE deliveries SET status = 'delivered', attempts = attempts + 1, last_error = NULL, delivered_at = ? WHERE id = ?"
+    ).run(now, id);
+  }
+
+  /**
+   * Record a failed attempt
+   * @param {number} id - Delivery id
+   * @param {object} failure
+   * @param {string} failure.error - What went wrong
+   * @param {number|null} failure.nextAttemptAt - Unix ms of the retry, or null to dead-letter it
+   */
+  markFailed(id, { error, nextAttemptAt }) {
+    this.db.prepare(
+      `UPDATE deliveries SET attempts = attempts + 1, last_error = ?,
+         status = CASE WHEN ? IS NULL THEN 'dead' ELSE 'pending' END,
+         next_attempt_at = COALESCE(?, next_attempt_at)
+       WHERE id = ?`
+    ).run(error, nextAttemptAt, nextAttemptAt, id);
+  }
+
+  /**
+   * Queue deliveries again with a fresh attempt budget (replay)
+   * @param {number[]} ids - Delivery ids
+   * @param {number} now - Unix ms
+   * @returns {number[]} Ids found (and not retracted) and requeued
+   */
+  requeue(ids, now) {
+    const update = this.db.prepare(
+      "UPDATE deliveries SET status = 'pending', attempts = 0, next_attempt_at = ?, delivered_at = NULL WHERE id = ? AND status != 'retracted'"
+    );
+    return this.db.transaction(() => ids.filter((id) => update.run(now, id).changes > 0))();
+  }
+
+  /**
+   * @param {number} id - Delivery id
+   * @returns {object|null} Delivery row
+   */
+  getDelivery(id) {
+    return camelCase(this.db.prepare("SELECT * FROM deliveries WHERE id = ?").get(id));
+  }
+
+  /**
+   * @param {object} [filter]
+   * @param {string} [filter.status] - pending, delivered, dead or retracted
+   * @param {string} [filter.fintech] - Recipient
+   * @param {number} [filter.limit=50] - Max rows
+   * @returns {object[]} Deliveries, newest first
+   */
+  deliveries({ status, fintech, limit = 50 } = {}) {
+    return this.db.prepare(
+      `SELECT * FROM deliveries
+       WHERE (@status IS NULL OR status = @status) AND (@fintech IS NULL OR fintech = @fintech)
+       ORDER BY id DESC LIMIT @limit`
+    ).all({ status: status || null, fintech: fintech || null, limit }).map(camelCase);
+  }
+}
+
+function camelCase(row) {
+  if (!row) {
+    return null;
+  }
+  const out = {};
+  for (const [key, value] of Object.entries(row)) {
+    out[key.replace(/_([a-z])/g, (_, letter) => letter.toUpperCase())] = key === "payload" ? JSON.parse(value) : value;
+  }
+  return out;
+}
+
+module.exports = { WebhookStore, DELIVERY_STATUSES };
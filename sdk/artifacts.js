@@ -0,0 +1,30 @@
+/**
+ * Contract ABIs
+ *
+ * Single place that reaches into Hardhat's artifacts directory, so run
+ * `npx hardhat compile` before using the SDK from a fresh checkout.
+ */
+
+const ARTIFACTS = {
+  usdc: "@openzeppelin/contracts/token/ERC20/extensions/IERC20Metadata.sol/IERC20Metadata.json",
+  collateralPool: "contracts/core/CollateralPool.sol/CollateralPool.json",
+  paymentSettlement: "contracts/core/PaymentSettlement.sol/PaymentSettlement.json",
+  fraudPrevention: "contracts/core/FraudPrevention.sol/FraudPrevention.json",
+  settlementOracle: "contracts/core/SettlementOracle.sol/SettlementOracle.json",
+  governance: "contracts/core/TataPayGovernance.sol/TataPayGovernance.json",
+};
+
+/**
+ * Load the ABI for a contract key
+ * @param {string} key - Key from config/networks.js contracts
+ * @returns {object[]} ABI
+ */
+function loadAbi(key) {
+  const artifact = ARTIFACTS[key];
+  if (!artifact) {
+    throw new Error(`Unknown contract: ${key}`);
+  }
+  return require(`../artifacts/${artifact}`).abi;
+}
+
+module.exports = { loadAbi };
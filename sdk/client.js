@@ -0,0 +1,168 @@
+const { Web3 } = require("web3");
+const networks = require("../config/networks");
+const { Usdc } = require("./contracts/usdc");
+const { CollateralPool } = require("./contracts/collateral-pool");
+const { PaymentSettlement } = require("./contracts/payment-settlement");
+const { FraudPrevention } = require("./contracts/fraud-prevention");
+const { SettlementOracle } = require("./contracts/settlement-oracle");
+const { Governance } = require("./contracts/governance");
+
+const DEFAULT_GAS_MARGIN_PERCENT = 20n;
+
+const CONTRACTS = {
+  usdc: Usdc,
+  collateralPool: CollateralPool,
+  paymentSettlement: PaymentSettlement,
+  fraudPrevention: FraudPrevention,
+  settlementOracle: SettlementOracle,
+  governance: Governance,
+};
+
+/**
+ * TataPay client
+ *
+ * Entry point of the SDK. Connects to a network from config/networks.js and
+ * exposes one wrapper per contract:
+ *
+ *   const client = new TataPayClient({ network: "moonbase", privateKey: process.env.PRIVATE_KEY });
+ *   await client.collateralPool.deposit(parseUsdc("5000"));
+ *   const { batchId } = await client.paymentSettlement.createBatch([merchant], [parseUsdc("1500")]);
+ *   const batch = await client.paymentSettlement.getBatch(batchId); // batch.status === "Pending"
+ *
+ * Every transaction is gas-estimated from the signer and sent with a safety
+ * margin, so callers never pass hardcoded gas limits.
+ */
+class TataPayClient {
+  /**
+   * @param {object} options
+   * @param {string|object} [options.network="moonbase"] - Network name or config object
+   * @param {string|object} [options.provider] - RPC URL or EIP-1193 provider (defaults to network rpcUrl)
+   * @param {Web3} [options.web3] - Existing Web3 instance to share (takes precedence over provider)
+   * @param {string} [options.privateKey] - Signer private key (added to the web3 wallet)
+   * @param {string} [options.from] - Signer address already unlocked on the provider
+   * @param {object} [options.contracts] - Address overrides keyed like network.contracts
+   * @param {bigint|number} [options.gasMarginPercent=20] - Margin added to gas estimates
+   */
+  constructor({
+    network = "moonbase",
+    provider,
+    web3,
+    privateKey,
+    from,
+    contracts = {},
+    gasMarginPercent = DEFAULT_GAS_MARGIN_PERCENT,
+  } = {}) {
+    this.network = typeof network === "string" ? networks.getNetwork(network) : network;
+    this.web3 = web3 || new Web3(provider || this.network.rpcUrl);
+    this.addresses = { ...this.network.contracts, ...contracts };
+    this.gasMarginPercent = BigInt(gasMarginPercent);
+    this.account = null;
+    this._contracts = {};
+
+    if (privateKey) {
+      const signer = this.web3.eth.accounts.privateKeyToAccount(privateKey);
+      if (!this.web3.eth.accounts.wallet.get(signer.address)) {
+        this.web3.eth.accounts.wallet.add(signer);
+      }
+      this.account = signer.address;
+    } else if (from) {
+      this.account = from;
+    }
+  }
+
+  /** @returns {Usdc} */
+  get usdc() {
+    return this._contract("usdc");
+  }
+
+  /** @returns {CollateralPool} */
+  get collateralPool() {
+    return this._contract("collateralPool");
+  }
+
+  /** @returns {PaymentSettlement} */
+  get paymentSettlement() {
+    return this._contract("paymentSettlement");
+  }
+
+  /** @returns {FraudPrevention} */
+  get fraudPrevention() {
+    return this._contract("fraudPrevention");
+  }
+
+  /** @returns {SettlementOracle} */
+  get settlementOracle() {
+    return this._contract("settlementOracle");
+  }
+
+  /** @returns {Governance} */
+  get governance() {
+    return this._contract("governance");
+  }
+
+  /**
+   * @returns {string} Signer address
+   * @throws if the client was created without a signer
+   */
+  requireAccount() {
+    if (!this.account) {
+      throw new Error("TataPayClient: No signer configured (pass privateKey or from)");
+    }
+    return this.account;
+  }
+
+  /**
+   * Estimate gas, add the margin and send a contract method
+   * @param {object} method - web3 contract method (contract.methods.x(...))
+   * @param {object} [options]
+   * @param {bigint} [options.value] - Native value to attach
+   * @returns {Promise<object>} Transaction receipt
+   */
+  async send(method, { value } = {}) {
+    const from = this.requireAccount();
+    const tx = value === undefined ? { from } : { from, value };
+
+    let estimated;
+    try {
+      estimated = BigInt(await method.estimateGas(tx));
+    } catch (error) {
+      throw new Error(`Transaction would revert: ${revertReason(error)}`, { cause: error });
+    }
+
+    const gas = estimated + (estimated * this.gasMarginPercent) / 100n;
+    return method.send({ ...tx, gas: gas.toString() });
+  }
+
+  _contract(key) {
+    if (!this._contracts[key]) {
+      const address = this.addresses[key];
+      if (!address) {
+        throw new Error(`TataPayClient: No ${key} address configured for ${this.network.name}`);
+      }
+      this._contracts[key] = new CONTRACTS[key](this, address);
+    }
+    return this._contracts[key];
+  }
+}
+
+/**
+ * Extract the revert reason from a web3 / provider error
+ * @param {Error} error - Error thrown by call, estimateGas or send
+ * @returns {string} Reason string (falls back to the error message)
+ */
+function revertReason(error) {
+  for (let current = error; current; current = current.cause || current.innerError) {
+    if (typeof current.reason === "string" && current.reason) {
+      return current.reason;
+    }
+
+    const match = /reverted with reason string '(.*)'/.exec(current.message || "")
+      || /execution reverted:? ?(.*)/.exec(current.message || "");
+    if (match && match[1]) {
+      return match[1];
+    }
+  }
+  return error.message;
+}
+
+module.exports = { TataPayClient, revertReason };
@@ -0,0 +1,122 @@
+const { loadAbi } = require("../artifacts");
+
+/**
+ * Base wrapper shared by all contract classes
+ *
+ * Holds the web3 contract instance and routes transactions through the
+ * client so every write gets gas estimation and the configured signer.
+ */
+class BaseContract {
+  /**
+   * @param {import("../client").TataPayClient} client - Owning client
+   * @param {string} key - Contract key (config/networks.js contracts)
+   * @param {string} address - Deployed address
+   */
+  constructor(client, key, address) {
+    this.client = client;
+    this.key = key;
+    this.address = address;
+    this.contract = new client.web3.eth.Contract(loadAbi(key), address);
+  }
+
+  /**
+   * Read a role identifier (e.g. "ORACLE_ROLE")
+   * @param {string} name - Role constant name
+   * @returns {Promise<string>} bytes32 role
+   */
+  async role(name) {
+    if (name === "DEFAULT_ADMIN_ROLE") {
+      return "0x" + "00".repeat(32);
+    }
+    return this._call(name);
+  }
+
+  /**
+   * @param {string} role - Role name or bytes32 identifier
+   * @param {string} account - Account address
+   * @returns {Promise<boolean>} Whether account holds role
+   */
+  async hasRole(role, account) {
+    return this._call("hasRole", await this._roleId(role), account);
+  }
+
+  /**
+   * @param {string} role - Role name or bytes32 identifier
+   * @param {string} account - Account to grant
+   * @returns {Promise<object>} Transaction receipt
+   */
+  async grantRole(role, account) {
+    return this._send("grantRole", [await this._roleId(role), account]);
+  }
+
+  /**
+   * @param {string} role - Role name or bytes32 identifier
+   * @param {string} account - Account to revoke
+   * @returns {Promise<object>} Transaction receipt
+   */
+  async revokeRole(role, account) {
+    return this._send("revokeRole", [await this._roleId(role), account]);
+  }
+
+  /**
+   * @returns {Promise<boolean>} Whether the contract is paused
+   */
+  async paused() {
+    return this._call("paused");
+  }
+
+  // ============ Internal ============
+
+  async _call(method, ...args) {
+    return this.contract.methods[method](...args).call();
+  }
+
+  async _send(method, args = [], options = {}) {
+    return this.client.send(this.contract.methods[method](...args), options);
+  }
+
+  async _roleId(role) {
+    return role.startsWith("0x") ? role : this.role(role);
+  }
+
+  // Every log of one event emitted by this contract in a receipt, decoded
+  // (receipt.events keeps only the last log per event name)
+  _events(receipt, name) {
+    const item = this.contract.options.jsonInterface.find((entry) => entry.type === "event" && entry.name === name);
+    const { abi } = this.client.web3.eth;
+    const topic = abi.encodeEventSignature(`${name}(${item.inputs.map((input) => input.type).join(",")})`);
+    return receipt.logs
+      .filter((log) => log.address.toLowerCase() === this.address.toLowerCase() && log.topics[0] === topic)
+      .map((log) => abi.decodeLog(item.inputs, log.data, log.topics.slice(1)));
+  }
+}
+
+/**
+ * Copy named fields out of a web3 result (drops numeric keys and __length__)
+ * @param {object} result - web3 call result or struct
+ * @param {string[]} fields - Output names to keep
+ * @returns {object} Plain object
+ */
+function pick(result, fields) {
+  const out = {};
+  for (const field of fields) {
+    out[field] = result[field];
+  }
+  return out;
+}
+
+/**
+ * Find a decoded event in a transaction receipt
+ * @param {object} receipt - web3 receipt
+ * @param {string} name - Event name
+ * @returns {object} Event return values
+ */
+function eventValues(receipt, name) {
+  const event = receipt.events && receipt.events[name];
+  if (!event) {
+    throw new Error(`${name} event not found in transaction ${receipt.transactionHash}`);
+  }
+  return (Array.isArray(event) ? event[0] : event).returnValues;
+}
+
+module.exports = { BaseContract, pick, eventValues };
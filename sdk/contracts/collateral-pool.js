@@ -0,0 +1,77 @@
+const { BaseContract, pick } = require("./base-contract");
+
+/**
+ * CollateralPool: fintech USDC deposits and withdrawals
+ */
+class CollateralPool extends BaseContract {
+  constructor(client, address) {
+    super(client, "collateralPool", address);
+  }
+
+  /**
+   * @param {string} fintech - Fintech address
+   * @returns {Promise<{totalDeposited: bigint, availableBalance: bigint, lockedBalance: bigint, totalWithdrawn: bigint, totalSlashed: bigint}>}
+   */
+  async getBalance(fintech) {
+    const result = await this._call("getBalance", fintech);
+    return pick(result, ["totalDeposited", "availableBalance", "lockedBalance", "totalWithdrawn", "totalSlashed"]);
+  }
+
+  /**
+   * @param {string} fintech - Fintech address
+   * @returns {Promise<{amount: bigint, requestTime: bigint, unlockTime: bigint, executed: boolean}>}
+   */
+  async getWithdrawalRequest(fintech) {
+    const result = await this._call("getWithdrawalRequest", fintech);
+    return pick(result, ["amount", "requestTime", "unlockTime", "executed"]);
+  }
+
+  /**
+   * @param {string} fintech - Fintech address
+   * @returns {Promise<boolean>} Whether the pending withdrawal can execute
+   */
+  async isWithdrawalReady(fintech) {
+    return this._call("isWithdrawalReady", fintech);
+  }
+
+  /**
+   * @returns {Promise<bigint>} Total USDC held by the pool
+   */
+  async getTotalValueLocked() {
+    return this._call("getTotalValueLocked");
+  }
+
+  /**
+   * Deposit collateral, approving USDC first if the allowance is short
+   * @param {bigint} amount - Base units
+   * @returns {Promise<object>} Deposit receipt
+   */
+  async deposit(amount) {
+    await this.client.usdc.ensureAllowance(this.address, amount);
+    return this._send("deposit", [amount]);
+  }
+
+  /**
+   * @param {bigint} amount - Base units
+   * @returns {Promise<object>} Transaction receipt
+   */
+  async requestWithdrawal(amount) {
+    return this._send("requestWithdrawal", [amount]);
+  }
+
+  /**
+   * @returns {Promise<object>} Transaction receipt
+   */
+  async executeWithdrawal() {
+    return this._send("executeWithdrawal");
+  }
+
+  /**
+   * @returns {Promise<object>} Transaction receipt
+   */
+  async cancelWithdrawal() {
+    return this._send("cancelWithdrawal");
+  }
+}
+
+module.exports = { CollateralPool };
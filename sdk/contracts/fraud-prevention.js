@@ -0,0 +1,153 @@
+const { BaseContract, pick } = require("./base-contract");
+
+const LIMIT_FIELDS = ["hourlyTransactionLimit", "dailyTransactionLimit", "hourlyAmountLimit", "dailyAmountLimit"];
+
+/**
+ * FraudPrevention: blacklist, whitelist and velocity limits
+ */
+class FraudPrevention extends BaseContract {
+  constructor(client, address) {
+    super(client, "fraudPrevention", address);
+  }
+
+  /**
+   * @param {string} account - Address to check
+   * @param {bigint} amount - Base units
+   * @returns {Promise<{allowed: boolean, reason: string}>}
+   */
+  async canTransact(account, amount) {
+    const result = await this._call("canTransact", account, amount);
+    return pick(result, ["allowed", "reason"]);
+  }
+
+  /**
+   * @param {string} account - Address to check
+   * @returns {Promise<{isBlacklisted: boolean, reason: string, timestamp: bigint, blockedBy: string}>}
+   */
+  async getBlacklistInfo(account) {
+    const result = await this._call("getBlacklistInfo", account);
+    return pick(result, ["isBlacklisted", "reason", "timestamp", "blockedBy"]);
+  }
+
+  /**
+   * @param {string} account - Address to check
+   * @returns {Promise<boolean>} Whether the address is frozen
+   */
+  async isFrozen(account) {
+    return this._call("frozen", account);
+  }
+
+  /**
+   * @param {string} account - Address to check
+   * @returns {Promise<boolean>} Whether the address is whitelisted
+   */
+  async isWhitelisted(account) {
+    return this._call("whitelist", account);
+  }
+
+  /**
+   * @param {string} account - Address to check
+   * @returns {Promise<{hourlyTransactionLimit: bigint, dailyTransactionLimit: bigint, hourlyAmountLimit: bigint, dailyAmountLimit: bigint}>}
+   */
+  async getApplicableLimits(account) {
+    return pick(await this._call("getApplicableLimits", account), LIMIT_FIELDS);
+  }
+
+  /**
+   * @param {string} account - Address to check
+   * @returns {Promise<{hourlyCount: bigint, dailyCount: bigint, hourlyAmount: bigint, dailyAmount: bigint, lastHourReset: bigint, lastDayReset: bigint}>}
+   */
+  async getTransactionWindow(account) {
+    const result = await this._call("getTransactionWindow", account);
+    return pick(result, ["hourlyCount", "dailyCount", "hourlyAmount", "dailyAmount", "lastHourReset", "lastDayReset"]);
+  }
+
+  /**
+   * @returns {Promise<{totalBlacklisted: bigint, totalWhitelisted: bigint, totalViolations: bigint, totalValidated: bigint}>}
+   */
+  async getMetrics() {
+    const result = await this._call("getMetrics");
+    return {
+      totalBlacklisted: result._totalBlacklisted,
+      totalWhitelisted: result._totalWhitelisted,
+      totalViolations: result._totalViolations,
+      totalValidated: result._totalValidated,
+    };
+  }
+
+  /**
+   * @param {string} account - Address to blacklist
+   * @param {string} reason - Blacklist reason
+   * @returns {Promise<object>} Transaction receipt
+   */
+  async addToBlacklist(account, reason) {
+    return this._send("addToBlacklist", [account, reason]);
+  }
+
+  /**
+   * @param {string} account - Address to remove
+   * @returns {Promise<object>} Transaction receipt
+   */
+  async removeFromBlacklist(account) {
+    return this._send("removeFromBlacklist", [account]);
+  }
+
+  /**
+   * @param {string} account - Address to whitelist
+   * @returns {Promise<object>} Transaction receipt
+   */
+  async addToWhitelist(account) {
+    return this._send("addToWhitelist", [account]);
+  }
+
+  /**
+   * @param {string} account - Address to remove
+   * @returns {Promise<object>} Transaction receipt
+   */
+  async removeFromWhitelist(account) {
+    return this._send("removeFromWhitelist", [account]);
+  }
+
+  /**
+   * @param {string} account - Address to freeze (EMERGENCY_ROLE)
+   * @returns {Promise<object>} Transaction receipt
+   */
+  async freezeAddress(account) {
+    return this._send("freezeAddress", [account]);
+  }
+
+  /**
+   * @param {string} account - Address to unfreeze (EMERGENCY_ROLE)
+   * @returns {Promise<object>} Transaction receipt
+   */
+  async unfreezeAddress(account) {
+    return this._send("unfreezeAddress", [account]);
+  }
+
+  /**
+   * @param {{hourlyTransactionLimit: bigint, dailyTransactionLimit: bigint, hourlyAmountLimit: bigint, dailyAmountLimit: bigint}} limits
+   * @returns {Promise<object>} Transaction receipt
+   */
+  async setDefaultLimits(limits) {
+    return this._send("setDefaultLimits", LIMIT_FIELDS.map((field) => limits[field]));
+  }
+
+  /**
+   * @param {string} account - Address to configure
+   * @param {{hourlyTransactionLimit: bigint, dailyTransactionLimit: bigint, hourlyAmountLimit: bigint, dailyAmountLimit: bigint}} limits
+   * @returns {Promise<object>} Transaction receipt
+   */
+  async setCustomLimits(account, limits) {
+    return this._send("setCustomLimits", [account, ...LIMIT_FIELDS.map((field) => limits[field])]);
+  }
+
+  /**
+   * @param {string} account - Address to reset to default limits
+   * @returns {Promise<object>} Transaction receipt
+   */
+  async removeCustomLimits(account) {
+    return this._send("removeCustomLimits", [account]);
+  }
+}
+
+module.exports = { FraudPrevention };
@@ -0,0 +1,230 @@
+const { BaseContract, pick, eventValues } = require("./base-contract");
+const { ProposalState, ProposalType, decodeEnum, encodeEnum } = require("../enums");
+const { pastEvents } = require("../events");
+
+/**
+ * TataPayGovernance: multi-sig proposals with timelock
+ */
+class Governance extends BaseContract {
+  constructor(client, address) {
+    super(client, "governance", address);
+  }
+
+  /**
+   * @param {bigint|number} proposalId - Proposal ID
+   * @returns {Promise<object>} Proposal with decoded state and proposalType
+   */
+  async getProposal(proposalId) {
+    const result = await this._call("getProposal", proposalId);
+    return {
+      ...pick(result, [
+        "id",
+        "proposer",
+        "target",
+        "value",
+        "data",
+        "description",
+        "approvals",
+        "createdAt",
+        "approvedAt",
+        "executedAt",
+        "expiresAt",
+      ]),
+      proposalType: decodeEnum(ProposalType, result.proposalType),
+      state: decodeEnum(ProposalState, result.state),
+    };
+  }
+
+  /**
+   * Calls a proposal executes (one for single-call proposals)
+   * @param {bigint|number} proposalId - Proposal ID
+   * @returns {Promise<Array<{target: string, value: bigint, data: string}>>} Calls in execution order
+   */
+  async getProposalCalls(proposalId) {
+    const calls = await this._call("getProposalCalls", proposalId);
+    return calls.map((call) => pick(call, ["target", "value", "data"]));
+  }
+
+  /**
+   * Revert data of the proposal's last failed execution
+   * @param {bigint|number} proposalId - Proposal ID
+   * @returns {Promise<string|null>} Hex revert data, or null if the proposal never failed (or later executed)
+   */
+  async getFailureReason(proposalId) {
+    const reason = await this._call("getFailureReason", proposalId);
+    return reason === "0x" || reason === null ? null : reason;
+  }
+
+  /**
+   * @param {bigint|number} proposalId - Proposal ID
+   * @returns {Promise<{executable: boolean, reason: string}>}
+   */
+  async canExecute(proposalId) {
+    return pick(await this._call("canExecute", proposalId), ["executable", "reason"]);
+  }
+
+  /**
+   * @param {bigint|number} proposalId - Proposal ID
+   * @returns {Promise<boolean>} Whether the proposal is open (Pending, Approved or Failed) but past expiresAt
+   */
+  async isExpirable(proposalId) {
+    return this._call("isExpirable", proposalId);
+  }
+
+  /**
+   * @param {bigint|number} proposalId - Proposal ID
+   * @param {string} governor - Governor address
+   * @returns {Promise<boolean>} Whether governor approved the proposal
+   */
+  async hasApproved(proposalId, governor) {
+    return this._call("hasApproved", proposalId, governor);
+  }
+
+  /**
+   * @returns {Promise<bigint>} Number of proposals created (next proposal ID)
+   */
+  async proposalCount() {
+    return this._call("proposalCount");
+  }
+
+  /**
+   * @returns {Promise<{standardDelay: bigint, emergencyDelay: bigint}>} Timelock per proposal type (seconds)
+   */
+  async delays() {
+    const [standardDelay, emergencyDelay] = await Promise.all([this._call("standardDelay"), this._call("emergencyDelay")]);
+    return { standardDelay, emergencyDelay };
+  }
+
+  /**
+   * Current governors, rebuilt from GOVERNOR_ROLE grant/revoke events
+   * (AccessControl does not enumerate role members)
+   * @param {object} [options]
+   * @param {bigint|number} [options.fromBlock=0] - Block to scan from (the governance deployment block)
+   * @param {bigint|number} [options.maxBlockRange] - Max blocks per event query
+   * @returns {Promise<string[]>} Governor addresses in the order they were added
+   */
+  async governors({ fromBlock = 0, maxBlockRange } = {}) {
+    const role = await this.role("GOVERNOR_ROLE");
+    const events = await pastEvents(this.client.web3, this.contract, ["RoleGranted", "RoleRevoked"], {
+      fromBlock,
+      filter: { role },
+      maxBlockRange,
+    });
+
+    const governors = new Set();
+    for (const event of events) {
+      if (event.event === "RoleGranted") {
+        governors.add(event.returnValues.account);
+      } else {
+        governors.delete(event.returnValues.account);
+      }
+    }
+    return [...governors];
+  }
+
+  /**
+   * @returns {Promise<{totalCreated: bigint, totalExecuted: bigint, totalCancelled: bigint, totalExpired: bigint, totalGovernors: bigint, requiredApprovals: bigint}>}
+   */
+  async getMetrics() {
+    const result = await this._call("getMetrics");
+    return {
+      totalCreated: result._totalCreated,
+      totalExecuted: result._totalExecuted,
+      totalCancelled: result._totalCancelled,
+      totalExpired: result._totalExpired,
+      totalGovernors: result._totalGovernors,
+      requiredApprovals: result._requiredApprovals,
+    };
+  }
+
+  /**
+   * Create a proposal (PROPOSER_ROLE)
+   * @param {object} proposal
+   * @param {string} proposal.target - Contract to call
+   * @param {string} proposal.data - Encoded calldata
+   * @param {string} proposal.description - Description
+   * @param {bigint} [proposal.value=0n] - Native value to send
+   * @param {string} [proposal.type="Standard"] - "Standard" or "Emergency"
+   * @returns {Promise<{proposalId: bigint, receipt: object}>}
+   */
+  async propose({ target, data, description, value = 0n, type = "Standard" }) {
+    const receipt = await this._send("propose", [
+      target,
+      value,
+      data,
+      description,
+      encodeEnum(ProposalType, type),
+    ]);
+    return { proposalId: eventValues(receipt, "ProposalCreated").proposalId, receipt };
+  }
+
+  /**
+   * Create a proposal whose calls execute atomically (PROPOSER_ROLE)
+   * @param {object} proposal
+   * @param {Array<{target: string, data: string, value?: bigint}>} proposal.calls - Calls in execution order
+   * @param {string} proposal.description - Description
+   * @param {string} [proposal.type="Standard"] - "Standard" or "Emergency"
+   * @returns {Promise<{proposalId: bigint, receipt: object}>}
+   */
+  async proposeBatch({ calls, description, type = "Standard" }) {
+    const receipt = await this._send("proposeBatch", [
+      calls.map((call) => call.target),
+      calls.map((call) => (call.value === undefined ? 0n : call.value)),
+      calls.map((call) => call.data),
+      description,
+      encodeEnum(ProposalType, type),
+    ]);
+    return { proposalId: eventValues(receipt, "ProposalCreated").proposalId, receipt };
+  }
+
+  /**
+   * @param {bigint|number} proposalId - Proposal ID (GOVERNOR_ROLE)
+   * @returns {Promise<object>} Transaction receipt
+   */
+  async approve(proposalId) {
+    return this._send("approve", [proposalId]);
+  }
+
+  /**
+   * Execute an Approved proposal, or retry a Failed one (EXECUTOR_ROLE)
+   *
+   * A reverting call does not revert the transaction: the proposal moves to
+   * Failed and the revert data is returned as failureReason.
+   *
+   * @param {bigint|number} proposalId - Proposal ID
+   * @returns {Promise<{success: boolean, failureReason: string|null, receipt: object}>}
+   */
+  async execute(proposalId) {
+    const receipt = await this._send("execute", [proposalId]);
+    const failed = receipt.events && receipt.events.ProposalExecutionFailed;
+    if (failed) {
+      return { success: false, failureReason: eventValues(receipt, "ProposalExecutionFailed").reason, receipt };
+    }
+    return { success: eventValues(receipt, "ProposalExecuted").success, failureReason: null, receipt };
+  }
+
+  /**
+   * @param {bigint|number} proposalId - Proposal ID (GOVERNOR_ROLE)
+   * @returns {Promise<object>} Transaction receipt
+   */
+  async cancel(proposalId) {
+    return this._send("cancel", [proposalId]);
+  }
+
+  /**
+   * Mark proposals past their expiry as Expired (any account)
+   *
+   * Proposals that are final or not yet expired are skipped on-chain, so
+   * the call only reverts for more than MAX_EXPIRE_BATCH IDs.
+   *
+   * @param {Array<bigint|number>} proposalIds - Proposal IDs to check
+   * @returns {Promise<{expired: bigint[], receipt: object}>} IDs actually moved to Expired
+   */
+  async expireProposals(proposalIds) {
+    const receipt = await this._send("expireProposals", [proposalIds]);
+    const expired = this._events(receipt, "ProposalExpired").map((event) => event.proposalId);
+    return { expired, receipt };
+  }
+}
+
+module.exports = { Governance };
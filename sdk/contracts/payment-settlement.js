@@ -0,0 +1,329 @@
+const { BaseContract, pick, eventValues } = require("./base-contract");
+const { BatchStatus, decodeEnum } = require("../enums");
+const { pastEvents } = require("../events");
+const { ZERO_REFERENCE, encodeReference } = require("../references");
+
+// Resends of createBatch with a reference after a failure without a revert
+const DEFAULT_CREATE_RETRIES = 2;
+
+/**
+ * PaymentSettlement: batch lifecycle and merchant claims
+ */
+class PaymentSettlement extends BaseContract {
+  constructor(client, address) {
+    super(client, "paymentSettlement", address);
+  }
+
+  /**
+   * @param {string} batchId - Batch identifier
+   * @returns {Promise<{batchId: string, fintech: string, totalAmount: bigint, status: string, merchantCount: bigint, claimedCount: bigint, createdAt: bigint}>}
+   */
+  async getBatch(batchId) {
+    const result = await this._call("getBatch", batchId);
+    return {
+      batchId,
+      ...pick(result, ["fintech", "totalAmount", "merchantCount", "claimedCount", "createdAt"]),
+      status: decodeEnum(BatchStatus, result.status),
+    };
+  }
+
+  /**
+   * @param {string} batchId - Batch identifier
+   * @param {bigint|number} index - Payment index
+   * @returns {Promise<{merchant: string, amount: bigint, claimed: boolean, reference: string|null}>} reference is the payment's bytes32 reference (see decodeReference)
+   */
+  async getPayment(batchId, index) {
+    const result = await this._call("getPayment", batchId, index);
+    return { ...pick(result, ["merchant", "amount", "claimed"]), reference: optionalReference(result.paymentReference) };
+  }
+
+  /**
+   * All payments in a batch
+   * @param {string} batchId - Batch identifier
+   * @returns {Promise<Array<{index: number, merchant: string, amount: bigint, claimed: boolean, reference: string|null}>>}
+   */
+  async getPayments(batchId) {
+    const { merchantCount } = await this.getBatch(batchId);
+    const payments = [];
+    for (let i = 0; i < Number(merchantCount); i++) {
+      payments.push({ index: i, ...(await this.getPayment(batchId, i)) });
+    }
+    return payments;
+  }
+
+  /**
+   * @param {string} batchId - Batch identifier
+   * @param {string} merchant - Merchant address
+   * @returns {Promise<{eligible: boolean, amount: bigint}>}
+   */
+  async canClaim(batchId, merchant) {
+    const result = await this._call("canClaim", batchId, merchant);
+    return pick(result, ["eligible", "amount"]);
+  }
+
+  /**
+   * Batches that include a merchant, rebuilt from PaymentScheduled events
+   * @param {string} merchant - Merchant address
+   * @param {object} [options]
+   * @param {bigint|number} [options.fromBlock=0] - Block to scan from (the settlement deployment block)
+   * @param {bigint|number} [options.maxBlockRange] - Max blocks per event query
+   * @returns {Promise<string[]>} Batch IDs, oldest first
+   */
+  async merchantBatches(merchant, { fromBlock = 0, maxBlockRange } = {}) {
+    const events = await pastEvents(this.client.web3, this.contract, "PaymentScheduled", {
+      fromBlock,
+      filter: { merchant },
+      maxBlockRange,
+    });
+    return [...new Set(events.map((event) => event.returnValues.batchId))];
+  }
+
+  /**
+   * Processing batches a merchant can still claim from
+   *
+   * Candidates come from an indexer database when one is given (unclaimed
+   * payments in Processing batches), else from a PaymentScheduled scan.
+   * Either way each one is confirmed with canClaim, so a lagging indexer
+   * never reports a batch that was claimed or closed since its last sync.
+   *
+   * @param {string} merchant - Merchant address
+   * @param {object} [options]
+   * @param {{pendingClaims: Function}} [options.indexerStore] - IndexerStore (scripts/indexer/store.js)
+   * @param {bigint|number} [options.fromBlock] - merchantBatches scan start, without an indexer
+   * @param {bigint|number} [options.maxBlockRange] - merchantBatches query size, without an indexer
+   * @returns {Promise<Array<{batchId: string, fintech: string, amount: bigint, createdAt: bigint}>>} Oldest first
+   */
+  async pendingClaims(merchant, { indexerStore, ...scanOptions } = {}) {
+    const candidates = indexerStore
+      ? indexerStore.pendingClaims(this.client.web3.utils.toChecksumAddress(merchant))
+      : (await this.merchantBatches(merchant, scanOptions)).map((batchId) => ({ batchId }));
+
+    const pending = [];
+    for (const candidate of candidates) {
+      const { eligible, amount } = await this.canClaim(candidate.batchId, merchant);
+      if (eligible) {
+        const { fintech, createdAt } = candidate.fintech ? candidate : await this.getBatch(candidate.batchId);
+        pending.push({ batchId: candidate.batchId, fintech, amount, createdAt });
+      }
+    }
+    return pending;
+  }
+
+  /**
+   * @returns {Promise<bigint>} Maximum payments per batch
+   */
+  async maxBatchSize() {
+    return this._call("MAX_BATCH_SIZE");
+  }
+
+  /**
+   * @returns {Promise<bigint>} Maximum payments per distributePayments call
+   */
+  async maxPayoutPage() {
+    return this._call("MAX_PAYOUT_PAGE");
+  }
+
+  /**
+   * @returns {Promise<bigint>} Maximum batches per claimMany call
+   */
+  async maxClaimBatches() {
+    return this._call("MAX_CLAIM_BATCHES");
+  }
+
+  /**
+   * @returns {Promise<string>} FraudPrevention address consulted at batch creation (zero address if disabled)
+   */
+  async fraudPrevention() {
+    return this._call("fraudPrevention");
+  }
+
+  /**
+   * @returns {Promise<{totalBatches: bigint, totalCompleted: bigint, totalFailed: bigint, totalSettled: bigint}>}
+   */
+  async getMetrics() {
+    const result = await this._call("getMetrics");
+    return {
+      totalBatches: result._totalBatches,
+      totalCompleted: result._totalCompleted,
+      totalFailed: result._totalFailed,
+      totalSettled: result._totalSettled,
+    };
+  }
+
+  /**
+   * Batch a fintech created under a client reference
+   * @param {string} fintech - Fintech address
+   * @param {string} reference - bytes32 or short text (see encodeReference)
+   * @returns {Promise<string|null>} Batch ID, or null if the reference is unused
+   */
+  async batchIdByReference(fintech, reference) {
+    const batchId = await this._call("batchIdByReference", fintech, encodeReference(reference));
+    return batchId === ZERO_REFERENCE ? null : batchId;
+  }
+
+  /**
+   * Create a payment batch (locks collateral)
+   *
+   * With a reference the call is idempotent: if the signer already has a
+   * batch under it, that batch is returned (existing: true, receipt: null)
+   * instead of creating another. A send that fails without a revert (RPC
+   * timeout, dropped connection) is retried, checking the reference first so
+   * a transaction that did land is not repeated; the contract rejects a
+   * reused reference in any case.
+   *
+   * paymentReferences tag each payment (e.g. with a hashed invoice ID); they
+   * come back from getPayment and in PaymentClaimed.
+   *
+   * @param {string[]} merchants - Merchant addresses
+   * @param {bigint[]} amounts - Base units per merchant
+   * @param {object} [options]
+   * @param {string} [options.reference] - Client reference, bytes32 or short text (see encodeReference)
+   * @param {Array<string|null>} [options.paymentReferences] - Reference per payment, bytes32 or short text (null for none)
+   * @param {number} [options.retries=2] - Resends after a failure without a revert (reference only)
+   * @returns {Promise<{batchId: string, receipt: object|null, existing: boolean}>}
+   */
+  async createBatch(merchants, amounts, { reference, paymentReferences, retries = DEFAULT_CREATE_RETRIES } = {}) {
+    const clientReference = reference === undefined ? ZERO_REFERENCE : encodeReference(reference);
+    let method = "createBatch";
+    let args = [merchants, amounts];
+    if (paymentReferences !== undefined) {
+      method = "createBatchWithPaymentReferences";
+      args = [merchants, amounts, paymentReferences.map(encodePaymentReference), clientReference];
+    } else if (clientReference !== ZERO_REFERENCE) {
+      method = "createBatchWithReference";
+      args = [merchants, amounts, clientReference];
+    }
+
+    if (clientReference === ZERO_REFERENCE) {
+      const receipt = await this._send(method, args);
+      return { batchId: eventValues(receipt, "BatchCreated").batchId, receipt, existing: false };
+    }
+
+    const fintech = this.client.requireAccount();
+    let lastError;
+    for (let attempt = 0; attempt <= retries; attempt++) {
+      const existing = await this.batchIdByReference(fintech, clientReference);
+      if (existing !== null) {
+        return { batchId: existing, receipt: null, existing: true };
+      }
+      try {
+        const receipt = await this._send(method, args);
+        return { batchId: eventValues(receipt, "BatchCreated").batchId, receipt, existing: false };
+      } catch (error) {
+        // Reverts are final, except a duplicate reference: an earlier attempt landed
+        if (error.message.startsWith("Transaction would revert") && !error.message.includes("Duplicate reference")) {
+          throw error;
+        }
+        lastError = error;
+      }
+    }
+
+    const existing = await this.batchIdByReference(fintech, clientReference);
+    if (existing !== null) {
+      return { batchId: existing, receipt: null, existing: true };
+    }
+    throw lastError;
+  }
+
+  /**
+   * @param {string} batchId - Batch identifier (ORACLE_ROLE)
+   * @returns {Promise<object>} Transaction receipt
+   */
+  async approveBatch(batchId) {
+    return this._send("approveBatch", [batchId]);
+  }
+
+  /**
+   * @param {string} batchId - Batch identifier
+   * @returns {Promise<object>} Transaction receipt
+   */
+  async claimPayment(batchId) {
+    return this._send("claimPayment", [batchId]);
+  }
+
+  /**
+   * Claim the signer's payments from several batches in one transaction
+   *
+   * Batches that cannot be claimed are skipped on-chain; the call reverts
+   * only if none can be claimed or more than maxClaimBatches() are given.
+   *
+   * @param {string[]} batchIds - Batch identifiers
+   * @returns {Promise<{claims: Array<{batchId: string, amount: bigint, reference: string|null}>, claimedAmount: bigint, receipt: object}>}
+   */
+  async claimMany(batchIds) {
+    const receipt = await this._send("claimMany", [batchIds]);
+    const claims = this._events(receipt, "PaymentClaimed").map(({ batchId, amount, paymentReference }) => ({
+      batchId,
+      amount,
+      reference: optionalReference(paymentReference),
+    }));
+    return { claims, claimedAmount: claims.reduce((sum, claim) => sum + claim.amount, 0n), receipt };
+  }
+
+  /**
+   * Push payments [fromIndex, toIndex) to their merchants (PAYOUT_ROLE or ORACLE_ROLE)
+   *
+   * Already claimed payments are skipped; the batch completes after the
+   * last payment. At most maxPayoutPage() payments per call. Active oracles
+   * go through settlementOracle.distributePayments instead.
+   *
+   * @param {string} batchId - Batch identifier
+   * @param {bigint|number} fromIndex - First payment index
+   * @param {bigint|number} toIndex - Payment index after the last one to pay
+   * @returns {Promise<{paidCount: bigint, paidAmount: bigint, completed: boolean, receipt: object}>}
+   */
+  async distributePayments(batchId, fromIndex, toIndex) {
+    const receipt = await this._send("distributePayments", [batchId, fromIndex, toIndex]);
+    const { paidCount, paidAmount } = eventValues(receipt, "PayoutDistributed");
+    const completed = this._events(receipt, "BatchCompleted").length > 0;
+    return { paidCount, paidAmount, completed, receipt };
+  }
+
+  /**
+   * @param {string} batchId - Batch identifier
+   * @returns {Promise<object>} Transaction receipt
+   */
+  async cancelBatch(batchId) {
+    return this._send("cancelBatch", [batchId]);
+  }
+
+  /**
+   * @param {string} batchId - Batch identifier
+   * @param {string} reason - Failure reason
+   * @returns {Promise<object>} Transaction receipt
+   */
+  async failBatch(batchId, reason) {
+    return this._send("failBatch", [batchId, reason]);
+  }
+
+  /**
+   * @param {string} address - FraudPrevention address, or the zero address to disable checks (DEFAULT_ADMIN_ROLE)
+   * @returns {Promise<object>} Transaction receipt
+   */
+  async setFraudPrevention(address) {
+    return this._send("setFraudPrevention", [address]);
+  }
+
+  /**
+   * @param {string} batchId - Batch identifier
+   * @returns {Promise<object>} Transaction receipt
+   */
+  async timeoutBatch(batchId) {
+    return this._send("timeoutBatch", [batchId]);
+  }
+}
+
+/**
+ * @param {string|null|undefined} value - Payment reference, bytes32 or short text
+ * @returns {string} bytes32 (zero for none)
+ */
+function encodePaymentReference(value) {
+  return value === undefined || value === null ? ZERO_REFERENCE : encodeReference(value);
+}
+
+// Zero references read back as null
+function optionalReference(value) {
+  return !value || value === ZERO_REFERENCE ? null : value;
+}
+
+module.exports = { PaymentSettlement };
@@ -0,0 +1,176 @@
+const { BaseContract, pick } = require("./base-contract");
+
+const ORACLE_INFO_FIELDS = [
+  "isRegistered",
+  "isActive",
+  "stake",
+  "approvals",
+  "rejections",
+  "slashes",
+  "registeredAt",
+  "lastActivityAt",
+];
+
+/**
+ * SettlementOracle: oracle registry and batch voting
+ */
+class SettlementOracle extends BaseContract {
+  constructor(client, address) {
+    super(client, "settlementOracle", address);
+  }
+
+  /**
+   * @param {string} oracle - Oracle address
+   * @returns {Promise<{isRegistered: boolean, isActive: boolean, stake: bigint, approvals: bigint, rejections: bigint, slashes: bigint, registeredAt: bigint, lastActivityAt: bigint}>}
+   */
+  async getOracleInfo(oracle) {
+    return pick(await this._call("getOracleInfo", oracle), ORACLE_INFO_FIELDS);
+  }
+
+  /**
+   * @returns {Promise<{total: bigint, active: bigint}>}
+   */
+  async getOracleCount() {
+    return pick(await this._call("getOracleCount"), ["total", "active"]);
+  }
+
+  /**
+   * @param {string} batchId - Batch identifier
+   * @returns {Promise<{approvals: bigint, rejections: bigint, processed: boolean}>}
+   */
+  async getBatchVoteStatus(batchId) {
+    return pick(await this._call("getBatchVoteStatus", batchId), ["approvals", "rejections", "processed"]);
+  }
+
+  /**
+   * @param {string} batchId - Batch identifier
+   * @param {string} oracle - Oracle address
+   * @returns {Promise<boolean>} Whether oracle already voted on batch
+   */
+  async hasVoted(batchId, oracle) {
+    return this._call("batchVotes", batchId, oracle);
+  }
+
+  /**
+   * @returns {Promise<bigint>} Minimum stake (USDC base units)
+   */
+  async minimumStake() {
+    return this._call("minimumStake");
+  }
+
+  /**
+   * @returns {Promise<bigint>} Stake slashed per offence (USDC base units)
+   */
+  async slashAmount() {
+    return this._call("slashAmount");
+  }
+
+  /**
+   * @returns {Promise<string>} Address receiving slashed stake
+   */
+  async treasury() {
+    return this._call("treasury");
+  }
+
+  /**
+   * @returns {Promise<bigint>} Votes required to approve or reject a batch
+   */
+  async approvalThreshold() {
+    return this._call("approvalThreshold");
+  }
+
+  /**
+   * @returns {Promise<{totalApprovals: bigint, totalRejections: bigint, totalSlashed: bigint, activeOracles: bigint}>}
+   */
+  async getMetrics() {
+    const result = await this._call("getMetrics");
+    return {
+      totalApprovals: result._totalApprovals,
+      totalRejections: result._totalRejections,
+      totalSlashed: result._totalSlashed,
+      activeOracles: result._activeOracles,
+    };
+  }
+
+  /**
+   * Register the signer as an oracle, approving the USDC stake first if the allowance is short
+   * @param {bigint} [stake] - Stake in USDC base units (defaults to minimumStake)
+   * @returns {Promise<object>} Registration receipt
+   */
+  async registerOracle(stake) {
+    const amount = stake === undefined ? await this.minimumStake() : stake;
+    await this.client.usdc.ensureAllowance(this.address, amount);
+    return this._send("registerOracle", [amount]);
+  }
+
+  /**
+   * @returns {Promise<object>} Transaction receipt
+   */
+  async deregisterOracle() {
+    return this._send("deregisterOracle");
+  }
+
+  /**
+   * @param {string} batchId - Batch identifier
+   * @returns {Promise<object>} Transaction receipt
+   */
+  async approveBatch(batchId) {
+    return this._send("approveBatch", [batchId]);
+  }
+
+  /**
+   * @param {string} batchId - Batch identifier
+   * @param {string} reason - Rejection reason
+   * @returns {Promise<object>} Transaction receipt
+   */
+  async rejectBatch(batchId, reason) {
+    return this._send("rejectBatch", [batchId, reason]);
+  }
+
+  /**
+   * Push payments [fromIndex, toIndex) of a Processing batch to their merchants
+   *
+   * For active oracles: the call is forwarded to
+   * PaymentSettlement.distributePayments under this contract's ORACLE_ROLE,
+   * so no PAYOUT_ROLE grant is needed.
+   *
+   * @param {string} batchId - Batch identifier
+   * @param {bigint|number} fromIndex - First payment index
+   * @param {bigint|number} toIndex - Payment index after the last one to pay
+   * @returns {Promise<{paidCount: bigint, paidAmount: bigint, completed: boolean, receipt: object}>}
+   */
+  async distributePayments(batchId, fromIndex, toIndex) {
+    const receipt = await this._send("distributePayments", [batchId, fromIndex, toIndex]);
+    const [{ paidCount, paidAmount }] = this._events(receipt, "PayoutForwarded");
+    const completed = this.client.paymentSettlement._events(receipt, "BatchCompleted").length > 0;
+    return { paidCount, paidAmount, completed, receipt };
+  }
+
+  /**
+   * Slash an oracle's stake; the slashed USDC is sent to treasury
+   * @param {string} oracle - Oracle address (ORACLE_MANAGER_ROLE)
+   * @param {string} reason - Slash reason
+   * @returns {Promise<object>} Transaction receipt
+   */
+  async slashOracle(oracle, reason) {
+    return this._send("slashOracle", [oracle, reason]);
+  }
+
+  /**
+   * @param {string} oracle - Oracle address (ORACLE_MANAGER_ROLE)
+   * @returns {Promise<object>} Transaction receipt
+   */
+  async activateOracle(oracle) {
+    return this._send("activateOracle", [oracle]);
+  }
+
+  /**
+   * @param {string} oracle - Oracle address (ORACLE_MANAGER_ROLE)
+   * @returns {Promise<object>} Transaction receipt
+   */
+  async deactivateOracle(oracle) {
+    return this._send("deactivateOracle", [oracle]);
+  }
+}
+
+module.exports = { SettlementOracle };
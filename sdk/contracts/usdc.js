@@ -0,0 +1,61 @@
+const { BaseContract } = require("./base-contract");
+
+/**
+ * USDC (ERC20) token
+ */
+class Usdc extends BaseContract {
+  constructor(client, address) {
+    super(client, "usdc", address);
+  }
+
+  /**
+   * @param {string} account - Holder address
+   * @returns {Promise<bigint>} Balance in base units
+   */
+  async balanceOf(account) {
+    return this._call("balanceOf", account);
+  }
+
+  /**
+   * @param {string} owner - Owner address
+   * @param {string} spender - Spender address
+   * @returns {Promise<bigint>} Allowance in base units
+   */
+  async allowance(owner, spender) {
+    return this._call("allowance", owner, spender);
+  }
+
+  /**
+   * @param {string} spender - Spender address
+   * @param {bigint} amount - Base units
+   * @returns {Promise<object>} Transaction receipt
+   */
+  async approve(spender, amount) {
+    return this._send("approve", [spender, amount]);
+  }
+
+  /**
+   * Approve only if the current allowance is below amount
+   * @param {string} spender - Spender address
+   * @param {bigint} amount - Base units required
+   * @returns {Promise<object|null>} Receipt, or null if already approved
+   */
+  async ensureAllowance(spender, amount) {
+    const current = await this.allowance(this.client.requireAccount(), spender);
+    if (BigInt(current) >= BigInt(amount)) {
+      return null;
+    }
+    return this.approve(spender, amount);
+  }
+
+  /**
+   * @param {string} to - Recipient
+   * @param {bigint} amount - Base units
+   * @returns {Promise<object>} Transaction receipt
+   */
+  async transfer(to, amount) {
+    return this._send("transfer", [to, amount]);
+  }
+}
+
+module.exports = { Usdc };
@@ -0,0 +1,50 @@
+/**
+ * Solidity enums, in declaration order
+ *
+ * web3 returns enum values as bigint ordinals; the SDK decodes them to these
+ * names so callers compare against "Pending" instead of 0n / "0".
+ */
+
+const BatchStatus = Object.freeze(["Pending", "Processing", "Completed", "Failed", "Timeout"]);
+const ProposalState = Object.freeze(["Pending", "Approved", "Executed", "Cancelled", "Expired", "Failed"]);
+const ProposalType = Object.freeze(["Standard", "Emergency"]);
+
+/**
+ * Decode an enum ordinal to its name
+ * @param {readonly string[]} values - Enum names in declaration order
+ * @param {bigint|number|string} ordinal - Value returned by the contract
+ * @returns {string} Enum name
+ */
+function decodeEnum(values, ordinal) {
+  const name = values[Number(ordinal)];
+  if (name === undefined) {
+    throw new Error(`Unknown enum value ${ordinal} (expected 0-${values.length - 1})`);
+  }
+  return name;
+}
+
+/**
+ * Encode an enum name (or ordinal) for a contract call
+ * @param {readonly string[]} values - Enum names in declaration order
+ * @param {string|bigint|number} value - Enum name or ordinal
+ * @returns {number} Ordinal
+ */
+function encodeEnum(values, value) {
+  if (typeof value === "string" && isNaN(Number(value))) {
+    const index = values.findIndex((name) => name.toLowerCase() === value.toLowerCase());
+    if (index === -1) {
+      throw new Error(`Unknown enum value "${value}". Use ${values.join(", ")}`);
+    }
+    return index;
+  }
+  decodeEnum(values, value);
+  return Number(value);
+}
+
+module.exports = {
+  BatchStatus,
+  ProposalState,
+  ProposalType,
+  decodeEnum,
+  encodeEnum,
+};
@@ -0,0 +1,41 @@
+/**
+ * Event queries over long block ranges
+ *
+ * Public RPC endpoints cap the block range of eth_getLogs, so history is
+ * fetched in chunks of at most maxBlockRange blocks.
+ */
+
+const DEFAULT_MAX_BLOCK_RANGE = 2000n;
+
+/**
+ * Fetch events of one or more types from a contract, oldest first
+ * @param {import("web3").Web3} web3 - Web3 instance (for the latest block)
+ * @param {object} contract - web3 contract instance
+ * @param {string|string[]} names - Event name(s)
+ * @param {object} [options]
+ * @param {bigint|number} [options.fromBlock=0] - First block (e.g. the deployment block)
+ * @param {bigint|number} [options.toBlock] - Last block (defaults to latest)
+ * @param {object} [options.filter] - Indexed argument filter (e.g. { role })
+ * @param {bigint|number} [options.maxBlockRange=2000] - Max blocks per getPastEvents call
+ * @returns {Promise<object[]>} Events sorted by block and log index
+ */
+async function pastEvents(web3, contract, names, { fromBlock = 0, toBlock, filter, maxBlockRange = DEFAULT_MAX_BLOCK_RANGE } = {}) {
+  const last = BigInt(toBlock === undefined ? await web3.eth.getBlockNumber() : toBlock);
+  const range = BigInt(maxBlockRange);
+  const events = [];
+
+  for (let start = BigInt(fromBlock); start <= last; start += range) {
+    const end = start + range - 1n < last ? start + range - 1n : last;
+    for (const name of [].concat(names)) {
+      events.push(...(await contract.getPastEvents(name, { fromBlock: start, toBlock: end, filter })));
+    }
+  }
+
+  return events.sort((a, b) =>
+    a.blockNumber === b.blockNumber
+      ? Number(BigInt(a.logIndex) - BigInt(b.logIndex))
+      : Number(BigInt(a.blockNumber) - BigInt(b.blockNumber))
+  );
+}
+
+module.exports = { DEFAULT_MAX_BLOCK_RANGE, pastEvents };
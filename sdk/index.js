@@ -0,0 +1,27 @@
+/**
+ * TataPay JavaScript SDK
+ *
+ * Usage:
+ *   const { TataPayClient, parseUsdc, formatUsdc } = require("tata-pay");
+ */
+
+const { TataPayClient, revertReason } = require("./client");
+const { BatchStatus, ProposalState, ProposalType, decodeEnum, encodeEnum } = require("./enums");
+const { USDC_DECIMALS, parseUsdc, formatUsdc } = require("./units");
+const { ZERO_REFERENCE, encodeReference, decodeReference } = require("./references");
+
+module.exports = {
+  TataPayClient,
+  revertReason,
+  BatchStatus,
+  ProposalState,
+  ProposalType,
+  decodeEnum,
+  encodeEnum,
+  USDC_DECIMALS,
+  parseUsdc,
+  formatUsdc,
+  ZERO_REFERENCE,
+  encodeReference,
+  decodeReference,
+};
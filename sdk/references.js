@@ -0,0 +1,53 @@
+/**
+ * Client references
+ *
+ * Fintechs tag batches with a bytes32 reference of their own (an
+ * idempotency key such as "payroll-2026-10"). Short text is stored
+ * UTF-8 encoded and zero-padded on the right, like Solidity string literals
+ * assigned to bytes32; anything longer must be hashed by the caller.
+ */
+
+const ZERO_REFERENCE = "0x" + "00".repeat(32);
+
+/**
+ * Encode a reference for a contract call
+ * @param {string} value - 0x-prefixed bytes32, or text of at most 32 UTF-8 bytes
+ * @returns {string} Lowercase bytes32
+ */
+function encodeReference(value) {
+  if (typeof value !== "string" || value === "") {
+    throw new Error("Invalid reference: expected a non-empty string");
+  }
+  if (/^0x[0-9a-fA-F]{64}$/.test(value)) {
+    if (value.toLowerCase() === ZERO_REFERENCE) {
+      throw new Error("Invalid reference: must not be zero");
+    }
+    return value.toLowerCase();
+  }
+
+  const bytes = Buffer.from(value, "utf8");
+  if (bytes.length > 32) {
+    throw new Error(`Invalid reference "${value}": ${bytes.length} bytes (max 32; hash longer keys)`);
+  }
+  return "0x" + bytes.toString("hex").padEnd(64, "0");
+}
+
+/**
+ * Decode a stored reference
+ * @param {string} value - bytes32 from an event or call
+ * @returns {string|null} Text for encodeReference'd text, the bytes32 otherwise, null for zero
+ */
+function decodeReference(value) {
+  if (!value || value.toLowerCase() === ZERO_REFERENCE) {
+    return null;
+  }
+  const bytes = Buffer.from(value.slice(2), "hex");
+  const end = bytes.length - [...bytes].reverse().findIndex((byte) => byte !== 0);
+  const text = bytes.subarray(0, end).toString("utf8");
+
+  // Only printable text without embedded zero bytes round-trips
+  const printable = !/[\u0000-\u001f\u007f\ufffd]/.test(text);
+  return printable && encodeReference(text) === value.toLowerCase() ? text : value.toLowerCase();
+}
+
+module.exports = { ZERO_REFERENCE, encodeReference, decodeReference };
@@ -0,0 +1,57 @@
+/**
+ * USDC amount conversion (6 decimals)
+ *
+ * Contracts take and return base units (1 USDC = 1_000_000). These helpers
+ * convert to and from decimal strings without going through floating point.
+ */
+
+const USDC_DECIMALS = 6;
+const USDC_UNIT = 10n ** BigInt(USDC_DECIMALS);
+
+/**
+ * Convert a decimal USDC amount to base units
+ * @param {string|number|bigint} amount - e.g. "1500.25", 1500, 1500n
+ * @returns {bigint} Base units (e.g. 1500250000n)
+ */
+function parseUsdc(amount) {
+  if (typeof amount === "bigint") {
+    return amount * USDC_UNIT;
+  }
+
+  const text = String(amount).trim();
+  const match = /^(-?)(\d*)(?:\.(\d*))?$/.exec(text);
+  if (!match || (match[2] === "" && !match[3])) {
+    throw new Error(`Invalid USDC amount: ${amount}`);
+  }
+
+  const [, sign, whole, fraction = ""] = match;
+  if (fraction.length > USDC_DECIMALS) {
+    throw new Error(`Invalid USDC amount: ${amount} (max ${USDC_DECIMALS} decimals)`);
+  }
+
+  const units = BigInt(whole || "0") * USDC_UNIT + BigInt(fraction.padEnd(USDC_DECIMALS, "0"));
+  return sign ? -units : units;
+}
+
+/**
+ * Convert base units to a decimal USDC string
+ * @param {bigint|number|string} units - Base units
+ * @returns {string} Decimal amount without trailing zeros (e.g. "1500.25")
+ */
+function formatUsdc(units) {
+  const value = BigInt(units);
+  const sign = value < 0n ? "-" : "";
+  const abs = value < 0n ? -value : value;
+
+  const whole = abs / USDC_UNIT;
+  const fraction = (abs % USDC_UNIT).toString().padStart(USDC_DECIMALS, "0").replace(/0+$/, "");
+
+  return `${sign}${whole}${fraction ? `.${fraction}` : ""}`;
+}
+
+module.exports = {
+  USDC_DECIMALS,
+  USDC_UNIT,
+  parseUsdc,
+  formatUsdc,
+};
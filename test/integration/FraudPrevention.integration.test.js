@@ -16,9 +16,10 @@ describe("FraudPrevention - Integration Tests", function () {
     const FraudPrevention = await ethers.getContractFactory("FraudPrevention");
     const fraud = await FraudPrevention.deploy(admin.address);
 
-    // Grant roles
+    // Grant roles (admin validates transactions in place of PaymentSettlement)
     const FRAUD_MANAGER_ROLE = await fraud.FRAUD_MANAGER_ROLE();
     await fraud.connect(admin).grantRole(FRAUD_MANAGER_ROLE, fraudManager.address);
+    await fraud.connect(admin).grantRole(await fraud.VALIDATOR_ROLE(), admin.address);
 
     return {
       fraud,
@@ -236,6 +237,31 @@ describe("FraudPrevention - Integration Tests", function () {
       const window = await fraud.getTransactionWindow(fintech1.address);
       expect(window.hourlyCount).to.equal(1);
     });
+
+    it("Should enforce validator role for validateTransaction", async function () {
+      const { fraud, fraudManager, fintech1, fintech2 } = await deployFixture();
+
+      // Otherwise anyone could burn another account's velocity allowance
+      await expect(
+        fraud.connect(fintech1).validateTransaction(fintech2.address, ethers.parseUnits("1000", 6))
+      ).to.be.revertedWithCustomError(fraud, "AccessControlUnauthorizedAccount");
+      // Managing lists and limits does not include recording transactions
+      await expect(
+        fraud.connect(fraudManager).validateTransaction(fintech2.address, ethers.parseUnits("1000", 6))
+      ).to.be.revertedWithCustomError(fraud, "AccessControlUnauthorizedAccount");
+    });
+
+    it("Should not let validators manage lists or limits", async function () {
+      const { fraud, admin, fintech1, fintech2 } = await deployFixture();
+      await fraud.connect(admin).grantRole(await fraud.VALIDATOR_ROLE(), fintech1.address);
+
+      await expect(
+        fraud.connect(fintech1).addToWhitelist(fintech2.address)
+      ).to.be.revertedWithCustomError(fraud, "AccessControlUnauthorizedAccount");
+      await expect(
+        fraud.connect(fintech1).setCustomLimits(fintech2.address, 1000, 1000, ethers.MaxUint256, ethers.MaxUint256)
+      ).to.be.revertedWithCustomError(fraud, "AccessControlUnauthorizedAccount");
+    });
   });
 
   describe("Velocity Limits - Daily Transaction Count", function () {
@@ -0,0 +1,253 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { ethers, network } = require("hardhat");
+const { Web3 } = require("web3");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { anyValue } = require("@nomicfoundation/hardhat-chai-matchers/withArgs");
+const { DeploymentRunner } = require("../../scripts/deploy/deployment-runner");
+const { buildPlan } = require("../../scripts/deploy/deploy-all");
+const { buildHandoverPlan, verifyParameterControl } = require("../../scripts/deploy/handover-to-governance");
+const { RoleAuditor, loadPolicy } = require("../../scripts/utils/role-auditor");
+const { loadAbi } = require("../../sdk/artifacts");
+
+describe("Governance Handover - Integration Tests", function () {
+  const STANDARD_DELAY = 48n * 60n * 60n; // 48 hours
+  const POLICY = loadPolicy(path.join(__dirname, "../../config/role-policy.json"));
+
+  // Shared web3 instance on the in-process Hardhat provider
+  const web3 = new Web3(network.provider);
+
+  let dir;
+
+  beforeEach(function () {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "tatapay-handover-"));
+  });
+
+  afterEach(function () {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  // Test fixture: stack deployed by deploy-all, then handed over (the
+  // deployer stays operator unless one is given)
+  async function deployFixture({ operator } = {}) {
+    const [deployer] = await ethers.getSigners();
+    const runner = () => new DeploymentRunner({ web3, networkName: "hardhat", from: deployer.address, manifestDir: dir, log: () => {} });
+
+    const { manifest } = await runner().run(buildPlan({ deployer: deployer.address }));
+    const addresses = {};
+    for (const [key, entry] of Object.entries(manifest.contracts)) {
+      addresses[key] = entry.address;
+    }
+
+    const handover = runner();
+    await handover.run(buildHandoverPlan({ deployer: deployer.address, addresses, operator }));
+
+    const governance = await ethers.getContractAt("TataPayGovernance", addresses.governance);
+    const pool = await ethers.getContractAt("CollateralPool", addresses.collateralPool);
+    const fraud = await ethers.getContractAt("FraudPrevention", addresses.fraudPrevention);
+    const oracle = await ethers.getContractAt("SettlementOracle", addresses.settlementOracle);
+
+    return { deployer, manifest, addresses, runner, handover, governance, pool, fraud, oracle };
+  }
+
+  // propose → approve → timelock → execute
+  async function passProposal(governance, target, data, description) {
+    const proposalId = await governance.proposalCount();
+    await governance.propose(target, 0, data, description, 0);
+    await governance.approve(proposalId);
+
+    await time.increase(STANDARD_DELAY);
+    await governance.execute(proposalId);
+    expect((await governance.getProposal(proposalId)).state).to.equal(2); // Executed
+    return proposalId;
+  }
+
+  describe("Role handover", function () {
+    it("Should grant admin roles to governance and renounce them from the deployer", async function () {
+      const { deployer, addresses, governance, pool, fraud, oracle } = await deployFixture();
+      const DEFAULT_ADMIN_ROLE = ethers.ZeroHash;
+
+      for (const contract of [pool, fraud, oracle]) {
+        expect(await contract.hasRole(DEFAULT_ADMIN_ROLE, governance.target)).to.be.true;
+        expect(await contract.hasRole(DEFAULT_ADMIN_ROLE, deployer.address)).to.be.false;
+      }
+      const settlement = await ethers.getContractAt("PaymentSettlement", addresses.paymentSettlement);
+      expect(await settlement.hasRole(DEFAULT_ADMIN_ROLE, governance.target)).to.be.true;
+      expect(await settlement.hasRole(DEFAULT_ADMIN_ROLE, deployer.address)).to.be.false;
+
+      expect(await fraud.hasRole(await fraud.FRAUD_MANAGER_ROLE(), governance.target)).to.be.true;
+      expect(await oracle.hasRole(await oracle.ORACLE_MANAGER_ROLE(), governance.target)).to.be.true;
+      expect(await oracle.hasRole(await oracle.ORACLE_MANAGER_ROLE(), deployer.address)).to.be.false;
+
+      // Operational roles stay with the deployer as the default operator
+      expect(await pool.hasRole(await pool.EMERGENCY_ROLE(), deployer.address)).to.be.true;
+      expect(await fraud.hasRole(await fraud.FRAUD_MANAGER_ROLE(), deployer.address)).to.be.true;
+    });
+
+    it("Should leave pause, freeze and blacklist with a separate operator", async function () {
+      const signers = await ethers.getSigners();
+      const [deployer, operator, suspect] = [signers[0], signers[5], signers[6]];
+      const { manifest, handover, pool, fraud, oracle } = await deployFixture({ operator: operator.address });
+
+      for (const contract of [pool, fraud, oracle]) {
+        const EMERGENCY_ROLE = await contract.EMERGENCY_ROLE();
+        expect(await contract.hasRole(EMERGENCY_ROLE, operator.address)).to.be.true;
+        expect(await contract.hasRole(EMERGENCY_ROLE, deployer.address)).to.be.false;
+      }
+      expect(await fraud.hasRole(await fraud.FRAUD_MANAGER_ROLE(), operator.address)).to.be.true;
+      expect(await fraud.hasRole(await fraud.FRAUD_MANAGER_ROLE(), deployer.address)).to.be.false;
+
+      // Incident response without a proposal
+      await fraud.connect(operator).addToBlacklist(suspect.address, "Reported fraud");
+      await fraud.connect(operator).freezeAddress(suspect.address);
+      await pool.connect(operator).pause();
+      await oracle.connect(operator).pause();
+      expect(await pool.paused()).to.be.true;
+      await expect(fraud.connect(deployer).pause())
+        .to.be.revertedWithCustomError(fraud, "AccessControlUnauthorizedAccount");
+
+      const contracts = {};
+      for (const key of ["collateralPool", "paymentSettlement", "fraudPrevention", "settlementOracle", "governance"]) {
+        const { address, blockNumber } = manifest.contracts[key];
+        contracts[key] = { address, abi: loadAbi(key), fromBlock: blockNumber };
+      }
+      const auditor = new RoleAuditor({ web3, contracts, accounts: { operator: operator.address } });
+      expect(await auditor.audit(await auditor.membership(), POLICY)).to.be.empty;
+
+      const checks = await verifyParameterControl(handover.contracts, deployer.address, { operator: operator.address });
+      expect(checks.filter((check) => !check.ok)).to.be.empty;
+    });
+
+    it("Should match the role policy after handover", async function () {
+      const { manifest } = await deployFixture();
+      const contracts = {};
+      for (const key of ["collateralPool", "paymentSettlement", "fraudPrevention", "settlementOracle", "governance"]) {
+        const { address, blockNumber } = manifest.contracts[key];
+        contracts[key] = { address, abi: loadAbi(key), fromBlock: blockNumber };
+      }
+
+      const auditor = new RoleAuditor({ web3, contracts, accounts: { operator: (await ethers.getSigners())[0].address } });
+      expect(await auditor.audit(await auditor.membership(), POLICY)).to.be.empty;
+    });
+
+    it("Should let an active oracle push payouts with the policy's role grants", async function () {
+      const { addresses, oracle } = await deployFixture();
+      const [, fintech, oracleAccount, merchant, keeper] = await ethers.getSigners();
+      const usdc = await ethers.getContractAt("SimpleUSDC", addresses.usdc);
+      const pool = await ethers.getContractAt("CollateralPool", addresses.collateralPool);
+      const settlement = await ethers.getContractAt("PaymentSettlement", addresses.paymentSettlement);
+
+      // PAYOUT_ROLE is held by nobody, as in config/role-policy.json
+      expect(POLICY.paymentSettlement.PAYOUT_ROLE).to.deep.equal([]);
+
+      const amount = 1_000_000000n;
+      await usdc.mint(fintech.address, amount);
+      await usdc.connect(fintech).approve(pool.target, amount);
+      await pool.connect(fintech).deposit(amount);
+      const receipt = await (await settlement.connect(fintech).createBatch([merchant.address], [amount])).wait();
+      const batchId = receipt.logs.map((log) => settlement.interface.parseLog(log)).find((log) => log && log.name === "BatchCreated").args.batchId;
+
+      const stake = await oracle.minimumStake();
+      await usdc.mint(oracleAccount.address, stake);
+      await usdc.connect(oracleAccount).approve(oracle.target, stake);
+      await oracle.connect(oracleAccount).registerOracle(stake);
+      await oracle.connect(oracleAccount).approveBatch(batchId);
+
+      await expect(settlement.connect(oracleAccount).distributePayments(batchId, 0, 1))
+        .to.be.revertedWith("PaymentSettlement: Unauthorized");
+      await expect(oracle.connect(keeper).distributePayments(batchId, 0, 1))
+        .to.be.revertedWith("SettlementOracle: Not active oracle");
+
+      await expect(oracle.connect(oracleAccount).distributePayments(batchId, 0, 1))
+        .to.emit(oracle, "PayoutForwarded")
+        .withArgs(batchId, oracleAccount.address, 1, amount, anyValue)
+        .and.to.emit(settlement, "PayoutDistributed")
+        .withArgs(batchId, oracle.target, 0, 1, 1, amount);
+      expect(await usdc.balanceOf(merchant.address)).to.equal(amount);
+      expect((await settlement.getBatch(batchId)).status).to.equal(2); // Completed
+    });
+
+    it("Should let governance, not the deployer, call parameter setters", async function () {
+      const { deployer, handover } = await deployFixture();
+
+      const checks = await verifyParameterControl(handover.contracts, deployer.address);
+      expect(checks).to.have.lengthOf(8);
+      expect(checks.filter((check) => !check.ok)).to.be.empty;
+    });
+
+    it("Should revoke direct deployer access to setters", async function () {
+      const { deployer, pool } = await deployFixture();
+
+      await expect(pool.connect(deployer).setWithdrawalDelay(2 * 60 * 60))
+        .to.be.revertedWithCustomError(pool, "AccessControlUnauthorizedAccount");
+    });
+
+    it("Should skip every step when re-run", async function () {
+      const { deployer, addresses, runner } = await deployFixture();
+
+      const { summary } = await runner().run(buildHandoverPlan({ deployer: deployer.address, addresses }));
+      expect(summary.sent).to.be.empty;
+      expect(summary.satisfied).to.have.lengthOf.above(0);
+    });
+
+    it("Should grant every role before renouncing any", async function () {
+      const [deployer] = await ethers.getSigners();
+      const plan = buildHandoverPlan({
+        deployer: deployer.address,
+        addresses: {
+          collateralPool: deployer.address,
+          paymentSettlement: deployer.address,
+          fraudPrevention: deployer.address,
+          settlementOracle: deployer.address,
+          governance: deployer.address,
+        },
+      });
+
+      const methods = plan.steps.map((step) => step.method);
+      expect(methods.lastIndexOf("grantRole")).to.be.below(methods.indexOf("renounceRole"));
+
+      const poolRenounces = plan.steps.filter((step) => step.id.startsWith("collateralPool.") && step.method === "renounceRole");
+      expect(poolRenounces[poolRenounces.length - 1].id).to.equal("collateralPool.DEFAULT_ADMIN_ROLE✕deployer");
+    });
+  });
+
+  describe("Parameter changes through governance", function () {
+    it("Should change the withdrawal delay via propose → approve → timelock → execute", async function () {
+      const { governance, pool } = await deployFixture();
+      const newDelay = 12n * 60n * 60n;
+      const data = pool.interface.encodeFunctionData("setWithdrawalDelay", [newDelay]);
+
+      const proposalId = await governance.proposalCount();
+      await governance.propose(pool.target, 0, data, "Shorten withdrawal delay to 12h", 0);
+      await governance.approve(proposalId);
+      expect((await governance.getProposal(proposalId)).state).to.equal(1); // Approved
+
+      // Timelock still running
+      await expect(governance.execute(proposalId)).to.be.revertedWith("TataPayGovernance: Timelock not passed");
+
+      await time.increase(STANDARD_DELAY);
+      await expect(governance.execute(proposalId))
+        .to.emit(pool, "WithdrawalDelayUpdated")
+        .withArgs(24n * 60n * 60n, newDelay)
+        .and.to.emit(governance, "ProposalExecuted");
+
+      expect(await pool.withdrawalDelay()).to.equal(newDelay);
+    });
+
+    it("Should update fraud limits and oracle stake through proposals", async function () {
+      const { governance, fraud, oracle } = await deployFixture();
+
+      const limits = [20, 200, 200000n * 10n ** 6n, 2000000n * 10n ** 6n];
+      await passProposal(governance, fraud.target, fraud.interface.encodeFunctionData("setDefaultLimits", limits), "Raise velocity limits");
+      const updated = await fraud.defaultLimits();
+      expect(updated.hourlyTransactionLimit).to.equal(20);
+      expect(updated.dailyAmountLimit).to.equal(limits[3]);
+
+      const newStake = 250n * 10n ** 6n;
+      await passProposal(governance, oracle.target, oracle.interface.encodeFunctionData("setMinimumStake", [newStake]), "Raise oracle stake");
+      expect(await oracle.minimumStake()).to.equal(newStake);
+    });
+  });
+});
@@ -1,6 +1,7 @@
 const { expect } = require("chai");
 const { ethers } = require("hardhat");
 const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { anyValue } = require("@nomicfoundation/hardhat-chai-matchers/withArgs");
 
 describe("PaymentSettlement - Integration Tests", function () {
   // Constants
@@ -95,7 +96,7 @@ describe("PaymentSettlement - Integration Tests", function () {
       // Verify event
       await expect(tx)
         .to.emit(settlement, "BatchCreated")
-        .withArgs(batchId, fintech1.address, 2, totalAmount, block.timestamp);
+        .withArgs(batchId, fintech1.address, ethers.ZeroHash, 2, totalAmount, block.timestamp);
 
       // Verify batch details
       const batch = await settlement.getBatch(batchId);
@@ -167,6 +168,20 @@ describe("PaymentSettlement - Integration Tests", function () {
       ).to.be.revertedWith("PaymentSettlement: Zero amount");
     });
 
+    it("Should reject duplicate merchants", async function () {
+      const { settlement, pool, usdc, fintech1, merchant1, merchant2 } = await deployFixture();
+
+      const merchants = [merchant1.address, merchant2.address, merchant1.address];
+      const amounts = Array(3).fill(ethers.parseUnits("1000", 6));
+
+      await usdc.connect(fintech1).approve(pool.target, ethers.parseUnits("3000", 6));
+      await pool.connect(fintech1).deposit(ethers.parseUnits("3000", 6));
+
+      await expect(
+        settlement.connect(fintech1).createBatch(merchants, amounts)
+      ).to.be.revertedWith("PaymentSettlement: Duplicate merchant");
+    });
+
     it("Should reject when insufficient collateral", async function () {
       const { settlement, fintech1, merchant1 } = await deployFixture();
 
@@ -180,6 +195,166 @@ describe("PaymentSettlement - Integration Tests", function () {
     });
   });
 
+  describe("Client References", function () {
+    const REFERENCE = ethers.encodeBytes32String("payroll-2026-10");
+
+    async function fundedFixture() {
+      const fixture = await deployFixture();
+      const { pool, usdc, fintech1, fintech2 } = fixture;
+      for (const fintech of [fintech1, fintech2]) {
+        await usdc.connect(fintech).approve(pool.target, ethers.parseUnits("10000", 6));
+        await pool.connect(fintech).deposit(ethers.parseUnits("10000", 6));
+      }
+      return fixture;
+    }
+
+    it("Should record the reference and emit it in BatchCreated", async function () {
+      const { settlement, fintech1, merchant1 } = await fundedFixture();
+
+      const tx = await settlement
+        .connect(fintech1)
+        .createBatchWithReference([merchant1.address], [ethers.parseUnits("1000", 6)], REFERENCE);
+      const receipt = await tx.wait();
+      const batchId = receipt.logs.find((log) => log.fragment && log.fragment.name === "BatchCreated").args.batchId;
+
+      await expect(tx)
+        .to.emit(settlement, "BatchCreated")
+        .withArgs(batchId, fintech1.address, REFERENCE, 1, ethers.parseUnits("1000", 6), anyValue);
+      expect(await settlement.batchIdByReference(fintech1.address, REFERENCE)).to.equal(batchId);
+      expect((await settlement.getBatch(batchId)).fintech).to.equal(fintech1.address);
+    });
+
+    it("Should reject a reused reference without locking collateral again", async function () {
+      const { settlement, pool, fintech1, merchant1 } = await fundedFixture();
+      const amounts = [ethers.parseUnits("1000", 6)];
+
+      await settlement.connect(fintech1).createBatchWithReference([merchant1.address], amounts, REFERENCE);
+      const { lockedBalance } = await pool.getBalance(fintech1.address);
+
+      await expect(
+        settlement.connect(fintech1).createBatchWithReference([merchant1.address], amounts, REFERENCE)
+      ).to.be.revertedWith("PaymentSettlement: Duplicate reference");
+      expect((await pool.getBalance(fintech1.address)).lockedBalance).to.equal(lockedBalance);
+      expect(await settlement.totalBatches()).to.equal(1);
+    });
+
+    it("Should keep references reserved after the batch is cancelled", async function () {
+      const { settlement, fintech1, merchant1 } = await fundedFixture();
+      const amounts = [ethers.parseUnits("1000", 6)];
+
+      await settlement.connect(fintech1).createBatchWithReference([merchant1.address], amounts, REFERENCE);
+      await settlement.connect(fintech1).cancelBatch(await settlement.batchIdByReference(fintech1.address, REFERENCE));
+
+      await expect(
+        settlement.connect(fintech1).createBatchWithReference([merchant1.address], amounts, REFERENCE)
+      ).to.be.revertedWith("PaymentSettlement: Duplicate reference");
+    });
+
+    it("Should scope references per fintech", async function () {
+      const { settlement, fintech1, fintech2, merchant1 } = await fundedFixture();
+      const amounts = [ethers.parseUnits("1000", 6)];
+
+      await settlement.connect(fintech1).createBatchWithReference([merchant1.address], amounts, REFERENCE);
+      await settlement.connect(fintech2).createBatchWithReference([merchant1.address], amounts, REFERENCE);
+
+      const first = await settlement.batchIdByReference(fintech1.address, REFERENCE);
+      const second = await settlement.batchIdByReference(fintech2.address, REFERENCE);
+      expect(first).to.not.equal(ethers.ZeroHash);
+      expect(second).to.not.equal(ethers.ZeroHash);
+      expect(first).to.not.equal(second);
+    });
+
+    it("Should reject the zero reference and leave plain batches unreferenced", async function () {
+      const { settlement, fintech1, merchant1 } = await fundedFixture();
+      const amounts = [ethers.parseUnits("1000", 6)];
+
+      await expect(
+        settlement.connect(fintech1).createBatchWithReference([merchant1.address], amounts, ethers.ZeroHash)
+      ).to.be.revertedWith("PaymentSettlement: Empty reference");
+
+      await settlement.connect(fintech1).createBatch([merchant1.address], amounts);
+      await settlement.connect(fintech1).createBatch([merchant1.address], amounts);
+      expect(await settlement.batchIdByReference(fintech1.address, ethers.ZeroHash)).to.equal(ethers.ZeroHash);
+    });
+  });
+
+  describe("Payment References", function () {
+    const INVOICES = [ethers.id("INV-1001"), ethers.encodeBytes32String("INV-1002")];
+
+    async function fundedFixture() {
+      const fixture = await deployFixture();
+      const { pool, usdc, settlement, fintech1, oracle, merchant1, merchant2 } = fixture;
+      await usdc.connect(fintech1).approve(pool.target, ethers.parseUnits("10000", 6));
+      await pool.connect(fintech1).deposit(ethers.parseUnits("10000", 6));
+
+      const merchants = [merchant1.address, merchant2.address];
+      const amounts = [ethers.parseUnits("1000", 6), ethers.parseUnits("2000", 6)];
+      const create = (references, clientReference = ethers.ZeroHash) =>
+        settlement.connect(fintech1).createBatchWithPaymentReferences(merchants, amounts, references, clientReference);
+      const batchIdOf = async (tx) =>
+        (await (await tx).wait()).logs.find((log) => log.fragment && log.fragment.name === "BatchCreated").args.batchId;
+      const approve = (batchId) => settlement.connect(oracle).approveBatch(batchId);
+      return { ...fixture, merchants, amounts, create, batchIdOf, approve };
+    }
+
+    it("Should store payment references and emit them when scheduled", async function () {
+      const { settlement, merchants, amounts, create, batchIdOf } = await fundedFixture();
+
+      const tx = create(INVOICES);
+      const batchId = await batchIdOf(tx);
+      await expect(tx).to.emit(settlement, "PaymentScheduled").withArgs(batchId, merchants[0], INVOICES[0], 0, amounts[0], anyValue);
+      await expect(tx).to.emit(settlement, "PaymentScheduled").withArgs(batchId, merchants[1], INVOICES[1], 1, amounts[1], anyValue);
+      await expect(tx).to.emit(settlement, "BatchCreated").withArgs(batchId, anyValue, ethers.ZeroHash, 2, anyValue, anyValue);
+
+      expect((await settlement.getPayment(batchId, 0)).paymentReference).to.equal(INVOICES[0]);
+      expect((await settlement.getPayment(batchId, 1)).paymentReference).to.equal(INVOICES[1]);
+
+      // Invoices can be looked up by their indexed reference
+      const events = await settlement.queryFilter(settlement.filters.PaymentScheduled(null, null, INVOICES[1]));
+      expect(events.map((event) => event.args.batchId)).to.deep.equal([batchId]);
+    });
+
+    it("Should emit the payment reference on claims and pushed payouts", async function () {
+      const { admin, settlement, merchant1, merchants, amounts, create, batchIdOf, approve } = await fundedFixture();
+      const batchId = await batchIdOf(create(INVOICES));
+      await approve(batchId);
+
+      await expect(settlement.connect(merchant1).claimPayment(batchId))
+        .to.emit(settlement, "PaymentClaimed")
+        .withArgs(batchId, merchants[0], INVOICES[0], amounts[0], anyValue);
+
+      await settlement.connect(admin).grantRole(await settlement.PAYOUT_ROLE(), admin.address);
+      await expect(settlement.connect(admin).distributePayments(batchId, 0, 2))
+        .to.emit(settlement, "PaymentClaimed")
+        .withArgs(batchId, merchants[1], INVOICES[1], amounts[1], anyValue);
+    });
+
+    it("Should allow repeated and zero payment references", async function () {
+      const { settlement, create, batchIdOf } = await fundedFixture();
+
+      const batchId = await batchIdOf(create([INVOICES[0], ethers.ZeroHash]));
+      expect((await settlement.getPayment(batchId, 1)).paymentReference).to.equal(ethers.ZeroHash);
+      await batchIdOf(create([INVOICES[0], INVOICES[0]]));
+      expect(await settlement.totalBatches()).to.equal(2);
+    });
+
+    it("Should combine payment references with a client reference", async function () {
+      const { settlement, fintech1, create, batchIdOf } = await fundedFixture();
+      const clientReference = ethers.encodeBytes32String("payroll-2026-10");
+
+      const batchId = await batchIdOf(create(INVOICES, clientReference));
+      expect(await settlement.batchIdByReference(fintech1.address, clientReference)).to.equal(batchId);
+      await expect(create(INVOICES, clientReference)).to.be.revertedWith("PaymentSettlement: Duplicate reference");
+    });
+
+    it("Should require one payment reference per merchant", async function () {
+      const { create } = await fundedFixture();
+
+      await expect(create([INVOICES[0]])).to.be.revertedWith("PaymentSettlement: Length mismatch");
+      await expect(create([])).to.be.revertedWith("PaymentSettlement: Length mismatch");
+    });
+  });
+
   describe("Batch Approval", function () {
     async function setupWithBatch() {
       const fixture = await deployFixture();
@@ -297,7 +472,7 @@ describe("PaymentSettlement - Integration Tests", function () {
 
       await expect(tx)
         .to.emit(settlement, "PaymentClaimed")
-        .withArgs(batchId, merchant1.address, amounts[0], block.timestamp);
+        .withArgs(batchId, merchant1.address, ethers.ZeroHash, amounts[0], block.timestamp);
 
       // Verify USDC transferred
       expect(await usdc.balanceOf(merchant1.address)).to.equal(merchant1Before + amounts[0]);
@@ -404,6 +579,271 @@ describe("PaymentSettlement - Integration Tests", function () {
     });
   });
 
+  describe("Claim Gas", function () {
+    const BATCH_SIZES = [1, 10, 50, 100];
+
+    // Gas used by the last merchant's claim in a batch of `size` payments
+    async function claimGas(size) {
+      const { settlement, pool, usdc, fintech1, oracle, merchant1 } = await deployFixture();
+
+      const merchants = Array.from({ length: size - 1 }, () => ethers.Wallet.createRandom().address);
+      merchants.push(merchant1.address);
+      const amounts = merchants.map(() => ethers.parseUnits("1000", 6));
+      const totalAmount = ethers.parseUnits("1000", 6) * BigInt(size);
+
+      await usdc.connect(fintech1).approve(pool.target, totalAmount);
+      await pool.connect(fintech1).deposit(totalAmount);
+      const receipt = await (await settlement.connect(fintech1).createBatch(merchants, amounts)).wait();
+      const batchId = receipt.logs.find(log => log.fragment && log.fragment.name === "BatchCreated").args[0];
+      await settlement.connect(oracle).approveBatch(batchId);
+
+      // Claim by another merchant first so the measured claim does not complete the batch
+      if (size > 1) {
+        await settlement.connect(oracle).distributePayments(batchId, 0, 1);
+      }
+      return (await (await settlement.connect(merchant1).claimPayment(batchId)).wait()).gasUsed;
+    }
+
+    it("Should cost the same to claim regardless of batch size and position", async function () {
+      const gas = [];
+      for (const size of BATCH_SIZES) {
+        gas.push(await claimGas(size));
+      }
+
+      // Sizes above 1 claim without completing the batch; only calldata cost
+      // (zero bytes in the batch ID) may differ
+      expect(gas[2]).to.be.closeTo(gas[1], 500n);
+      expect(gas[3]).to.be.closeTo(gas[1], 500n);
+    });
+  });
+
+  describe("Claim Many", function () {
+    // Create a batch from `fintech` and optionally approve it
+    async function createBatch(fixture, fintech, merchants, approve = true) {
+      const { settlement, pool, usdc, oracle } = fixture;
+      const amounts = merchants.map((_, i) => ethers.parseUnits(String(1000 * (i + 1)), 6));
+      const totalAmount = amounts.reduce((sum, amount) => sum + amount, 0n);
+
+      await usdc.connect(fintech).approve(pool.target, totalAmount);
+      await pool.connect(fintech).deposit(totalAmount);
+      const receipt = await (await settlement.connect(fintech).createBatch(merchants, amounts)).wait();
+      const batchId = receipt.logs.find(log => log.fragment && log.fragment.name === "BatchCreated").args[0];
+      if (approve) {
+        await settlement.connect(oracle).approveBatch(batchId);
+      }
+      return { batchId, amounts, receipt };
+    }
+
+    it("Should emit PaymentScheduled for every payment", async function () {
+      const fixture = await deployFixture();
+      const { settlement, fintech1, merchant1, merchant2 } = fixture;
+
+      const { batchId, receipt } = await createBatch(fixture, fintech1, [merchant1.address, merchant2.address], false);
+      const scheduled = receipt.logs
+        .filter(log => log.fragment && log.fragment.name === "PaymentScheduled")
+        .map(log => [log.args.batchId, log.args.merchant, log.args.index, log.args.amount]);
+      expect(scheduled).to.deep.equal([
+        [batchId, merchant1.address, 0n, ethers.parseUnits("1000", 6)],
+        [batchId, merchant2.address, 1n, ethers.parseUnits("2000", 6)],
+      ]);
+
+      const events = await settlement.queryFilter(settlement.filters.PaymentScheduled(null, merchant2.address));
+      expect(events).to.have.lengthOf(1);
+    });
+
+    it("Should claim from batches of several fintechs in one transaction", async function () {
+      const fixture = await deployFixture();
+      const { settlement, usdc, fintech1, fintech2, merchant1, merchant2 } = fixture;
+
+      const first = await createBatch(fixture, fintech1, [merchant1.address]);
+      const second = await createBatch(fixture, fintech2, [merchant2.address, merchant1.address]);
+
+      const tx = settlement.connect(merchant1).claimMany([first.batchId, second.batchId]);
+      await expect(tx).to.emit(settlement, "PaymentClaimed").withArgs(first.batchId, merchant1.address, ethers.ZeroHash, first.amounts[0], anyValue);
+      await expect(tx).to.emit(settlement, "PaymentClaimed").withArgs(second.batchId, merchant1.address, ethers.ZeroHash, second.amounts[1], anyValue);
+      await expect(tx).to.emit(settlement, "BatchCompleted");
+
+      expect(await usdc.balanceOf(merchant1.address)).to.equal(first.amounts[0] + second.amounts[1]);
+      expect((await settlement.getBatch(first.batchId)).status).to.equal(2); // Completed
+      expect((await settlement.getBatch(second.batchId)).status).to.equal(1); // Processing
+      expect((await settlement.canClaim(second.batchId, merchant2.address)).eligible).to.be.true;
+    });
+
+    it("Should skip batches that cannot be claimed", async function () {
+      const fixture = await deployFixture();
+      const { settlement, usdc, fintech1, merchant1, merchant2 } = fixture;
+
+      const claimable = await createBatch(fixture, fintech1, [merchant2.address, merchant1.address]);
+      const pending = await createBatch(fixture, fintech1, [merchant1.address], false);
+      const otherMerchant = await createBatch(fixture, fintech1, [merchant2.address]);
+      const claimed = await createBatch(fixture, fintech1, [merchant1.address, merchant2.address]);
+      await settlement.connect(merchant1).claimPayment(claimed.batchId);
+      const unknown = ethers.id("unknown");
+
+      const batchIds = [pending.batchId, otherMerchant.batchId, claimed.batchId, unknown, claimable.batchId, claimable.batchId];
+      const [claimedCount, claimedAmount] = await settlement.connect(merchant1).claimMany.staticCall(batchIds);
+      expect(claimedCount).to.equal(1);
+      expect(claimedAmount).to.equal(claimable.amounts[1]);
+
+      const before = await usdc.balanceOf(merchant1.address);
+      await settlement.connect(merchant1).claimMany(batchIds);
+      expect(await usdc.balanceOf(merchant1.address)).to.equal(before + claimable.amounts[1]);
+      expect((await settlement.getBatch(pending.batchId)).status).to.equal(0); // Pending
+    });
+
+    it("Should reject when nothing can be claimed", async function () {
+      const fixture = await deployFixture();
+      const { settlement, fintech1, merchant1, merchant2 } = fixture;
+
+      const { batchId } = await createBatch(fixture, fintech1, [merchant2.address]);
+
+      await expect(
+        settlement.connect(merchant1).claimMany([batchId])
+      ).to.be.revertedWith("PaymentSettlement: Nothing to claim");
+      await expect(
+        settlement.connect(merchant1).claimMany([])
+      ).to.be.revertedWith("PaymentSettlement: Nothing to claim");
+    });
+
+    it("Should reject too many batches", async function () {
+      const { settlement, merchant1 } = await deployFixture();
+
+      const batchIds = Array.from({ length: 51 }, (_, i) => ethers.id(`batch-${i}`));
+      await expect(
+        settlement.connect(merchant1).claimMany(batchIds)
+      ).to.be.revertedWith("PaymentSettlement: Too many batches");
+    });
+  });
+
+  describe("Push Payouts", function () {
+    // Approved batch paying 1000, 1001, ... USDC to `count` merchants
+    // (signers 10-19, then random addresses)
+    async function setupWithApprovedBatch(count = 4) {
+      const fixture = await deployFixture();
+      const { settlement, pool, usdc, admin, fintech1, oracle } = fixture;
+      const signers = await ethers.getSigners();
+      const keeper = signers[9];
+
+      const merchants = Array.from({ length: count }, (_, i) =>
+        (signers[10 + i] || ethers.Wallet.createRandom()).address
+      );
+      const amounts = merchants.map((_, i) => ethers.parseUnits(String(1000 + i), 6));
+      const totalAmount = amounts.reduce((sum, amount) => sum + amount, 0n);
+
+      await usdc.connect(fintech1).approve(pool.target, totalAmount);
+      await pool.connect(fintech1).deposit(totalAmount);
+
+      const tx = await settlement.connect(fintech1).createBatch(merchants, amounts);
+      const receipt = await tx.wait();
+      const event = receipt.logs.find(log => log.fragment && log.fragment.name === "BatchCreated");
+      const batchId = event.args[0];
+
+      await settlement.connect(oracle).approveBatch(batchId);
+      await settlement.connect(admin).grantRole(await settlement.PAYOUT_ROLE(), keeper.address);
+
+      return { ...fixture, keeper, signers, batchId, merchants, amounts, totalAmount };
+    }
+
+    it("Should push a page of payments and mark them claimed", async function () {
+      const { settlement, usdc, keeper, batchId, merchants, amounts } = await setupWithApprovedBatch();
+
+      const tx = await settlement.connect(keeper).distributePayments(batchId, 0, 2);
+      await expect(tx)
+        .to.emit(settlement, "PaymentClaimed")
+        .withArgs(batchId, merchants[1], ethers.ZeroHash, amounts[1], await time.latest())
+        .and.to.emit(settlement, "PayoutDistributed")
+        .withArgs(batchId, keeper.address, 0, 2, 2, amounts[0] + amounts[1]);
+
+      expect(await usdc.balanceOf(merchants[0])).to.equal(amounts[0]);
+      expect(await usdc.balanceOf(merchants[1])).to.equal(amounts[1]);
+      expect((await settlement.getPayment(batchId, 1)).claimed).to.be.true;
+      expect((await settlement.getPayment(batchId, 2)).claimed).to.be.false;
+
+      const batch = await settlement.getBatch(batchId);
+      expect(batch.status).to.equal(1); // Still Processing
+      expect(batch.claimedCount).to.equal(2);
+    });
+
+    it("Should skip payments merchants already pulled", async function () {
+      const { settlement, usdc, keeper, signers, batchId, merchants, amounts, totalAmount } = await setupWithApprovedBatch();
+
+      // Merchant at index 1 pulls first
+      await settlement.connect(signers[11]).claimPayment(batchId);
+
+      await expect(settlement.connect(keeper).distributePayments(batchId, 0, 4))
+        .to.emit(settlement, "PayoutDistributed")
+        .withArgs(batchId, keeper.address, 0, 4, 3, totalAmount - amounts[1]);
+
+      expect(await usdc.balanceOf(merchants[1])).to.equal(amounts[1]); // paid once
+      await expect(settlement.connect(signers[11]).claimPayment(batchId))
+        .to.be.revertedWith("PaymentSettlement: Not processing");
+    });
+
+    it("Should complete the batch after the last page", async function () {
+      const { settlement, pool, keeper, fintech1, batchId, totalAmount } = await setupWithApprovedBatch();
+
+      await settlement.connect(keeper).distributePayments(batchId, 0, 2);
+      await expect(settlement.connect(keeper).distributePayments(batchId, 2, 4))
+        .to.emit(settlement, "BatchCompleted")
+        .withArgs(batchId, fintech1.address, totalAmount, await time.latest() + 1);
+
+      expect((await settlement.getBatch(batchId)).status).to.equal(2); // Completed
+      const balance = await pool.getBalance(fintech1.address);
+      expect(balance.lockedBalance).to.equal(0);
+
+      const metrics = await settlement.getMetrics();
+      expect(metrics._totalCompleted).to.equal(1);
+      expect(metrics._totalSettled).to.equal(totalAmount);
+    });
+
+    it("Should let pull claims finish a partly pushed batch", async function () {
+      const { settlement, keeper, signers, batchId } = await setupWithApprovedBatch(2);
+
+      await settlement.connect(keeper).distributePayments(batchId, 0, 1);
+      await expect(settlement.connect(signers[10]).claimPayment(batchId))
+        .to.be.revertedWith("PaymentSettlement: Already claimed");
+      await expect(settlement.connect(signers[11]).claimPayment(batchId))
+        .to.emit(settlement, "BatchCompleted");
+    });
+
+    it("Should let the oracle push and reject other callers", async function () {
+      const { settlement, oracle, merchant1, batchId } = await setupWithApprovedBatch();
+
+      await expect(settlement.connect(merchant1).distributePayments(batchId, 0, 1))
+        .to.be.revertedWith("PaymentSettlement: Unauthorized");
+      await expect(settlement.connect(oracle).distributePayments(batchId, 0, 1))
+        .to.emit(settlement, "PayoutDistributed");
+    });
+
+    it("Should validate the batch state and page range", async function () {
+      const { settlement, keeper, batchId } = await setupWithApprovedBatch();
+      const maxPage = await settlement.MAX_PAYOUT_PAGE();
+
+      await expect(settlement.connect(keeper).distributePayments(ethers.ZeroHash, 0, 1))
+        .to.be.revertedWith("PaymentSettlement: Batch not found");
+      await expect(settlement.connect(keeper).distributePayments(batchId, 2, 2))
+        .to.be.revertedWith("PaymentSettlement: Invalid range");
+      await expect(settlement.connect(keeper).distributePayments(batchId, 0, 5))
+        .to.be.revertedWith("PaymentSettlement: Invalid range");
+      expect(maxPage).to.equal(50);
+
+      await time.increase(SETTLEMENT_TIMEOUT + 1n);
+      await settlement.timeoutBatch(batchId);
+      await expect(settlement.connect(keeper).distributePayments(batchId, 0, 1))
+        .to.be.revertedWith("PaymentSettlement: Not processing");
+    });
+
+    it("Should cap pages at MAX_PAYOUT_PAGE", async function () {
+      const { settlement, keeper, batchId } = await setupWithApprovedBatch(60);
+
+      await expect(settlement.connect(keeper).distributePayments(batchId, 0, 51))
+        .to.be.revertedWith("PaymentSettlement: Page too large");
+      await settlement.connect(keeper).distributePayments(batchId, 0, 50);
+      await expect(settlement.connect(keeper).distributePayments(batchId, 50, 60))
+        .to.emit(settlement, "BatchCompleted");
+    });
+  });
+
   describe("Batch Cancellation", function () {
     async function setupWithBatch() {
       const fixture = await deployFixture();
@@ -737,6 +1177,189 @@ describe("PaymentSettlement - Integration Tests", function () {
     });
   });
 
+  describe("Fraud Prevention", function () {
+    // Settlement wired to a FraudPrevention contract, fintech1 funded
+    async function setupWithFraudPrevention() {
+      const fixture = await deployFixture();
+      const { settlement, pool, usdc, admin, fintech1 } = fixture;
+
+      const FraudPrevention = await ethers.getContractFactory("FraudPrevention");
+      const fraudPrevention = await FraudPrevention.deploy(admin.address);
+
+      await fraudPrevention.connect(admin).grantRole(await fraudPrevention.VALIDATOR_ROLE(), settlement.target);
+      await settlement.connect(admin).setFraudPrevention(fraudPrevention.target);
+
+      const deposit = ethers.parseUnits("10000", 6);
+      await usdc.connect(fintech1).approve(pool.target, deposit);
+      await pool.connect(fintech1).deposit(deposit);
+
+      return { ...fixture, fraudPrevention };
+    }
+
+    it("Should set FraudPrevention and emit event", async function () {
+      const { settlement, admin } = await deployFixture();
+
+      expect(await settlement.fraudPrevention()).to.equal(ethers.ZeroAddress);
+
+      const FraudPrevention = await ethers.getContractFactory("FraudPrevention");
+      const fraudPrevention = await FraudPrevention.deploy(admin.address);
+
+      await expect(settlement.connect(admin).setFraudPrevention(fraudPrevention.target))
+        .to.emit(settlement, "FraudPreventionUpdated")
+        .withArgs(ethers.ZeroAddress, fraudPrevention.target);
+      expect(await settlement.fraudPrevention()).to.equal(fraudPrevention.target);
+    });
+
+    it("Should enforce admin role for setFraudPrevention", async function () {
+      const { settlement, fintech1 } = await deployFixture();
+
+      await expect(
+        settlement.connect(fintech1).setFraudPrevention(fintech1.address)
+      ).to.be.revertedWithCustomError(settlement, "AccessControlUnauthorizedAccount");
+    });
+
+    it("Should create batch when fintech and merchants pass checks", async function () {
+      const { settlement, fraudPrevention, fintech1, merchant1, merchant2 } = await setupWithFraudPrevention();
+
+      const amounts = [ethers.parseUnits("1000", 6), ethers.parseUnits("2000", 6)];
+
+      await expect(
+        settlement.connect(fintech1).createBatch([merchant1.address, merchant2.address], amounts)
+      ).to.emit(settlement, "BatchCreated");
+
+      // Transactions recorded against velocity windows
+      const fintechWindow = await fraudPrevention.getTransactionWindow(fintech1.address);
+      expect(fintechWindow.hourlyCount).to.equal(1);
+      expect(fintechWindow.hourlyAmount).to.equal(ethers.parseUnits("3000", 6));
+
+      const merchantWindow = await fraudPrevention.getTransactionWindow(merchant2.address);
+      expect(merchantWindow.hourlyAmount).to.equal(amounts[1]);
+    });
+
+    it("Should reject batch from frozen fintech", async function () {
+      const { settlement, pool, fraudPrevention, admin, fintech1, merchant1 } = await setupWithFraudPrevention();
+
+      await fraudPrevention.connect(admin).freezeAddress(fintech1.address);
+
+      await expect(
+        settlement.connect(fintech1).createBatch([merchant1.address], [ethers.parseUnits("1000", 6)])
+      ).to.be.revertedWith("PaymentSettlement: Fintech failed fraud check");
+
+      // No collateral locked
+      const poolBalance = await pool.getBalance(fintech1.address);
+      expect(poolBalance.lockedBalance).to.equal(0);
+    });
+
+    it("Should reject batch from blacklisted fintech", async function () {
+      const { settlement, fraudPrevention, admin, fintech1, merchant1 } = await setupWithFraudPrevention();
+
+      await fraudPrevention.connect(admin).addToBlacklist(fintech1.address, "Chargeback fraud");
+
+      await expect(
+        settlement.connect(fintech1).createBatch([merchant1.address], [ethers.parseUnits("1000", 6)])
+      ).to.be.revertedWith("PaymentSettlement: Fintech failed fraud check");
+    });
+
+    it("Should reject batch paying a blacklisted merchant", async function () {
+      const { settlement, fraudPrevention, admin, fintech1, merchant1, merchant2 } = await setupWithFraudPrevention();
+
+      await fraudPrevention.connect(admin).addToBlacklist(merchant2.address, "Money mule");
+
+      await expect(
+        settlement.connect(fintech1).createBatch(
+          [merchant1.address, merchant2.address],
+          [ethers.parseUnits("1000", 6), ethers.parseUnits("1000", 6)]
+        )
+      ).to.be.revertedWith("PaymentSettlement: Merchant failed fraud check");
+    });
+
+    it("Should reject batch paying a frozen merchant", async function () {
+      const { settlement, fraudPrevention, admin, fintech1, merchant1 } = await setupWithFraudPrevention();
+
+      await fraudPrevention.connect(admin).freezeAddress(merchant1.address);
+
+      await expect(
+        settlement.connect(fintech1).createBatch([merchant1.address], [ethers.parseUnits("1000", 6)])
+      ).to.be.revertedWith("PaymentSettlement: Merchant failed fraud check");
+    });
+
+    it("Should reject batch when fintech exceeds velocity limits", async function () {
+      const { settlement, fraudPrevention, admin, fintech1, merchant1, merchant2 } = await setupWithFraudPrevention();
+
+      // 2 transactions/hour, 5000 USDC/hour
+      await fraudPrevention.connect(admin).setCustomLimits(
+        fintech1.address,
+        2,
+        10,
+        ethers.parseUnits("5000", 6),
+        ethers.parseUnits("50000", 6)
+      );
+
+      // Amount limit
+      await expect(
+        settlement.connect(fintech1).createBatch([merchant1.address], [ethers.parseUnits("6000", 6)])
+      ).to.be.revertedWith("PaymentSettlement: Fintech failed fraud check");
+
+      // Transaction count limit
+      await settlement.connect(fintech1).createBatch([merchant1.address], [ethers.parseUnits("100", 6)]);
+      await settlement.connect(fintech1).createBatch([merchant2.address], [ethers.parseUnits("100", 6)]);
+      await expect(
+        settlement.connect(fintech1).createBatch([merchant1.address], [ethers.parseUnits("100", 6)])
+      ).to.be.revertedWith("PaymentSettlement: Fintech failed fraud check");
+
+      // Window resets after an hour
+      await time.increase(3601);
+      await expect(
+        settlement.connect(fintech1).createBatch([merchant1.address], [ethers.parseUnits("100", 6)])
+      ).to.emit(settlement, "BatchCreated");
+    });
+
+    it("Should reject batch when merchant exceeds velocity limits", async function () {
+      const { settlement, fraudPrevention, admin, fintech1, fintech2, pool, usdc, merchant1 } =
+        await setupWithFraudPrevention();
+
+      await fraudPrevention.connect(admin).setCustomLimits(
+        merchant1.address,
+        10,
+        100,
+        ethers.parseUnits("1500", 6),
+        ethers.parseUnits("10000", 6)
+      );
+
+      await settlement.connect(fintech1).createBatch([merchant1.address], [ethers.parseUnits("1000", 6)]);
+
+      // Inflows from another fintech count towards the same merchant window
+      const deposit = ethers.parseUnits("1000", 6);
+      await usdc.connect(fintech2).approve(pool.target, deposit);
+      await pool.connect(fintech2).deposit(deposit);
+
+      await expect(
+        settlement.connect(fintech2).createBatch([merchant1.address], [ethers.parseUnits("1000", 6)])
+      ).to.be.revertedWith("PaymentSettlement: Merchant failed fraud check");
+    });
+
+    it("Should skip checks once FraudPrevention is unset", async function () {
+      const { settlement, fraudPrevention, admin, fintech1, merchant1 } = await setupWithFraudPrevention();
+
+      await fraudPrevention.connect(admin).addToBlacklist(fintech1.address, "Fraud");
+      await settlement.connect(admin).setFraudPrevention(ethers.ZeroAddress);
+
+      await expect(
+        settlement.connect(fintech1).createBatch([merchant1.address], [ethers.parseUnits("1000", 6)])
+      ).to.emit(settlement, "BatchCreated");
+    });
+
+    it("Should reject batches if settlement lacks VALIDATOR_ROLE", async function () {
+      const { settlement, fraudPrevention, admin, fintech1, merchant1 } = await setupWithFraudPrevention();
+
+      await fraudPrevention.connect(admin).revokeRole(await fraudPrevention.VALIDATOR_ROLE(), settlement.target);
+
+      await expect(
+        settlement.connect(fintech1).createBatch([merchant1.address], [ethers.parseUnits("1000", 6)])
+      ).to.be.revertedWithCustomError(fraudPrevention, "AccessControlUnauthorizedAccount");
+    });
+  });
+
   describe("Emergency Functions", function () {
     it("Should pause and unpause contract", async function () {
       const { settlement, pool, usdc, admin, fintech1, merchant1 } = await deployFixture();
@@ -816,6 +1439,7 @@ describe("PaymentSettlement - Integration Tests", function () {
       expect(payment.merchant).to.equal(merchant1.address);
       expect(payment.amount).to.equal(amounts[0]);
       expect(payment.claimed).to.be.false;
+      expect(payment.paymentReference).to.equal(ethers.ZeroHash);
 
       payment = await settlement.getPayment(batchId, 1);
       expect(payment.merchant).to.equal(merchant2.address);
@@ -12,6 +12,7 @@ describe("SettlementOracle - Integration Tests", function () {
       fintech1,
       merchant1,
       merchant2,
+      treasury,
     ] = await ethers.getSigners();
 
     // Deploy mock USDC
@@ -39,11 +40,13 @@ describe("SettlementOracle - Integration Tests", function () {
     await pool.connect(admin).grantRole(SETTLEMENT_ROLE, settlement.target);
 
     // Deploy SettlementOracle
-    const minimumStake = ethers.parseEther("1"); // 1 PAS
+    const minimumStake = ethers.parseUnits("100", 6); // 100 USDC
     const SettlementOracle = await ethers.getContractFactory("SettlementOracle");
     const oracle = await SettlementOracle.deploy(
       await settlement.getAddress(),
+      await usdc.getAddress(),
       admin.address,
+      treasury.address,
       minimumStake
     );
 
@@ -55,6 +58,13 @@ describe("SettlementOracle - Integration Tests", function () {
     const initialBalance = ethers.parseUnits("1000000", 6); // 1M USDC
     await usdc.mint(fintech1.address, initialBalance);
 
+    // Mint and approve USDC stake for oracles
+    const oracleBalance = ethers.parseUnits("1000", 6);
+    for (const account of [oracle1, oracle2, oracle3]) {
+      await usdc.mint(account.address, oracleBalance);
+      await usdc.connect(account).approve(oracle.target, ethers.MaxUint256);
+    }
+
     return {
       oracle,
       settlement,
@@ -67,6 +77,7 @@ describe("SettlementOracle - Integration Tests", function () {
       fintech1,
       merchant1,
       merchant2,
+      treasury,
       minimumStake,
       ORACLE_ROLE,
       SETTLEMENT_ROLE,
@@ -75,9 +86,11 @@ describe("SettlementOracle - Integration Tests", function () {
 
   describe("Deployment", function () {
     it("Should deploy with correct configuration", async function () {
-      const { oracle, settlement, admin, minimumStake } = await deployFixture();
+      const { oracle, settlement, usdc, admin, treasury, minimumStake } = await deployFixture();
 
       expect(await oracle.paymentSettlement()).to.equal(settlement.target);
+      expect(await oracle.USDC()).to.equal(usdc.target);
+      expect(await oracle.treasury()).to.equal(treasury.address);
       expect(await oracle.minimumStake()).to.equal(minimumStake);
       expect(await oracle.approvalThreshold()).to.equal(1);
       expect(await oracle.activeOracleCount()).to.equal(0);
@@ -89,9 +102,11 @@ describe("SettlementOracle - Integration Tests", function () {
 
   describe("Oracle Registration", function () {
     it("Should register oracle with sufficient stake", async function () {
-      const { oracle, oracle1, minimumStake } = await deployFixture();
+      const { oracle, usdc, oracle1, minimumStake } = await deployFixture();
+
+      const balanceBefore = await usdc.balanceOf(oracle1.address);
 
-      const tx = await oracle.connect(oracle1).registerOracle({ value: minimumStake });
+      const tx = await oracle.connect(oracle1).registerOracle(minimumStake);
       const receipt = await tx.wait();
       const block = await ethers.provider.getBlock(receipt.blockNumber);
 
@@ -107,6 +122,18 @@ describe("SettlementOracle - Integration Tests", function () {
       expect(info.rejections).to.equal(0);
 
       expect(await oracle.activeOracleCount()).to.equal(1);
+      expect(await usdc.balanceOf(oracle1.address)).to.equal(balanceBefore - minimumStake);
+      expect(await usdc.balanceOf(oracle.target)).to.equal(minimumStake);
+    });
+
+    it("Should reject registration without USDC approval", async function () {
+      const { oracle, usdc, oracle1, minimumStake } = await deployFixture();
+
+      await usdc.connect(oracle1).approve(oracle.target, 0);
+
+      await expect(
+        oracle.connect(oracle1).registerOracle(minimumStake)
+      ).to.be.revertedWithCustomError(usdc, "ERC20InsufficientAllowance");
     });
 
     it("Should reject registration with insufficient stake", async function () {
@@ -115,31 +142,30 @@ describe("SettlementOracle - Integration Tests", function () {
       const insufficientStake = minimumStake - 1n;
 
       await expect(
-        oracle.connect(oracle1).registerOracle({ value: insufficientStake })
+        oracle.connect(oracle1).registerOracle(insufficientStake)
       ).to.be.revertedWith("SettlementOracle: Insufficient stake");
     });
 
     it("Should reject duplicate registration", async function () {
       const { oracle, oracle1, minimumStake } = await deployFixture();
 
-      await oracle.connect(oracle1).registerOracle({ value: minimumStake });
+      await oracle.connect(oracle1).registerOracle(minimumStake);
 
       await expect(
-        oracle.connect(oracle1).registerOracle({ value: minimumStake })
+        oracle.connect(oracle1).registerOracle(minimumStake)
       ).to.be.revertedWith("SettlementOracle: Already registered");
     });
   });
 
   describe("Oracle Deregistration", function () {
     it("Should deregister oracle and return stake", async function () {
-      const { oracle, oracle1, minimumStake } = await deployFixture();
+      const { oracle, usdc, oracle1, minimumStake } = await deployFixture();
 
-      await oracle.connect(oracle1).registerOracle({ value: minimumStake });
+      await oracle.connect(oracle1).registerOracle(minimumStake);
 
-      const balanceBefore = await ethers.provider.getBalance(oracle1.address);
+      const balanceBefore = await usdc.balanceOf(oracle1.address);
 
       const tx = await oracle.connect(oracle1).deregisterOracle();
-      const receipt = await tx.wait();
 
       await expect(tx).to.emit(oracle, "OracleDeregistered");
 
@@ -150,10 +176,9 @@ describe("SettlementOracle - Integration Tests", function () {
 
       expect(await oracle.activeOracleCount()).to.equal(0);
 
-      // Verify stake returned (accounting for gas)
-      const balanceAfter = await ethers.provider.getBalance(oracle1.address);
-      const gasCost = receipt.gasUsed * receipt.gasPrice;
-      expect(balanceAfter).to.be.closeTo(balanceBefore + minimumStake - gasCost, ethers.parseEther("0.001"));
+      // Verify USDC stake returned
+      expect(await usdc.balanceOf(oracle1.address)).to.equal(balanceBefore + minimumStake);
+      expect(await usdc.balanceOf(oracle.target)).to.equal(0);
     });
 
     it("Should reject deregistration if not registered", async function () {
@@ -178,9 +203,9 @@ describe("SettlementOracle - Integration Tests", function () {
       const { oracle, settlement, pool, usdc, oracle1, oracle2, oracle3, fintech1, merchant1, minimumStake, admin } = fixture;
 
       // Register 3 oracles
-      await oracle.connect(oracle1).registerOracle({ value: minimumStake });
-      await oracle.connect(oracle2).registerOracle({ value: minimumStake });
-      await oracle.connect(oracle3).registerOracle({ value: minimumStake });
+      await oracle.connect(oracle1).registerOracle(minimumStake);
+      await oracle.connect(oracle2).registerOracle(minimumStake);
+      await oracle.connect(oracle3).registerOracle(minimumStake);
 
       // Set threshold to 2
       await oracle.connect(admin).setApprovalThreshold(2);
@@ -224,9 +249,9 @@ describe("SettlementOracle - Integration Tests", function () {
 
   describe("Oracle Slashing", function () {
     it("Should slash oracle for malicious behavior", async function () {
-      const { oracle, admin, oracle1, minimumStake } = await deployFixture();
+      const { oracle, usdc, admin, oracle1, treasury, minimumStake } = await deployFixture();
 
-      await oracle.connect(oracle1).registerOracle({ value: minimumStake });
+      await oracle.connect(oracle1).registerOracle(minimumStake);
 
       const reason = "Provided false data";
       const slashAmount = await oracle.slashAmount();
@@ -238,13 +263,32 @@ describe("SettlementOracle - Integration Tests", function () {
       const info = await oracle.getOracleInfo(oracle1.address);
       expect(info.stake).to.equal(minimumStake - slashAmount);
       expect(info.slashes).to.equal(1);
+
+      // Slashed USDC goes to treasury
+      expect(await usdc.balanceOf(treasury.address)).to.equal(slashAmount);
+      expect(await usdc.balanceOf(oracle.target)).to.equal(minimumStake - slashAmount);
+    });
+
+    it("Should return remaining stake after slashing on deregistration", async function () {
+      const { oracle, usdc, admin, oracle1, minimumStake } = await deployFixture();
+
+      await oracle.connect(oracle1).registerOracle(minimumStake);
+      await oracle.connect(admin).slashOracle(oracle1.address, "Fraud");
+
+      const slashAmount = await oracle.slashAmount();
+      const balanceBefore = await usdc.balanceOf(oracle1.address);
+
+      await oracle.connect(oracle1).deregisterOracle();
+
+      expect(await usdc.balanceOf(oracle1.address)).to.equal(balanceBefore + minimumStake - slashAmount);
+      expect(await usdc.balanceOf(oracle.target)).to.equal(0);
     });
 
     it("Should deactivate oracle if stake falls below minimum", async function () {
       const { oracle, admin, oracle1, minimumStake } = await deployFixture();
 
-      const lowStake = minimumStake + ethers.parseEther("0.05"); // Just above minimum
-      await oracle.connect(oracle1).registerOracle({ value: lowStake });
+      const lowStake = minimumStake + ethers.parseUnits("5", 6); // Just above minimum
+      await oracle.connect(oracle1).registerOracle(lowStake);
 
       expect(await oracle.activeOracleCount()).to.equal(1);
 
@@ -261,7 +305,7 @@ describe("SettlementOracle - Integration Tests", function () {
     it("Should activate deactivated oracle with sufficient stake", async function () {
       const { oracle, admin, oracle1, minimumStake } = await deployFixture();
 
-      await oracle.connect(oracle1).registerOracle({ value: minimumStake });
+      await oracle.connect(oracle1).registerOracle(minimumStake);
       await oracle.connect(admin).deactivateOracle(oracle1.address);
 
       expect(await oracle.activeOracleCount()).to.equal(0);
@@ -278,7 +322,7 @@ describe("SettlementOracle - Integration Tests", function () {
     it("Should deactivate oracle", async function () {
       const { oracle, admin, oracle1, minimumStake } = await deployFixture();
 
-      await oracle.connect(oracle1).registerOracle({ value: minimumStake });
+      await oracle.connect(oracle1).registerOracle(minimumStake);
 
       const tx = await oracle.connect(admin).deactivateOracle(oracle1.address);
 
@@ -294,8 +338,8 @@ describe("SettlementOracle - Integration Tests", function () {
     it("Should update approval threshold", async function () {
       const { oracle, admin, oracle1, oracle2, minimumStake } = await deployFixture();
 
-      await oracle.connect(oracle1).registerOracle({ value: minimumStake });
-      await oracle.connect(oracle2).registerOracle({ value: minimumStake });
+      await oracle.connect(oracle1).registerOracle(minimumStake);
+      await oracle.connect(oracle2).registerOracle(minimumStake);
 
       const tx = await oracle.connect(admin).setApprovalThreshold(2);
 
@@ -307,7 +351,7 @@ describe("SettlementOracle - Integration Tests", function () {
     it("Should reject threshold higher than active oracles", async function () {
       const { oracle, admin, oracle1, minimumStake } = await deployFixture();
 
-      await oracle.connect(oracle1).registerOracle({ value: minimumStake });
+      await oracle.connect(oracle1).registerOracle(minimumStake);
 
       await expect(
         oracle.connect(admin).setApprovalThreshold(5)
@@ -317,7 +361,7 @@ describe("SettlementOracle - Integration Tests", function () {
     it("Should update minimum stake", async function () {
       const { oracle, admin } = await deployFixture();
 
-      const newStake = ethers.parseEther("2");
+      const newStake = ethers.parseUnits("200", 6);
 
       const tx = await oracle.connect(admin).setMinimumStake(newStake);
 
@@ -328,12 +372,40 @@ describe("SettlementOracle - Integration Tests", function () {
     });
   });
 
+  describe("Treasury", function () {
+    it("Should update treasury", async function () {
+      const { oracle, admin, treasury, merchant2 } = await deployFixture();
+
+      await expect(oracle.connect(admin).setTreasury(merchant2.address))
+        .to.emit(oracle, "TreasuryUpdated")
+        .withArgs(treasury.address, merchant2.address);
+
+      expect(await oracle.treasury()).to.equal(merchant2.address);
+    });
+
+    it("Should reject zero treasury address", async function () {
+      const { oracle, admin } = await deployFixture();
+
+      await expect(
+        oracle.connect(admin).setTreasury(ethers.ZeroAddress)
+      ).to.be.revertedWith("SettlementOracle: Invalid treasury address");
+    });
+
+    it("Should only allow admin to update treasury", async function () {
+      const { oracle, oracle1 } = await deployFixture();
+
+      await expect(
+        oracle.connect(oracle1).setTreasury(oracle1.address)
+      ).to.be.revertedWithCustomError(oracle, "AccessControlUnauthorizedAccount");
+    });
+  });
+
   describe("View Functions", function () {
     it("Should return correct oracle count", async function () {
       const { oracle, oracle1, oracle2, minimumStake } = await deployFixture();
 
-      await oracle.connect(oracle1).registerOracle({ value: minimumStake });
-      await oracle.connect(oracle2).registerOracle({ value: minimumStake });
+      await oracle.connect(oracle1).registerOracle(minimumStake);
+      await oracle.connect(oracle2).registerOracle(minimumStake);
 
       const [total, active] = await oracle.getOracleCount();
       expect(total).to.equal(2);
@@ -344,7 +416,7 @@ describe("SettlementOracle - Integration Tests", function () {
       const fixture = await deployFixture();
       const { oracle, settlement, pool, usdc, oracle1, fintech1, merchant1, minimumStake } = fixture;
 
-      await oracle.connect(oracle1).registerOracle({ value: minimumStake });
+      await oracle.connect(oracle1).registerOracle(minimumStake);
 
       // Create batch
       const merchants = [merchant1.address];
@@ -371,7 +443,7 @@ describe("SettlementOracle - Integration Tests", function () {
     it("Should return correct metrics", async function () {
       const { oracle, oracle1, minimumStake } = await deployFixture();
 
-      await oracle.connect(oracle1).registerOracle({ value: minimumStake });
+      await oracle.connect(oracle1).registerOracle(minimumStake);
 
       const [totalApprovals, totalRejections, totalSlashed, activeOracles] = await oracle.getMetrics();
 
@@ -391,14 +463,14 @@ describe("SettlementOracle - Integration Tests", function () {
 
       // Cannot register when paused
       await expect(
-        oracle.connect(oracle1).registerOracle({ value: minimumStake })
+        oracle.connect(oracle1).registerOracle(minimumStake)
       ).to.be.revertedWithCustomError(oracle, "EnforcedPause");
 
       await oracle.connect(admin).unpause();
       expect(await oracle.paused()).to.be.false;
 
       // Can register again
-      await expect(oracle.connect(oracle1).registerOracle({ value: minimumStake })).to.not.be.reverted;
+      await expect(oracle.connect(oracle1).registerOracle(minimumStake)).to.not.be.reverted;
     });
   });
 });
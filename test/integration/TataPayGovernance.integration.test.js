@@ -411,11 +411,252 @@ describe("TataPayGovernance - Integration Tests", function () {
       const tx = await governance.connect(governor1).execute(proposalId);
 
       await expect(tx)
-        .to.emit(governance, "ProposalExecuted")
-        .withArgs(proposalId, governor1.address, false, await time.latest());
+        .to.emit(governance, "ProposalExecutionFailed")
+        .withArgs(proposalId, governor1.address, "0x", await time.latest());
+      await expect(tx).not.to.emit(governance, "ProposalExecuted");
 
       const proposal = await governance.getProposal(proposalId);
-      expect(proposal.state).to.equal(2); // Executed (even though call failed)
+      expect(proposal.state).to.equal(5); // Failed
+      expect(proposal.executedAt).to.equal(0);
+      expect((await governance.getMetrics())._totalExecuted).to.equal(0);
+    });
+
+    it("Should keep the revert reason of a failed execution", async function () {
+      const { governance, target, governor1, governor2, governor3 } = await deployFixture();
+      const data = target.interface.encodeFunctionData("failingFunction");
+
+      await governance.connect(governor1).propose(target.target, 0, data, "Will fail", 0);
+      await governance.connect(governor1).approve(0);
+      await governance.connect(governor2).approve(0);
+      await governance.connect(governor3).approve(0);
+      await time.increase(STANDARD_DELAY + 1n);
+
+      await governance.connect(governor1).execute(0);
+
+      const reason = await governance.getFailureReason(0);
+      const [message] = ethers.AbiCoder.defaultAbiCoder().decode(["string"], ethers.dataSlice(reason, 4));
+      expect(ethers.dataSlice(reason, 0, 4)).to.equal("0x08c379a0"); // Error(string)
+      expect(message).to.equal("Intentional failure");
+    });
+
+    it("Should keep a failed proposal executable until it expires", async function () {
+      const { governance, target, governor1, governor2, governor3 } = await deployFixture();
+      await governance.connect(governor1).propose(target.target, 0, target.interface.encodeFunctionData("failingFunction"), "Will fail", 0);
+      await governance.connect(governor1).approve(0);
+      await governance.connect(governor2).approve(0);
+      await governance.connect(governor3).approve(0);
+      await time.increase(STANDARD_DELAY + 1n);
+
+      await governance.connect(governor1).execute(0);
+      const [executable] = await governance.canExecute(0);
+      expect(executable).to.be.true;
+
+      // Retrying fails again and keeps the proposal Failed
+      await expect(governance.connect(governor1).execute(0)).to.emit(governance, "ProposalExecutionFailed");
+      expect((await governance.getProposal(0)).state).to.equal(5); // Failed
+
+      await time.increase(PROPOSAL_LIFETIME);
+      await expect(governance.connect(governor1).execute(0)).to.be.revertedWith("TataPayGovernance: Expired");
+    });
+
+    it("Should mark a retried proposal Executed and clear its failure", async function () {
+      const { governance, governor1, governor2, governor3 } = await deployFixture();
+      const USDC = await ethers.getContractFactory("MockUSDC");
+      const usdc = await USDC.deploy("USD Coin", "USDC", 6);
+      const data = usdc.interface.encodeFunctionData("transfer", [governor1.address, 100]);
+
+      await governance.connect(governor1).propose(usdc.target, 0, data, "Pay governor", 0);
+      await governance.connect(governor1).approve(0);
+      await governance.connect(governor2).approve(0);
+      await governance.connect(governor3).approve(0);
+      await time.increase(STANDARD_DELAY + 1n);
+
+      // Governance holds no tokens yet
+      await governance.connect(governor1).execute(0);
+      expect((await governance.getProposal(0)).state).to.equal(5); // Failed
+      expect(await governance.getFailureReason(0)).to.not.equal("0x");
+
+      await usdc.mint(governance.target, 100);
+      await expect(governance.connect(governor1).execute(0)).to.emit(governance, "ProposalExecuted");
+
+      expect((await governance.getProposal(0)).state).to.equal(2); // Executed
+      expect(await governance.getFailureReason(0)).to.equal("0x");
+      expect(await usdc.balanceOf(governor1.address)).to.equal(100);
+    });
+
+    it("Should let governors cancel a failed proposal", async function () {
+      const { governance, target, governor1, governor2, governor3 } = await deployFixture();
+      await governance.connect(governor1).propose(target.target, 0, target.interface.encodeFunctionData("failingFunction"), "Will fail", 0);
+      await governance.connect(governor1).approve(0);
+      await governance.connect(governor2).approve(0);
+      await governance.connect(governor3).approve(0);
+      await time.increase(STANDARD_DELAY + 1n);
+      await governance.connect(governor1).execute(0);
+
+      await governance.connect(governor1).cancel(0);
+      expect((await governance.getProposal(0)).state).to.equal(3); // Cancelled
+      await expect(governance.connect(governor1).execute(0)).to.be.revertedWith("TataPayGovernance: Not approved");
+    });
+
+    it("Should revert instead of failing when the executor sends too little gas", async function () {
+      const { governance, target, governor1, governor2, governor3 } = await deployFixture();
+      await governance.connect(governor1).propose(target.target, 0, target.interface.encodeFunctionData("setValue", [42]), "Set", 0);
+      await governance.connect(governor1).approve(0);
+      await governance.connect(governor2).approve(0);
+      await governance.connect(governor3).approve(0);
+      await time.increase(STANDARD_DELAY + 1n);
+
+      await expect(governance.connect(governor1).execute(0, { gasLimit: 60000 })).to.be.reverted;
+      expect((await governance.getProposal(0)).state).to.equal(1); // Approved
+    });
+  });
+
+  describe("Batch Proposals", function () {
+    async function setupWithBatch(second = "setValue") {
+      const fixture = await deployFixture();
+      const { governance, target, governor1 } = fixture;
+
+      const MockTarget = await ethers.getContractFactory("contracts/mocks/MockTarget.sol:MockTarget");
+      const target2 = await MockTarget.deploy();
+
+      const targets = [target.target, target2.target];
+      const calldatas = [
+        target.interface.encodeFunctionData("setValue", [42]),
+        second === "setValue"
+          ? target2.interface.encodeFunctionData("setValue", [7])
+          : target2.interface.encodeFunctionData("failingFunction"),
+      ];
+
+      await governance.connect(governor1).proposeBatch(targets, [0, 0], calldatas, "Set both values", 0);
+
+      return { ...fixture, target2, targets, calldatas, proposalId: 0n };
+    }
+
+    async function approveAll(governance, signers, proposalId) {
+      for (const signer of signers) {
+        await governance.connect(signer).approve(proposalId);
+      }
+    }
+
+    it("Should create a batch proposal and record its calls", async function () {
+      const { governance, target, governor1 } = await deployFixture();
+      const data = [
+        target.interface.encodeFunctionData("setValue", [1]),
+        target.interface.encodeFunctionData("setValue", [2]),
+      ];
+
+      await expect(governance.connect(governor1).proposeBatch([target.target, target.target], [0, 0], data, "Two writes", 0))
+        .to.emit(governance, "ProposalCreated")
+        .and.to.emit(governance, "BatchProposalCreated")
+        .withArgs(0, [target.target, target.target], [0, 0], data);
+
+      const proposal = await governance.getProposal(0);
+      expect(proposal.target).to.equal(ethers.ZeroAddress);
+      expect(proposal.data).to.equal("0x");
+
+      const calls = await governance.getProposalCalls(0);
+      expect(calls).to.have.lengthOf(2);
+      expect(calls[1].target).to.equal(target.target);
+      expect(calls[1].data).to.equal(data[1]);
+    });
+
+    it("Should execute every call after the timelock", async function () {
+      const { governance, target, target2, governor1, governor2, governor3, proposalId } = await setupWithBatch();
+      await approveAll(governance, [governor1, governor2, governor3], proposalId);
+
+      await time.increase(STANDARD_DELAY + 1n);
+      await expect(governance.connect(governor1).execute(proposalId))
+        .to.emit(target, "ValueSet").withArgs(42)
+        .and.to.emit(target2, "ValueSet").withArgs(7)
+        .and.to.emit(governance, "ProposalExecuted");
+
+      expect(await target.value()).to.equal(42);
+      expect(await target2.value()).to.equal(7);
+      expect((await governance.getProposal(proposalId)).state).to.equal(2); // Executed
+    });
+
+    it("Should undo the whole batch when any call fails", async function () {
+      const { governance, target, governor1, governor2, governor3, proposalId } = await setupWithBatch("failingFunction");
+      await approveAll(governance, [governor1, governor2, governor3], proposalId);
+
+      await time.increase(STANDARD_DELAY + 1n);
+      await expect(governance.connect(governor1).execute(proposalId)).to.emit(governance, "ProposalExecutionFailed");
+
+      // First call rolled back, failing call's reason kept
+      expect(await target.value()).to.equal(0);
+      expect((await governance.getProposal(proposalId)).state).to.equal(5); // Failed
+      expect(await governance.getFailureReason(proposalId)).to.equal(
+        target.interface.encodeErrorResult("Error(string)", ["Intentional failure"])
+      );
+      expect((await governance.getMetrics())._totalExecuted).to.equal(0);
+    });
+
+    it("Should only run batch calls from execute", async function () {
+      const { governance, governor1, proposalId } = await setupWithBatch();
+
+      await expect(governance.connect(governor1).executeBatchCalls(proposalId))
+        .to.be.revertedWith("TataPayGovernance: Only self");
+    });
+
+    it("Should not let another proposal replay a batch's calls", async function () {
+      const { governance, target, governor1, governor2, governor3, proposalId } = await setupWithBatch();
+      const replay = governance.interface.encodeFunctionData("executeBatchCalls", [proposalId]);
+      const notExecuting = governance.interface.encodeErrorResult("Error(string)", ["TataPayGovernance: Not executing"]);
+
+      // Single-call proposal replaying the still-pending batch
+      await governance.connect(governor1).propose(governance.target, 0, replay, "Replay pending batch", 0);
+      await approveAll(governance, [governor1, governor2, governor3], 1n);
+      await time.increase(STANDARD_DELAY + 1n);
+      await expect(governance.connect(governor1).execute(1)).to.emit(governance, "ProposalExecutionFailed");
+      expect(await governance.getFailureReason(1)).to.equal(notExecuting);
+      expect(await target.value()).to.equal(0);
+
+      // Batch proposal replaying a batch that already executed
+      await approveAll(governance, [governor1, governor2, governor3], proposalId);
+      await time.increase(STANDARD_DELAY + 1n);
+      await governance.connect(governor1).execute(proposalId);
+      await governance.connect(governor1).proposeBatch(
+        [target.target, governance.target], [0, 0], [target.interface.encodeFunctionData("setValue", [1]), replay], "Reset then replay", 0
+      );
+      await approveAll(governance, [governor1, governor2, governor3], 2n);
+      await time.increase(STANDARD_DELAY + 1n);
+      await expect(governance.connect(governor1).execute(2)).to.emit(governance, "ProposalExecutionFailed");
+      expect(await governance.getFailureReason(2)).to.equal(notExecuting);
+      expect(await target.value()).to.equal(42);
+    });
+
+    it("Should reject malformed batches", async function () {
+      const { governance, target, governor1 } = await deployFixture();
+      const data = target.interface.encodeFunctionData("setValue", [1]);
+      const max = Number(await governance.MAX_BATCH_CALLS());
+
+      await expect(governance.connect(governor1).proposeBatch([], [], [], "Empty", 0))
+        .to.be.revertedWith("TataPayGovernance: Empty batch");
+      await expect(governance.connect(governor1).proposeBatch([target.target], [0, 0], [data], "Mismatch", 0))
+        .to.be.revertedWith("TataPayGovernance: Length mismatch");
+      await expect(governance.connect(governor1).proposeBatch([target.target], [0], [data, data], "Mismatch", 0))
+        .to.be.revertedWith("TataPayGovernance: Length mismatch");
+      await expect(governance.connect(governor1).proposeBatch([target.target, ethers.ZeroAddress], [0, 0], [data, data], "Zero", 0))
+        .to.be.revertedWith("TataPayGovernance: Invalid target");
+      await expect(
+        governance.connect(governor1).proposeBatch(
+          Array(max + 1).fill(target.target), Array(max + 1).fill(0), Array(max + 1).fill(data), "Too many", 0
+        )
+      ).to.be.revertedWith("TataPayGovernance: Batch too large");
+      await expect(governance.connect(governor1).proposeBatch([target.target], [0], [data], "", 0))
+        .to.be.revertedWith("TataPayGovernance: Empty description");
+    });
+
+    it("Should return a single call for regular proposals", async function () {
+      const { governance, target, governor1 } = await deployFixture();
+      const data = target.interface.encodeFunctionData("setValue", [5]);
+      await governance.connect(governor1).propose(target.target, 0, data, "Single", 0);
+
+      const calls = await governance.getProposalCalls(0);
+      expect(calls).to.have.lengthOf(1);
+      expect(calls[0].target).to.equal(target.target);
+      expect(calls[0].value).to.equal(0);
+      expect(calls[0].data).to.equal(data);
     });
   });
 
@@ -486,6 +727,115 @@ describe("TataPayGovernance - Integration Tests", function () {
     });
   });
 
+  describe("Proposal Expiry", function () {
+    // Pending standard proposal #0, approved emergency proposal #1
+    async function setupWithOpenProposals() {
+      const fixture = await deployFixture();
+      const { governance, target, governor1, governor2, governor3 } = fixture;
+      const data = target.interface.encodeFunctionData("setValue", [42]);
+
+      await governance.connect(governor1).propose(target.target, 0, data, "Standard, never approved", 0);
+      await governance.connect(governor1).propose(target.target, 0, data, "Emergency, never executed", 1);
+      await governance.connect(governor1).approve(1);
+      await governance.connect(governor2).approve(1);
+      await governance.connect(governor3).approve(1);
+
+      return fixture;
+    }
+
+    it("Should reject expiring a proposal before expiresAt", async function () {
+      const { governance, user1 } = await setupWithOpenProposals();
+
+      expect(await governance.isExpirable(0)).to.be.false;
+      await expect(governance.connect(user1).expire(0)).to.be.revertedWith("TataPayGovernance: Not expirable");
+      await expect(governance.connect(user1).expire(7)).to.be.revertedWith("TataPayGovernance: Unknown proposal");
+    });
+
+    it("Should let anyone expire pending and approved proposals of both types", async function () {
+      const { governance, user1 } = await setupWithOpenProposals();
+      await time.increase(PROPOSAL_LIFETIME);
+
+      expect(await governance.isExpirable(0)).to.be.true;
+      await expect(governance.connect(user1).expire(0))
+        .to.emit(governance, "ProposalExpired")
+        .withArgs(0, 0, await time.latest() + 1); // was Pending
+      await expect(governance.connect(user1).expire(1))
+        .to.emit(governance, "ProposalExpired")
+        .withArgs(1, 1, await time.latest() + 1); // was Approved
+
+      expect((await governance.getProposal(0)).state).to.equal(4); // Expired
+      expect((await governance.getProposal(1)).state).to.equal(4); // Expired
+      expect(await governance.isExpirable(0)).to.be.false;
+      await expect(governance.connect(user1).expire(0)).to.be.revertedWith("TataPayGovernance: Not expirable");
+    });
+
+    it("Should expire failed proposals", async function () {
+      const { governance, target, governor1, governor2, governor3 } = await deployFixture();
+      await governance.connect(governor1).propose(target.target, 0, target.interface.encodeFunctionData("failingFunction"), "Will fail", 1);
+      await governance.connect(governor1).approve(0);
+      await governance.connect(governor2).approve(0);
+      await governance.connect(governor3).approve(0);
+      await time.increase(EMERGENCY_DELAY);
+      await governance.connect(governor1).execute(0);
+
+      await time.increase(PROPOSAL_LIFETIME);
+      await expect(governance.expire(0)).to.emit(governance, "ProposalExpired").withArgs(0, 5, await time.latest() + 1);
+      expect((await governance.getProposal(0)).state).to.equal(4); // Expired
+      expect(await governance.getFailureReason(0)).to.not.equal("0x");
+    });
+
+    it("Should sweep a list of proposals, skipping ones that cannot expire", async function () {
+      const { governance, target, governor1, user1 } = await setupWithOpenProposals();
+      const data = target.interface.encodeFunctionData("setValue", [1]);
+
+      // #2 cancelled, #3 created later so still live
+      await governance.connect(governor1).propose(target.target, 0, data, "Cancelled", 0);
+      await governance.connect(governor1).cancel(2);
+      await time.increase(PROPOSAL_LIFETIME - 60n);
+      await governance.connect(governor1).propose(target.target, 0, data, "Fresh", 0);
+      await time.increase(60n);
+
+      const ids = [0, 1, 2, 3, 99];
+      expect(await governance.connect(user1).expireProposals.staticCall(ids)).to.equal(2);
+      await governance.connect(user1).expireProposals(ids);
+
+      expect((await governance.getProposal(0)).state).to.equal(4);
+      expect((await governance.getProposal(1)).state).to.equal(4);
+      expect((await governance.getProposal(2)).state).to.equal(3); // Cancelled
+      expect((await governance.getProposal(3)).state).to.equal(0); // Pending
+
+      const max = Number(await governance.MAX_EXPIRE_BATCH());
+      await expect(governance.expireProposals(Array(max + 1).fill(0)))
+        .to.be.revertedWith("TataPayGovernance: Batch too large");
+    });
+
+    it("Should count expired proposals in metrics", async function () {
+      const { governance } = await setupWithOpenProposals();
+      await time.increase(PROPOSAL_LIFETIME);
+      await governance.expireProposals([0, 1]);
+
+      const metrics = await governance.getMetrics();
+      expect(metrics._totalCreated).to.equal(2);
+      expect(metrics._totalExecuted).to.equal(0);
+      expect(metrics._totalCancelled).to.equal(0);
+      expect(metrics._totalExpired).to.equal(2);
+
+      // Sweeping again does not double count
+      await governance.expireProposals([0, 1]);
+      expect((await governance.getMetrics())._totalExpired).to.equal(2);
+    });
+
+    it("Should refuse to approve, execute or cancel expired proposals", async function () {
+      const { governance, governor1, governor4 } = await setupWithOpenProposals();
+      await time.increase(PROPOSAL_LIFETIME);
+      await governance.expireProposals([0, 1]);
+
+      await expect(governance.connect(governor4).approve(0)).to.be.revertedWith("TataPayGovernance: Not pending");
+      await expect(governance.connect(governor1).execute(1)).to.be.revertedWith("TataPayGovernance: Not approved");
+      await expect(governance.connect(governor1).cancel(1)).to.be.revertedWith("TataPayGovernance: Cannot cancel");
+    });
+  });
+
   describe("Governor Management", function () {
     it("Should add new governor", async function () {
       const { governance, user1, governor1, governor2, governor3 } = await deployFixture();
@@ -588,8 +938,13 @@ describe("TataPayGovernance - Integration Tests", function () {
           // Third removal should fail (would go below required threshold)
           const tx = await governance.connect(governor1).execute(i);
           await expect(tx)
-            .to.emit(governance, "ProposalExecuted")
-            .withArgs(i, governor1.address, false, await time.latest());
+            .to.emit(governance, "ProposalExecutionFailed")
+            .withArgs(
+              i,
+              governor1.address,
+              governance.interface.encodeErrorResult("Error(string)", ["TataPayGovernance: Cannot reduce below required"]),
+              await time.latest()
+            );
         }
       }
     });
@@ -659,8 +1014,13 @@ describe("TataPayGovernance - Integration Tests", function () {
       // Execute should fail
       const tx = await governance.connect(governor1).execute(0);
       await expect(tx)
-        .to.emit(governance, "ProposalExecuted")
-        .withArgs(0, governor1.address, false, await time.latest());
+        .to.emit(governance, "ProposalExecutionFailed")
+        .withArgs(
+          0,
+          governor1.address,
+          governance.interface.encodeErrorResult("Error(string)", ["TataPayGovernance: Emergency >= standard"]),
+          await time.latest()
+        );
     });
   });
 
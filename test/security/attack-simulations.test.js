@@ -33,9 +33,11 @@ describe("Attack Simulations", function () {
 
     // Deploy SettlementOracle
     const SettlementOracle = await ethers.getContractFactory("SettlementOracle");
-    const minimumStake = ethers.parseEther("1"); // 1 ETH/PAS minimum stake
+    const minimumStake = ethers.parseUnits("100", 6); // 100 USDC minimum stake
     const settlementOracle = await SettlementOracle.deploy(
       await paymentSettlement.getAddress(),
+      await usdc.getAddress(),
+      owner.address,
       owner.address,
       minimumStake
     );
@@ -57,6 +59,10 @@ describe("Attack Simulations", function () {
     await usdc.mint(fintech.address, ethers.parseUnits("10000000", 6));
     await usdc.connect(fintech).approve(await collateralPool.getAddress(), ethers.MaxUint256);
 
+    // Mint oracle stake
+    await usdc.mint(oracle.address, minimumStake);
+    await usdc.connect(oracle).approve(await settlementOracle.getAddress(), minimumStake);
+
     return {
       usdc,
       collateralPool,
@@ -100,8 +106,7 @@ describe("Attack Simulations", function () {
       const batchId = paymentSettlement.interface.parseLog(event).args.batchId;
 
       // Register and approve batch with oracle
-      const minimumStake = ethers.parseEther("1");
-      await settlementOracle.connect(oracle).registerOracle({ value: minimumStake });
+      await settlementOracle.connect(oracle).registerOracle(await settlementOracle.minimumStake());
       await settlementOracle.connect(oracle).approveBatch(batchId);
 
       // Set batch ID in malicious contract
@@ -162,8 +167,7 @@ describe("Attack Simulations", function () {
       const batchId = paymentSettlement.interface.parseLog(event).args.batchId;
 
       // Register and approve batch with oracle
-      const minimumStake = ethers.parseEther("1");
-      await settlementOracle.connect(oracle).registerOracle({ value: minimumStake });
+      await settlementOracle.connect(oracle).registerOracle(await settlementOracle.minimumStake());
       await settlementOracle.connect(oracle).approveBatch(batchId);
 
       // Merchant claims once
@@ -0,0 +1,96 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { ethers } = require("hardhat");
+const {
+  manifestPath,
+  loadManifest,
+  requireManifest,
+  createManifest,
+  recordContract,
+  saveManifest,
+  contractAddresses,
+  deploymentBlock,
+} = require("../../config/deployments");
+const { TataPayClient } = require("../../sdk");
+
+describe("Deployment Manifest - Unit Tests", function () {
+  const POOL = "0xe7f1725e7734ce288f8367e1bb143e90bb3f0512";
+  const ADMIN = "0xf39Fd6e51aad88F6F4ce6aB8827279cffFb92266";
+  const BYTECODE = "0x6080604052";
+
+  let dir;
+
+  beforeEach(function () {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "tatapay-deployments-"));
+  });
+
+  afterEach(function () {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it("Should record contracts and round-trip through disk", function () {
+    const manifest = createManifest("moonbase", 1287n);
+    const entry = recordContract(manifest, "collateralPool", {
+      contract: "CollateralPool",
+      address: POOL,
+      txHash: "0x" + "11".repeat(32),
+      blockNumber: 42n,
+      constructorArgs: [ADMIN, 100n, [ADMIN]],
+      bytecode: BYTECODE,
+    });
+
+    expect(entry.address).to.equal(ethers.getAddress(POOL));
+    expect(entry.blockNumber).to.equal(42);
+    expect(entry.constructorArgs).to.deep.equal([ADMIN, "100", [ADMIN]]);
+    expect(entry.bytecodeHash).to.equal(ethers.keccak256(BYTECODE));
+
+    const file = saveManifest(manifest, dir);
+    expect(file).to.equal(manifestPath("moonbase", dir));
+    expect(fs.existsSync(`${file}.tmp`)).to.be.false;
+
+    const loaded = loadManifest("moonbase", dir);
+    expect(loaded.chainId).to.equal(1287);
+    expect(loaded.updatedAt).to.be.a("string");
+    expect(loaded.contracts.collateralPool).to.deep.equal(entry);
+  });
+
+  it("Should expose addresses keyed like network.contracts", function () {
+    const manifest = createManifest("moonbase", 1287);
+    recordContract(manifest, "collateralPool", { contract: "CollateralPool", address: POOL, txHash: "0x", blockNumber: 1, bytecode: BYTECODE });
+    saveManifest(manifest, dir);
+
+    expect(contractAddresses("moonbase", dir)).to.deep.equal({ collateralPool: ethers.getAddress(POOL) });
+    expect(contractAddresses("moonbeam", dir)).to.deep.equal({});
+  });
+
+  it("Should report networks without a manifest", function () {
+    expect(loadManifest("moonbeam", dir)).to.be.null;
+    expect(() => requireManifest("moonbeam", dir)).to.throw("No deployment manifest for moonbeam");
+  });
+
+  it("Should resolve network contracts from the manifest when there is one", function () {
+    const networks = require("../../config/networks");
+
+    expect(networks.getNetwork("moonbase").contracts).to.deep.equal(contractAddresses("moonbase"));
+    expect(networks.getNetwork("moonbeam").contracts.usdc).to.equal("0x818ec0A7Fe18Ff94269904fCED6AE3DaE6d6dC0b");
+  });
+
+  it("Should handle a network that was never deployed", function () {
+    expect(contractAddresses("moonbase", dir)).to.deep.equal({});
+    expect(deploymentBlock("moonbase", "paymentSettlement", POOL, dir)).to.equal(0);
+
+    const client = new TataPayClient({ network: { name: "Moonbase Alpha", rpcUrl: "http://127.0.0.1:1", contracts: contractAddresses("moonbase", dir) } });
+    expect(() => client.paymentSettlement).to.throw("No paymentSettlement address configured for Moonbase Alpha");
+  });
+
+  it("Should only use a manifest's deployment block for the address in use", function () {
+    const manifest = createManifest("moonbase", 1287);
+    recordContract(manifest, "collateralPool", { contract: "CollateralPool", address: POOL, txHash: "0x", blockNumber: 42, bytecode: BYTECODE });
+    saveManifest(manifest, dir);
+
+    expect(deploymentBlock("moonbase", "collateralPool", POOL, dir)).to.equal(42);
+    expect(deploymentBlock("moonbase", "collateralPool", ADMIN, dir)).to.equal(0);
+  });
+});
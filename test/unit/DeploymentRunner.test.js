@@ -0,0 +1,200 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { ethers, network } = require("hardhat");
+const { Web3 } = require("web3");
+const { DeploymentRunner } = require("../../scripts/deploy/deployment-runner");
+const { buildPlan } = require("../../scripts/deploy/deploy-all");
+const { ROLE_GRANTS, verifyRoleGraph } = require("../../scripts/deploy/role-graph");
+const { loadManifest, saveManifest } = require("../../config/deployments");
+
+describe("DeploymentRunner - Unit Tests", function () {
+  // Shared web3 instance on the in-process Hardhat provider
+  const web3 = new Web3(network.provider);
+
+  let dir;
+  let deployer;
+
+  beforeEach(async function () {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "tatapay-deploy-"));
+    [deployer] = await ethers.getSigners();
+  });
+
+  afterEach(function () {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  function runner(options = {}) {
+    const lines = [];
+    const instance = new DeploymentRunner({
+      web3,
+      networkName: "hardhat",
+      from: deployer.address,
+      manifestDir: dir,
+      log: (line) => lines.push(line),
+      ...options,
+    });
+    return { runner: instance, lines };
+  }
+
+  it("Should deploy, wire roles and record every step", async function () {
+    const { runner: first } = runner();
+    const { contracts, summary } = await first.run(buildPlan({ deployer: deployer.address }));
+
+    expect(summary.deployed).to.have.lengthOf(6);
+    expect(summary.sent).to.have.lengthOf(5);
+
+    const manifest = loadManifest("hardhat", dir);
+    expect(Object.keys(manifest.contracts)).to.have.lengthOf(6);
+    expect(Object.keys(manifest.steps)).to.have.lengthOf(5);
+    expect(manifest.contracts.paymentSettlement.constructorArgs).to.deep.equal([
+      manifest.contracts.usdc.address,
+      manifest.contracts.collateralPool.address,
+      deployer.address,
+    ]);
+
+    const settlement = await ethers.getContractAt("PaymentSettlement", contracts.paymentSettlement.options.address);
+    expect(await settlement.fraudPrevention()).to.equal(manifest.contracts.fraudPrevention.address);
+
+    // Oracles stake the same USDC the stack settles in (100 USDC minimum)
+    const oracle = await ethers.getContractAt("SettlementOracle", contracts.settlementOracle.options.address);
+    expect(await oracle.USDC()).to.equal(manifest.contracts.usdc.address);
+    expect(await oracle.minimumStake()).to.equal(100_000000n);
+  });
+
+  it("Should link SettlementOracle to PaymentSettlement so oracle votes settle batches", async function () {
+    const [, fintech, oracleAccount, merchant] = await ethers.getSigners();
+    const { contracts } = await runner().runner.run(buildPlan({ deployer: deployer.address }));
+    const at = (name, key) => ethers.getContractAt(name, contracts[key].options.address);
+    const usdc = await at("SimpleUSDC", "usdc");
+    const pool = await at("CollateralPool", "collateralPool");
+    const settlement = await at("PaymentSettlement", "paymentSettlement");
+    const oracle = await at("SettlementOracle", "settlementOracle");
+
+    expect(await oracle.paymentSettlement()).to.equal(settlement.target);
+
+    const amount = 1_000_000000n;
+    await usdc.mint(fintech.address, amount);
+    await usdc.connect(fintech).approve(pool.target, amount);
+    await pool.connect(fintech).deposit(amount);
+    const receipt = await (await settlement.connect(fintech).createBatch([merchant.address], [amount])).wait();
+    const batchId = receipt.logs.map((log) => settlement.interface.parseLog(log)).find((log) => log && log.name === "BatchCreated").args.batchId;
+
+    const stake = await oracle.minimumStake();
+    await usdc.mint(oracleAccount.address, stake);
+    await usdc.connect(oracleAccount).approve(oracle.target, stake);
+    await oracle.connect(oracleAccount).registerOracle(stake);
+    await oracle.connect(oracleAccount).approveBatch(batchId);
+
+    expect((await settlement.getBatch(batchId)).status).to.equal(1); // Processing
+  });
+
+  it("Should verify the role graph and report missing edges", async function () {
+    const { contracts } = await runner().runner.run(buildPlan({ deployer: deployer.address }));
+
+    let results = await verifyRoleGraph(contracts);
+    expect(results.filter((result) => !result.ok)).to.be.empty;
+    expect(results.map((result) => result.check)).to.include.members([
+      "paymentSettlement.ORACLE_ROLE→settlementOracle",
+      "collateralPool.SLASHER_ROLE→governance",
+      "settlementOracle.paymentSettlement() = paymentSettlement",
+    ]);
+    expect(results).to.have.lengthOf.at.least(ROLE_GRANTS.length);
+
+    const settlement = await ethers.getContractAt("PaymentSettlement", contracts.paymentSettlement.options.address);
+    await settlement.revokeRole(await settlement.ORACLE_ROLE(), contracts.settlementOracle.options.address);
+
+    results = await verifyRoleGraph(contracts);
+    expect(results.filter((result) => !result.ok).map((result) => result.check)).to.deep.equal([
+      "paymentSettlement.ORACLE_ROLE→settlementOracle",
+    ]);
+  });
+
+  it("Should skip everything on a second run", async function () {
+    const plan = buildPlan({ deployer: deployer.address });
+    await runner().runner.run(plan);
+
+    const { runner: second } = runner();
+    const { summary } = await second.run(plan);
+
+    expect(summary.deployed).to.be.empty;
+    expect(summary.sent).to.be.empty;
+    expect(summary.skipped).to.have.lengthOf(6);
+    expect(summary.satisfied).to.have.lengthOf(5);
+  });
+
+  it("Should resume role wiring after a failure", async function () {
+    const plan = buildPlan({ deployer: deployer.address });
+    const failing = {
+      ...plan,
+      steps: [
+        plan.steps[0],
+        { ...plan.steps[1], args: async () => { throw new Error("RPC timeout"); } },
+        ...plan.steps.slice(2),
+      ],
+    };
+
+    try {
+      await runner().runner.run(failing);
+      expect.fail("Expected run to fail");
+    } catch (error) {
+      expect(error.message).to.equal("RPC timeout");
+    }
+    expect(Object.keys(loadManifest("hardhat", dir).steps)).to.deep.equal([plan.steps[0].id]);
+
+    const { summary } = await runner().runner.run(plan);
+    expect(summary.deployed).to.be.empty;
+    expect(summary.satisfied).to.deep.equal([plan.steps[0].id]);
+    expect(summary.sent).to.deep.equal(plan.steps.slice(1).map((step) => step.id));
+  });
+
+  it("Should redeploy a contract whose bytecode changed and re-wire it", async function () {
+    const plan = buildPlan({ deployer: deployer.address });
+    await runner().runner.run(plan);
+
+    const manifest = loadManifest("hardhat", dir);
+    const oldAddress = manifest.contracts.fraudPrevention.address;
+    manifest.contracts.fraudPrevention.bytecodeHash = ethers.ZeroHash;
+    saveManifest(manifest, dir);
+
+    const { summary } = await runner().runner.run(plan);
+    expect(summary.deployed).to.deep.equal(["fraudPrevention"]);
+    expect(summary.sent).to.deep.equal([
+      "fraudPrevention.VALIDATOR_ROLE→paymentSettlement",
+      "paymentSettlement.setFraudPrevention",
+    ]);
+    expect(loadManifest("hardhat", dir).contracts.fraudPrevention.address).to.not.equal(oldAddress);
+  });
+
+  it("Should print planned transactions without writing the manifest in dry-run mode", async function () {
+    const { runner: dry, lines } = runner({ dryRun: true });
+    await dry.run(buildPlan({ deployer: deployer.address }));
+
+    expect(loadManifest("hardhat", dir)).to.be.null;
+    expect(lines.some((line) => line.includes("CollateralPool: deploying"))).to.be.true;
+    expect(lines.some((line) => line.includes("collateralPool.grantRole("))).to.be.true;
+  });
+
+  it("Should use external contracts instead of deploying them", async function () {
+    const MockUSDC = await ethers.getContractFactory("contracts/mocks/MockUSDC.sol:MockUSDC");
+    const usdc = await MockUSDC.deploy("USD Coin", "USDC", 6);
+
+    const { runner: external } = runner();
+    const { summary } = await external.run(buildPlan({ deployer: deployer.address, externalContracts: { usdc: usdc.target } }));
+
+    expect(summary.deployed).to.not.include("usdc");
+    expect(loadManifest("hardhat", dir).contracts.collateralPool.constructorArgs[0]).to.equal(usdc.target);
+  });
+
+  it("Should refuse a manifest from another chain", async function () {
+    saveManifest({ network: "hardhat", chainId: 1287, contracts: {} }, dir);
+
+    try {
+      await runner().runner.run(buildPlan({ deployer: deployer.address }));
+      expect.fail("Expected run to fail");
+    } catch (error) {
+      expect(error.message).to.contain("is for chain 1287");
+    }
+  });
+});
@@ -0,0 +1,308 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { ethers, network } = require("hardhat");
+const { Web3 } = require("web3");
+const { time, mine } = require("@nomicfoundation/hardhat-network-helpers");
+const { TataPayClient, parseUsdc } = require("../../sdk");
+const { EventIndexer } = require("../../scripts/indexer/event-indexer");
+const { IndexerStore } = require("../../scripts/indexer/store");
+
+describe("EventIndexer - Unit Tests", function () {
+  const MIN_STAKE = parseUsdc("100");
+  const EMERGENCY_DELAY = 6 * 60 * 60;
+
+  // Shared web3 instance on the in-process Hardhat provider
+  const web3 = new Web3(network.provider);
+
+  // Test fixture: all five contracts, a staked oracle and a funded fintech
+  async function deployFixture() {
+    const [admin, fintech, oracle, merchant1, merchant2] = await ethers.getSigners();
+    const startBlock = await ethers.provider.getBlockNumber();
+
+    const MockUSDC = await ethers.getContractFactory("contracts/mocks/MockUSDC.sol:MockUSDC");
+    const usdc = await MockUSDC.deploy("USD Coin", "USDC", 6);
+
+    const CollateralPool = await ethers.getContractFactory("CollateralPool");
+    const pool = await CollateralPool.deploy(usdc.target, admin.address, admin.address);
+
+    const PaymentSettlement = await ethers.getContractFactory("PaymentSettlement");
+    const settlement = await PaymentSettlement.deploy(usdc.target, pool.target, admin.address);
+
+    const FraudPrevention = await ethers.getContractFactory("FraudPrevention");
+    const fraud = await FraudPrevention.deploy(admin.address);
+
+    const SettlementOracle = await ethers.getContractFactory("SettlementOracle");
+    const settlementOracle = await SettlementOracle.deploy(settlement.target, usdc.target, admin.address, admin.address, MIN_STAKE);
+
+    const TataPayGovernance = await ethers.getContractFactory("TataPayGovernance");
+    const governance = await TataPayGovernance.deploy([admin.address], 1);
+
+    await pool.grantRole(await pool.SETTLEMENT_ROLE(), settlement.target);
+    await settlement.grantRole(await settlement.ORACLE_ROLE(), settlementOracle.target);
+    await usdc.mint(fintech.address, parseUsdc("100000"));
+    await usdc.mint(oracle.address, MIN_STAKE);
+    await usdc.connect(fintech).approve(pool.target, ethers.MaxUint256);
+    await usdc.connect(oracle).approve(settlementOracle.target, MIN_STAKE);
+    await settlementOracle.connect(oracle).registerOracle(MIN_STAKE);
+
+    const client = new TataPayClient({
+      network: "moonbase",
+      web3,
+      contracts: {
+        usdc: usdc.target,
+        collateralPool: pool.target,
+        paymentSettlement: settlement.target,
+        fraudPrevention: fraud.target,
+        settlementOracle: settlementOracle.target,
+        governance: governance.target,
+      },
+    });
+
+    const logs = [];
+    const createIndexer = (store, options = {}) =>
+      new EventIndexer({
+        client,
+        store,
+        startBlock,
+        confirmations: 0,
+        logger: { log: (line) => logs.push(line), error: (line) => logs.push(line) },
+        ...options,
+      });
+
+    const createBatch = async (payouts) => {
+      const tx = await settlement.connect(fintech).createBatch(
+        payouts.map(([merchant]) => merchant.address),
+        payouts.map(([, amount]) => parseUsdc(amount))
+      );
+      const receipt = await tx.wait();
+      const created = receipt.logs
+        .map((log) => settlement.interface.parseLog(log))
+        .find((event) => event && event.name === "BatchCreated");
+      return created.args.batchId;
+    };
+
+    return {
+      admin,
+      fintech,
+      oracle,
+      merchant1,
+      merchant2,
+      pool,
+      settlement,
+      fraud,
+      settlementOracle,
+      governance,
+      logs,
+      createIndexer,
+      createBatch,
+    };
+  }
+
+  describe("Projections", function () {
+    it("Should index a batch from creation through oracle approval and claims", async function () {
+      const { fintech, oracle, merchant1, merchant2, pool, settlementOracle, settlement, createIndexer, createBatch } =
+        await deployFixture();
+      await pool.connect(fintech).deposit(parseUsdc("5000"));
+      const batchId = await createBatch([[merchant1, "1000"], [merchant2, "1500"]]);
+      await settlementOracle.connect(oracle).approveBatch(batchId);
+      await settlement.connect(merchant1).claimPayment(batchId);
+
+      const store = new IndexerStore(":memory:");
+      const indexer = createIndexer(store);
+      const result = await indexer.sync();
+      expect(result.events).to.be.greaterThan(0);
+      expect(result.reorg).to.equal(null);
+
+      let batch = store.getBatch(batchId);
+      expect(batch).to.include({ fintech: fintech.address, status: "Processing", merchantCount: 2n });
+      expect(batch.totalAmount).to.equal(parseUsdc("2500"));
+      expect(batch.claimedCount).to.equal(1n);
+      expect(batch.approvedAt).to.be.a("bigint");
+
+      let payments = store.getPayments(batchId);
+      expect(payments.map((payment) => payment.merchant)).to.deep.equal([merchant1.address, merchant2.address]);
+      expect(payments.map((payment) => payment.claimed)).to.deep.equal([true, false]);
+
+      // Last claim completes the batch on the next sync
+      await settlement.connect(merchant2).claimPayment(batchId);
+      await indexer.sync();
+      batch = store.getBatch(batchId);
+      expect(batch.status).to.equal("Completed");
+      expect(batch.claimedAmount).to.equal(parseUsdc("2500"));
+      payments = store.getPayments(batchId);
+      expect(payments.every((payment) => payment.claimed)).to.equal(true);
+
+      const movements = store.db
+        .prepare("SELECT kind, amount, counterparty FROM collateral_movements ORDER BY block_number, log_index")
+        .all();
+      expect(movements.map((row) => row.kind)).to.deep.equal(["deposit", "lock", "transfer", "transfer"]);
+      expect(movements[2]).to.deep.include({ amount: parseUsdc("1000"), counterparty: merchant1.address });
+
+      const votes = store.db.prepare("SELECT * FROM oracle_votes").all();
+      expect(votes).to.have.lengthOf(1);
+      expect(votes[0]).to.include({ batch_id: batchId, oracle: oracle.address, vote: "approve" });
+      store.close();
+    });
+
+    it("Should record rejections and cancelled batches", async function () {
+      const { fintech, oracle, merchant1, pool, settlement, settlementOracle, createIndexer, createBatch } =
+        await deployFixture();
+      await pool.connect(fintech).deposit(parseUsdc("5000"));
+      const rejected = await createBatch([[merchant1, "1000"]]);
+      await settlementOracle.connect(oracle).rejectBatch(rejected, "Suspicious merchant");
+      const cancelled = await createBatch([[merchant1, "1000"]]);
+      await settlement.connect(fintech).cancelBatch(cancelled);
+
+      const store = new IndexerStore(":memory:");
+      await createIndexer(store).sync();
+
+      expect(store.getBatch(rejected).status).to.equal("Failed");
+      expect(store.getBatch(cancelled)).to.include({ status: "Failed", failureReason: "Cancelled" });
+      const vote = store.db.prepare("SELECT vote, reason FROM oracle_votes WHERE batch_id = ?").get(rejected);
+      expect(vote).to.deep.equal({ vote: "reject", reason: "Suspicious merchant" });
+      store.close();
+    });
+
+    it("Should index fraud events with their actor", async function () {
+      const { admin, merchant1, fraud, createIndexer } = await deployFixture();
+      await fraud.connect(admin).addToBlacklist(merchant1.address, "Chargeback fraud");
+      await fraud.connect(admin).removeFromBlacklist(merchant1.address);
+
+      const store = new IndexerStore(":memory:");
+      await createIndexer(store).sync();
+
+      const rows = store.db.prepare("SELECT event, account, actor, details FROM fraud_events ORDER BY block_number").all();
+      expect(rows.map((row) => row.event)).to.deep.equal(["AddressBlacklisted", "AddressUnblacklisted"]);
+      expect(rows[0]).to.include({ account: merchant1.address, actor: admin.address });
+      expect(JSON.parse(rows[0].details)).to.deep.equal({ reason: "Chargeback fraud" });
+      store.close();
+    });
+
+    it("Should follow a proposal through approval and execution", async function () {
+      const { admin, governance, createIndexer } = await deployFixture();
+      const data = governance.interface.encodeFunctionData("updateParameters", [1, 3600, 600]);
+      await governance.connect(admin).propose(governance.target, 0, data, "Shorten timelock", 1);
+
+      const store = new IndexerStore(":memory:");
+      const indexer = createIndexer(store);
+      await indexer.sync();
+      let proposal = store.db.prepare("SELECT * FROM proposals WHERE proposal_id = 0").get();
+      expect(proposal).to.include({ proposal_type: "Emergency", state: "Pending", description: "Shorten timelock" });
+
+      await governance.connect(admin).approve(0);
+      await indexer.sync();
+      proposal = store.db.prepare("SELECT * FROM proposals WHERE proposal_id = 0").get();
+      expect(proposal).to.include({ state: "Approved", approvals: 1n });
+
+      await time.increase(EMERGENCY_DELAY);
+      await governance.connect(admin).execute(0);
+      await indexer.sync();
+      proposal = store.db.prepare("SELECT * FROM proposals WHERE proposal_id = 0").get();
+      expect(proposal.state).to.equal("Executed");
+      expect(proposal.executed_at).to.be.a("bigint");
+      store.close();
+    });
+  });
+
+  describe("Sync", function () {
+    it("Should resume from the last indexed block after reopening the database", async function () {
+      const { fintech, merchant1, pool, createIndexer, createBatch } = await deployFixture();
+      const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), "tatapay-indexer-")), "test.sqlite");
+      await pool.connect(fintech).deposit(parseUsdc("5000"));
+
+      let store = new IndexerStore(file);
+      const first = await createIndexer(store).sync();
+      const indexed = store.events().length;
+      store.close();
+
+      const batchId = await createBatch([[merchant1, "1000"]]);
+
+      store = new IndexerStore(file);
+      const second = await createIndexer(store).sync();
+      expect(second.fromBlock).to.equal(first.toBlock + 1n);
+      expect(store.events().length).to.equal(indexed + second.events);
+      expect(store.events({ contract: "collateralPool", event: "Deposited" })).to.have.lengthOf(1);
+      expect(store.getBatch(batchId).status).to.equal("Pending");
+
+      // Nothing new on a third sync
+      const third = await createIndexer(store).sync();
+      expect(third.events).to.equal(0);
+      expect(third.fromBlock > third.toBlock).to.equal(true);
+      store.close();
+      fs.rmSync(path.dirname(file), { recursive: true, force: true });
+    });
+
+    it("Should rebuild derived tables written by an older projection version", async function () {
+      const { fintech, merchant1, pool, settlement, createIndexer } = await deployFixture();
+      const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), "tatapay-indexer-")), "test.sqlite");
+      await pool.connect(fintech).deposit(parseUsdc("5000"));
+      const reference = ethers.encodeBytes32String("payroll-2026-10");
+      await settlement.connect(fintech).createBatchWithReference([merchant1.address], [parseUsdc("1000")], reference);
+      const batchId = await settlement.batchIdByReference(fintech.address, reference);
+
+      let store = new IndexerStore(file);
+      await createIndexer(store).sync();
+      expect(store.getBatch(batchId).reference).to.equal(reference);
+
+      // A database from before the reference column
+      store.db.exec("DROP INDEX batches_reference; ALTER TABLE batches DROP COLUMN reference");
+      store.setMeta("projectionVersion", "2");
+      store.close();
+
+      store = new IndexerStore(file);
+      expect(store.getBatch(batchId)).to.include({ reference, status: "Pending" });
+      store.close();
+      fs.rmSync(path.dirname(file), { recursive: true, force: true });
+    });
+
+    it("Should hold back blocks until they have enough confirmations", async function () {
+      const { fintech, merchant1, pool, createIndexer, createBatch } = await deployFixture();
+      await pool.connect(fintech).deposit(parseUsdc("5000"));
+      const batchId = await createBatch([[merchant1, "1000"]]);
+
+      const store = new IndexerStore(":memory:");
+      const indexer = createIndexer(store, { confirmations: 2 });
+      await indexer.sync();
+      expect(store.getBatch(batchId)).to.equal(null);
+      expect(store.getLastBlock()).to.equal(BigInt(await ethers.provider.getBlockNumber()) - 2n);
+
+      await mine(2);
+      await indexer.sync();
+      expect(store.getBatch(batchId).status).to.equal("Pending");
+      store.close();
+    });
+
+    it("Should roll back reorged blocks and re-index the new chain", async function () {
+      const { fintech, merchant1, merchant2, pool, createIndexer, createBatch, logs } = await deployFixture();
+      await pool.connect(fintech).deposit(parseUsdc("5000"));
+
+      const store = new IndexerStore(":memory:");
+      const indexer = createIndexer(store);
+      await indexer.sync();
+      const forkBlock = store.getLastBlock();
+
+      const snapshot = await network.provider.send("evm_snapshot");
+      const orphaned = await createBatch([[merchant1, "1000"]]);
+      await indexer.sync();
+      expect(store.getBatch(orphaned)).to.not.equal(null);
+
+      // Replace the batch block with a different one at the same height
+      await network.provider.send("evm_revert", [snapshot]);
+      await mine(1);
+      const replacement = await createBatch([[merchant2, "2000"]]);
+
+      const result = await indexer.sync();
+      expect(result.reorg.forkBlock).to.equal(forkBlock);
+      expect(result.reorg.removed).to.be.greaterThan(0);
+      expect(logs.some((line) => line.includes("Reorg below block"))).to.equal(true);
+
+      expect(store.getBatch(orphaned)).to.equal(null);
+      expect(store.getBatch(replacement).totalAmount).to.equal(parseUsdc("2000"));
+      const locks = store.db.prepare("SELECT amount FROM collateral_movements WHERE kind = 'lock'").all();
+      expect(locks.map((row) => row.amount)).to.deep.equal([parseUsdc("2000")]);
+      store.close();
+    });
+  });
+});
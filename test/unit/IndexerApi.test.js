@@ -0,0 +1,277 @@
+const { expect } = require("chai");
+const { ethers, network } = require("hardhat");
+const { Web3 } = require("web3");
+const { TataPayClient, parseUsdc } = require("../../sdk");
+const { EventIndexer } = require("../../scripts/indexer/event-indexer");
+const { IndexerStore } = require("../../scripts/indexer/store");
+const { startApiServer } = require("../../scripts/indexer/api-server");
+
+describe("Indexer API - Unit Tests", function () {
+  const MIN_STAKE = parseUsdc("100");
+
+  // Shared web3 instance on the in-process Hardhat provider
+  const web3 = new Web3(network.provider);
+
+  let server;
+  let store;
+
+  afterEach(async function () {
+    if (server) {
+      await server.close();
+      server = null;
+    }
+    if (store) {
+      store.close();
+      store = null;
+    }
+  });
+
+  // Test fixture: one completed and one pending batch, indexed and served
+  async function deployFixture() {
+    const [admin, fintech, oracle, merchant1, merchant2] = await ethers.getSigners();
+    const startBlock = await ethers.provider.getBlockNumber();
+
+    const MockUSDC = await ethers.getContractFactory("contracts/mocks/MockUSDC.sol:MockUSDC");
+    const usdc = await MockUSDC.deploy("USD Coin", "USDC", 6);
+    const CollateralPool = await ethers.getContractFactory("CollateralPool");
+    const pool = await CollateralPool.deploy(usdc.target, admin.address, admin.address);
+    const PaymentSettlement = await ethers.getContractFactory("PaymentSettlement");
+    const settlement = await PaymentSettlement.deploy(usdc.target, pool.target, admin.address);
+    const FraudPrevention = await ethers.getContractFactory("FraudPrevention");
+    const fraud = await FraudPrevention.deploy(admin.address);
+    const SettlementOracle = await ethers.getContractFactory("SettlementOracle");
+    const settlementOracle = await SettlementOracle.deploy(settlement.target, usdc.target, admin.address, admin.address, MIN_STAKE);
+    const TataPayGovernance = await ethers.getContractFactory("TataPayGovernance");
+    const governance = await TataPayGovernance.deploy([admin.address], 1);
+
+    await pool.grantRole(await pool.SETTLEMENT_ROLE(), settlement.target);
+    await settlement.grantRole(await settlement.ORACLE_ROLE(), settlementOracle.target);
+    await usdc.mint(fintech.address, parseUsdc("100000"));
+    await usdc.mint(oracle.address, MIN_STAKE);
+    await usdc.connect(fintech).approve(pool.target, ethers.MaxUint256);
+    await usdc.connect(oracle).approve(settlementOracle.target, MIN_STAKE);
+    await settlementOracle.connect(oracle).registerOracle(MIN_STAKE);
+
+    // payouts: [merchant, amount, invoice?]
+    const createBatch = async (payouts, reference) => {
+      const merchants = payouts.map(([merchant]) => merchant.address);
+      const amounts = payouts.map(([, amount]) => parseUsdc(amount));
+      const invoices = payouts.map(([, , invoice]) => (invoice ? ethers.encodeBytes32String(invoice) : ethers.ZeroHash));
+      const receipt = await (await settlement.connect(fintech).createBatchWithPaymentReferences(
+        merchants,
+        amounts,
+        invoices,
+        reference ? ethers.encodeBytes32String(reference) : ethers.ZeroHash
+      )).wait();
+      return receipt.logs
+        .map((log) => settlement.interface.parseLog(log))
+        .find((event) => event && event.name === "BatchCreated").args.batchId;
+    };
+
+    await pool.connect(fintech).deposit(parseUsdc("10000"));
+    const completed = await createBatch([[merchant1, "1000", "INV-1001"], [merchant2, "1500.5"]]);
+    await settlementOracle.connect(oracle).approveBatch(completed);
+    await settlement.connect(merchant1).claimPayment(completed);
+    await settlement.connect(merchant2).claimPayment(completed);
+    const pending = await createBatch([[merchant1, "250"]], "payroll-2026-10");
+
+    const client = new TataPayClient({
+      network: "moonbase",
+      web3,
+      contracts: {
+        usdc: usdc.target,
+        collateralPool: pool.target,
+        paymentSettlement: settlement.target,
+        fraudPrevention: fraud.target,
+        settlementOracle: settlementOracle.target,
+        governance: governance.target,
+      },
+    });
+    store = new IndexerStore(":memory:");
+    await new EventIndexer({ client, store, startBlock, confirmations: 0, logger: { log: () => {}, error: () => {} } }).sync();
+    server = await startApiServer({ store, logger: { error: () => {} } });
+
+    const get = async (path) => {
+      const res = await fetch(`${server.url}${path}`);
+      return { status: res.status, body: await res.json() };
+    };
+
+    return { fintech, oracle, merchant1, merchant2, completed, pending, get };
+  }
+
+  describe("Batches", function () {
+    it("Should list a fintech's batches newest first with decoded status and amounts", async function () {
+      const { fintech, completed, pending, get } = await deployFixture();
+
+      const { status, body } = await get(`/fintechs/${fintech.address.toLowerCase()}/batches`);
+      expect(status).to.equal(200);
+      expect(body.data.map((batch) => batch.batchId)).to.deep.equal([pending, completed]);
+      expect(body.data[0].reference).to.equal(ethers.encodeBytes32String("payroll-2026-10"));
+      expect(body.data[1]).to.deep.include({
+        status: "Completed",
+        reference: null,
+        merchantCount: 2,
+        claimedCount: 2,
+        totalAmount: { units: "2500500000", usdc: "2500.5" },
+      });
+      expect(body.pagination).to.deep.equal({ total: 2, limit: 50, offset: 0, nextOffset: null });
+    });
+
+    it("Should filter by status and paginate", async function () {
+      const { fintech, completed, pending, get } = await deployFixture();
+
+      let res = await get(`/fintechs/${fintech.address}/batches?status=Pending`);
+      expect(res.body.data.map((batch) => batch.batchId)).to.deep.equal([pending]);
+
+      res = await get(`/fintechs/${fintech.address}/batches?limit=1`);
+      expect(res.body.data.map((batch) => batch.batchId)).to.deep.equal([pending]);
+      expect(res.body.pagination).to.deep.equal({ total: 2, limit: 1, offset: 0, nextOffset: 1 });
+
+      res = await get(`/fintechs/${fintech.address}/batches?limit=1&offset=1`);
+      expect(res.body.data.map((batch) => batch.batchId)).to.deep.equal([completed]);
+      expect(res.body.pagination.nextOffset).to.equal(null);
+
+      res = await get(`/fintechs/${fintech.address}/batches?reference=payroll-2026-10`);
+      expect(res.body.data.map((batch) => batch.batchId)).to.deep.equal([pending]);
+      res = await get(`/fintechs/${fintech.address}/batches?reference=${ethers.encodeBytes32String("payroll-2026-11")}`);
+      expect(res.body.data).to.deep.equal([]);
+    });
+
+    it("Should show a batch with its payments and oracle votes", async function () {
+      const { oracle, merchant1, merchant2, completed, get } = await deployFixture();
+
+      const { status, body } = await get(`/batches/${completed.toUpperCase().replace("0X", "0x")}`);
+      expect(status).to.equal(200);
+      expect(body.batchId).to.equal(completed);
+      expect(body.payments).to.have.lengthOf(2);
+      expect(body.payments[0]).to.deep.include({ paymentIndex: 0, merchant: merchant1.address, claimed: true });
+      expect(body.payments[1]).to.deep.include({ merchant: merchant2.address, amount: { units: "1500500000", usdc: "1500.5" } });
+      expect(body.oracleVotes).to.have.lengthOf(1);
+      expect(body.oracleVotes[0]).to.include({ oracle: oracle.address, vote: "approve" });
+    });
+  });
+
+  describe("Merchants, collateral and oracles", function () {
+    it("Should list a merchant's claims across batches", async function () {
+      const { fintech, merchant1, completed, pending, get } = await deployFixture();
+
+      let res = await get(`/merchants/${merchant1.address}/claims`);
+      expect(res.body.data.map((claim) => [claim.batchId, claim.claimed])).to.deep.equal([
+        [pending, false],
+        [completed, true],
+      ]);
+      expect(res.body.data[0]).to.deep.include({ batchStatus: "Pending", fintech: fintech.address });
+
+      res = await get(`/merchants/${merchant1.address}/claims?claimed=true`);
+      expect(res.body.data).to.have.lengthOf(1);
+      expect(res.body.data[0].amount).to.deep.equal({ units: "1000000000", usdc: "1000" });
+      expect(res.body.data[0].reference).to.equal(ethers.encodeBytes32String("INV-1001"));
+    });
+
+    it("Should reconcile a fintech's payments by invoice reference", async function () {
+      const { fintech, merchant1, merchant2, completed, pending, get } = await deployFixture();
+
+      let res = await get(`/fintechs/${fintech.address}/payments`);
+      expect(res.body.data.map((payment) => [payment.batchId, payment.paymentIndex, payment.merchant])).to.deep.equal([
+        [pending, 0, merchant1.address],
+        [completed, 0, merchant1.address],
+        [completed, 1, merchant2.address],
+      ]);
+
+      res = await get(`/fintechs/${fintech.address}/payments?reference=INV-1001`);
+      expect(res.body.data).to.have.lengthOf(1);
+      expect(res.body.data[0]).to.deep.include({
+        batchId: completed,
+        merchant: merchant1.address,
+        reference: ethers.encodeBytes32String("INV-1001"),
+        claimed: true,
+        batchStatus: "Completed",
+        amount: { units: "1000000000", usdc: "1000" },
+      });
+      expect(res.body.data[0].claimTxHash).to.match(/^0x[0-9a-f]{64}$/);
+
+      res = await get(`/fintechs/${fintech.address}/payments?claimed=false`);
+      expect(res.body.data.map((payment) => payment.batchId)).to.deep.equal([pending]);
+    });
+
+    it("Should derive the collateral balance from movements", async function () {
+      const { fintech, get } = await deployFixture();
+
+      const { body } = await get(`/collateral/${fintech.address}`);
+      expect(body.fintech).to.equal(fintech.address);
+      expect(body.balance).to.deep.equal({
+        totalDeposited: { units: "10000000000", usdc: "10000" },
+        available: { units: "7249500000", usdc: "7249.5" },
+        locked: { units: "250000000", usdc: "250" },
+        totalWithdrawn: { units: "0", usdc: "0" },
+        totalTransferred: { units: "2500500000", usdc: "2500.5" },
+        totalSlashed: { units: "0", usdc: "0" },
+      });
+      expect(body.data.map((movement) => movement.kind)).to.deep.equal(["lock", "transfer", "transfer", "lock", "deposit"]);
+      expect(body.pagination.total).to.equal(5);
+    });
+
+    it("Should list oracles with their stake and vote counts", async function () {
+      const { oracle, get } = await deployFixture();
+
+      let res = await get("/oracles?active=true");
+      expect(res.body.data).to.have.lengthOf(1);
+      expect(res.body.data[0]).to.deep.include({
+        oracle: oracle.address,
+        active: true,
+        registered: true,
+        approvals: 1,
+        rejections: 0,
+        stake: { units: "100000000", usdc: "100" },
+      });
+
+      res = await get("/oracles?active=false");
+      expect(res.body.data).to.be.empty;
+    });
+  });
+
+  describe("Errors", function () {
+    it("Should reject invalid parameters, unknown routes and writes", async function () {
+      const { fintech, get } = await deployFixture();
+
+      let res = await get("/fintechs/0x1234/batches");
+      expect(res.status).to.equal(400);
+      expect(res.body.error).to.contain("Invalid address");
+
+      res = await get(`/fintechs/${fintech.address}/batches?status=Settled`);
+      expect(res.status).to.equal(400);
+      expect(res.body.error).to.contain("Pending, Processing, Completed, Failed, Timeout");
+
+      res = await get(`/fintechs/${fintech.address}/batches?limit=500`);
+      expect(res.status).to.equal(400);
+
+      res = await get(`/fintechs/${fintech.address}/batches?reference=${"x".repeat(33)}`);
+      expect(res.status).to.equal(400);
+      expect(res.body.error).to.contain("Invalid reference");
+
+      res = await get(`/batches/0x${"ab".repeat(32)}`);
+      expect(res.status).to.equal(404);
+      expect(res.body.error).to.contain("Batch not found");
+
+      res = await get("/nothing");
+      expect(res.status).to.equal(404);
+
+      for (const malformed of ["/batches/%E0", "/fintechs/%E0%A4%A/batches"]) {
+        res = await get(malformed);
+        expect(res.status, malformed).to.equal(400);
+        expect(res.body.error, malformed).to.contain("Invalid path segment");
+      }
+
+      const post = await fetch(`${server.url}/oracles`, { method: "POST" });
+      expect(post.status).to.equal(405);
+      expect(post.headers.get("allow")).to.equal("GET");
+    });
+
+    it("Should report the last indexed block", async function () {
+      const { get } = await deployFixture();
+
+      const { body } = await get("/status");
+      expect(body.lastBlock).to.equal(Number(store.getLastBlock()));
+    });
+  });
+});
@@ -0,0 +1,256 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { ethers, network, artifacts } = require("hardhat");
+const { mine } = require("@nomicfoundation/hardhat-network-helpers");
+const { Web3 } = require("web3");
+const { parseUsdc } = require("../../sdk");
+const { OracleDaemon } = require("../../scripts/oracle/oracle-daemon");
+const { StateStore } = require("../../scripts/oracle/state-store");
+
+describe("OracleDaemon - Unit Tests", function () {
+  const MIN_STAKE = parseUsdc("100");
+
+  // Shared web3 instance on the in-process Hardhat provider
+  const web3 = new Web3(network.provider);
+
+  let dir;
+  beforeEach(function () {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "tatapay-oracle-"));
+  });
+  afterEach(function () {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  // Test fixture: settlement and oracle contracts, two staked oracles (the
+  // daemon runs as the first) and a funded fintech
+  async function deployFixture({ threshold = 1 } = {}) {
+    const [admin, fintech, oracle, otherOracle, merchant1, merchant2] = await ethers.getSigners();
+
+    const MockUSDC = await ethers.getContractFactory("contracts/mocks/MockUSDC.sol:MockUSDC");
+    const usdc = await MockUSDC.deploy("USD Coin", "USDC", 6);
+    const CollateralPool = await ethers.getContractFactory("CollateralPool");
+    const pool = await CollateralPool.deploy(usdc.target, admin.address, admin.address);
+    const PaymentSettlement = await ethers.getContractFactory("PaymentSettlement");
+    const settlement = await PaymentSettlement.deploy(usdc.target, pool.target, admin.address);
+    const SettlementOracle = await ethers.getContractFactory("SettlementOracle");
+    const settlementOracle = await SettlementOracle.deploy(settlement.target, usdc.target, admin.address, admin.address, MIN_STAKE);
+
+    await pool.grantRole(await pool.SETTLEMENT_ROLE(), settlement.target);
+    await settlement.grantRole(await settlement.ORACLE_ROLE(), settlementOracle.target);
+    for (const account of [oracle, otherOracle]) {
+      await usdc.mint(account.address, MIN_STAKE);
+      await usdc.connect(account).approve(settlementOracle.target, MIN_STAKE);
+      await settlementOracle.connect(account).registerOracle(MIN_STAKE);
+    }
+    await settlementOracle.setApprovalThreshold(threshold);
+
+    await usdc.mint(fintech.address, parseUsdc("100000"));
+    await usdc.connect(fintech).approve(pool.target, ethers.MaxUint256);
+    await pool.connect(fintech).deposit(parseUsdc("10000"));
+
+    const startBlock = await ethers.provider.getBlockNumber();
+
+    const createBatch = async (amount) => {
+      const receipt = await (await settlement.connect(fintech).createBatch(
+        [merchant1.address, merchant2.address],
+        [parseUsdc(amount), parseUsdc("1")]
+      )).wait();
+      return receipt.logs
+        .map((log) => settlement.interface.parseLog(log))
+        .find((event) => event && event.name === "BatchCreated").args.batchId;
+    };
+
+    // Verifier whose verdict per batch is set by the test; records every call
+    const verdicts = new Map();
+    const verifier = {
+      calls: [],
+      async verify(batch) {
+        this.calls.push(batch.batchId);
+        const verdict = verdicts.get(batch.batchId);
+        if (verdict instanceof Error) {
+          throw verdict;
+        }
+        return verdict === undefined ? true : verdict;
+      },
+    };
+
+    const stateFile = path.join(dir, "state.json");
+    const logs = [];
+    const createDaemon = async (overrides = {}) => new OracleDaemon({
+      web3,
+      settlement: new web3.eth.Contract((await artifacts.readArtifact("PaymentSettlement")).abi, settlement.target),
+      oracle: new web3.eth.Contract((await artifacts.readArtifact("SettlementOracle")).abi, settlementOracle.target),
+      account: oracle.address,
+      verifier,
+      stateStore: new StateStore(stateFile),
+      startBlock,
+      pollInterval: 60 * 60 * 1000,
+      confirmations: 0,
+      logger: { log: (...line) => logs.push(line.join(" ")), error: (...line) => logs.push(line.join(" ")) },
+      ...overrides,
+    });
+
+    // Start a daemon process on the shared state file, let it catch up and stop it
+    const runDaemon = async () => {
+      const daemon = await createDaemon();
+      await daemon.start();
+      await daemon.stop();
+      return daemon;
+    };
+
+    // Votes this oracle cast per batch, from SettlementOracle events
+    const votes = async () => {
+      const counts = {};
+      for (const name of ["BatchApproved", "BatchRejected"]) {
+        const events = await settlementOracle.queryFilter(settlementOracle.filters[name](null, oracle.address), startBlock);
+        for (const event of events) {
+          const key = `${event.args.batchId}:${name}`;
+          counts[key] = (counts[key] || 0) + 1;
+        }
+      }
+      return counts;
+    };
+
+    return { oracle, otherOracle, settlement, settlementOracle, createBatch, verdicts, verifier, stateFile, logs, createDaemon, runDaemon, votes };
+  }
+
+  // Put a daemon in WebSocket mode with a BatchCreated subscription the test fires
+  function fakeSubscription(daemon) {
+    const handlers = {};
+    daemon._supportsSubscriptions = () => true;
+    Object.defineProperty(daemon.settlement, "events", {
+      value: {
+        BatchCreated: () => ({
+          on: (name, handler) => { handlers[name] = handler; },
+          unsubscribe: async () => {},
+        }),
+      },
+    });
+    return { emit: (event) => handlers.data(event) };
+  }
+
+  async function waitFor(condition, timeout = 5000) {
+    const deadline = Date.now() + timeout;
+    while (!(await condition())) {
+      if (Date.now() > deadline) {
+        throw new Error("Timed out waiting for the daemon");
+      }
+      await new Promise((resolve) => setTimeout(resolve, 25));
+    }
+  }
+
+  describe("Restarts", function () {
+    it("Should vote exactly once per batch across restarts on the same state", async function () {
+      const { createBatch, verdicts, verifier, stateFile, logs, runDaemon, votes } = await deployFixture();
+
+      const approved = await createBatch("100");
+      const rejected = await createBatch("200");
+      const unreachable = await createBatch("300");
+      const pending = await createBatch("400");
+      verdicts.set(rejected, { approved: false, reason: "Transfer not found" });
+      verdicts.set(unreachable, new Error("provider unreachable"));
+      verdicts.set(pending, { approved: false, retry: true, reason: "Transfer pending" });
+
+      const head = await ethers.provider.getBlockNumber();
+      await runDaemon();
+      expect(await votes()).to.deep.equal({ [`${approved}:BatchApproved`]: 1, [`${rejected}:BatchRejected`]: 1 });
+      expect(logs.some((line) => line.includes("provider unreachable"))).to.equal(true);
+
+      // The cursor and the deferred batches survive the process
+      const state = JSON.parse(fs.readFileSync(stateFile, "utf8"));
+      expect(BigInt(state.lastProcessedBlock)).to.equal(BigInt(head));
+      expect(state.deferredBatches).to.deep.equal([unreachable, pending]);
+
+      // Created while the daemon was down: picked up by the getPastEvents catch-up
+      const missed = await createBatch("500");
+      verdicts.delete(unreachable);
+      verdicts.delete(pending);
+      verifier.calls.length = 0;
+
+      await runDaemon();
+      expect(verifier.calls).to.have.members([missed, unreachable, pending]);
+      expect(await votes()).to.deep.equal({
+        [`${approved}:BatchApproved`]: 1,
+        [`${rejected}:BatchRejected`]: 1,
+        [`${unreachable}:BatchApproved`]: 1,
+        [`${pending}:BatchApproved`]: 1,
+        [`${missed}:BatchApproved`]: 1,
+      });
+      expect(JSON.parse(fs.readFileSync(stateFile, "utf8")).deferredBatches).to.deep.equal([]);
+
+      // Nothing new: a third run verifies and votes on nothing
+      verifier.calls.length = 0;
+      await runDaemon();
+      expect(verifier.calls).to.deep.equal([]);
+      expect(Object.values(await votes())).to.deep.equal([1, 1, 1, 1, 1]);
+    });
+
+    it("Should skip batches it already voted on when the cursor was not saved", async function () {
+      // Two approvals needed: after this oracle's vote the batch stays Pending,
+      // so only batchVotes stops a second vote
+      const { createBatch, verifier, stateFile, logs, runDaemon, votes, settlement } = await deployFixture({ threshold: 2 });
+
+      const batchId = await createBatch("100");
+      await runDaemon();
+      expect(await votes()).to.deep.equal({ [`${batchId}:BatchApproved`]: 1 });
+      expect((await settlement.getBatch(batchId)).status).to.equal(0n); // Pending
+
+      // Crash before the cursor was flushed: the next run re-scans the range
+      const state = JSON.parse(fs.readFileSync(stateFile, "utf8"));
+      fs.writeFileSync(stateFile, JSON.stringify({ ...state, lastProcessedBlock: null }));
+      verifier.calls.length = 0;
+      logs.length = 0;
+
+      await runDaemon();
+      expect(verifier.calls).to.deep.equal([]);
+      expect(logs.some((line) => line.includes(`${batchId}: already voted`))).to.equal(true);
+      expect(await votes()).to.deep.equal({ [`${batchId}:BatchApproved`]: 1 });
+    });
+  });
+
+  describe("Subscriptions", function () {
+    it("Should retry batches deferred after startup without a restart", async function () {
+      const { createBatch, verdicts, verifier, createDaemon, votes } = await deployFixture();
+      const daemon = await createDaemon({ pollInterval: 50 });
+      const subscription = fakeSubscription(daemon);
+
+      await daemon.start();
+      try {
+        const batchId = await createBatch("100");
+        verdicts.set(batchId, { approved: false, retry: true, reason: "Transfer pending" });
+        subscription.emit({ returnValues: { batchId } });
+        await waitFor(() => verifier.calls.includes(batchId));
+        expect(await votes()).to.deep.equal({});
+
+        // The provider settles: the next tick retries the deferred batch
+        verdicts.delete(batchId);
+        await waitFor(async () => (await votes())[`${batchId}:BatchApproved`] === 1);
+      } finally {
+        await daemon.stop();
+      }
+    });
+
+    it("Should hold subscription events until their block is confirmed", async function () {
+      const { createBatch, verifier, createDaemon, votes } = await deployFixture();
+      const daemon = await createDaemon({ pollInterval: 50, confirmations: 2 });
+      const subscription = fakeSubscription(daemon);
+
+      await daemon.start();
+      try {
+        const batchId = await createBatch("100");
+        subscription.emit({ returnValues: { batchId } });
+        await new Promise((resolve) => setTimeout(resolve, 300));
+        await daemon.queue;
+        expect(verifier.calls).to.deep.equal([]);
+
+        await mine(2);
+        await waitFor(async () => (await votes())[`${batchId}:BatchApproved`] === 1);
+        expect(verifier.calls).to.deep.equal([batchId]);
+      } finally {
+        await daemon.stop();
+      }
+    });
+  });
+});
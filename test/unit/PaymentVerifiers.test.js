@@ -0,0 +1,248 @@
+const { expect } = require("chai");
+const { startStubServer } = require("../../scripts/oracle/verifiers/stub-server");
+const {
+  ProviderVerifier,
+  PaystackAdapter,
+  FlutterwaveAdapter,
+  createVerifier,
+  defaultReference,
+} = require("../../scripts/oracle/verifiers");
+
+describe("Payment Verifiers - Unit Tests", function () {
+  const BATCH_ID = "0x" + "ab".repeat(32);
+  const MERCHANT1 = "0x70997970C51812dc3A010C7d01b50e0d17dc79C8";
+  const MERCHANT2 = "0x3C44CdDdB6a900fa2b585dd299e03d12FA4293BC";
+
+  let stub;
+
+  // Batch as loaded by the oracle daemon (USDC amounts, 6 decimals)
+  function makeBatch() {
+    return {
+      batchId: BATCH_ID,
+      payments: [
+        { index: 0, merchant: MERCHANT1, amount: 1500_500000n, claimed: false },
+        { index: 1, merchant: MERCHANT2, amount: 250_000000n, claimed: false },
+      ],
+    };
+  }
+
+  // Matching provider transfers (minor units, 2 decimals)
+  function makeTransfers(overrides = {}) {
+    return [
+      { reference: defaultReference(BATCH_ID, 0), status: "success", amount: 150050n, currency: "USD", merchant: MERCHANT1 },
+      { reference: defaultReference(BATCH_ID, 1), status: "success", amount: 25000n, currency: "USD", merchant: MERCHANT2 },
+    ].map((transfer, i) => ({ ...transfer, ...(overrides[i] || {}) }));
+  }
+
+  afterEach(async function () {
+    if (stub) {
+      await stub.close();
+      stub = null;
+    }
+  });
+
+  for (const [name, Adapter] of [["Paystack", PaystackAdapter], ["Flutterwave", FlutterwaveAdapter]]) {
+    describe(`${name} adapter`, function () {
+      async function verifierFor(transfers) {
+        stub = await startStubServer({ transfers });
+        return new ProviderVerifier({
+          adapter: new Adapter({ secretKey: "sk_test", baseUrl: stub.url }),
+          currency: "USD",
+        });
+      }
+
+      it("Should approve when every transfer succeeded for the batch amount", async function () {
+        const verifier = await verifierFor(makeTransfers());
+
+        expect(await verifier.verify(makeBatch())).to.deep.equal({ approved: true });
+        expect(stub.requests).to.have.lengthOf(2);
+      });
+
+      it("Should reject a missing transfer with a reason", async function () {
+        const verifier = await verifierFor(makeTransfers().slice(0, 1));
+
+        const verdict = await verifier.verify(makeBatch());
+        expect(verdict.approved).to.be.false;
+        expect(verdict.reason).to.contain("payment #1").and.contain("no ");
+      });
+
+      it("Should reject a failed transfer", async function () {
+        const verifier = await verifierFor(makeTransfers({ 0: { status: "failed" } }));
+
+        const verdict = await verifier.verify(makeBatch());
+        expect(verdict.approved).to.be.false;
+        expect(verdict.reason).to.contain("payment #0").and.contain("failed");
+      });
+
+      it("Should reject an amount mismatch", async function () {
+        const verifier = await verifierFor(makeTransfers({ 1: { amount: 24999n } }));
+
+        const verdict = await verifier.verify(makeBatch());
+        expect(verdict.approved).to.be.false;
+        expect(verdict.reason).to.contain("amount mismatch");
+      });
+
+      it("Should reject a transfer paid to another merchant", async function () {
+        const verifier = await verifierFor(makeTransfers({ 1: { merchant: MERCHANT1 } }));
+
+        const verdict = await verifier.verify(makeBatch());
+        expect(verdict.approved).to.be.false;
+        expect(verdict.reason).to.contain("recipient");
+      });
+
+      it("Should ask for a retry while transfers are pending", async function () {
+        const verifier = await verifierFor(makeTransfers({ 1: { status: "pending" } }));
+
+        const verdict = await verifier.verify(makeBatch());
+        expect(verdict.approved).to.be.false;
+        expect(verdict.retry).to.be.true;
+      });
+
+      for (const status of [401, 429]) {
+        it(`Should throw on a ${status} response instead of rejecting the batch`, async function () {
+          const verifier = await verifierFor(makeTransfers());
+          stub.setError(status);
+
+          let error;
+          try {
+            await verifier.verify(makeBatch());
+          } catch (e) {
+            error = e;
+          }
+          expect(error).to.be.instanceOf(Error);
+          expect(error.message).to.contain(`Provider error ${status}`);
+        });
+      }
+
+      it("Should throw on an unrecognised transfer status instead of rejecting the batch", async function () {
+        const verifier = await verifierFor(makeTransfers({ 1: { status: "ON_HOLD" } }));
+
+        let error;
+        try {
+          await verifier.verify(makeBatch());
+        } catch (e) {
+          error = e;
+        }
+        expect(error).to.be.instanceOf(Error);
+        expect(error.message).to.contain(`Unknown ${name} transfer status "ON_HOLD"`);
+      });
+    });
+  }
+
+  describe("Currencies", function () {
+    // NGN transfers at 1500 NGN per USDC, in kobo
+    function makeNairaTransfers(overrides = {}) {
+      return makeTransfers({
+        0: { amount: 225075000n, currency: "NGN", ...(overrides[0] || {}) },
+        1: { amount: 37500000n, currency: "NGN", ...(overrides[1] || {}) },
+      });
+    }
+
+    async function verifierFor(transfers, options) {
+      stub = await startStubServer({ transfers });
+      return new ProviderVerifier({
+        adapter: new PaystackAdapter({ secretKey: "sk_test", baseUrl: stub.url }),
+        ...options,
+      });
+    }
+
+    it("Should reject transfers in another currency than the expected one", async function () {
+      const verifier = await verifierFor(makeNairaTransfers(), {});
+
+      const verdict = await verifier.verify(makeBatch());
+      expect(verdict.approved).to.be.false;
+      expect(verdict.reason).to.contain("payment #0").and.contain("currency NGN, expected USD");
+    });
+
+    it("Should require an FX rate for non-USD currencies", function () {
+      const adapter = new PaystackAdapter({ secretKey: "sk_test" });
+
+      expect(() => new ProviderVerifier({ adapter, currency: "NGN" })).to.throw("fxRate is required");
+      expect(() => new ProviderVerifier({ adapter, currency: "NGN", fxRate: "-1" })).to.throw("invalid fxRate");
+      expect(() => new ProviderVerifier({ adapter, currency: "NGN", fxRate: "0" })).to.throw("greater than zero");
+      expect(() => new ProviderVerifier({ adapter, currency: "NGN", fxRate: "1500", fxToleranceBps: 1.5 })).to.throw("fxToleranceBps");
+    });
+
+    it("Should convert USDC at the configured FX rate", async function () {
+      const verifier = await verifierFor(makeNairaTransfers(), { currency: "NGN", fxRate: "1500" });
+
+      expect(await verifier.verify(makeBatch())).to.deep.equal({ approved: true });
+    });
+
+    it("Should reject NGN amounts that only match after a decimal shift", async function () {
+      // 1500.50 USDC paid as 1500.50 NGN
+      const verifier = await verifierFor(makeNairaTransfers({ 0: { amount: 150050n } }), { currency: "NGN", fxRate: "1500" });
+
+      const verdict = await verifier.verify(makeBatch());
+      expect(verdict.approved).to.be.false;
+      expect(verdict.reason).to.contain("payment #0").and.contain("amount mismatch");
+    });
+
+    it("Should accept FX deviations within the tolerance only", async function () {
+      // 0.5% tolerance on 2,250,750 NGN is 11,253.75 NGN
+      const options = { currency: "NGN", fxRate: "1500", fxToleranceBps: 50 };
+
+      const within = await verifierFor(makeNairaTransfers({ 0: { amount: 225075000n - 1125375n } }), options);
+      expect(await within.verify(makeBatch())).to.deep.equal({ approved: true });
+      await stub.close();
+
+      const outside = await verifierFor(makeNairaTransfers({ 0: { amount: 225075000n + 1125376n } }), options);
+      const verdict = await outside.verify(makeBatch());
+      expect(verdict.approved).to.be.false;
+      expect(verdict.reason).to.contain("amount mismatch");
+    });
+  });
+
+  describe("Verifier registry", function () {
+    it("Should build a verifier from environment settings", async function () {
+      stub = await startStubServer({ transfers: makeTransfers() });
+
+      const verifier = createVerifier("paystack", {
+        PAYSTACK_SECRET_KEY: "sk_test",
+        PAYSTACK_BASE_URL: stub.url,
+      });
+
+      expect(await verifier.verify(makeBatch())).to.deep.equal({ approved: true });
+    });
+
+    it("Should read the currency and FX settings from the environment", async function () {
+      stub = await startStubServer({ transfers: makeTransfers({ 0: { amount: 232615013n, currency: "NGN" }, 1: { amount: 38756250n, currency: "NGN" } }) });
+
+      const verifier = createVerifier("paystack", {
+        PAYSTACK_SECRET_KEY: "sk_test",
+        PAYSTACK_BASE_URL: stub.url,
+        ORACLE_VERIFIER_CURRENCY: "NGN",
+        ORACLE_VERIFIER_FX_RATE: "1550.25",
+        ORACLE_VERIFIER_FX_TOLERANCE_BPS: "1",
+      });
+
+      expect(await verifier.verify(makeBatch())).to.deep.equal({ approved: true });
+      expect(() => createVerifier("paystack", { PAYSTACK_SECRET_KEY: "sk_test", ORACLE_VERIFIER_CURRENCY: "NGN" }))
+        .to.throw("fxRate is required");
+    });
+
+    it("Should reject unknown providers and missing credentials", function () {
+      expect(() => createVerifier("mpesa", {})).to.throw("Unknown verifier");
+      expect(() => createVerifier("flutterwave", {})).to.throw("secretKey is required");
+    });
+
+    it("Should surface provider outages as errors instead of rejections", async function () {
+      stub = await startStubServer();
+      const url = stub.url;
+      await stub.close();
+      stub = null;
+
+      const verifier = new ProviderVerifier({
+        adapter: new PaystackAdapter({ secretKey: "sk_test", baseUrl: url, timeout: 1000 }),
+      });
+
+      let error;
+      try {
+        await verifier.verify(makeBatch());
+      } catch (e) {
+        error = e;
+      }
+      expect(error).to.be.instanceOf(Error);
+    });
+  });
+});
@@ -0,0 +1,106 @@
+const { expect } = require("chai");
+const { ethers, network } = require("hardhat");
+const { Web3 } = require("web3");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { TataPayClient } = require("../../sdk");
+const { ProposalKeeper } = require("../../scripts/governance/proposal-keeper");
+
+describe("ProposalKeeper - Unit Tests", function () {
+  const EMERGENCY_DELAY = 6 * 60 * 60;
+  const PROPOSAL_LIFETIME = 7 * 24 * 60 * 60;
+
+  // Shared web3 instance on the in-process Hardhat provider
+  const web3 = new Web3(network.provider);
+
+  // Test fixture: 1-of-1 governance, keeper signing from an unrelated account
+  async function deployFixture() {
+    const [, governor, keeperAccount] = await ethers.getSigners();
+
+    const TataPayGovernance = await ethers.getContractFactory("TataPayGovernance");
+    const governance = await TataPayGovernance.deploy([governor.address], 1);
+    const data = governance.interface.encodeFunctionData("updateParameters", [1, 3600, 600]);
+
+    const logs = [];
+    const keeper = new ProposalKeeper({
+      client: new TataPayClient({ network: "moonbase", web3, from: keeperAccount.address, contracts: { governance: governance.target } }),
+      logger: { log: (line) => logs.push(line), error: (line) => logs.push(line) },
+    });
+
+    const propose = async (description, type = 0) => {
+      await governance.connect(governor).propose(governance.target, 0, data, description, type);
+      return (await governance.proposalCount()) - 1n;
+    };
+
+    return { governor, governance, keeper, logs, propose };
+  }
+
+  it("Should leave live proposals alone", async function () {
+    const { keeper, propose } = await deployFixture();
+    await propose("Live");
+
+    const result = await keeper.sweep();
+    expect(result).to.deep.include({ scanned: 1, open: 1, expirable: [], expired: [], txHashes: [] });
+  });
+
+  it("Should expire stale proposals of both types and update metrics", async function () {
+    const { governor, governance, keeper, logs, propose } = await deployFixture();
+    await propose("Stale standard");
+    const emergency = await propose("Stale emergency", 1);
+    await governance.connect(governor).approve(emergency);
+    await time.increase(PROPOSAL_LIFETIME);
+    await propose("Live");
+
+    const result = await keeper.sweep();
+    expect(result.expirable).to.deep.equal([0n, 1n]);
+    expect(result.expired).to.deep.equal([0n, 1n]);
+    expect(result.open).to.equal(1);
+    expect(result.txHashes).to.have.lengthOf(1);
+    expect(logs[0]).to.contain("Expired 2 proposal(s): #0, #1");
+
+    expect((await governance.getProposal(0)).state).to.equal(4); // Expired
+    expect((await governance.getProposal(1)).state).to.equal(4); // Expired
+    expect((await keeper.client.governance.getMetrics()).totalExpired).to.equal(2n);
+  });
+
+  it("Should skip final proposals on later sweeps", async function () {
+    const { governor, governance, keeper, propose } = await deployFixture();
+    const executed = await propose("Executed", 1);
+    await governance.connect(governor).approve(executed);
+    await time.increase(EMERGENCY_DELAY);
+    await governance.connect(governor).execute(executed);
+    await propose("Stale");
+    await time.increase(PROPOSAL_LIFETIME);
+
+    expect((await keeper.sweep()).expired).to.deep.equal([1n]);
+    expect(keeper.cursor).to.equal(1n);
+
+    // Cursor moves past the newly expired proposal on the next sweep
+    expect(await keeper.sweep()).to.deep.include({ scanned: 1, open: 0, expirable: [] });
+    expect(keeper.cursor).to.equal(2n);
+  });
+
+  it("Should split large sweeps into batches", async function () {
+    const { keeper, propose } = await deployFixture();
+    for (let i = 0; i < 5; i++) {
+      await propose(`Stale ${i}`);
+    }
+    await time.increase(PROPOSAL_LIFETIME);
+
+    keeper.batchSize = 2;
+    const result = await keeper.sweep();
+    expect(result.expired).to.have.lengthOf(5);
+    expect(result.txHashes).to.have.lengthOf(3);
+  });
+
+  it("Should only report on dry runs", async function () {
+    const { governance, keeper, propose } = await deployFixture();
+    await propose("Stale");
+    await time.increase(PROPOSAL_LIFETIME);
+
+    keeper.dryRun = true;
+    const result = await keeper.sweep();
+    expect(result.expirable).to.deep.equal([0n]);
+    expect(result.expired).to.be.empty;
+    expect((await governance.getProposal(0)).state).to.equal(0); // Pending
+  });
+});
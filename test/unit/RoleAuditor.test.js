@@ -0,0 +1,142 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { ethers, network } = require("hardhat");
+const { Web3 } = require("web3");
+const { DeploymentRunner } = require("../../scripts/deploy/deployment-runner");
+const { buildPlan } = require("../../scripts/deploy/deploy-all");
+const { RoleAuditor, loadPolicy } = require("../../scripts/utils/role-auditor");
+const { loadAbi } = require("../../sdk/artifacts");
+
+describe("RoleAuditor - Unit Tests", function () {
+  // Shared web3 instance on the in-process Hardhat provider
+  const web3 = new Web3(network.provider);
+  const POLICY = loadPolicy(path.join(__dirname, "../../config/role-policy.json"));
+  const AUDITED = ["collateralPool", "paymentSettlement", "fraudPrevention", "settlementOracle", "governance"];
+
+  // Test fixture: full stack deployed and wired by deploy-all
+  async function deployFixture() {
+    const [deployer, stranger] = await ethers.getSigners();
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "tatapay-audit-"));
+    try {
+      const runner = new DeploymentRunner({ web3, networkName: "hardhat", from: deployer.address, manifestDir: dir, log: () => {} });
+      const { manifest } = await runner.run(buildPlan({ deployer: deployer.address }));
+
+      const contracts = {};
+      const instances = {};
+      for (const key of AUDITED) {
+        const { address, blockNumber } = manifest.contracts[key];
+        contracts[key] = { address, abi: loadAbi(key), fromBlock: blockNumber };
+        instances[key] = await ethers.getContractAt(manifest.contracts[key].contract, address);
+      }
+
+      return { deployer, stranger, contracts, instances };
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  }
+
+  it("Should rebuild role membership from events", async function () {
+    const { deployer, contracts } = await deployFixture();
+    const auditor = new RoleAuditor({ web3, contracts });
+
+    const membership = await auditor.membership();
+
+    expect(membership.collateralPool.DEFAULT_ADMIN_ROLE).to.deep.equal([deployer.address]);
+    expect(membership.collateralPool.SETTLEMENT_ROLE).to.deep.equal([contracts.paymentSettlement.address]);
+    expect(membership.collateralPool.SLASHER_ROLE).to.deep.equal([contracts.governance.address]);
+    expect(membership.paymentSettlement.ORACLE_ROLE).to.deep.equal([contracts.settlementOracle.address]);
+    expect(membership.paymentSettlement.FRAUD_ROLE).to.deep.equal([]);
+    expect(membership.governance.GOVERNOR_ROLE).to.deep.equal([deployer.address]);
+    expect(auditor.label(contracts.governance.address)).to.equal("governance");
+  });
+
+  it("Should drop revoked and renounced roles", async function () {
+    const { deployer, stranger, contracts, instances } = await deployFixture();
+    const { paymentSettlement, fraudPrevention } = instances;
+
+    const ORACLE_ROLE = await paymentSettlement.ORACLE_ROLE();
+    await paymentSettlement.grantRole(ORACLE_ROLE, stranger.address);
+    await paymentSettlement.revokeRole(ORACLE_ROLE, stranger.address);
+    await fraudPrevention.renounceRole(await fraudPrevention.EMERGENCY_ROLE(), deployer.address);
+
+    // Small block range to replay across several getPastEvents calls
+    const membership = await new RoleAuditor({ web3, contracts, maxBlockRange: 3 }).membership();
+
+    expect(membership.paymentSettlement.ORACLE_ROLE).to.deep.equal([contracts.settlementOracle.address]);
+    expect(membership.fraudPrevention.EMERGENCY_ROLE).to.deep.equal([]);
+  });
+
+  it("Should flag an EOA admin before handover to governance", async function () {
+    const { deployer, stranger, contracts } = await deployFixture();
+    const auditor = new RoleAuditor({ web3, contracts, accounts: { operator: stranger.address } });
+
+    const findings = await auditor.audit(await auditor.membership(), POLICY);
+
+    expect(findings).to.deep.include({
+      contract: "collateralPool",
+      role: "DEFAULT_ADMIN_ROLE",
+      account: deployer.address,
+      label: deployer.address,
+      kind: "EOA",
+      issue: "unexpected",
+    });
+    expect(findings).to.deep.include({
+      contract: "collateralPool",
+      role: "DEFAULT_ADMIN_ROLE",
+      account: contracts.governance.address,
+      label: "governance",
+      kind: "contract",
+      issue: "missing",
+    });
+    // Wiring done by deploy-all matches policy
+    expect(findings.filter((finding) => finding.role === "ORACLE_ROLE" || finding.role === "SETTLEMENT_ROLE")).to.be.empty;
+    // Governors are not pinned by the default policy
+    expect(findings.filter((finding) => finding.contract === "governance")).to.be.empty;
+  });
+
+  it("Should pass once roles match the policy", async function () {
+    const { deployer, stranger, contracts, instances } = await deployFixture();
+    const { collateralPool } = instances;
+    const governance = contracts.governance.address;
+    const policy = { collateralPool: POLICY.collateralPool };
+
+    await collateralPool.grantRole(await collateralPool.DEFAULT_ADMIN_ROLE(), governance);
+    await collateralPool.grantRole(await collateralPool.EMERGENCY_ROLE(), governance);
+    await collateralPool.grantRole(await collateralPool.EMERGENCY_ROLE(), stranger.address);
+    await collateralPool.renounceRole(await collateralPool.EMERGENCY_ROLE(), deployer.address);
+    await collateralPool.renounceRole(await collateralPool.DEFAULT_ADMIN_ROLE(), deployer.address);
+
+    // The policy's "operator" is a named account
+    const auditor = new RoleAuditor({ web3, contracts, accounts: { operator: stranger.address } });
+    const membership = await auditor.membership();
+    expect(await auditor.audit({ collateralPool: membership.collateralPool }, policy)).to.be.empty;
+    expect(auditor.label(stranger.address)).to.equal("operator");
+
+    // Explicit addresses are accepted as policy members too
+    policy.collateralPool = { ...policy.collateralPool, SLASHER_ROLE: ["governance", stranger.address] };
+    const findings = await auditor.audit({ collateralPool: membership.collateralPool }, policy);
+    expect(findings.map((finding) => [finding.account, finding.issue])).to.deep.equal([[stranger.address, "missing"]]);
+  });
+
+  it("Should reject malformed policies and unknown members", async function () {
+    const { contracts } = await deployFixture();
+    const auditor = new RoleAuditor({ web3, contracts });
+    const file = path.join(os.tmpdir(), `tatapay-policy-${process.pid}.json`);
+
+    fs.writeFileSync(file, JSON.stringify({ collateralPool: { SLASHER_ROLE: "governance" } }));
+    try {
+      expect(() => loadPolicy(file)).to.throw("collateralPool.SLASHER_ROLE must be an array");
+    } finally {
+      fs.rmSync(file, { force: true });
+    }
+
+    try {
+      await auditor.audit(await auditor.membership(), { collateralPool: { SLASHER_ROLE: ["treasury"] } });
+      expect.fail("Expected unknown member to throw");
+    } catch (error) {
+      expect(error.message).to.contain("Unknown policy member treasury");
+    }
+  });
+});
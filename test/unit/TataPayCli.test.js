@@ -0,0 +1,854 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { ethers, network } = require("hardhat");
+const { Web3 } = require("web3");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { run } = require("../../cli");
+const { TataPayClient, parseUsdc } = require("../../sdk");
+const { EventIndexer } = require("../../scripts/indexer/event-indexer");
+const { IndexerStore } = require("../../scripts/indexer/store");
+
+describe("tatapay CLI - Unit Tests", function () {
+  const MIN_STAKE = parseUsdc("100");
+
+  // Shared web3 instance on the in-process Hardhat provider
+  const web3 = new Web3(network.provider);
+
+  // Test fixture
+  async function deployFixture() {
+    const [admin] = await ethers.getSigners();
+
+    // CLI signers are loaded from private keys, so use fresh funded wallets
+    const keys = {};
+    const wallets = {};
+    for (const name of ["ADMIN", "FINTECH", "ORACLE", "MERCHANT"]) {
+      const wallet = ethers.Wallet.createRandom();
+      await admin.sendTransaction({ to: wallet.address, value: ethers.parseEther("10") });
+      keys[`${name}_KEY`] = wallet.privateKey;
+      wallets[name.toLowerCase()] = wallet;
+    }
+
+    const MockUSDC = await ethers.getContractFactory("contracts/mocks/MockUSDC.sol:MockUSDC");
+    const usdc = await MockUSDC.deploy("USD Coin", "USDC", 6);
+
+    const CollateralPool = await ethers.getContractFactory("CollateralPool");
+    const pool = await CollateralPool.deploy(usdc.target, admin.address, admin.address);
+
+    const PaymentSettlement = await ethers.getContractFactory("PaymentSettlement");
+    const settlement = await PaymentSettlement.deploy(usdc.target, pool.target, admin.address);
+
+    const FraudPrevention = await ethers.getContractFactory("FraudPrevention");
+    const fraud = await FraudPrevention.deploy(wallets.admin.address);
+
+    const SettlementOracle = await ethers.getContractFactory("SettlementOracle");
+    const settlementOracle = await SettlementOracle.deploy(settlement.target, usdc.target, admin.address, admin.address, MIN_STAKE);
+
+    const TataPayGovernance = await ethers.getContractFactory("TataPayGovernance");
+    const governance = await TataPayGovernance.deploy([wallets.admin.address], 1);
+
+    await pool.grantRole(await pool.SETTLEMENT_ROLE(), settlement.target);
+    await settlement.grantRole(await settlement.ORACLE_ROLE(), settlementOracle.target);
+    await usdc.mint(wallets.fintech.address, parseUsdc("100000"));
+    await usdc.mint(wallets.oracle.address, MIN_STAKE);
+
+    const clientOptions = {
+      web3,
+      contracts: {
+        usdc: usdc.target,
+        collateralPool: pool.target,
+        paymentSettlement: settlement.target,
+        fraudPrevention: fraud.target,
+        settlementOracle: settlementOracle.target,
+        governance: governance.target,
+      },
+    };
+
+    // Run the CLI and capture its output
+    async function tatapay(...argv) {
+      let stdout = "";
+      let stderr = "";
+      const code = await run(argv, {
+        env: keys,
+        stdout: { write: (chunk) => (stdout += chunk) },
+        stderr: { write: (chunk) => (stderr += chunk) },
+        clientOptions,
+      });
+      return { code, stdout, stderr, json: argv.includes("--json") ? JSON.parse(stdout) : undefined };
+    }
+
+    return { admin, wallets, pool, settlement, fraud, governance, clientOptions, tatapay };
+  }
+
+  describe("Settlement commands", function () {
+    it("Should run deposit → batch create → oracle vote → claim", async function () {
+      const { wallets, tatapay } = await deployFixture();
+      const { merchant } = wallets;
+
+      let res = await tatapay("--key-env", "FINTECH_KEY", "collateral", "deposit", "5000");
+      expect(res.code).to.equal(0);
+      expect(res.stdout).to.contain("Deposited 5,000 USDC");
+
+      res = await tatapay("--key-env", "FINTECH_KEY", "--json", "batch", "create", `${merchant.address}:1250.5`);
+      expect(res.code).to.equal(0);
+      const { batchId } = res.json;
+      expect(res.json.totalAmount).to.equal("1250500000");
+
+      res = await tatapay("--json", "batch", "show", batchId);
+      expect(res.json.status).to.equal("Pending");
+      expect(res.json.payments[0].merchant).to.equal(merchant.address);
+
+      res = await tatapay("--key-env", "ORACLE_KEY", "oracle", "register");
+      expect(res.code).to.equal(0);
+      expect(res.stdout).to.contain("with 100 USDC stake");
+      res = await tatapay("--key-env", "ORACLE_KEY", "--json", "oracle", "vote", batchId, "approve");
+      expect(res.json.processed).to.be.true;
+
+      res = await tatapay("--key-env", "MERCHANT_KEY", "--json", "batch", "claim", batchId);
+      expect(res.json.status).to.equal("Completed");
+
+      res = await tatapay("--key-env", "FINTECH_KEY", "collateral", "status");
+      expect(res.stdout).to.contain("Available:");
+      expect(res.stdout).to.contain("3,749.5 USDC");
+    });
+
+    it("Should push unclaimed payments in pages with batch payout", async function () {
+      const { admin, wallets, settlement, tatapay } = await deployFixture();
+      const others = [ethers.Wallet.createRandom().address, ethers.Wallet.createRandom().address];
+      await settlement.connect(admin).grantRole(await settlement.PAYOUT_ROLE(), wallets.oracle.address);
+
+      await tatapay("--key-env", "FINTECH_KEY", "collateral", "deposit", "5000");
+      let res = await tatapay(
+        "--key-env", "FINTECH_KEY", "--json", "batch", "create",
+        `${wallets.merchant.address}:100`, `${others[0]}:200`, `${others[1]}:300`
+      );
+      const { batchId } = res.json;
+
+      res = await tatapay("--key-env", "ORACLE_KEY", "batch", "payout", batchId);
+      expect(res.code).to.equal(1);
+      expect(res.stderr).to.contain("is Pending");
+
+      await tatapay("--key-env", "ORACLE_KEY", "oracle", "register");
+      await tatapay("--key-env", "ORACLE_KEY", "oracle", "vote", batchId, "approve");
+      await tatapay("--key-env", "MERCHANT_KEY", "batch", "claim", batchId);
+
+      res = await tatapay("--key-env", "ORACLE_KEY", "batch", "payout", batchId, "--page-size", "0");
+      expect(res.code).to.equal(2);
+
+      res = await tatapay("--key-env", "ORACLE_KEY", "--json", "batch", "payout", batchId, "--page-size", "1");
+      expect(res.code).to.equal(0);
+      expect(res.json.status).to.equal("Completed");
+      expect(res.json.paidCount).to.equal("2");
+      expect(res.json.paidAmount).to.equal("500000000");
+      // The first page was already claimed by the merchant
+      expect(res.json.pages.map((page) => page.fromIndex)).to.deep.equal([1, 2]);
+    });
+
+    it("Should push payouts through SettlementOracle for an active oracle without PAYOUT_ROLE", async function () {
+      const { wallets, settlement, tatapay } = await deployFixture();
+      await tatapay("--key-env", "FINTECH_KEY", "collateral", "deposit", "5000");
+      let res = await tatapay("--key-env", "FINTECH_KEY", "--json", "batch", "create", `${wallets.merchant.address}:100`);
+      const { batchId } = res.json;
+
+      await tatapay("--key-env", "ORACLE_KEY", "oracle", "register");
+      await tatapay("--key-env", "ORACLE_KEY", "oracle", "vote", batchId, "approve");
+      expect(await settlement.hasRole(await settlement.PAYOUT_ROLE(), wallets.oracle.address)).to.be.false;
+
+      // Neither a role holder nor an oracle
+      res = await tatapay("--key-env", "MERCHANT_KEY", "batch", "payout", batchId);
+      expect(res.code).to.equal(1);
+      expect(res.stderr).to.contain("Not active oracle");
+
+      res = await tatapay("--key-env", "ORACLE_KEY", "--json", "batch", "payout", batchId);
+      expect(res.code).to.equal(0);
+      expect(res.json.status).to.equal("Completed");
+      expect(res.json.paidAmount).to.equal("100000000");
+    });
+
+    it("Should return the existing batch when --reference is reused", async function () {
+      const { wallets, tatapay } = await deployFixture();
+      await tatapay("--key-env", "FINTECH_KEY", "collateral", "deposit", "5000");
+
+      let res = await tatapay(
+        "--key-env", "FINTECH_KEY", "--json", "batch", "create", `${wallets.merchant.address}:100:INV-1001`, "--reference", "payroll-2026-10"
+      );
+      expect(res.code).to.equal(0);
+      expect(res.json.existing).to.be.false;
+      const { batchId } = res.json;
+      res = await tatapay("--json", "batch", "show", batchId);
+      expect(res.json.payments[0].reference).to.equal(ethers.encodeBytes32String("INV-1001"));
+
+      res = await tatapay("--key-env", "FINTECH_KEY", "batch", "create", `${wallets.merchant.address}:100`, "--reference", "payroll-2026-10");
+      expect(res.code).to.equal(0);
+      expect(res.stdout).to.contain(`already used by batch ${batchId}`);
+      expect(res.stdout).to.contain("1 payment(s), 100 USDC");
+
+      res = await tatapay("--key-env", "FINTECH_KEY", "batch", "create", `${wallets.merchant.address}:100`, "--reference", "x".repeat(33));
+      expect(res.code).to.equal(2);
+      expect(res.stderr).to.contain("Invalid reference");
+    });
+
+    it("Should require --reason when rejecting a batch", async function () {
+      const { tatapay } = await deployFixture();
+
+      const res = await tatapay("--key-env", "ORACLE_KEY", "oracle", "vote", "0x" + "11".repeat(32), "reject");
+      expect(res.code).to.equal(2);
+      expect(res.stderr).to.contain("--reason");
+    });
+
+    it("Should report contract reverts as errors", async function () {
+      const { wallets, tatapay } = await deployFixture();
+
+      const res = await tatapay("--key-env", "FINTECH_KEY", "--json", "batch", "create", `${wallets.merchant.address}:10`);
+      expect(res.code).to.equal(1);
+      expect(res.json.error).to.contain("Insufficient");
+    });
+  });
+
+  describe("Merchant commands", function () {
+    it("Should list pending claims across batches and claim them in one transaction", async function () {
+      const { wallets, tatapay } = await deployFixture();
+      const { merchant } = wallets;
+      const other = ethers.Wallet.createRandom().address;
+
+      await tatapay("--key-env", "FINTECH_KEY", "collateral", "deposit", "10000");
+      await tatapay("--key-env", "ORACLE_KEY", "oracle", "register");
+      const batchIds = [];
+      for (const payouts of [[`${other}:100`, `${merchant.address}:250`], [`${merchant.address}:1000`], [`${merchant.address}:5`]]) {
+        const res = await tatapay("--key-env", "FINTECH_KEY", "--json", "batch", "create", ...payouts);
+        batchIds.push(res.json.batchId);
+      }
+      // The last batch stays Pending
+      await tatapay("--key-env", "ORACLE_KEY", "oracle", "vote", batchIds[0], "approve");
+      await tatapay("--key-env", "ORACLE_KEY", "oracle", "vote", batchIds[1], "approve");
+
+      let res = await tatapay("--json", "merchant", "pending", merchant.address);
+      expect(res.code).to.equal(0);
+      expect(res.json.source).to.equal("rpc");
+      expect(res.json.total).to.equal("1250000000");
+      expect(res.json.batches.map((batch) => batch.batchId)).to.deep.equal(batchIds.slice(0, 2));
+
+      res = await tatapay("merchant", "pending", merchant.address);
+      expect(res.stdout).to.contain("1,250 USDC claimable from 2 batch(es)");
+
+      res = await tatapay("--key-env", "MERCHANT_KEY", "--json", "merchant", "claim");
+      expect(res.code).to.equal(0);
+      expect(res.json.claimedAmount).to.equal("1250000000");
+      expect(res.json.txHashes).to.have.lengthOf(1);
+
+      res = await tatapay("--json", "batch", "show", batchIds[1]);
+      expect(res.json.status).to.equal("Completed");
+
+      res = await tatapay("--json", "merchant", "pending", merchant.address);
+      expect(res.json.batches).to.be.empty;
+
+      res = await tatapay("--key-env", "MERCHANT_KEY", "merchant", "claim");
+      expect(res.code).to.equal(1);
+      expect(res.stderr).to.contain("Nothing to claim");
+    });
+
+    it("Should read pending claims from the indexer database and confirm them on-chain", async function () {
+      const { wallets, clientOptions, tatapay } = await deployFixture();
+      const { merchant } = wallets;
+      const dir = fs.mkdtempSync(path.join(os.tmpdir(), "tatapay-pending-"));
+      const dbPath = path.join(dir, "indexer.sqlite");
+
+      try {
+        await tatapay("--key-env", "FINTECH_KEY", "collateral", "deposit", "10000");
+        await tatapay("--key-env", "ORACLE_KEY", "oracle", "register");
+        const batchIds = [];
+        for (const amount of ["100", "200", "300"]) {
+          const res = await tatapay("--key-env", "FINTECH_KEY", "--json", "batch", "create", `${merchant.address}:${amount}`);
+          batchIds.push(res.json.batchId);
+        }
+        // The last batch stays Pending
+        await tatapay("--key-env", "ORACLE_KEY", "oracle", "vote", batchIds[0], "approve");
+        await tatapay("--key-env", "ORACLE_KEY", "oracle", "vote", batchIds[1], "approve");
+
+        const store = new IndexerStore(dbPath);
+        const client = new TataPayClient({ network: "moonbase", ...clientOptions });
+        await new EventIndexer({ client, store, confirmations: 0, logger: { log() {}, error() {} } }).sync();
+        store.close();
+
+        let res = await tatapay("--json", "merchant", "pending", merchant.address, "--indexer-db", dbPath);
+        expect(res.code).to.equal(0);
+        expect(res.json.source).to.equal("indexer");
+        expect(res.json.total).to.equal("300000000");
+        expect(res.json.batches.map((batch) => [batch.batchId, batch.fintech])).to.deep.equal([
+          [batchIds[0], wallets.fintech.address],
+          [batchIds[1], wallets.fintech.address],
+        ]);
+
+        // Claimed after the last sync: canClaim drops it although the indexer still lists it
+        await tatapay("--key-env", "MERCHANT_KEY", "batch", "claim", batchIds[0]);
+        res = await tatapay("--key-env", "MERCHANT_KEY", "--json", "merchant", "claim", "--indexer-db", dbPath);
+        expect(res.code).to.equal(0);
+        expect(res.json.claims.map((claim) => claim.batchId)).to.deep.equal([batchIds[1]]);
+
+        res = await tatapay("merchant", "pending", merchant.address, "--indexer-db", path.join(dir, "missing.sqlite"));
+        expect(res.code).to.equal(1);
+        expect(res.stderr).to.contain("Indexer database not found");
+      } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+      }
+    });
+  });
+
+  describe("Payout file import", function () {
+    let dir;
+
+    beforeEach(function () {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), "tatapay-import-"));
+    });
+
+    afterEach(function () {
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    function merchants(count) {
+      return Array.from({ length: count }, () => ethers.Wallet.createRandom().address);
+    }
+
+    function writeCsv(rows) {
+      const file = path.join(dir, "payouts.csv");
+      fs.writeFileSync(file, ["merchant,amount,name", ...rows].join("\n") + "\n");
+      return file;
+    }
+
+    it("Should split into batches, submit and write a receipt", async function () {
+      const { tatapay } = await deployFixture();
+      const [m1, m2, m3] = merchants(3);
+      const file = writeCsv([`${m1},100,"Shop, One"`, `${m2},200.5,Shop Two`, `${m3},0.25,Shop Three`]);
+
+      await tatapay("--key-env", "FINTECH_KEY", "collateral", "deposit", "1000");
+
+      let res = await tatapay("--key-env", "FINTECH_KEY", "--json", "batch", "import", file, "--batch-size", "2", "--dry-run");
+      expect(res.code).to.equal(0);
+      expect(res.json.batches.map((b) => b.rows)).to.deep.equal([[2, 3], [4]]);
+      expect(fs.existsSync(path.join(dir, "payouts.receipt.json"))).to.be.false;
+
+      res = await tatapay("--key-env", "FINTECH_KEY", "--json", "batch", "import", file, "--batch-size", "2");
+      expect(res.code).to.equal(0);
+
+      const receipt = JSON.parse(fs.readFileSync(path.join(dir, "payouts.receipt.json"), "utf8"));
+      expect(receipt.batches).to.have.lengthOf(2);
+      expect(receipt.rows.map((r) => [r.row, r.merchant, r.amount])).to.deep.equal([
+        [2, m1, "100"],
+        [3, m2, "200.5"],
+        [4, m3, "0.25"],
+      ]);
+      expect(receipt.rows[0].batchId).to.equal(receipt.batches[0].batchId);
+      expect(receipt.rows[2].txHash).to.equal(receipt.batches[1].txHash);
+
+      res = await tatapay("--json", "batch", "show", receipt.batches[0].batchId);
+      expect(res.json.totalAmount).to.equal(parseUsdc("300.5").toString());
+
+      // Re-running the import submits nothing new
+      res = await tatapay("--key-env", "FINTECH_KEY", "--json", "batch", "import", file);
+      expect(res.json.alreadySubmitted).to.equal(3);
+      expect(res.json.batches).to.have.lengthOf(0);
+    });
+
+    it("Should find batches whose receipt entry was lost instead of locking collateral twice", async function () {
+      const { tatapay, pool, wallets } = await deployFixture();
+      const [m1, m2, m3] = merchants(3);
+      const file = writeCsv([`${m1},300,a`, `${m2},300,b`, `${m3},400,c`]);
+
+      await tatapay("--key-env", "FINTECH_KEY", "collateral", "deposit", "1000");
+      let res = await tatapay("--key-env", "FINTECH_KEY", "--json", "batch", "import", file, "--batch-size", "2");
+      expect(res.code).to.equal(0);
+      const receiptPath = path.join(dir, "payouts.receipt.json");
+      const batchIds = JSON.parse(fs.readFileSync(receiptPath, "utf8")).batches.map((batch) => batch.batchId);
+      const { lockedBalance } = await pool.getBalance(wallets.fintech.address);
+
+      // The transactions were mined but the run died before writing the receipt
+      fs.rmSync(receiptPath);
+
+      // Nothing left available: the re-run must not need the 1000 again
+      res = await tatapay("--key-env", "FINTECH_KEY", "--json", "batch", "import", file, "--batch-size", "2", "--dry-run");
+      expect(res.code).to.equal(0);
+      expect(res.json.batches.map((batch) => batch.existingBatchId)).to.deep.equal(batchIds);
+
+      res = await tatapay("--key-env", "FINTECH_KEY", "--json", "batch", "import", file, "--batch-size", "2");
+      expect(res.code).to.equal(0);
+      expect(res.json.batches.map((batch) => [batch.batchId, batch.existing, batch.txHash])).to.deep.equal([
+        [batchIds[0], true, null],
+        [batchIds[1], true, null],
+      ]);
+      expect((await pool.getBalance(wallets.fintech.address)).lockedBalance).to.equal(lockedBalance);
+
+      const receipt = JSON.parse(fs.readFileSync(receiptPath, "utf8"));
+      expect(receipt.rows.map((r) => [r.row, r.batchId])).to.deep.equal([
+        [2, batchIds[0]],
+        [3, batchIds[0]],
+        [4, batchIds[1]],
+      ]);
+    });
+
+    it("Should recognise batches from a moved, reordered file imported with another batch size", async function () {
+      const { tatapay, pool, wallets } = await deployFixture();
+      const [m1, m2, m3] = merchants(3);
+      const file = writeCsv([`${m1},300,a`, `${m2},300,b`, `${m3},400,c`]);
+
+      await tatapay("--key-env", "FINTECH_KEY", "collateral", "deposit", "1000");
+      let res = await tatapay("--key-env", "FINTECH_KEY", "--json", "batch", "import", file, "--batch-size", "2");
+      expect(res.code).to.equal(0);
+      const batchIds = res.json.batches.map((batch) => batch.batchId);
+      const { lockedBalance } = await pool.getBalance(wallets.fintech.address);
+
+      // Same payouts in another directory and order, without the receipt
+      const moved = path.join(dir, "moved");
+      fs.mkdirSync(moved);
+      const movedFile = path.join(moved, "payouts.csv");
+      fs.writeFileSync(movedFile, ["merchant,amount,name", `${m3},400,c`, `${m1},300,a`, `${m2},300,b`].join("\n") + "\n");
+
+      res = await tatapay("--key-env", "FINTECH_KEY", "--json", "batch", "import", movedFile);
+      expect(res.code).to.equal(0);
+      expect(res.json.batches.map((batch) => [batch.batchId, batch.existing, batch.rows])).to.deep.equal([
+        [batchIds[0], true, [3, 4]],
+        [batchIds[1], true, [2]],
+      ]);
+      expect((await pool.getBalance(wallets.fintech.address)).lockedBalance).to.equal(lockedBalance);
+
+      const receipt = JSON.parse(fs.readFileSync(path.join(moved, "payouts.receipt.json"), "utf8"));
+      expect(receipt.rows.map((r) => [r.merchant, r.batchId])).to.deep.equal([
+        [m1, batchIds[0]],
+        [m2, batchIds[0]],
+        [m3, batchIds[1]],
+      ]);
+    });
+
+    it("Should report every invalid row before submitting anything", async function () {
+      const { tatapay } = await deployFixture();
+      const [m1, m2] = merchants(2);
+      const file = writeCsv([
+        `${m1},100,ok`,
+        `${m2.toLowerCase()},5,lowercase`,
+        `${m1},7,duplicate`,
+        `${m2},0,zero`,
+        `0x1234,1,short`,
+      ]);
+
+      const res = await tatapay("--key-env", "FINTECH_KEY", "batch", "import", file);
+      expect(res.code).to.equal(1);
+      expect(res.stderr).to.contain("Row 3: merchant address is not checksummed");
+      expect(res.stderr).to.contain("Row 4: duplicate merchant");
+      expect(res.stderr).to.contain("Row 5: amount must be greater than zero");
+      expect(res.stderr).to.contain("Row 6: invalid merchant address");
+    });
+
+    it("Should carry invoice references from the file to the chain and the receipt", async function () {
+      const { tatapay } = await deployFixture();
+      const [m1, m2, m3] = merchants(3);
+      const file = path.join(dir, "payouts.csv");
+      fs.writeFileSync(file, ["merchant,amount,reference", `${m1},100,INV-1001`, `${m2},200,`, `${m3},300,INV-1003`].join("\n"));
+
+      await tatapay("--key-env", "FINTECH_KEY", "collateral", "deposit", "1000");
+      let res = await tatapay("--key-env", "FINTECH_KEY", "--json", "batch", "import", file);
+      expect(res.code).to.equal(0);
+
+      const receipt = JSON.parse(fs.readFileSync(path.join(dir, "payouts.receipt.json"), "utf8"));
+      expect(receipt.rows.map((r) => r.reference)).to.deep.equal(["INV-1001", null, "INV-1003"]);
+
+      res = await tatapay("--json", "batch", "show", receipt.batches[0].batchId);
+      expect(res.json.payments.map((payment) => payment.reference)).to.deep.equal([
+        ethers.encodeBytes32String("INV-1001"),
+        null,
+        ethers.encodeBytes32String("INV-1003"),
+      ]);
+      res = await tatapay("batch", "show", receipt.batches[0].batchId);
+      expect(res.stdout).to.contain("ref INV-1001");
+
+      // A row whose reference changed after submission is not silently skipped
+      fs.writeFileSync(file, ["merchant,amount,reference", `${m1},100,INV-9999`].join("\n"));
+      res = await tatapay("--key-env", "FINTECH_KEY", "--json", "batch", "import", file);
+      expect(res.code).to.equal(1);
+      expect(res.json.error).to.contain("Row 2 changed since it was submitted");
+    });
+
+    it("Should reject references that do not fit in bytes32", async function () {
+      const { tatapay } = await deployFixture();
+      const file = path.join(dir, "payouts.json");
+      fs.writeFileSync(file, JSON.stringify([{ merchant: merchants(1)[0], amount: "10", reference: "x".repeat(33) }]));
+
+      const res = await tatapay("--key-env", "FINTECH_KEY", "batch", "import", file);
+      expect(res.code).to.equal(1);
+      expect(res.stderr).to.contain("Row 1: invalid reference");
+    });
+
+    it("Should check available collateral for JSON files", async function () {
+      const { tatapay } = await deployFixture();
+      const file = path.join(dir, "payouts.json");
+      fs.writeFileSync(file, JSON.stringify(merchants(2).map((merchant) => ({ merchant, amount: "600" }))));
+
+      await tatapay("--key-env", "FINTECH_KEY", "collateral", "deposit", "1000");
+
+      const res = await tatapay("--key-env", "FINTECH_KEY", "--json", "batch", "import", file);
+      expect(res.code).to.equal(1);
+      expect(res.json.error).to.contain("Insufficient collateral");
+    });
+  });
+
+  describe("Argument handling", function () {
+    it("Should reject invalid arguments before sending", async function () {
+      const { tatapay } = await deployFixture();
+
+      let res = await tatapay("--key-env", "FINTECH_KEY", "batch", "create", "0x1234:10");
+      expect(res.code).to.equal(2);
+      expect(res.stderr).to.contain("Invalid merchant");
+
+      const merchant = ethers.Wallet.createRandom().address;
+      res = await tatapay("--key-env", "FINTECH_KEY", "batch", "create", `${merchant}:10`, `${merchant.toLowerCase()}:5`);
+      expect(res.code).to.equal(2);
+      expect(res.stderr).to.contain("Duplicate merchant");
+
+      res = await tatapay("--key-env", "FINTECH_KEY", "batch", "create", `${merchant}:10:${"x".repeat(33)}`);
+      expect(res.code).to.equal(2);
+      expect(res.stderr).to.contain("Invalid payment reference");
+
+      res = await tatapay("--key-env", "FINTECH_KEY", "collateral", "deposit", "0");
+      expect(res.code).to.equal(2);
+
+      res = await tatapay("batch", "explode");
+      expect(res.code).to.equal(2);
+      expect(res.stderr).to.contain("Unknown command");
+    });
+
+    it("Should require a signer for write commands", async function () {
+      const { tatapay } = await deployFixture();
+
+      const res = await tatapay("--key-env", "MISSING_KEY", "collateral", "deposit", "1");
+      expect(res.code).to.equal(2);
+      expect(res.stderr).to.contain("set MISSING_KEY");
+    });
+  });
+
+  describe("Fraud and governance commands", function () {
+    it("Should blacklist, freeze and show status", async function () {
+      const { wallets, tatapay } = await deployFixture();
+      const target = wallets.merchant.address;
+
+      let res = await tatapay("--key-env", "ADMIN_KEY", "fraud", "blacklist", target, "--reason", "Chargebacks");
+      expect(res.code).to.equal(0);
+      res = await tatapay("--key-env", "ADMIN_KEY", "fraud", "freeze", target);
+      expect(res.code).to.equal(0);
+
+      res = await tatapay("--json", "fraud", "limits", target);
+      expect(res.json.blacklisted).to.be.true;
+      expect(res.json.frozen).to.be.true;
+
+      res = await tatapay(
+        "--key-env", "ADMIN_KEY", "--json", "fraud", "limits", target,
+        "--hourly-tx", "5", "--daily-tx", "20", "--hourly-amount", "1000", "--daily-amount", "5000"
+      );
+      expect(res.json.limits.hourlyAmountLimit).to.equal(parseUsdc("1000").toString());
+    });
+
+    it("Should propose, approve and refuse early execution", async function () {
+      const { governance, tatapay } = await deployFixture();
+      const calldata = governance.interface.encodeFunctionData("updateParameters", [1, 3600, 600]);
+
+      let res = await tatapay(
+        "--key-env", "ADMIN_KEY", "--json", "gov", "propose",
+        "--target", governance.target, "--calldata", calldata, "--description", "Shorten delays", "--emergency"
+      );
+      expect(res.json).to.include({ proposalId: "0", type: "Emergency" });
+
+      res = await tatapay("--key-env", "ADMIN_KEY", "--json", "gov", "approve", "0");
+      expect(res.json.state).to.equal("Approved");
+
+      res = await tatapay("--key-env", "ADMIN_KEY", "gov", "execute", "0");
+      expect(res.code).to.equal(1);
+      expect(res.stderr).to.contain("Timelock not passed");
+    });
+
+    it("Should show decoded calldata, governor approvals and timelock", async function () {
+      const { wallets, governance, tatapay } = await deployFixture();
+      const admin = wallets.admin.address;
+      const fintech = wallets.fintech.address;
+
+      // Second governor, added through an executed proposal
+      await tatapay(
+        "--key-env", "ADMIN_KEY", "gov", "propose", "--emergency", "--description", "Add governor",
+        "--target", governance.target, "--calldata", governance.interface.encodeFunctionData("addGovernor", [fintech])
+      );
+      await tatapay("--key-env", "ADMIN_KEY", "gov", "approve", "0");
+      await time.increase(6 * 60 * 60);
+      expect((await tatapay("--key-env", "ADMIN_KEY", "gov", "execute", "0")).code).to.equal(0);
+
+      await tatapay(
+        "--key-env", "ADMIN_KEY", "gov", "propose", "--description", "Shorten delays",
+        "--target", governance.target, "--calldata", governance.interface.encodeFunctionData("updateParameters", [1, 3600, 600])
+      );
+
+      let res = await tatapay("--json", "gov", "show", "1");
+      expect(res.code).to.equal(0);
+      expect(res.json).to.include({ state: "Pending", proposalType: "Standard", approvals: "0", requiredApprovals: "1" });
+      expect(res.json.calls).to.have.lengthOf(1);
+      expect(res.json.calls[0].target).to.equal(governance.target);
+      expect(res.json.calls[0].decoded.contract).to.equal("TataPayGovernance");
+      expect(res.json.calls[0].decoded.signature).to.equal("updateParameters(uint256,uint256,uint256)");
+      expect(res.json.calls[0].decoded.args.map((arg) => [arg.name, arg.display])).to.deep.equal([
+        ["_requiredApprovals", "1"],
+        ["_standardDelay", "3600"],
+        ["_emergencyDelay", "600"],
+      ]);
+      expect(res.json.governors).to.deep.equal([
+        { address: admin, approved: false },
+        { address: fintech, approved: false },
+      ]);
+      expect(res.json.warnings).to.be.empty;
+
+      await tatapay("--key-env", "FINTECH_KEY", "gov", "approve", "1");
+      res = await tatapay("--json", "gov", "show", "1");
+      expect(res.json.state).to.equal("Approved");
+      expect(res.json.governors.map((governor) => governor.approved)).to.deep.equal([false, true]);
+      expect(res.json.timelock.delay).to.equal(String(48 * 60 * 60));
+      expect(Number(res.json.timelock.remaining)).to.be.within(48 * 60 * 60 - 5, 48 * 60 * 60);
+
+      // Close to the 7-day expiry
+      await time.increase(6 * 24 * 60 * 60 + 12 * 60 * 60);
+      res = await tatapay("gov", "show", "1");
+      expect(res.stdout).to.contain("Call:");
+      expect(res.stdout).to.contain("TataPayGovernance.updateParameters(uint256,uint256,uint256)");
+      expect(res.stdout).to.contain(`✅ ${fintech}`);
+      expect(res.stdout).to.contain(`⬜ ${admin}`);
+      expect(res.stdout).to.contain("ready to execute");
+      expect(res.stdout).to.match(/⚠️ {2}Expires in 11h 59m/);
+    });
+
+    it("Should report a failed execution with its reason and allow a retry", async function () {
+      const { admin, pool, governance, tatapay } = await deployFixture();
+      const calldata = pool.interface.encodeFunctionData("setWithdrawalDelay", [7200]);
+
+      await tatapay(
+        "--key-env", "ADMIN_KEY", "gov", "propose", "--emergency", "--description", "Shorter delay",
+        "--target", pool.target, "--calldata", calldata
+      );
+      await tatapay("--key-env", "ADMIN_KEY", "gov", "approve", "0");
+      await time.increase(6 * 60 * 60);
+
+      // Governance is not yet the pool admin
+      let res = await tatapay("--key-env", "ADMIN_KEY", "--json", "gov", "execute", "0");
+      expect(res.code).to.equal(0);
+      expect(res.json.success).to.be.false;
+      expect(res.json.failureReason).to.match(/^AccessControlUnauthorizedAccount\(/);
+
+      res = await tatapay("gov", "show", "0");
+      expect(res.stdout).to.match(/State: +Failed/);
+      expect(res.stdout).to.match(/Failure: +AccessControlUnauthorizedAccount\(/);
+      expect(res.stdout).to.contain(`retry with "gov execute 0"`);
+
+      await pool.connect(admin).grantRole(await pool.DEFAULT_ADMIN_ROLE(), governance.target);
+      res = await tatapay("--key-env", "ADMIN_KEY", "gov", "execute", "0");
+      expect(res.code).to.equal(0);
+      expect(res.stdout).to.contain("Executed proposal #0");
+      expect(await pool.withdrawalDelay()).to.equal(7200);
+
+      res = await tatapay("--json", "gov", "show", "0");
+      expect(res.json).to.include({ state: "Executed", failureReason: null });
+    });
+
+    it("Should show undecodable calldata and reject unknown proposals", async function () {
+      const { wallets, tatapay } = await deployFixture();
+
+      await tatapay(
+        "--key-env", "ADMIN_KEY", "gov", "propose", "--description", "Opaque call",
+        "--target", wallets.merchant.address, "--calldata", "0x12345678"
+      );
+
+      let res = await tatapay("--json", "gov", "show", "0");
+      expect(res.json.calls[0].decoded).to.be.null;
+      res = await tatapay("gov", "show", "0");
+      expect(res.stdout).to.contain("0x12345678 (not a known TataPay call)");
+
+      res = await tatapay("gov", "show", "7");
+      expect(res.code).to.equal(1);
+      expect(res.stderr).to.contain("Proposal #7 does not exist");
+    });
+  });
+
+  describe("Proposal files", function () {
+    let dir;
+
+    beforeEach(function () {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), "tatapay-proposal-"));
+    });
+
+    afterEach(function () {
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    function writeFile(name, text) {
+      const file = path.join(dir, name);
+      fs.writeFileSync(file, text);
+      return file;
+    }
+
+    it("Should encode, simulate and submit a YAML proposal", async function () {
+      const { wallets, fraud, governance, tatapay } = await deployFixture();
+      await fraud.connect(wallets.admin.connect(ethers.provider)).grantRole(await fraud.FRAUD_MANAGER_ROLE(), governance.target);
+      const file = writeFile("limits.yaml", [
+        "description: Raise default velocity limits",
+        "action: FraudPrevention.setDefaultLimits(10, 100, 50000 USDC, 500_000000000)",
+        "",
+      ].join("\n"));
+      const calldata = fraud.interface.encodeFunctionData("setDefaultLimits", [10, 100, parseUsdc("50000"), parseUsdc("500000")]);
+
+      let res = await tatapay("--key-env", "ADMIN_KEY", "--json", "gov", "submit", file, "--dry-run");
+      expect(res.code).to.equal(0);
+      expect(res.json).to.include({ type: "Standard", batch: false, dryRun: true });
+      expect(res.json.calls).to.have.lengthOf(1);
+      expect(res.json.calls[0]).to.include({
+        action: "FraudPrevention.setDefaultLimits(uint256,uint256,uint256,uint256)",
+        target: fraud.target,
+        calldata,
+      });
+      expect(await governance.proposalCount()).to.equal(0);
+
+      res = await tatapay("--key-env", "ADMIN_KEY", "gov", "submit", file);
+      expect(res.code).to.equal(0);
+      expect(res.stdout).to.contain("Simulation from governance succeeded");
+      expect(res.stdout).to.contain("Standard proposal #0 created");
+
+      const proposal = await governance.getProposal(0);
+      expect(proposal.target).to.equal(fraud.target);
+      expect(proposal.data).to.equal(calldata);
+      expect(proposal.description).to.equal("Raise default velocity limits");
+    });
+
+    it("Should resolve role names and contract addresses in JSON proposals", async function () {
+      const { admin, pool, settlement, governance, tatapay } = await deployFixture();
+      await pool.connect(admin).grantRole(await pool.DEFAULT_ADMIN_ROLE(), governance.target);
+      const file = writeFile("slasher.json", JSON.stringify({
+        description: "Let settlement slash",
+        type: "Emergency",
+        action: "CollateralPool.grantRole(SLASHER_ROLE, PaymentSettlement)",
+      }));
+
+      const res = await tatapay("--key-env", "ADMIN_KEY", "--json", "gov", "submit", file);
+      expect(res.code).to.equal(0);
+      expect(res.json).to.include({ type: "Emergency", proposalId: "0" });
+      expect(res.json.calls[0].calldata).to.equal(
+        pool.interface.encodeFunctionData("grantRole", [await pool.SLASHER_ROLE(), settlement.target])
+      );
+      expect((await governance.getProposal(0)).proposalType).to.equal(1);
+
+      const shown = await tatapay("--json", "gov", "show", "0");
+      expect(shown.json.calls[0].decoded.args.map((arg) => arg.display)).to.deep.equal([
+        `SLASHER_ROLE (${await pool.SLASHER_ROLE()})`,
+        `${settlement.target} (PaymentSettlement)`,
+      ]);
+    });
+
+    it("Should submit an actions list as one batch proposal", async function () {
+      const { admin, wallets, pool, fraud, governance, tatapay } = await deployFixture();
+      await pool.connect(admin).grantRole(await pool.DEFAULT_ADMIN_ROLE(), governance.target);
+      await fraud.connect(wallets.admin.connect(ethers.provider)).grantRole(await fraud.FRAUD_MANAGER_ROLE(), governance.target);
+      const file = writeFile("batch.yaml", [
+        "description: Tighten limits and shorten withdrawals",
+        "actions:",
+        "  - FraudPrevention.setDefaultLimits(10, 100, 50000 USDC, 500000 USDC)",
+        "  - action: CollateralPool.setWithdrawalDelay(7200)",
+        "",
+      ].join("\n"));
+
+      let res = await tatapay("--key-env", "ADMIN_KEY", "--json", "gov", "submit", file, "--dry-run");
+      expect(res.code).to.equal(0);
+      expect(res.json.batch).to.be.true;
+      expect(res.json.calls.map((call) => [call.action, call.target])).to.deep.equal([
+        ["FraudPrevention.setDefaultLimits(uint256,uint256,uint256,uint256)", fraud.target],
+        ["CollateralPool.setWithdrawalDelay(uint256)", pool.target],
+      ]);
+
+      res = await tatapay("--key-env", "ADMIN_KEY", "gov", "submit", file);
+      expect(res.code).to.equal(0);
+      expect(res.stdout).to.contain("batch proposal (2 calls)");
+      expect(res.stdout).to.contain("Call 2:");
+      expect(res.stdout).to.contain("Standard proposal #0 created");
+
+      res = await tatapay("--json", "gov", "show", "0");
+      expect(res.json.calls.map((call) => call.decoded.signature)).to.deep.equal([
+        "setDefaultLimits(uint256,uint256,uint256,uint256)",
+        "setWithdrawalDelay(uint256)",
+      ]);
+      res = await tatapay("gov", "show", "0");
+      expect(res.stdout).to.contain("Calls (2, executed atomically):");
+      expect(res.stdout).to.contain("2. CollateralPool.setWithdrawalDelay(uint256)");
+
+      await tatapay("--key-env", "ADMIN_KEY", "gov", "approve", "0");
+      await time.increase(48 * 60 * 60);
+      expect((await tatapay("--key-env", "ADMIN_KEY", "gov", "execute", "0")).code).to.equal(0);
+      expect(await pool.withdrawalDelay()).to.equal(7200);
+      expect((await fraud.defaultLimits()).hourlyTransactionLimit).to.equal(10);
+    });
+
+    it("Should name the failing call when a batch simulation reverts", async function () {
+      const { wallets, fraud, governance, tatapay } = await deployFixture();
+      await fraud.connect(wallets.admin.connect(ethers.provider)).grantRole(await fraud.FRAUD_MANAGER_ROLE(), governance.target);
+      const file = writeFile("batch.json", JSON.stringify({
+        description: "Limits and delay",
+        actions: [
+          "FraudPrevention.setDefaultLimits(10, 100, 50000 USDC, 500000 USDC)",
+          "CollateralPool.setWithdrawalDelay(7200)",
+        ],
+      }));
+
+      const res = await tatapay("--key-env", "ADMIN_KEY", "gov", "submit", file);
+      expect(res.code).to.equal(1);
+      expect(res.stderr).to.contain("Simulation from governance reverted (call 2 of 2): AccessControlUnauthorizedAccount(");
+      expect(await governance.proposalCount()).to.equal(0);
+    });
+
+    it("Should refuse proposals that revert when simulated from governance", async function () {
+      const { governance, tatapay } = await deployFixture();
+      const file = writeFile("delay.yml", "description: Shorter delay\naction: CollateralPool.setWithdrawalDelay(7200)\n");
+
+      const res = await tatapay("--key-env", "ADMIN_KEY", "gov", "submit", file);
+      expect(res.code).to.equal(1);
+      expect(res.stderr).to.contain("Simulation from governance reverted: AccessControlUnauthorizedAccount(");
+      expect(await governance.proposalCount()).to.equal(0);
+    });
+
+    it("Should reject malformed actions before simulating", async function () {
+      const { tatapay } = await deployFixture();
+      const cases = [
+        ["action: FraudPrevention.setDefaultLimits(10, 100)", "takes 4 argument(s), got 2"],
+        ["action: FraudPrevention.setDefaultLimits(10, ten, 1, 1)", "argument 2 (dailyTxLimit): expected an integer"],
+        ["action: FraudPrevention.defaultLimits()", "is read-only"],
+        ["action: Treasury.withdraw(1)", "Unknown contract Treasury"],
+        ["action: CollateralPool.setWithdrawalDelay(-1)", "expected a value in uint256 range"],
+        ["action: PaymentSettlement.setFraudPrevention(Oracle)", "expected an address or TataPay contract name"],
+        ["action: PaymentSettlement.grantRole(ORACLE_ROL_ROLE, SettlementOracle)", "expected a role PaymentSettlement defines"],
+        ["action: CollateralPool.grantRole(VALIDATOR_ROLE, PaymentSettlement)", "got VALIDATOR_ROLE"],
+        ["action: FraudPrevention.setDefaultLimits(10, 100, [1, 1)", 'expected "," or "]"'],
+        ["type: Urgent\naction: CollateralPool.pause()", 'type must be Standard or Emergency, got "Urgent"'],
+      ];
+
+      for (const [body, message] of cases) {
+        const file = writeFile("bad.yaml", `description: Test\n${body}\n`);
+        const res = await tatapay("--key-env", "ADMIN_KEY", "--json", "gov", "submit", file, "--dry-run");
+        expect(res.code, body).to.equal(1);
+        expect(res.json.error, body).to.contain(message);
+      }
+
+      const file = writeFile("nodesc.json", JSON.stringify({ action: "CollateralPool.pause()" }));
+      const res = await tatapay("--key-env", "ADMIN_KEY", "--json", "gov", "submit", file);
+      expect(res.json.error).to.contain("description is required");
+
+      const batchCases = [
+        ["action: CollateralPool.pause()\nactions: [CollateralPool.unpause()]", "use either action or actions, not both"],
+        ["actions: []", "actions must be a non-empty list"],
+        ["value: 1\nactions: [CollateralPool.pause()]", "value applies to a single action"],
+        ["actions:\n  - CollateralPool.pause()\n  - CollateralPool.nope()", "actions[1]: CollateralPool has no function nope"],
+      ];
+      for (const [body, message] of batchCases) {
+        const batchFile = writeFile("bad.yaml", `description: Test\n${body}\n`);
+        const batchRes = await tatapay("--key-env", "ADMIN_KEY", "--json", "gov", "submit", batchFile, "--dry-run");
+        expect(batchRes.code, body).to.equal(1);
+        expect(batchRes.json.error, body).to.contain(message);
+      }
+    });
+  });
+});
@@ -0,0 +1,296 @@
+const { expect } = require("chai");
+const { ethers, network } = require("hardhat");
+const { Web3 } = require("web3");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const {
+  TataPayClient,
+  BatchStatus,
+  ProposalState,
+  decodeEnum,
+  encodeEnum,
+  parseUsdc,
+  formatUsdc,
+  encodeReference,
+  decodeReference,
+} = require("../../sdk");
+
+describe("TataPayClient - Unit Tests", function () {
+  const MIN_STAKE = parseUsdc("100");
+
+  // Shared web3 instance on the in-process Hardhat provider
+  const web3 = new Web3(network.provider);
+
+  // Test fixture
+  async function deployFixture() {
+    const [admin, fintech, oracle, merchant1, merchant2, governor] = await ethers.getSigners();
+
+    const MockUSDC = await ethers.getContractFactory("contracts/mocks/MockUSDC.sol:MockUSDC");
+    const usdc = await MockUSDC.deploy("USD Coin", "USDC", 6);
+
+    const CollateralPool = await ethers.getContractFactory("CollateralPool");
+    const pool = await CollateralPool.deploy(usdc.target, admin.address, admin.address);
+
+    const PaymentSettlement = await ethers.getContractFactory("PaymentSettlement");
+    const settlement = await PaymentSettlement.deploy(usdc.target, pool.target, admin.address);
+
+    const FraudPrevention = await ethers.getContractFactory("FraudPrevention");
+    const fraud = await FraudPrevention.deploy(admin.address);
+
+    const SettlementOracle = await ethers.getContractFactory("SettlementOracle");
+    const settlementOracle = await SettlementOracle.deploy(settlement.target, usdc.target, admin.address, admin.address, MIN_STAKE);
+
+    const TataPayGovernance = await ethers.getContractFactory("TataPayGovernance");
+    const governance = await TataPayGovernance.deploy([governor.address], 1);
+
+    await pool.grantRole(await pool.SETTLEMENT_ROLE(), settlement.target);
+    await settlement.grantRole(await settlement.ORACLE_ROLE(), settlementOracle.target);
+    await usdc.mint(fintech.address, parseUsdc("100000"));
+    await usdc.mint(oracle.address, MIN_STAKE);
+
+    const contracts = {
+      usdc: usdc.target,
+      collateralPool: pool.target,
+      paymentSettlement: settlement.target,
+      fraudPrevention: fraud.target,
+      settlementOracle: settlementOracle.target,
+      governance: governance.target,
+    };
+
+    // One client per signer
+    const clientFor = (signer) => new TataPayClient({
+      network: "moonbase",
+      web3,
+      from: signer && signer.address,
+      contracts,
+    });
+
+    return { admin, fintech, oracle, merchant1, merchant2, governor, governance, clientFor };
+  }
+
+  describe("Units", function () {
+    it("Should convert USDC amounts without floating point", function () {
+      expect(parseUsdc("1500.25")).to.equal(1500_250000n);
+      expect(parseUsdc(2)).to.equal(2_000000n);
+      expect(parseUsdc("0.000001")).to.equal(1n);
+      expect(formatUsdc(1500_250000n)).to.equal("1500.25");
+      expect(formatUsdc(1n)).to.equal("0.000001");
+      expect(formatUsdc(3_000000n)).to.equal("3");
+    });
+
+    it("Should reject malformed amounts", function () {
+      expect(() => parseUsdc("1.0000001")).to.throw("max 6 decimals");
+      expect(() => parseUsdc("abc")).to.throw("Invalid USDC amount");
+    });
+  });
+
+  describe("Enums", function () {
+    it("Should decode and encode enum values", function () {
+      expect(decodeEnum(BatchStatus, 2n)).to.equal("Completed");
+      expect(decodeEnum(ProposalState, "1")).to.equal("Approved");
+      expect(encodeEnum(ProposalState, "executed")).to.equal(2);
+      expect(() => decodeEnum(BatchStatus, 9n)).to.throw("Unknown enum value");
+    });
+  });
+
+  describe("Settlement flow", function () {
+    it("Should deposit, create, approve and claim with decoded statuses", async function () {
+      const { admin, fintech, oracle, merchant1, merchant2, clientFor } = await deployFixture();
+      const fintechClient = clientFor(fintech);
+      const oracleClient = clientFor(oracle);
+
+      // Deposit approves USDC on demand
+      await fintechClient.collateralPool.deposit(parseUsdc("5000"));
+      const balance = await fintechClient.collateralPool.getBalance(fintech.address);
+      expect(balance.availableBalance).to.equal(parseUsdc("5000"));
+
+      const { batchId } = await fintechClient.paymentSettlement.createBatch(
+        [merchant1.address, merchant2.address],
+        [parseUsdc("1000"), parseUsdc("500")]
+      );
+
+      let batch = await fintechClient.paymentSettlement.getBatch(batchId);
+      expect(batch.status).to.equal("Pending");
+      expect(batch.totalAmount).to.equal(parseUsdc("1500"));
+      expect(batch.merchantCount).to.equal(2n);
+
+      const payments = await fintechClient.paymentSettlement.getPayments(batchId);
+      expect(payments.map((p) => p.merchant)).to.deep.equal([merchant1.address, merchant2.address]);
+
+      // Oracle stakes USDC (approved by the SDK) and votes through SettlementOracle
+      await oracleClient.settlementOracle.registerOracle();
+      expect((await oracleClient.settlementOracle.getOracleInfo(oracle.address)).stake).to.equal(MIN_STAKE);
+      expect(await oracleClient.usdc.balanceOf(oracle.address)).to.equal(0n);
+      await oracleClient.settlementOracle.approveBatch(batchId);
+      expect(await oracleClient.settlementOracle.hasVoted(batchId, oracle.address)).to.be.true;
+
+      batch = await fintechClient.paymentSettlement.getBatch(batchId);
+      expect(batch.status).to.equal("Processing");
+
+      const eligibility = await clientFor(merchant1).paymentSettlement.canClaim(batchId, merchant1.address);
+      expect(eligibility).to.deep.equal({ eligible: true, amount: parseUsdc("1000") });
+
+      await clientFor(merchant1).paymentSettlement.claimPayment(batchId);
+      await clientFor(merchant2).paymentSettlement.claimPayment(batchId);
+
+      batch = await clientFor(admin).paymentSettlement.getBatch(batchId);
+      expect(batch.status).to.equal("Completed");
+      expect(await fintechClient.usdc.balanceOf(merchant1.address)).to.equal(parseUsdc("1000"));
+    });
+
+    it("Should surface revert reasons from gas estimation", async function () {
+      const { fintech, merchant1, clientFor } = await deployFixture();
+
+      let error;
+      try {
+        await clientFor(fintech).paymentSettlement.createBatch([merchant1.address], [parseUsdc("1")]);
+      } catch (e) {
+        error = e;
+      }
+      expect(error.message).to.contain("Transaction would revert");
+      expect(error.message).to.contain("Insufficient");
+    });
+
+    it("Should refuse to send without a signer", async function () {
+      const { merchant1, clientFor } = await deployFixture();
+      const readOnly = clientFor();
+
+      let error;
+      try {
+        await readOnly.paymentSettlement.claimPayment("0x" + "00".repeat(32));
+      } catch (e) {
+        error = e;
+      }
+      expect(error.message).to.contain("No signer configured");
+      expect(await readOnly.usdc.balanceOf(merchant1.address)).to.be.a("bigint");
+    });
+  });
+
+  describe("Client references", function () {
+    it("Should encode and decode references", function () {
+      const encoded = encodeReference("payroll-2026-10");
+      expect(encoded).to.equal(ethers.encodeBytes32String("payroll-2026-10"));
+      expect(decodeReference(encoded)).to.equal("payroll-2026-10");
+
+      const hash = ethers.id("a key longer than thirty-two bytes, hashed by the fintech");
+      expect(encodeReference(hash.toUpperCase().replace("0X", "0x"))).to.equal(hash);
+      expect(decodeReference(hash)).to.equal(hash);
+      expect(decodeReference(ethers.ZeroHash)).to.equal(null);
+
+      expect(() => encodeReference("x".repeat(33))).to.throw("max 32");
+      expect(() => encodeReference(ethers.ZeroHash)).to.throw("must not be zero");
+      expect(() => encodeReference("")).to.throw("Invalid reference");
+    });
+
+    it("Should return the existing batch when a reference is reused", async function () {
+      const { fintech, merchant1, merchant2, clientFor } = await deployFixture();
+      const settlement = clientFor(fintech).paymentSettlement;
+      await clientFor(fintech).collateralPool.deposit(parseUsdc("5000"));
+
+      const first = await settlement.createBatch([merchant1.address], [parseUsdc("100")], { reference: "payroll-2026-10" });
+      expect(first.existing).to.be.false;
+      expect(await settlement.batchIdByReference(fintech.address, "payroll-2026-10")).to.equal(first.batchId);
+      expect(await settlement.batchIdByReference(fintech.address, "payroll-2026-11")).to.equal(null);
+
+      const again = await settlement.createBatch([merchant2.address], [parseUsdc("200")], { reference: "payroll-2026-10" });
+      expect(again).to.deep.equal({ batchId: first.batchId, receipt: null, existing: true });
+      expect((await settlement.getMetrics()).totalBatches).to.equal(1n);
+    });
+
+    it("Should tag payments with references returned on reads and claims", async function () {
+      const { fintech, oracle, merchant1, merchant2, clientFor } = await deployFixture();
+      const fintechClient = clientFor(fintech);
+      await fintechClient.collateralPool.deposit(parseUsdc("5000"));
+
+      const invoice = ethers.id("INV-1001");
+      const { batchId } = await fintechClient.paymentSettlement.createBatch(
+        [merchant1.address, merchant2.address],
+        [parseUsdc("100"), parseUsdc("200")],
+        { reference: "payroll-2026-10", paymentReferences: [invoice, null] }
+      );
+      const payments = await fintechClient.paymentSettlement.getPayments(batchId);
+      expect(payments.map((payment) => payment.reference)).to.deep.equal([invoice, null]);
+      expect(await fintechClient.paymentSettlement.batchIdByReference(fintech.address, "payroll-2026-10")).to.equal(batchId);
+
+      await clientFor(oracle).settlementOracle.registerOracle();
+      await clientFor(oracle).settlementOracle.approveBatch(batchId);
+      const { claims } = await clientFor(merchant1).paymentSettlement.claimMany([batchId]);
+      expect(claims).to.deep.equal([{ batchId, amount: parseUsdc("100"), reference: invoice }]);
+    });
+
+    it("Should not create a second batch when a sent transaction loses its response", async function () {
+      const { fintech, merchant1, clientFor } = await deployFixture();
+      const client = clientFor(fintech);
+      await client.collateralPool.deposit(parseUsdc("5000"));
+
+      // The transaction is mined but the caller sees a timeout
+      const send = client.send.bind(client);
+      let sends = 0;
+      client.send = async (...args) => {
+        sends++;
+        await send(...args);
+        if (sends === 1) {
+          throw new Error("timeout");
+        }
+      };
+
+      const result = await client.paymentSettlement.createBatch([merchant1.address], [parseUsdc("100")], { reference: "payroll-2026-10" });
+      expect(result.existing).to.be.true;
+      expect(sends).to.equal(1);
+      expect((await client.paymentSettlement.getMetrics()).totalBatches).to.equal(1n);
+    });
+
+    it("Should not retry a reverting batch", async function () {
+      const { fintech, merchant1, clientFor } = await deployFixture();
+      const client = clientFor(fintech);
+
+      const send = client.send.bind(client);
+      let sends = 0;
+      client.send = async (...args) => {
+        sends++;
+        return send(...args);
+      };
+
+      let error;
+      try {
+        await client.paymentSettlement.createBatch([merchant1.address], [parseUsdc("1")], { reference: "payroll-2026-10" });
+      } catch (e) {
+        error = e;
+      }
+      expect(error.message).to.contain("Insufficient");
+      expect(sends).to.equal(1);
+    });
+  });
+
+  describe("Governance", function () {
+    it("Should propose and decode proposal state and type", async function () {
+      const { admin, governor, governance, clientFor } = await deployFixture();
+      const client = clientFor(governor);
+
+      const data = governance.interface.encodeFunctionData("updateParameters", [1, 3600, 600]);
+      const { proposalId } = await client.governance.propose({
+        target: governance.target,
+        data,
+        description: "Shorten delays",
+        type: "Emergency",
+      });
+
+      let proposal = await client.governance.getProposal(proposalId);
+      expect(proposal.state).to.equal("Pending");
+      expect(proposal.proposalType).to.equal("Emergency");
+
+      await client.governance.approve(proposalId);
+      expect((await client.governance.getProposal(proposalId)).state).to.equal("Approved");
+      expect(await client.governance.canExecute(proposalId)).to.deep.equal({
+        executable: false,
+        reason: "Timelock not passed",
+      });
+
+      await time.increase(6 * 60 * 60);
+      const { success } = await client.governance.execute(proposalId);
+      expect(success).to.be.true;
+
+      proposal = await clientFor(admin).governance.getProposal(proposalId);
+      expect(proposal.state).to.equal("Executed");
+    });
+  });
+});
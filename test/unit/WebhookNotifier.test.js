@@ -0,0 +1,411 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const http = require("http");
+const os = require("os");
+const path = require("path");
+const { ethers, network } = require("hardhat");
+const { Web3 } = require("web3");
+const { time, mine } = require("@nomicfoundation/hardhat-network-helpers");
+const { TataPayClient, parseUsdc } = require("../../sdk");
+const { run } = require("../../cli");
+const { EventIndexer } = require("../../scripts/indexer/event-indexer");
+const { IndexerStore } = require("../../scripts/indexer/store");
+const { WebhookStore } = require("../../scripts/webhooks/webhook-store");
+const { WebhookNotifier, REVERTED_TYPE, signPayload, verifySignature } = require("../../scripts/webhooks/notifier");
+
+describe("WebhookNotifier - Unit Tests", function () {
+  const MIN_STAKE = parseUsdc("100");
+  const SECRET = "whsec_0123456789abcdef";
+  const TIMEOUT_PERIOD = 48 * 60 * 60;
+
+  // Shared web3 instance on the in-process Hardhat provider
+  const web3 = new Web3(network.provider);
+
+  const cleanup = [];
+  afterEach(async function () {
+    while (cleanup.length > 0) {
+      await cleanup.pop()();
+    }
+  });
+
+  // Endpoint answering with the given statuses in turn (then 200), recording requests
+  async function startReceiver(statuses = []) {
+    const requests = [];
+    const server = http.createServer((req, res) => {
+      let body = "";
+      req.on("data", (chunk) => (body += chunk));
+      req.on("end", () => {
+        requests.push({ headers: req.headers, body, json: JSON.parse(body) });
+        res.writeHead(statuses.length > 0 ? statuses.shift() : 200);
+        res.end();
+      });
+    });
+    await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+    cleanup.push(() => new Promise((done) => server.close(done)));
+    return { url: `http://127.0.0.1:${server.address().port}/hooks`, requests };
+  }
+
+  // Test fixture: two funded fintechs, a staked oracle, indexer and webhook stores
+  async function deployFixture() {
+    const [admin, fintech, otherFintech, oracle, merchant1, merchant2] = await ethers.getSigners();
+    const startBlock = await ethers.provider.getBlockNumber();
+
+    const MockUSDC = await ethers.getContractFactory("contracts/mocks/MockUSDC.sol:MockUSDC");
+    const usdc = await MockUSDC.deploy("USD Coin", "USDC", 6);
+    const CollateralPool = await ethers.getContractFactory("CollateralPool");
+    const pool = await CollateralPool.deploy(usdc.target, admin.address, admin.address);
+    const PaymentSettlement = await ethers.getContractFactory("PaymentSettlement");
+    const settlement = await PaymentSettlement.deploy(usdc.target, pool.target, admin.address);
+    const FraudPrevention = await ethers.getContractFactory("FraudPrevention");
+    const fraud = await FraudPrevention.deploy(admin.address);
+    const SettlementOracle = await ethers.getContractFactory("SettlementOracle");
+    const settlementOracle = await SettlementOracle.deploy(settlement.target, usdc.target, admin.address, admin.address, MIN_STAKE);
+    const TataPayGovernance = await ethers.getContractFactory("TataPayGovernance");
+    const governance = await TataPayGovernance.deploy([admin.address], 1);
+
+    await pool.grantRole(await pool.SETTLEMENT_ROLE(), settlement.target);
+    await settlement.grantRole(await settlement.ORACLE_ROLE(), settlementOracle.target);
+    for (const account of [fintech, otherFintech]) {
+      await usdc.mint(account.address, parseUsdc("100000"));
+      await usdc.connect(account).approve(pool.target, ethers.MaxUint256);
+      await pool.connect(account).deposit(parseUsdc("10000"));
+    }
+    await usdc.mint(oracle.address, MIN_STAKE);
+    await usdc.connect(oracle).approve(settlementOracle.target, MIN_STAKE);
+    await settlementOracle.connect(oracle).registerOracle(MIN_STAKE);
+
+    const createBatch = async (owner, payouts) => {
+      const receipt = await (await settlement.connect(owner).createBatch(
+        payouts.map(([merchant]) => merchant.address),
+        payouts.map(([, amount]) => parseUsdc(amount))
+      )).wait();
+      return receipt.logs
+        .map((log) => settlement.interface.parseLog(log))
+        .find((event) => event && event.name === "BatchCreated").args.batchId;
+    };
+
+    const client = new TataPayClient({
+      network: "moonbase",
+      web3,
+      contracts: {
+        usdc: usdc.target,
+        collateralPool: pool.target,
+        paymentSettlement: settlement.target,
+        fraudPrevention: fraud.target,
+        settlementOracle: settlementOracle.target,
+        governance: governance.target,
+      },
+    });
+    const silent = { log: () => {}, error: () => {} };
+    const indexerStore = new IndexerStore(":memory:");
+    const webhookStore = new WebhookStore(":memory:");
+    cleanup.push(() => {
+      indexerStore.close();
+      webhookStore.close();
+    });
+    const indexer = new EventIndexer({ client, store: indexerStore, startBlock, confirmations: 0, logger: silent });
+
+    let now = Date.now();
+    const clock = {
+      now: () => now,
+      advance: (ms) => (now += ms),
+    };
+    const logs = [];
+    const notifier = new WebhookNotifier({
+      webhookStore,
+      indexerStore,
+      backfill: true,
+      maxAttempts: 3,
+      backoff: 1000,
+      now: clock.now,
+      logger: { log: (line) => logs.push(line), error: (line) => logs.push(line) },
+    });
+
+    return {
+      fintech,
+      otherFintech,
+      oracle,
+      merchant1,
+      merchant2,
+      settlement,
+      settlementOracle,
+      indexer,
+      webhookStore,
+      notifier,
+      clock,
+      logs,
+      createBatch,
+    };
+  }
+
+  describe("Delivery", function () {
+    it("Should POST signed lifecycle events to the batch owner's endpoint", async function () {
+      const { fintech, otherFintech, oracle, merchant1, merchant2, settlement, settlementOracle, indexer, webhookStore, notifier, clock, createBatch } =
+        await deployFixture();
+      const receiver = await startReceiver();
+      webhookStore.subscribe({ fintech: fintech.address, url: receiver.url, secret: SECRET, now: clock.now() });
+
+      const batchId = await createBatch(fintech, [[merchant1, "1000"], [merchant2, "1500.5"]]);
+      await settlementOracle.connect(oracle).approveBatch(batchId);
+      await settlement.connect(merchant1).claimPayment(batchId);
+      await settlement.connect(merchant2).claimPayment(batchId);
+      // Not subscribed
+      const other = await createBatch(otherFintech, [[merchant1, "100"]]);
+      await settlement.connect(otherFintech).cancelBatch(other);
+      await indexer.sync();
+
+      const result = await notifier.run();
+      expect(result.queued).to.equal(4);
+      expect(result.delivered).to.have.lengthOf(4);
+
+      const types = receiver.requests.map((request) => request.json.type);
+      expect(types).to.deep.equal(["batch.approved", "payment.claimed", "payment.claimed", "batch.completed"]);
+      const claimed = receiver.requests[2].json;
+      expect(claimed.data).to.deep.include({
+        batchId,
+        fintech: fintech.address,
+        reference: null,
+        merchant: merchant2.address,
+        paymentReference: null,
+        amount: { units: "1500500000", usdc: "1500.5" },
+      });
+      expect(receiver.requests[3].json.data).to.include({ status: "Completed" });
+
+      for (const request of receiver.requests) {
+        expect(request.headers["x-tatapay-event"]).to.equal(request.json.type);
+        expect(verifySignature(SECRET, request.headers["x-tatapay-signature"], request.body, { now: Math.floor(clock.now() / 1000) }))
+          .to.equal(true);
+      }
+      expect(webhookStore.deliveries({ status: "delivered" })).to.have.lengthOf(4);
+
+      // Nothing new: nothing sent again
+      expect(await notifier.run()).to.deep.equal({ queued: 0, delivered: [], retrying: [], dead: [] });
+      expect(receiver.requests).to.have.lengthOf(4);
+    });
+
+    it("Should report timeouts and cancellations with their batch status", async function () {
+      const { fintech, merchant1, settlement, indexer, webhookStore, notifier, clock, createBatch } = await deployFixture();
+      const receiver = await startReceiver();
+      webhookStore.subscribe({ fintech: fintech.address, url: receiver.url, secret: SECRET, now: clock.now() });
+
+      const stale = await createBatch(fintech, [[merchant1, "100"]]);
+      const reference = ethers.encodeBytes32String("payroll-2026-10");
+      await settlement.connect(fintech).createBatchWithReference([merchant1.address], [parseUsdc("200")], reference);
+      const cancelled = await settlement.batchIdByReference(fintech.address, reference);
+      await settlement.connect(fintech).cancelBatch(cancelled);
+      await time.increase(TIMEOUT_PERIOD + 1);
+      await settlement.timeoutBatch(stale);
+      await indexer.sync();
+      await notifier.run();
+
+      expect(receiver.requests.map((request) => [request.json.type, request.json.data.status])).to.deep.equal([
+        ["batch.cancelled", "Failed"],
+        ["batch.failed", "Timeout"],
+      ]);
+      expect(receiver.requests[1].json.data.reason).to.equal("Timeout");
+      // The fintech's own key comes back with the batch it created
+      expect(receiver.requests.map((request) => request.json.data.reference)).to.deep.equal([reference, null]);
+    });
+
+    it("Should only send events indexed after the first run unless backfilling", async function () {
+      const { fintech, oracle, merchant1, settlementOracle, indexer, webhookStore, clock, createBatch } = await deployFixture();
+      const receiver = await startReceiver();
+      webhookStore.subscribe({ fintech: fintech.address, url: receiver.url, secret: SECRET, now: clock.now() });
+
+      const old = await createBatch(fintech, [[merchant1, "100"]]);
+      await settlementOracle.connect(oracle).approveBatch(old);
+      await indexer.sync();
+
+      const notifier = new WebhookNotifier({ webhookStore, indexerStore: indexer.store, now: clock.now, logger: { log: () => {}, error: () => {} } });
+      expect((await notifier.run()).queued).to.equal(0);
+
+      const fresh = await createBatch(fintech, [[merchant1, "100"]]);
+      await settlementOracle.connect(oracle).approveBatch(fresh);
+      await indexer.sync();
+      expect((await notifier.run()).queued).to.equal(1);
+      expect(receiver.requests.map((request) => request.json.data.batchId)).to.deep.equal([fresh]);
+    });
+  });
+
+  describe("Reorgs", function () {
+    it("Should retract rolled-back events and send their replacements", async function () {
+      const { fintech, oracle, merchant1, merchant2, settlement, settlementOracle, indexer, webhookStore, notifier, clock, createBatch } =
+        await deployFixture();
+      // batch.approved is delivered, payment.claimed fails and waits for a retry
+      const receiver = await startReceiver([200, 500]);
+      webhookStore.subscribe({ fintech: fintech.address, url: receiver.url, secret: SECRET, now: clock.now() });
+      const batchId = await createBatch(fintech, [[merchant1, "100"], [merchant2, "200"]]);
+      await indexer.sync();
+      await notifier.run();
+
+      const snapshot = await network.provider.send("evm_snapshot");
+      await settlementOracle.connect(oracle).approveBatch(batchId);
+      await settlement.connect(merchant1).claimPayment(batchId);
+      await indexer.sync();
+      const first = await notifier.run();
+      expect(first.delivered).to.have.lengthOf(1);
+      expect(first.retrying).to.have.lengthOf(1);
+      const [approved, claimed] = [first.delivered[0], first.retrying[0]].map((id) => webhookStore.getDelivery(id));
+
+      // The new chain cancels the batch instead
+      await network.provider.send("evm_revert", [snapshot]);
+      await mine(1);
+      await settlement.connect(fintech).cancelBatch(batchId);
+      expect((await indexer.sync()).reorg).to.not.equal(null);
+
+      clock.advance(1000);
+      const second = await notifier.run();
+      expect(second.queued).to.equal(2);
+      expect(webhookStore.getDelivery(approved.id).status).to.equal("retracted");
+      expect(webhookStore.getDelivery(claimed.id).status).to.equal("retracted");
+
+      // The delivered event is reverted, the pending one is never sent again
+      const sent = receiver.requests.slice(2).map((request) => request.json);
+      expect(sent.map((payload) => payload.type)).to.deep.equal([REVERTED_TYPE, "batch.cancelled"]);
+      expect(sent[0].data).to.include({ eventId: approved.eventId, eventType: "batch.approved", batchId });
+      expect(sent[1].data).to.include({ batchId, status: "Failed" });
+      expect(second.delivered).to.have.lengthOf(2);
+
+      // Settled: nothing more to retract or send
+      clock.advance(60 * 60 * 1000);
+      expect(await notifier.run()).to.deep.equal({ queued: 0, delivered: [], retrying: [], dead: [] });
+      expect(webhookStore.deliveries({ status: "retracted" })).to.have.lengthOf(2);
+    });
+  });
+
+  describe("Retries and dead letters", function () {
+    async function approvedBatchFixture(statuses) {
+      const fixture = await deployFixture();
+      const { fintech, oracle, merchant1, settlementOracle, indexer, webhookStore, clock, createBatch } = fixture;
+      const receiver = await startReceiver(statuses);
+      webhookStore.subscribe({ fintech: fintech.address, url: receiver.url, secret: SECRET, now: clock.now() });
+      const batchId = await createBatch(fintech, [[merchant1, "100"]]);
+      await settlementOracle.connect(oracle).approveBatch(batchId);
+      await indexer.sync();
+      return { ...fixture, receiver };
+    }
+
+    it("Should retry failed deliveries with exponential backoff", async function () {
+      const { notifier, webhookStore, clock, receiver } = await approvedBatchFixture([500, 503]);
+
+      const first = await notifier.run();
+      expect(first.retrying).to.have.lengthOf(1);
+      const id = first.retrying[0];
+      expect(webhookStore.getDelivery(id)).to.include({ status: "pending", attempts: 1, lastError: "HTTP 500" });
+      expect(webhookStore.getDelivery(id).nextAttemptAt).to.equal(clock.now() + 1000);
+
+      // Not due yet
+      expect((await notifier.deliver()).retrying).to.be.empty;
+      expect(receiver.requests).to.have.lengthOf(1);
+
+      clock.advance(1000);
+      expect((await notifier.deliver()).retrying).to.deep.equal([id]);
+      expect(webhookStore.getDelivery(id).nextAttemptAt).to.equal(clock.now() + 2000);
+
+      clock.advance(2000);
+      expect((await notifier.deliver()).delivered).to.deep.equal([id]);
+      expect(webhookStore.getDelivery(id)).to.include({ status: "delivered", attempts: 3, lastError: null });
+      // Same event, same payload id on every attempt
+      expect(new Set(receiver.requests.map((request) => request.json.id)).size).to.equal(1);
+    });
+
+    it("Should dead-letter after maxAttempts and replay from the CLI", async function () {
+      const { notifier, webhookStore, clock, logs, receiver } = await approvedBatchFixture([500, 500, 404]);
+      const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), "tatapay-webhooks-")), "webhooks.sqlite");
+      cleanup.push(() => fs.rmSync(path.dirname(file), { recursive: true, force: true }));
+
+      const [id] = (await notifier.run()).retrying;
+      clock.advance(1000);
+      await notifier.deliver();
+      clock.advance(2000);
+      expect((await notifier.deliver()).dead).to.deep.equal([id]);
+      expect(webhookStore.getDelivery(id)).to.include({ status: "dead", attempts: 3, lastError: "HTTP 404" });
+      expect(logs.some((line) => line.includes(`Delivery #${id}`) && line.includes("dead after 3 attempt(s)"))).to.equal(true);
+
+      // Further cycles leave dead letters alone
+      clock.advance(60 * 60 * 1000);
+      expect((await notifier.deliver()).delivered).to.be.empty;
+
+      // Copy the queue into a file database for the CLI
+      await webhookStore.db.backup(file);
+      const tatapay = async (...argv) => {
+        let stdout = "";
+        const code = await run([...argv, "--db", file], {
+          env: {},
+          stdout: { write: (chunk) => (stdout += chunk) },
+          stderr: { write: () => {} },
+        });
+        return { code, stdout, json: argv.includes("--json") ? JSON.parse(stdout) : undefined };
+      };
+
+      let res = await tatapay("webhook", "deliveries", "--status", "dead", "--json");
+      expect(res.code).to.equal(0);
+      expect(res.json.deliveries.map((delivery) => delivery.id)).to.deep.equal([id]);
+
+      res = await tatapay("webhook", "replay", "--dead");
+      expect(res.code).to.equal(0);
+      expect(res.stdout).to.contain("Replayed 1 delivery: 1 delivered");
+      expect(receiver.requests).to.have.lengthOf(4);
+
+      res = await tatapay("webhook", "deliveries", "--status", "dead", "--json");
+      expect(res.json.deliveries).to.be.empty;
+
+      res = await tatapay("webhook", "replay", "999");
+      expect(res.code).to.equal(1);
+    });
+  });
+
+  describe("Signatures", function () {
+    it("Should reject tampered bodies, wrong secrets and stale timestamps", function () {
+      const body = JSON.stringify({ id: "0xabc-1", type: "batch.approved" });
+      const now = 1_700_000_000;
+      const header = signPayload(SECRET, now, body);
+
+      expect(verifySignature(SECRET, header, body, { now })).to.equal(true);
+      expect(verifySignature(SECRET, header, body.replace("approved", "completed"), { now })).to.equal(false);
+      expect(verifySignature("another-secret-value", header, body, { now })).to.equal(false);
+      expect(verifySignature(SECRET, header, body, { now: now + 301 })).to.equal(false);
+      expect(verifySignature(SECRET, "garbage", body, { now })).to.equal(false);
+    });
+  });
+
+  describe("CLI", function () {
+    it("Should register, list and unregister endpoints", async function () {
+      const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), "tatapay-webhooks-")), "webhooks.sqlite");
+      cleanup.push(() => fs.rmSync(path.dirname(file), { recursive: true, force: true }));
+      const fintech = ethers.Wallet.createRandom().address;
+      const tatapay = async (...argv) => {
+        let stdout = "";
+        let stderr = "";
+        const code = await run([...argv, "--db", file], {
+          env: {},
+          stdout: { write: (chunk) => (stdout += chunk) },
+          stderr: { write: (chunk) => (stderr += chunk) },
+        });
+        return { code, stdout, stderr, json: argv.includes("--json") ? JSON.parse(stdout) : undefined };
+      };
+
+      let res = await tatapay("webhook", "register", fintech.toLowerCase(), "https://fintech.example/hooks", "--json");
+      expect(res.code).to.equal(0);
+      expect(res.json).to.include({ fintech, url: "https://fintech.example/hooks" });
+      expect(res.json.secret).to.match(/^[0-9a-f]{64}$/);
+
+      res = await tatapay("webhook", "list", "--json");
+      expect(res.json.subscriptions).to.have.lengthOf(1);
+      expect(res.json.subscriptions[0]).to.not.have.property("secret");
+
+      res = await tatapay("webhook", "register", fintech, "ftp://fintech.example");
+      expect(res.code).to.equal(2);
+      expect(res.stderr).to.contain("Invalid url");
+
+      res = await tatapay("webhook", "register", fintech, "https://fintech.example/hooks", "--secret", "short");
+      expect(res.code).to.equal(2);
+
+      res = await tatapay("webhook", "unregister", fintech);
+      expect(res.code).to.equal(0);
+      res = await tatapay("webhook", "unregister", fintech);
+      expect(res.code).to.equal(1);
+      expect(res.stderr).to.contain("No webhook registered");
+    });
+  });
+});